@@ -0,0 +1,63 @@
+import AuditLog from '../models/AuditLog.model.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @desc    Get audit log entries, newest first. Filter by ?actor=, ?approver=,
+ *          ?action= (comma-separated), ?targetType=, ?target=, ?field= (entries
+ *          that changed that field), ?startDate=, ?endDate= and ?search=
+ *          (target, actor or approver name)
+ * @route   GET /api/audit
+ * @access  Private/Admin
+ */
+export const getAuditLogs = async (req, res, next) => {
+  try {
+    const { actor, approver, action, targetType, target, field, startDate, endDate, search, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (actor) filter.actor = actor;
+    if (approver) filter.approver = approver;
+    if (action) filter.action = { $in: action.split(',') };
+    if (targetType) filter.targetType = targetType;
+    if (target) filter.target = target;
+    if (field) filter['changes.field'] = field;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ targetLabel: pattern }, { actorName: pattern }, { approverName: pattern }];
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: logs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,22 @@
 import User from '../models/User.model.js';
 import { generateToken } from '../utils/generateToken.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Lockout fields an account unlock resets
+const LOCKOUT_FIELDS = ['failedLoginAttempts', 'accountLocked', 'lockedUntil', 'failedApprovalAttempts', 'approvalLockedUntil'];
+
+/**
+ * Record a failed login attempt against the account, when there is one. The
+ * person trying is unknown, so the entry has no actor.
+ */
+const recordFailedLogin = (req, user, reason) => recordAudit(req, {
+  action: 'login_failed',
+  targetType: 'User',
+  target: user,
+  targetLabel: user?.username ?? req.body.username,
+  reason,
+  actor: null
+});
 
 /**
  * @desc    Login user
@@ -13,6 +30,7 @@ export const login = async (req, res, next) => {
     const user = await User.findOne({ username });
     
     if (!user) {
+      await recordFailedLogin(req, null, 'Unknown username');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -21,6 +39,7 @@ export const login = async (req, res, next) => {
 
     // Check if account is inactive
     if (!user.isActive) {
+      await recordFailedLogin(req, user, 'Account inactive');
       return res.status(403).json({
         success: false,
         message: 'Your account is inactive. Please contact an administrator.'
@@ -32,6 +51,7 @@ export const login = async (req, res, next) => {
       await user.save(); // Save auto-unlock if time passed
       
       if (user.accountLocked) {
+        await recordFailedLogin(req, user, 'Account locked');
         const minutesLeft = Math.ceil((user.lockedUntil - new Date()) / 60000);
         return res.status(423).json({
           success: false,
@@ -46,6 +66,7 @@ export const login = async (req, res, next) => {
 
     if (!isMatch) {
       await user.incrementFailedAttempts();
+      await recordFailedLogin(req, user, user.accountLocked ? 'Wrong password; account locked' : 'Wrong password');
       
       const attemptsLeft = 3 - user.failedLoginAttempts;
       return res.status(401).json({
@@ -60,6 +81,13 @@ export const login = async (req, res, next) => {
     }
 
     const token = generateToken(user._id);
+    await recordAudit(req, {
+      action: 'login',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.username,
+      actor: user
+    });
 
     // Check environment
     const isProduction = process.env.NODE_ENV === 'production';
@@ -82,7 +110,9 @@ export const login = async (req, res, next) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        isSupervisor: user.isSupervisor,
+        location: user.location
       }
     });
   } catch (error) {
@@ -106,7 +136,9 @@ export const getMe = async (req, res, next) => {
         lastName: req.user.lastName,
         email: req.user.email,
         phone: req.user.phone,
-        role: req.user.role
+        role: req.user.role,
+        isSupervisor: req.user.isSupervisor,
+        location: req.user.location
       }
     });
   } catch (error) {
@@ -129,6 +161,12 @@ export const logout = async (req, res, next) => {
       sameSite: isProduction ? 'none' : 'lax',
       expires: new Date(0) // Expire immediately
     });
+    await recordAudit(req, {
+      action: 'logout',
+      targetType: 'User',
+      target: req.user,
+      targetLabel: req.user.username
+    });
 
     res.json({
       success: true,
@@ -155,7 +193,18 @@ export const resetAccount = async (req, res, next) => {
       });
     }
 
+    const before = user.toObject();
     await user.resetFailedAttempts();
+    await user.resetFailedApprovalAttempts();
+    await recordAudit(req, {
+      action: 'account_unlock',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.username,
+      before,
+      after: user,
+      fields: LOCKOUT_FIELDS
+    });
 
     res.json({
       success: true,
@@ -183,6 +232,7 @@ export const updateProfile = async (req, res, next) => {
     }
 
     const { firstName, lastName, email, phone, username } = req.body;
+    const before = user.toObject();
     
     // Check if username is being updated and if it's already taken
     if (username && username !== user.username) {
@@ -213,6 +263,15 @@ export const updateProfile = async (req, res, next) => {
     if (phone) user.phone = phone;
 
     await user.save();
+    await recordAudit(req, {
+      action: 'profile_update',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.username,
+      before,
+      after: user,
+      fields: ['username', 'firstName', 'lastName', 'email', 'phone']
+    });
 
     res.json({
       success: true,
@@ -224,7 +283,9 @@ export const updateProfile = async (req, res, next) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        isSupervisor: user.isSupervisor,
+        location: user.location
       }
     });
   } catch (error) {
@@ -285,6 +346,12 @@ export const resetPassword = async (req, res, next) => {
     // Update password
     user.password = newPassword;
     await user.save();
+    await recordAudit(req, {
+      action: 'password_change',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.username
+    });
 
     res.json({
       success: true,
@@ -295,3 +362,46 @@ export const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Set or change the PIN an admin or supervisor enters at the register
+ *          to approve voids, discounts above the staff limit and price overrides
+ * @route   PUT /api/auth/approval-pin
+ * @access  Private/Admin/Supervisor
+ */
+export const setApprovalPin = async (req, res, next) => {
+  try {
+    const { currentPassword, pin } = req.body;
+
+    if (!req.user.canApprove()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and supervisors can set an approval PIN'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.approvalPin = pin;
+    await user.save();
+    await recordAudit(req, {
+      action: 'pin_change',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.username
+    });
+
+    res.json({
+      success: true,
+      message: 'Approval PIN saved'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,6 @@
 import Category from '../models/Category.model.js';
 import Product from '../models/Product.model.js';
+import { recordAudit } from '../utils/audit.js';
 
 /**
  * @desc    Get all categories
@@ -15,7 +16,7 @@ export const getCategories = async (req, res, next) => {
       filter.isActive = isActive === 'true';
     }
 
-    const categories = await Category.find(filter).sort({ name: 1 });
+    const categories = await Category.find(filter).populate('taxClass').sort({ name: 1 });
 
     res.json({
       success: true,
@@ -34,7 +35,7 @@ export const getCategories = async (req, res, next) => {
  */
 export const getCategory = async (req, res, next) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findById(req.params.id).populate('taxClass');
 
     if (!category) {
       return res.status(404).json({
@@ -60,6 +61,13 @@ export const getCategory = async (req, res, next) => {
 export const createCategory = async (req, res, next) => {
   try {
     const category = await Category.create(req.body);
+    await recordAudit(req, {
+      action: 'create',
+      targetType: 'Category',
+      target: category,
+      targetLabel: category.name,
+      after: category
+    });
 
     res.status(201).json({
       success: true,
@@ -83,7 +91,8 @@ export const createCategory = async (req, res, next) => {
  */
 export const updateCategory = async (req, res, next) => {
   try {
-    const category = await Category.findByIdAndUpdate(
+    const previous = await Category.findById(req.params.id);
+    const category = previous && await Category.findByIdAndUpdate(
       req.params.id,
       req.body,
       { new: true, runValidators: true }
@@ -96,6 +105,15 @@ export const updateCategory = async (req, res, next) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'update',
+      targetType: 'Category',
+      target: category,
+      targetLabel: category.name,
+      before: previous,
+      after: category
+    });
+
     res.json({
       success: true,
       data: category
@@ -140,6 +158,13 @@ export const deleteCategory = async (req, res, next) => {
     }
 
     await Category.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'delete',
+      targetType: 'Category',
+      target: category,
+      targetLabel: category.name,
+      before: category
+    });
 
     res.json({
       success: true,
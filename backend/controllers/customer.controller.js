@@ -0,0 +1,290 @@
+import Customer from '../models/Customer.model.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.model.js';
+import Sale from '../models/Sale.model.js';
+import { roundCurrency } from '../utils/pricing.js';
+
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'loyaltyCardNumber', 'address', 'notes', 'isActive'];
+const UNIQUE_FIELDS = ['email', 'phone', 'loyaltyCardNumber'];
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Message for a duplicate email, phone or loyalty card number
+ */
+const duplicateKeyMessage = (error) => {
+  if (error.keyPattern?.phone) return 'A customer with this phone number already exists';
+  if (error.keyPattern?.loyaltyCardNumber) return 'This loyalty card number is already assigned to another customer';
+  return 'A customer with this email already exists';
+};
+
+/**
+ * Copy the editable fields from a request body. Blank email, phone and card
+ * number are removed rather than stored, so they do not collide on the unique indexes.
+ */
+const pickCustomerFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  for (const field of UNIQUE_FIELDS) {
+    if (fields[field] === '' || fields[field] === null) {
+      fields[field] = undefined;
+    }
+  }
+  return fields;
+};
+
+/**
+ * Purchase figures per customer from their sales that were not voided.
+ * Lifetime value is what they paid less what was refunded.
+ */
+const getCustomerStats = async (customerIds) => {
+  const stats = await Sale.aggregate([
+    { $match: { customer: { $in: customerIds }, isVoid: false } },
+    {
+      $group: {
+        _id: '$customer',
+        purchaseCount: { $sum: 1 },
+        lifetimeValue: { $sum: { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] } },
+        firstPurchaseAt: { $min: '$createdAt' },
+        lastPurchaseAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  return new Map(stats.map(entry => [entry._id.toString(), entry]));
+};
+
+const withStats = (customer, stats) => {
+  const entry = stats.get(customer._id.toString());
+  const purchaseCount = entry?.purchaseCount || 0;
+  const lifetimeValue = roundCurrency(entry?.lifetimeValue || 0);
+
+  return {
+    ...customer.toObject(),
+    purchaseCount,
+    lifetimeValue,
+    averageSale: purchaseCount > 0 ? roundCurrency(lifetimeValue / purchaseCount) : 0,
+    firstPurchaseAt: entry?.firstPurchaseAt || null,
+    lastPurchaseAt: entry?.lastPurchaseAt || null
+  };
+};
+
+/**
+ * @desc    Get customers, optionally searching name, email, phone and loyalty card number
+ * @route   GET /api/customers
+ * @access  Private/Admin/Staff
+ */
+export const getCustomers = async (req, res, next) => {
+  try {
+    const { search, active, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }, { loyaltyCardNumber: pattern }];
+    }
+
+    if (active === 'true') {
+      filter.isActive = true;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(limitNum),
+      Customer.countDocuments(filter)
+    ]);
+    const stats = await getCustomerStats(customers.map(customer => customer._id));
+
+    res.json({
+      success: true,
+      count: customers.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: customers.map(customer => withStats(customer, stats))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single customer with lifetime value and last purchase
+ * @route   GET /api/customers/:id
+ * @access  Private/Admin/Staff
+ */
+export const getCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id).populate('createdBy', 'username');
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const stats = await getCustomerStats([customer._id]);
+
+    res.json({
+      success: true,
+      data: withStats(customer, stats)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a customer's purchase history
+ * @route   GET /api/customers/:id/sales
+ * @access  Private/Admin/Staff
+ */
+export const getCustomerSales = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!(await Customer.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const filter = { customer: req.params.id };
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [sales, total] = await Promise.all([
+      Sale.find(filter)
+        .populate('cashier', 'username')
+        .populate('items.product', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Sale.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: sales.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: sales
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create customer
+ * @route   POST /api/customers
+ * @access  Private/Admin/Staff
+ */
+export const createCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.create({
+      ...pickCustomerFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateKeyMessage(error)
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update customer
+ * @route   PUT /api/customers/:id
+ * @access  Private/Admin/Staff
+ */
+export const updateCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // Setting a field to undefined on the document removes it
+    customer.set(pickCustomerFields(req.body));
+    await customer.save();
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateKeyMessage(error)
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a customer with no sales or points history
+ * @route   DELETE /api/customers/:id
+ * @access  Private/Admin
+ */
+export const deleteCustomer = async (req, res, next) => {
+  try {
+    const [hasSales, hasPoints] = await Promise.all([
+      Sale.exists({ customer: req.params.id }),
+      LoyaltyTransaction.exists({ customer: req.params.id })
+    ]);
+    if (hasSales || hasPoints) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customers with sales or loyalty points history cannot be deleted. Deactivate them instead.'
+      });
+    }
+
+    const customer = await Customer.findByIdAndDelete(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Customer deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
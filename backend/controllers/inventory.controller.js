@@ -1,5 +1,31 @@
+import mongoose from 'mongoose';
 import Product from '../models/Product.model.js';
 import Supplier from '../models/Supplier.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import StockLot from '../models/StockLot.model.js';
+import Sale from '../models/Sale.model.js';
+import PurchaseOrder from '../models/PurchaseOrder.model.js';
+import Setting from '../models/Setting.model.js';
+import { LOW_STOCK_EXPR, adjustStock, isLowStock, lowStockVariants, setStock } from '../utils/stock.js';
+import { daysUntilExpiry, isExpired, startOfToday } from '../utils/lot.js';
+import { findActiveLocation, locationMatch, resolveUserLocation, withLocationStock } from '../utils/location.js';
+import { httpError } from '../utils/httpError.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { recordAudit } from '../utils/audit.js';
+import { findVariant, hasVariants, lineKey, variantName } from '../utils/variant.js';
+import { baseUnit, findUnit, isValidQuantity, roundQuantity, toBaseQuantity } from '../utils/units.js';
+
+// Purchase orders whose goods are still to come; drafts count so suggestions
+// already turned into orders are not suggested again
+const ON_ORDER_STATUSES = ['draft', 'sent', 'confirmed', 'partially_received'];
+
+// Units a sale line took out of stock less those returned, in the product's base unit
+const NET_SOLD_BASE_QUANTITY = {
+  $multiply: [
+    { $ifNull: ['$items.baseQuantity', '$items.quantity'] },
+    { $subtract: [1, { $divide: [{ $ifNull: ['$items.returnedQuantity', 0] }, '$items.quantity'] }] }
+  ]
+};
 
 /**
  * @desc    Get inventory status
@@ -8,7 +34,7 @@ import Supplier from '../models/Supplier.model.js';
  */
 export const getInventory = async (req, res, next) => {
   try {
-    const { lowStock } = req.query;
+    const { lowStock, location } = req.query;
     const filter = { isActive: true };
 
     // If user is a supplier, only show their own products
@@ -23,16 +49,26 @@ export const getInventory = async (req, res, next) => {
       filter.supplier = supplierRecord._id;
     }
 
-    if (lowStock === 'true') {
-      filter.$expr = { $lte: ['$stockQuantity', '$lowStockThreshold'] };
+    // Low stock at a location is checked once the location's stock is known
+    if (lowStock === 'true' && !location) {
+      filter.$expr = LOW_STOCK_EXPR;
     }
 
-    const products = await Product.find(filter)
+    let products = await Product.find(filter)
       .populate('supplier', 'companyName')
       .sort({ stockQuantity: 1 });
 
+    // Stock held at one branch instead of the total across branches
+    if (location) {
+      products = (await withLocationStock(products, location))
+        .sort((a, b) => a.stockQuantity - b.stockQuantity);
+      if (lowStock === 'true') {
+        products = products.filter(isLowStock);
+      }
+    }
+
     const totalProducts = products.length;
-    const lowStockProducts = products.filter(p => p.stockQuantity <= p.lowStockThreshold).length;
+    const lowStockProducts = products.filter(isLowStock).length;
     const outOfStockProducts = products.filter(p => p.stockQuantity === 0).length;
 
     res.json({
@@ -85,21 +121,82 @@ export const updateStock = async (req, res, next) => {
       }
     }
 
-    const { quantity, operation = 'set' } = req.body;
+    const { quantity: entered, operation = 'set', reason, variant, unit: unitName, lotNumber, expiryDate } = req.body;
+
+    // Stock is counted or received at one location, the user's home branch unless chosen
+    const location = req.body.location
+      ? await findActiveLocation(req.body.location)
+      : await resolveUserLocation(req.user);
 
-    if (operation === 'add') {
-      product.stockQuantity += quantity;
-    } else {
-      product.stockQuantity = quantity;
+    // Products with variants hold their stock per variant
+    if (hasVariants(product) && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose which variant of ${product.name} to update`
+      });
+    }
+    if (variant && !findVariant(product, variant)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
     }
 
-    await product.save();
-    await product.populate('supplier', 'companyName');
+    // Stock can be counted or received in any of the product's units and is kept in its base unit
+    const unit = findUnit(product, unitName);
+    if (!unit) {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} has no unit ${unitName}`
+      });
+    }
+    const quantity = toBaseQuantity(entered, unit);
+    if (!isValidQuantity(product, quantity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Stock of ${product.name} must be a whole number of ${baseUnit(product)}`
+      });
+    }
+
+    // Stock received for a perishable product forms a lot with its expiry date
+    if (operation === 'add' && product.trackExpiry && !expiryDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Enter the expiry date of the ${product.name} received`
+      });
+    }
+    const lot = product.trackExpiry && operation === 'add'
+      ? { lotNumber: lotNumber || `RCV-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`, expiryDate }
+      : undefined;
+
+    // Update atomically so a restock is not lost to a concurrent sale,
+    // and record the change in the stock movement ledger
+    let updatedProduct;
+    await mongoose.connection.transaction(async (session) => {
+      const stockChange = { product: product._id, variant, location: location._id, user: req.user._id, reason, session };
+      updatedProduct = operation === 'add'
+        ? await adjustStock({ ...stockChange, change: quantity, type: 'manual_add', lot })
+        : await setStock({ ...stockChange, quantity, type: 'manual_set' });
+
+      const variantLabel = variant ? ` (${variantName(findVariant(product, variant))})` : '';
+      await recordAudit(req, {
+        action: 'stock_adjust',
+        targetType: 'Product',
+        target: product,
+        targetLabel: product.name,
+        before: product,
+        after: updatedProduct,
+        // Total across locations; the reason names the branch and variant
+        fields: ['stockQuantity'],
+        reason: `${operation === 'add' ? 'Added' : 'Set to'} ${entered} ${unit.name}${variantLabel} at ${location.name}${reason ? `: ${reason}` : ''}`
+      }, { session });
+    });
+    await updatedProduct.populate('supplier', 'companyName');
 
     res.json({
       success: true,
-      data: product,
-      message: `Stock ${operation === 'add' ? 'updated' : 'set'} successfully`
+      data: updatedProduct,
+      message: `Stock ${operation === 'add' ? 'updated' : 'set'} at ${location.name} successfully`
     });
   } catch (error) {
     next(error);
@@ -113,10 +210,12 @@ export const updateStock = async (req, res, next) => {
  */
 export const getLowStockAlerts = async (req, res, next) => {
   try {
-    const filter = {
-      isActive: true,
-      $expr: { $lte: ['$stockQuantity', '$lowStockThreshold'] }
-    };
+    const { location } = req.query;
+    const filter = { isActive: true };
+    // Low stock at a location is checked once the location's stock is known
+    if (!location) {
+      filter.$expr = LOW_STOCK_EXPR;
+    }
 
     // If user is a supplier, only show their own products
     if (req.user.role === 'supplier') {
@@ -130,17 +229,406 @@ export const getLowStockAlerts = async (req, res, next) => {
       filter.supplier = supplierRecord._id;
     }
 
-    const products = await Product.find(filter)
+    let products = await Product.find(filter)
       .populate('supplier', 'companyName')
       .sort({ stockQuantity: 1 });
 
+    if (location) {
+      products = (await withLocationStock(products, location))
+        .filter(isLowStock)
+        .sort((a, b) => a.stockQuantity - b.stockQuantity);
+    }
+
     res.json({
       success: true,
       count: products.length,
-      data: products
+      // Each product lists the variants that are low, for products sold as variants
+      data: products.map(product => ({
+        ...(product.toObject ? product.toObject() : product),
+        lowStockVariants: lowStockVariants(product)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Average units sold per day over the last `days` days, keyed by product and variant
+ */
+const findDailySales = async (days, location) => {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const sold = await Sale.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since },
+        isVoid: false,
+        ...(location ? { location: await locationMatch(location) } : {})
+      }
+    },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { product: '$items.product', variant: '$items.variant' },
+        quantity: { $sum: NET_SOLD_BASE_QUANTITY }
+      }
+    }
+  ]);
+
+  return new Map(sold.map(line => [lineKey(line._id.product, line._id.variant), line.quantity / days]));
+};
+
+/**
+ * Units ordered from suppliers and not yet received, in base units, keyed by product and variant
+ */
+const findQuantitiesOnOrder = async (location) => {
+  const orders = await PurchaseOrder.find({
+    status: { $in: ON_ORDER_STATUSES },
+    ...(location ? { location: await locationMatch(location) } : {})
+  }).select('items');
+
+  const onOrder = new Map();
+  for (const item of orders.flatMap(order => order.items)) {
+    const key = lineKey(item.product, item.variant);
+    const outstanding = (item.quantityOrdered - item.quantityReceived) * (item.unitFactor || 1);
+    onOrder.set(key, roundQuantity((onOrder.get(key) || 0) + Math.max(outstanding, 0)));
+  }
+  return onOrder;
+};
+
+/**
+ * @desc    Suggest what to reorder, grouped by supplier. Each product or
+ *          variant's daily sales rate sets its reorder point (sales over the
+ *          supplier's lead time plus safety stock); stock and goods on order
+ *          at or below it are topped up to cover `coverageDays` more days.
+ * @route   GET /api/inventory/reorder-suggestions
+ * @access  Private/Admin
+ */
+export const getReorderSuggestions = async (req, res, next) => {
+  try {
+    const { supplier, location } = req.query;
+    const { reorder } = await Setting.getSettings();
+    const days = req.query.days ?? reorder.salesHistoryDays;
+    const coverageDays = req.query.coverageDays ?? reorder.coverageDays;
+
+    const filter = { isActive: true };
+    if (supplier) filter.supplier = supplier;
+
+    let products = await Product.find(filter)
+      .select('name sku unit allowFractions costPrice stockQuantity variants supplier')
+      .populate('supplier', 'companyName leadTimeDays safetyStockDays minimumOrderValue isActive')
+      .sort({ name: 1 });
+    if (location) {
+      products = await withLocationStock(products, location);
+    }
+
+    const [dailySales, onOrder] = await Promise.all([
+      findDailySales(days, location),
+      findQuantitiesOnOrder(location)
+    ]);
+
+    const groups = new Map();
+    for (const product of products) {
+      // Inactive suppliers take no new purchase orders
+      if (!product.supplier?.isActive) continue;
+
+      const leadTimeDays = product.supplier.leadTimeDays ?? reorder.leadTimeDays;
+      const safetyStockDays = product.supplier.safetyStockDays ?? reorder.safetyStockDays;
+      const lines = hasVariants(product)
+        ? product.variants.filter(variant => variant.isActive).map(variant => ({ variant, stock: variant.stockQuantity }))
+        : [{ stock: product.stockQuantity }];
+
+      for (const { variant, stock } of lines) {
+        const key = lineKey(product._id, variant?._id);
+        const perDay = dailySales.get(key) || 0;
+        if (perDay <= 0) continue;
+
+        const safetyStock = perDay * safetyStockDays;
+        const reorderPoint = perDay * leadTimeDays + safetyStock;
+        const ordered = onOrder.get(key) || 0;
+        if (stock + ordered > reorderPoint) continue;
+
+        // Order enough to last the coverage period after the reorder point is restored
+        const needed = reorderPoint + perDay * coverageDays - stock - ordered;
+        const suggestedQuantity = product.allowFractions ? roundQuantity(needed) : Math.ceil(roundQuantity(needed));
+        if (suggestedQuantity <= 0) continue;
+
+        const supplierId = product.supplier._id.toString();
+        if (!groups.has(supplierId)) {
+          groups.set(supplierId, {
+            supplier: {
+              _id: product.supplier._id,
+              companyName: product.supplier.companyName,
+              leadTimeDays,
+              safetyStockDays,
+              minimumOrderValue: product.supplier.minimumOrderValue || 0
+            },
+            items: [],
+            totalCost: 0
+          });
+        }
+        const group = groups.get(supplierId);
+        const unitCost = product.costPrice || 0;
+        group.items.push({
+          product: product._id,
+          name: product.name,
+          variant: variant?._id,
+          variantName: variant ? variantName(variant) : undefined,
+          sku: variant ? variant.sku : product.sku,
+          unit: baseUnit(product),
+          stockQuantity: stock,
+          onOrder: ordered,
+          avgDailySales: roundQuantity(perDay),
+          daysOfStock: roundQuantity(stock / perDay),
+          safetyStock: roundQuantity(safetyStock),
+          reorderPoint: roundQuantity(reorderPoint),
+          suggestedQuantity,
+          unitCost,
+          estimatedCost: roundCurrency(suggestedQuantity * unitCost)
+        });
+        group.totalCost = roundCurrency(group.totalCost + suggestedQuantity * unitCost);
+      }
+    }
+
+    const data = [...groups.values()].sort((a, b) => a.supplier.companyName.localeCompare(b.supplier.companyName));
+
+    res.json({
+      success: true,
+      days,
+      coverageDays,
+      count: data.reduce((sum, group) => sum + group.items.length, 0),
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get lots that have expired or expire within `days` days, soonest first
+ * @route   GET /api/inventory/expiring
+ * @access  Private
+ */
+export const getExpiringLots = async (req, res, next) => {
+  try {
+    const days = req.query.days ?? 30;
+    const { location } = req.query;
+    const filter = { isActive: true, trackExpiry: true };
+
+    // If user is a supplier, only show their own products
+    if (req.user.role === 'supplier') {
+      const supplierRecord = await Supplier.findOne({ userId: req.user._id });
+      if (!supplierRecord) {
+        return res.status(403).json({
+          success: false,
+          message: 'Supplier record not found'
+        });
+      }
+      filter.supplier = supplierRecord._id;
+    }
+
+    const today = startOfToday();
+    const cutoff = new Date(today);
+    cutoff.setDate(cutoff.getDate() + days);
+
+    const products = await Product.find(filter)
+      .select('name unit costPrice variants supplier')
+      .populate('supplier', 'companyName');
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lotFilter = {
+      product: { $in: products.map(product => product._id) },
+      quantity: { $gt: 0 },
+      expiryDate: { $lte: cutoff }
+    };
+    if (location) {
+      lotFilter.location = await locationMatch(location);
+    }
+
+    const lots = await StockLot.find(lotFilter)
+      .populate('location', 'name code')
+      .sort({ expiryDate: 1 });
+
+    const data = [];
+    for (const lot of lots) {
+      const product = productMap.get(lot.product.toString());
+      const variant = findVariant(product, lot.variant);
+      // Lots of a variant since removed from the product have no stock to sell
+      if (lot.variant && !variant) continue;
+
+      data.push({
+        ...lot.toObject(),
+        product: {
+          _id: product._id,
+          name: product.name,
+          unit: baseUnit(product),
+          supplier: product.supplier
+        },
+        variantName: variant ? variantName(variant) : undefined,
+        daysUntilExpiry: daysUntilExpiry(lot, today),
+        isExpired: isExpired(lot, today),
+        value: roundCurrency(lot.quantity * (lot.unitCost ?? product.costPrice ?? 0))
+      });
+    }
+
+    res.json({
+      success: true,
+      summary: {
+        expired: data.filter(lot => lot.isExpired).length,
+        expiringSoon: data.filter(lot => !lot.isExpired).length,
+        expiredValue: roundCurrency(
+          data.filter(lot => lot.isExpired).reduce((sum, lot) => sum + lot.value, 0)
+        )
+      },
+      days,
+      count: data.length,
+      data
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Write off the stock left in an expired lot, recording it at cost as a loss
+ * @route   POST /api/inventory/lots/:id/write-off
+ * @access  Private/Admin
+ */
+export const writeOffExpiredLot = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    // The lot is re-read inside the transaction so a sale or a second
+    // write-off cannot take the same stock
+    let lot;
+    let loss;
+    await mongoose.connection.transaction(async (session) => {
+      lot = await StockLot.findById(req.params.id).session(session);
+      if (!lot) {
+        throw httpError(404, 'Stock lot not found');
+      }
+
+      const product = await Product.findById(lot.product).select('name unit trackExpiry costPrice').session(session);
+      if (!product?.trackExpiry) {
+        throw httpError(400, 'Only lots of products that track expiry dates can be written off');
+      }
+      if (!isExpired(lot)) {
+        throw httpError(400, `Lot ${lot.lotNumber} has not expired yet`);
+      }
+      if (lot.quantity <= 0) {
+        throw httpError(400, `Lot ${lot.lotNumber} has no stock left`);
+      }
+
+      const quantity = lot.quantity;
+      const unitCost = lot.unitCost ?? product.costPrice ?? 0;
+      const updated = await adjustStock({
+        product: product._id,
+        variant: lot.variant,
+        location: lot.location,
+        change: -quantity,
+        type: 'expired',
+        user: req.user._id,
+        reason: reason || `Lot ${lot.lotNumber} expired ${lot.expiryDate.toISOString().slice(0, 10)}`,
+        unitCost,
+        lots: [{ lot: lot._id, quantity }],
+        session
+      });
+      if (!updated) {
+        throw httpError(409, `Stock of ${product.name} at the lot's location is lower than lot ${lot.lotNumber} holds, count the stock first`);
+      }
+
+      loss = roundCurrency(quantity * unitCost);
+      lot = await StockLot.findById(lot._id).session(session);
+
+      await recordAudit(req, {
+        action: 'write_off',
+        targetType: 'Product',
+        target: product,
+        targetLabel: product.name,
+        reason: `Lot ${lot.lotNumber}: ${quantity} ${baseUnit(product)} written off, ${loss.toFixed(2)} at cost${reason ? `: ${reason}` : ''}`
+      }, { session });
+    });
+
+    res.json({
+      success: true,
+      message: `Lot ${lot.lotNumber} written off`,
+      data: { lot, loss }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get stock movement history for a product
+ * @route   GET /api/inventory/:id/movements
+ * @access  Private
+ */
+export const getStockMovements = async (req, res, next) => {
+  try {
+    const { type, variant, location, page = 1, limit = 50 } = req.query;
+
+    const product = await Product.findById(req.params.id).select('name stockQuantity supplier variants');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Suppliers may only see the history of their own products
+    if (req.user.role === 'supplier') {
+      const supplierRecord = await Supplier.findOne({ userId: req.user._id });
+      if (!supplierRecord || product.supplier.toString() !== supplierRecord._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view stock history for your own products'
+        });
+      }
+    }
+
+    const filter = { product: product._id };
+    if (type) filter.type = type;
+    if (variant) filter.variant = variant;
+    if (location) filter.location = await locationMatch(location);
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('user', 'username')
+        .populate('location', 'name code')
+        .populate('lots.lot', 'lotNumber expiryDate')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      product: {
+        _id: product._id,
+        name: product.name,
+        stockQuantity: product.stockQuantity,
+        variants: (product.variants || []).map(item => ({
+          _id: item._id,
+          name: variantName(item),
+          stockQuantity: item.stockQuantity
+        }))
+      },
+      count: movements.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: movements
+    });
+  } catch (error) {
+    next(error);
+  }
+};
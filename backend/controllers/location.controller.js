@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import Location from '../models/Location.model.js';
+import StockLevel from '../models/StockLevel.model.js';
+import { getDefaultLocation } from '../utils/location.js';
+import { httpError } from '../utils/httpError.js';
+
+const DUPLICATE_MESSAGE = 'Location name or code already exists';
+
+/**
+ * @desc    Get all locations
+ * @route   GET /api/locations
+ * @access  Private
+ */
+export const getLocations = async (req, res, next) => {
+  try {
+    const { isActive } = req.query;
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    // A single-store setup lists its default location before any are added
+    await getDefaultLocation();
+    const locations = await Location.find(filter).sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: locations.length,
+      data: locations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single location with the number of products it stocks
+ * @route   GET /api/locations/:id
+ * @access  Private
+ */
+export const getLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const stockedItems = await StockLevel.countDocuments({ location: location._id, quantity: { $gt: 0 } });
+
+    res.json({
+      success: true,
+      data: { ...location.toObject(), stockedItems }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make a location the default, clearing the flag on the previous default first
+ * so the unique index on isDefault holds
+ */
+const makeDefault = async (location, session) => {
+  await Location.updateMany({ _id: { $ne: location._id }, isDefault: true }, { isDefault: false }, { session });
+  location.isDefault = true;
+  location.isActive = true;
+};
+
+/**
+ * @desc    Create new location
+ * @route   POST /api/locations
+ * @access  Private/Admin
+ */
+export const createLocation = async (req, res, next) => {
+  try {
+    const { isDefault, ...fields } = req.body;
+
+    let location;
+    await mongoose.connection.transaction(async (session) => {
+      location = new Location(fields);
+      if (isDefault) {
+        await makeDefault(location, session);
+      }
+      await location.save({ session });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: DUPLICATE_MESSAGE
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update location. Another location is made the default by setting
+ *          isDefault on it; the default location cannot be deactivated.
+ * @route   PUT /api/locations/:id
+ * @access  Private/Admin
+ */
+export const updateLocation = async (req, res, next) => {
+  try {
+    const { isDefault, ...fields } = req.body;
+
+    let location;
+    await mongoose.connection.transaction(async (session) => {
+      location = await Location.findById(req.params.id).session(session);
+      if (!location) {
+        throw httpError(404, 'Location not found');
+      }
+
+      if (location.isDefault && isDefault === false) {
+        throw httpError(400, 'Make another location the default instead');
+      }
+      if ((location.isDefault || isDefault) && fields.isActive === false) {
+        throw httpError(400, 'The default location cannot be deactivated');
+      }
+
+      location.set(fields);
+      if (isDefault && !location.isDefault) {
+        await makeDefault(location, session);
+      }
+      await location.save({ session });
+    });
+
+    res.json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: DUPLICATE_MESSAGE
+      });
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.model.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.model.js';
+import Setting from '../models/Setting.model.js';
+import { adjustPoints, expireCustomerPoints, findLoyaltyMember } from '../utils/loyalty.js';
+
+/**
+ * Loyalty settings shown alongside a member's balance
+ */
+const programSummary = (settings) => ({
+  enabled: settings.loyalty?.enabled || false,
+  pointValue: settings.loyalty?.pointValue ?? 1
+});
+
+/**
+ * @desc    Find a loyalty member by card number or phone, with their points balance
+ * @route   GET /api/loyalty/members?card=
+ * @access  Private/Admin/Staff
+ */
+export const lookupMember = async (req, res, next) => {
+  try {
+    const member = await findLoyaltyMember(req.query.card);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loyalty member not found'
+      });
+    }
+
+    // Expired points are taken off before the balance is shown at the register
+    await mongoose.connection.transaction(session => (
+      expireCustomerPoints({ customer: member._id, user: req.user._id, session })
+    ));
+    const [customer, settings] = await Promise.all([
+      Customer.findById(member._id),
+      Setting.getSettings()
+    ]);
+
+    res.json({
+      success: true,
+      data: customer,
+      program: programSummary(settings)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a customer's points balance and ledger
+ * @route   GET /api/loyalty/customers/:id
+ * @access  Private/Admin/Staff
+ */
+export const getCustomerLedger = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    if (!(await Customer.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    await mongoose.connection.transaction(session => (
+      expireCustomerPoints({ customer: req.params.id, user: req.user._id, session })
+    ));
+
+    const filter = { customer: req.params.id };
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+    const soon = new Date();
+    soon.setDate(soon.getDate() + 30);
+
+    const [customer, settings, entries, total, expiringSoon] = await Promise.all([
+      Customer.findById(req.params.id).select('name loyaltyCardNumber phone loyaltyPoints'),
+      Setting.getSettings(),
+      LoyaltyTransaction.find(filter)
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      LoyaltyTransaction.countDocuments(filter),
+      LoyaltyTransaction.aggregate([
+        {
+          $match: {
+            customer: new mongoose.Types.ObjectId(req.params.id),
+            remaining: { $gt: 0 },
+            expiresAt: { $gt: new Date(), $lte: soon }
+          }
+        },
+        { $group: { _id: null, points: { $sum: '$remaining' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      customer,
+      expiringIn30Days: expiringSoon[0]?.points || 0,
+      program: programSummary(settings),
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Manually add or remove a customer's points
+ * @route   POST /api/loyalty/customers/:id/adjust
+ * @access  Private/Admin
+ */
+export const adjustCustomerPoints = async (req, res, next) => {
+  try {
+    const { points, reason } = req.body;
+
+    if (!(await Customer.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const settings = await Setting.getSettings();
+    let entry;
+    await mongoose.connection.transaction(async (session) => {
+      entry = await adjustPoints({
+        customer: req.params.id,
+        points,
+        reason,
+        user: req.user._id,
+        expiryMonths: settings.loyalty?.expiryMonths,
+        session
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Expire all points past their expiry date
+ * @route   POST /api/loyalty/expire
+ * @access  Private/Admin
+ */
+export const expirePoints = async (req, res, next) => {
+  try {
+    const customers = await LoyaltyTransaction.distinct('customer', {
+      remaining: { $gt: 0 },
+      expiresAt: { $lte: new Date() }
+    });
+
+    // One transaction per customer keeps a failure from undoing the whole sweep
+    let pointsExpired = 0;
+    for (const customer of customers) {
+      let expired = 0;
+      await mongoose.connection.transaction(async (session) => {
+        expired = await expireCustomerPoints({ customer, user: req.user._id, session });
+      });
+      pointsExpired += expired;
+    }
+
+    res.json({
+      success: true,
+      message: `Expired ${pointsExpired} point(s) across ${customers.length} customer(s)`,
+      data: { customers: customers.length, pointsExpired }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
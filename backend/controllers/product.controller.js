@@ -1,5 +1,228 @@
+import mongoose from 'mongoose';
 import Product from '../models/Product.model.js';
 import Supplier from '../models/Supplier.model.js';
+import CostHistory from '../models/CostHistory.model.js';
+import { LOW_STOCK_EXPR, adjustStock, isLowStock, recordInitialStock, recordInitialVariantStock } from '../utils/stock.js';
+import { resolveUserLocation, withLocationStock } from '../utils/location.js';
+import { recordInitialCost, setCostPrice } from '../utils/cost.js';
+import { barcodeVariants, normalizeBarcode } from '../utils/barcode.js';
+import { findVariant, hasVariants, variantName } from '../utils/variant.js';
+import { baseUnit, isValidQuantity } from '../utils/units.js';
+import { httpError } from '../utils/httpError.js';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * All barcodes a product carries, on the product itself and on its variants
+ */
+const productBarcodes = (data) => [
+  ...(data.barcodes || []),
+  ...(data.variants || []).flatMap(variant => variant.barcodes || [])
+];
+
+/**
+ * Check that none of the barcodes is listed twice or already carried by a
+ * product other than `productId`. Returns an error message, or null.
+ */
+const findBarcodeConflict = async (barcodes, productId = null) => {
+  if (!barcodes?.length) return null;
+
+  const repeated = barcodes.find((code, index) => barcodes.indexOf(code) !== index);
+  if (repeated) return `Barcode ${repeated} is listed more than once`;
+
+  const filter = { $or: [{ barcodes: { $in: barcodes } }, { 'variants.barcodes': { $in: barcodes } }] };
+  if (productId) filter._id = { $ne: productId };
+
+  const product = await Product.findOne(filter).select('name barcodes variants.barcodes');
+  if (!product) return null;
+
+  const taken = productBarcodes(product);
+  const barcode = barcodes.find(code => taken.includes(code));
+  return `Barcode ${barcode} is already assigned to ${product.name}`;
+};
+
+/**
+ * Check that every variant picks one listed value per option, that no two
+ * variants are the same combination and that variant SKUs are not repeated.
+ * Returns an error message, or null.
+ */
+const checkVariants = (options = [], variants = []) => {
+  if (variants.length === 0) return null;
+  if (options.length === 0) return 'Add at least one option, such as Size, before adding variants';
+
+  const combinations = new Set();
+  const skus = new Set();
+  for (const variant of variants) {
+    const values = variant.optionValues || [];
+    if (values.length !== options.length) {
+      return `Each variant needs a value for ${options.map(option => option.name).join(', ')}`;
+    }
+    const unknown = values.findIndex((value, index) => !options[index].values.includes(value));
+    if (unknown !== -1) {
+      return `${values[unknown]} is not a value of ${options[unknown].name}`;
+    }
+
+    const combination = variantName(variant);
+    if (combinations.has(combination)) return `Variant ${combination} is listed more than once`;
+    combinations.add(combination);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) return `Variant SKU ${variant.sku} is listed more than once`;
+      skus.add(variant.sku);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check that alternate unit names are not repeated or the same as the base
+ * unit, and that products counted in whole units keep whole factors and stock.
+ * Returns an error message, or null.
+ */
+const checkUnits = (data) => {
+  const unit = baseUnit(data);
+  const names = new Set([unit.toLowerCase()]);
+  for (const alternate of data.units || []) {
+    if (names.has(alternate.name.toLowerCase())) return `Unit ${alternate.name} is listed more than once`;
+    names.add(alternate.name.toLowerCase());
+
+    if (!isValidQuantity(data, Number(alternate.factor))) {
+      return `One ${alternate.name} must hold a whole number of ${unit}`;
+    }
+  }
+
+  const stocks = hasVariants(data)
+    ? data.variants.map(variant => Number(variant.stockQuantity) || 0)
+    : [Number(data.stockQuantity) || 0];
+  if (!stocks.every(stock => isValidQuantity(data, stock))) {
+    return `Stock must be a whole number of ${unit} unless fractions are allowed`;
+  }
+
+  return null;
+};
+
+/**
+ * Check that a supplier's edit keeps the selling prices and variants as they
+ * are; prices change through proposals an admin approves. Returns an error
+ * message, or null.
+ */
+const checkSupplierPrices = (product, data) => {
+  const priceMessage = 'Submit price changes as a proposal for an admin to approve';
+  if (data.price !== undefined && !hasVariants(product) && Number(data.price) !== product.price) {
+    return priceMessage;
+  }
+
+  for (const variant of data.variants || []) {
+    const existing = variant._id && findVariant(product, variant._id);
+    if (!existing) return 'Ask an admin to add new variants';
+    if (Number(variant.price) !== existing.price) return priceMessage;
+  }
+  return null;
+};
+
+/**
+ * Drop repeated barcodes within the product and within each variant
+ */
+const dedupeBarcodes = (data) => {
+  if (data.barcodes) data.barcodes = [...new Set(data.barcodes)];
+  for (const variant of data.variants || []) {
+    if (variant.barcodes) variant.barcodes = [...new Set(variant.barcodes)];
+  }
+};
+
+/**
+ * Response for duplicate-key errors on product create and update
+ */
+const duplicateKeyMessage = (error) => {
+  if (error.keyPattern?.barcodes || error.keyPattern?.['variants.barcodes']) {
+    return 'Barcode is already assigned to another product';
+  }
+  if (error.keyPattern?.['variants.sku']) return 'Variant SKU already exists';
+  if (error.keyPattern?.sku) return 'SKU already exists';
+  return 'Product already exists';
+};
+
+/**
+ * Replace a product's options and variants inside a transaction. Variants
+ * that stay keep their stock until it is changed through the stock ledger, new
+ * variants record their opening stock at `location`, and variants still
+ * holding stock cannot be removed.
+ */
+const saveVariants = async ({ productId, updates, options, variants, location, user, session }) => {
+  const product = await Product.findById(productId).session(session);
+
+  if (!hasVariants(product) && variants.length > 0 && product.stockQuantity > 0) {
+    throw httpError(400, 'Set the product stock to zero before adding variants, then enter stock per variant');
+  }
+
+  const keptIds = new Set(variants.filter(variant => variant._id).map(variant => variant._id.toString()));
+  const removedWithStock = (product.variants || []).find(
+    variant => !keptIds.has(variant._id.toString()) && variant.stockQuantity > 0
+  );
+  if (removedWithStock) {
+    throw httpError(400, `Set the stock of ${variantName(removedWithStock)} to zero before removing it`);
+  }
+
+  const added = [];
+  const stockChanges = [];
+  const nextVariants = variants.map(({ stockQuantity, ...fields }) => {
+    if (!fields._id) {
+      const variant = { ...fields, _id: new mongoose.Types.ObjectId(), stockQuantity: Number(stockQuantity) || 0 };
+      added.push(variant);
+      return variant;
+    }
+
+    const existing = findVariant(product, fields._id);
+    if (!existing) {
+      throw httpError(404, 'Variant not found');
+    }
+    if (stockQuantity !== undefined && Number(stockQuantity) !== existing.stockQuantity) {
+      stockChanges.push({ variant: existing._id, change: Number(stockQuantity) - existing.stockQuantity });
+    }
+    return { ...fields, stockQuantity: existing.stockQuantity };
+  });
+
+  // The edit form sends the whole product back; read-only fields are not reapplied
+  const { _id, __v, createdAt, updatedAt, ...productFields } = updates;
+  product.set({
+    ...productFields,
+    options: nextVariants.length > 0 ? options : undefined,
+    variants: nextVariants.length > 0 ? nextVariants : undefined
+  });
+  await product.save({ session });
+
+  for (const variant of added) {
+    await recordInitialVariantStock({ product, variant, location: location._id, user, session });
+  }
+  for (const change of stockChanges) {
+    await adjustFormStock({ product, variant: change.variant, change: change.change, location, user, session });
+  }
+
+  return Product.findById(productId).session(session);
+};
+
+/**
+ * Apply a change to the total stock entered on the product form at the
+ * editing user's location. Throws a 400 error when the location holds too
+ * little stock to take the change from.
+ */
+const adjustFormStock = async ({ product, variant, change, location, user, session }) => {
+  const updated = await adjustStock({
+    product: product._id,
+    variant,
+    location: location._id,
+    change,
+    type: 'adjustment',
+    reason: 'Edited on product form',
+    user,
+    session
+  });
+  if (!updated) {
+    const label = variant ? `${product.name} (${variantName(findVariant(product, variant))})` : product.name;
+    throw httpError(400, `${location.name} does not hold enough ${label} to reduce the stock by ${-change}`);
+  }
+  return updated;
+};
 
 /**
  * @desc    Get all products
@@ -8,7 +231,7 @@ import Supplier from '../models/Supplier.model.js';
  */
 export const getProducts = async (req, res, next) => {
   try {
-    const { category, supplier, lowStock, isActive } = req.query;
+    const { category, supplier, lowStock, isActive, location } = req.query;
     const filter = {};
 
     // If user is a supplier, only show their own products
@@ -27,14 +250,24 @@ export const getProducts = async (req, res, next) => {
 
     if (category) filter.category = category;
     if (isActive !== undefined) filter.isActive = isActive === 'true';
-    if (lowStock === 'true') {
-      filter.$expr = { $lte: ['$stockQuantity', '$lowStockThreshold'] };
+    // Low stock at a location is checked once the location's stock is known
+    if (lowStock === 'true' && !location) {
+      filter.$expr = LOW_STOCK_EXPR;
     }
 
-    const products = await Product.find(filter)
+    let products = await Product.find(filter)
       .populate('supplier', 'companyName')
+      .populate('taxClass')
       .sort({ name: 1 });
 
+    // Stock shown is what one branch holds, e.g. at the register
+    if (location) {
+      products = await withLocationStock(products, location);
+      if (lowStock === 'true') {
+        products = products.filter(isLowStock);
+      }
+    }
+
     res.json({
       success: true,
       count: products.length,
@@ -45,6 +278,73 @@ export const getProducts = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Find a product by scanned barcode or SKU
+ * @route   GET /api/products/lookup?code=
+ * @access  Private
+ */
+export const lookupProduct = async (req, res, next) => {
+  try {
+    const rawCode = String(req.query.code ?? '').trim();
+    const code = normalizeBarcode(rawCode);
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Barcode or SKU is required'
+      });
+    }
+
+    const codes = barcodeVariants(code);
+    const filter = {
+      $or: [
+        { barcodes: { $in: codes } },
+        { sku: rawCode },
+        { 'variants.barcodes': { $in: codes } },
+        { 'variants.sku': rawCode }
+      ]
+    };
+
+    // Suppliers can only look up their own products
+    if (req.user.role === 'supplier') {
+      const supplierRecord = await Supplier.findOne({ userId: req.user._id });
+      if (!supplierRecord) {
+        return res.status(403).json({
+          success: false,
+          message: 'Supplier record not found'
+        });
+      }
+      filter.supplier = supplierRecord._id;
+    }
+
+    const found = await Product.findOne(filter)
+      .populate('supplier', 'companyName')
+      .populate('taxClass');
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: `No product found for code ${code}`
+      });
+    }
+
+    const [product] = req.query.location ? await withLocationStock([found], req.query.location) : [found];
+
+    // The variant whose own barcode or SKU was scanned, if any
+    const variant = (product.variants || []).find(
+      item => item.sku === rawCode || (item.barcodes || []).some(barcode => codes.includes(barcode))
+    );
+
+    res.json({
+      success: true,
+      data: product,
+      variant: variant?._id || null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get single product
  * @route   GET /api/products/:id
@@ -52,7 +352,7 @@ export const getProducts = async (req, res, next) => {
  */
 export const getProduct = async (req, res, next) => {
   try {
-    const product = await Product.findById(req.params.id).populate('supplier');
+    const product = await Product.findById(req.params.id).populate('supplier').populate('taxClass');
 
     if (!product) {
       return res.status(404).json({
@@ -71,25 +371,13 @@ export const getProduct = async (req, res, next) => {
 };
 
 /**
- * @desc    Create new product
+ * @desc    Create new product; suppliers propose new products instead
  * @route   POST /api/products
- * @access  Private/Admin/Supplier
+ * @access  Private/Admin
  */
 export const createProduct = async (req, res, next) => {
   try {
-    let supplierId = req.body.supplier;
-
-    // If user is a supplier, auto-set their supplier record
-    if (req.user.role === 'supplier') {
-      const supplierRecord = await Supplier.findOne({ userId: req.user._id });
-      if (!supplierRecord) {
-        return res.status(403).json({
-          success: false,
-          message: 'Supplier record not found'
-        });
-      }
-      supplierId = supplierRecord._id;
-    }
+    const supplierId = req.body.supplier;
 
     // Verify supplier exists
     const supplier = await Supplier.findById(supplierId);
@@ -105,14 +393,70 @@ export const createProduct = async (req, res, next) => {
       supplier: supplierId
     };
 
-    const product = await Product.create(productData);
-    await product.populate('supplier', 'companyName');
+    const variantError = checkVariants(productData.options, productData.variants);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError
+      });
+    }
+    if (!productData.variants?.length) {
+      delete productData.options;
+      delete productData.variants;
+    }
+
+    const unitError = checkUnits(productData);
+    if (unitError) {
+      return res.status(400).json({
+        success: false,
+        message: unitError
+      });
+    }
+    if (!productData.units?.length) {
+      delete productData.units;
+    }
+
+    dedupeBarcodes(productData);
+    const conflict = await findBarcodeConflict(productBarcodes(productData));
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    // Opening stock is held at the creating user's home branch
+    const location = await resolveUserLocation(req.user);
+
+    let product;
+    await mongoose.connection.transaction(async (session) => {
+      [product] = await Product.create([productData], { session });
+      await recordInitialStock({ product, location: location._id, user: req.user._id, session });
+      await recordInitialCost({ product, user: req.user._id, session });
+      await recordAudit(req, {
+        action: 'create',
+        targetType: 'Product',
+        target: product,
+        targetLabel: product.name,
+        after: product
+      }, { session });
+    });
+    await product.populate([
+      { path: 'supplier', select: 'companyName' },
+      { path: 'taxClass' }
+    ]);
 
     res.status(201).json({
       success: true,
       data: product
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateKeyMessage(error)
+      });
+    }
     next(error);
   }
 };
@@ -152,8 +496,18 @@ export const updateProduct = async (req, res, next) => {
         });
       }
 
-      // Prevent suppliers from changing the supplier field
+      // Prevent suppliers from changing the supplier, tax class or cost fields
       delete req.body.supplier;
+      delete req.body.taxClass;
+      delete req.body.costPrice;
+
+      const priceError = checkSupplierPrices(product, req.body);
+      if (priceError) {
+        return res.status(403).json({
+          success: false,
+          message: priceError
+        });
+      }
     } else if (req.body.supplier) {
       // For admins, verify supplier exists if they're trying to change it
       const supplier = await Supplier.findById(req.body.supplier);
@@ -165,17 +519,115 @@ export const updateProduct = async (req, res, next) => {
       }
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('supplier', 'companyName');
+    // Stock and cost changes are recorded in their histories; everything else is a plain update
+    const { stockQuantity, costPrice, options, variants, ...updates } = req.body;
+    const editsVariants = options !== undefined || variants !== undefined;
+    const nextOptions = options ?? product.options ?? [];
+    const nextVariants = variants ?? (product.variants || []).map(variant => variant.toObject());
+
+    const variantError = checkVariants(nextOptions, nextVariants);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError
+      });
+    }
+
+    const unitError = checkUnits({
+      unit: updates.unit ?? product.unit,
+      allowFractions: updates.allowFractions ?? product.allowFractions,
+      units: updates.units ?? product.units,
+      stockQuantity: stockQuantity ?? product.stockQuantity,
+      variants: nextVariants
+    });
+    if (unitError) {
+      return res.status(400).json({
+        success: false,
+        message: unitError
+      });
+    }
+
+    // The listing price of a product with variants follows its variants
+    if (nextVariants.length > 0) {
+      delete updates.price;
+    }
+
+    const edited = { barcodes: updates.barcodes ?? product.barcodes, variants: nextVariants };
+    dedupeBarcodes(edited);
+    if (updates.barcodes) updates.barcodes = edited.barcodes;
+    const conflict = await findBarcodeConflict(productBarcodes(edited), product._id);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    // Stock entered on the form is the total; a change is taken at the user's home branch
+    const location = await resolveUserLocation(req.user);
+
+    let updatedProduct;
+    await mongoose.connection.transaction(async (session) => {
+      if (editsVariants) {
+        updatedProduct = await saveVariants({
+          productId: product._id,
+          updates,
+          options: nextOptions,
+          variants: nextVariants,
+          location,
+          user: req.user._id,
+          session
+        });
+      } else {
+        updatedProduct = await Product.findByIdAndUpdate(
+          req.params.id,
+          updates,
+          { new: true, runValidators: true, session }
+        );
+      }
+
+      // Products with variants take stock per variant
+      const change = Number(stockQuantity) - updatedProduct.stockQuantity;
+      if (stockQuantity !== undefined && !hasVariants(updatedProduct) && change !== 0) {
+        updatedProduct = await adjustFormStock({ product: updatedProduct, change, location, user: req.user._id, session });
+      }
+
+      if (costPrice !== undefined) {
+        await setCostPrice({
+          product: product._id,
+          costPrice: Number(costPrice),
+          source: 'manual',
+          user: req.user._id,
+          session
+        });
+        updatedProduct = await Product.findById(product._id).session(session);
+      }
+
+      await recordAudit(req, {
+        action: 'update',
+        targetType: 'Product',
+        target: product,
+        targetLabel: updatedProduct.name,
+        before: product,
+        after: updatedProduct
+      }, { session });
+    });
+    await updatedProduct.populate([
+      { path: 'supplier', select: 'companyName' },
+      { path: 'taxClass' }
+    ]);
 
     res.json({
       success: true,
       data: updatedProduct
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateKeyMessage(error)
+      });
+    }
     next(error);
   }
 };
@@ -196,6 +648,14 @@ export const deleteProduct = async (req, res, next) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'delete',
+      targetType: 'Product',
+      target: product,
+      targetLabel: product.name,
+      before: product
+    });
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -205,3 +665,39 @@ export const deleteProduct = async (req, res, next) => {
   }
 };
 
+
+/**
+ * @desc    Get cost price history of a product
+ * @route   GET /api/products/:id/cost-history
+ * @access  Private/Admin
+ */
+export const getCostHistory = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name costPrice');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const history = await CostHistory.find({ product: product._id })
+      .populate('user', 'username')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      product: {
+        _id: product._id,
+        name: product.name,
+        costPrice: product.costPrice
+      },
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
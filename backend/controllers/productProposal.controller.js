@@ -0,0 +1,362 @@
+import mongoose from 'mongoose';
+import ProductProposal from '../models/ProductProposal.model.js';
+import Product from '../models/Product.model.js';
+import Supplier from '../models/Supplier.model.js';
+import { recordInitialCost, setCostPrice } from '../utils/cost.js';
+import { findVariant, hasVariants, variantName } from '../utils/variant.js';
+import { httpError } from '../utils/httpError.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Fields a new product proposal can set, in the order they are compared
+const PRODUCT_FIELDS = ['name', 'description', 'category', 'sku', 'barcodes', 'unit', 'price', 'costPrice'];
+const PRICE_FIELDS = ['price', 'costPrice'];
+
+const populateProposal = (query) => query
+  .populate('supplier', 'companyName')
+  .populate('product', 'name sku unit price costPrice variants')
+  .populate('submittedBy', 'username')
+  .populate('reviewedBy', 'username');
+
+/**
+ * Supplier record of a supplier user. Throws a 403 error when there is none.
+ */
+const findSupplierRecord = async (user) => {
+  const supplier = await Supplier.findOne({ userId: user._id });
+  if (!supplier) {
+    throw httpError(403, 'Supplier record not found');
+  }
+  return supplier;
+};
+
+/**
+ * Values a proposal's changes apply to: the catalog's current values while
+ * it is pending, the values it replaced once approved, none for a new product
+ */
+const currentValues = (proposal) => {
+  if (proposal.status === 'approved') return proposal.previous?.toObject() || {};
+  if (proposal.type === 'new_product' || !proposal.product) return {};
+
+  const variant = proposal.variant && findVariant(proposal.product, proposal.variant);
+  return {
+    price: variant ? variant.price : proposal.product.price,
+    costPrice: proposal.product.costPrice || 0
+  };
+};
+
+/**
+ * Field by field comparison of current and proposed values
+ */
+const proposalDiff = (proposal) => {
+  const current = currentValues(proposal);
+  const fields = proposal.type === 'new_product' ? PRODUCT_FIELDS : PRICE_FIELDS;
+
+  return fields
+    .filter(field => proposal.changes[field] !== undefined)
+    .map(field => ({
+      field,
+      current: current[field] ?? null,
+      proposed: proposal.changes[field]
+    }));
+};
+
+const serializeProposal = (proposal) => {
+  const variant = proposal.variant && proposal.product && findVariant(proposal.product, proposal.variant);
+  return {
+    ...proposal.toObject(),
+    variantName: variant ? variantName(variant) : '',
+    diff: proposalDiff(proposal)
+  };
+};
+
+/**
+ * Fetch a proposal the user may see: any for admins, their own for suppliers
+ */
+const findProposal = async (req) => {
+  const proposal = await populateProposal(ProductProposal.findById(req.params.id));
+  if (!proposal) {
+    throw httpError(404, 'Proposal not found');
+  }
+
+  if (req.user.role === 'supplier') {
+    const supplier = await findSupplierRecord(req.user);
+    if (proposal.supplier._id.toString() !== supplier._id.toString()) {
+      throw httpError(403, 'You can only view your own proposals');
+    }
+  }
+  return proposal;
+};
+
+/**
+ * Close a pending proposal, failing with a 400 error when it was already reviewed
+ */
+const closeProposal = async (id, update, session = null) => {
+  const proposal = await ProductProposal.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    update,
+    { new: true, session }
+  );
+  if (!proposal) {
+    throw httpError(400, 'Only pending proposals can be reviewed or withdrawn');
+  }
+  return proposal;
+};
+
+/**
+ * Create the proposed product with no stock, owned by the proposing supplier;
+ * stock arrives through purchase orders. Returns the product and the (empty)
+ * values it replaced.
+ */
+const applyNewProduct = async (proposal, user, session) => {
+  const changes = proposal.changes.toObject();
+  if (changes.barcodes?.length) {
+    const taken = await Product.findOne({
+      $or: [{ barcodes: { $in: changes.barcodes } }, { 'variants.barcodes': { $in: changes.barcodes } }]
+    }).session(session);
+    if (taken) {
+      throw httpError(400, `A barcode is already assigned to ${taken.name}`);
+    }
+  }
+
+  const [product] = await Product.create([{
+    ...changes,
+    supplier: proposal.supplier,
+    stockQuantity: 0
+  }], { session });
+  await recordInitialCost({ product, user: user._id, session });
+  return { product, previous: {} };
+};
+
+/**
+ * Apply a proposed selling price and supplier cost. Returns the product and
+ * the values the changes replaced.
+ */
+const applyPriceChange = async (proposal, user, session) => {
+  const product = await Product.findById(proposal.product).session(session);
+  if (!product) {
+    throw httpError(404, 'Product not found');
+  }
+
+  const { price, costPrice } = proposal.changes;
+  const previous = {};
+  if (price !== undefined) {
+    const variant = proposal.variant && findVariant(product, proposal.variant);
+    if (proposal.variant && !variant) {
+      throw httpError(404, 'Variant not found');
+    }
+
+    // The listing price of a product with variants follows its variants on save
+    const target = variant || product;
+    previous.price = target.price;
+    target.price = price;
+    await product.save({ session });
+  }
+
+  if (costPrice !== undefined) {
+    previous.costPrice = product.costPrice || 0;
+    await setCostPrice({ product: product._id, costPrice, source: 'proposal', user: user._id, session });
+  }
+  return { product, previous };
+};
+
+/**
+ * @desc    Get product proposals (?status=, ?type=, ?supplier=; suppliers see their own)
+ * @route   GET /api/product-proposals
+ * @access  Private/Admin/Supplier
+ */
+export const getProposals = async (req, res, next) => {
+  try {
+    const { status, type, supplier } = req.query;
+    const filter = {};
+    if (status) filter.status = { $in: status.split(',') };
+    if (type) filter.type = type;
+
+    if (req.user.role === 'supplier') {
+      filter.supplier = (await findSupplierRecord(req.user))._id;
+    } else if (supplier) {
+      filter.supplier = supplier;
+    }
+
+    const proposals = await populateProposal(ProductProposal.find(filter)).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: proposals.length,
+      data: proposals.map(serializeProposal)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single product proposal with the diff of current and proposed values
+ * @route   GET /api/product-proposals/:id
+ * @access  Private/Admin/Supplier
+ */
+export const getProposal = async (req, res, next) => {
+  try {
+    const proposal = await findProposal(req);
+
+    res.json({
+      success: true,
+      data: serializeProposal(proposal)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Propose a new product or a price change for one of the supplier's products
+ * @route   POST /api/product-proposals
+ * @access  Private/Supplier
+ */
+export const createProposal = async (req, res, next) => {
+  try {
+    const supplier = await findSupplierRecord(req.user);
+    const { type, product: productId, variant: variantId, notes } = req.body;
+    const fields = type === 'new_product' ? PRODUCT_FIELDS : PRICE_FIELDS;
+    const changes = Object.fromEntries(
+      fields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    if (type === 'price_change') {
+      const product = await Product.findById(productId);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      if (product.supplier.toString() !== supplier._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only propose prices for your own products'
+        });
+      }
+      const variant = findVariant(product, variantId);
+      if (variantId && !variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        });
+      }
+      if (changes.price !== undefined && hasVariants(product) && !variant) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose the variant whose price changes'
+        });
+      }
+    }
+
+    const proposal = await ProductProposal.create({
+      type,
+      supplier: supplier._id,
+      product: type === 'price_change' ? productId : undefined,
+      variant: type === 'price_change' && changes.price !== undefined ? variantId || undefined : undefined,
+      changes,
+      notes,
+      submittedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: serializeProposal(await populateProposal(ProductProposal.findById(proposal._id)))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a proposal and apply it to the catalog
+ * @route   PUT /api/product-proposals/:id/approve
+ * @access  Private/Admin
+ */
+export const approveProposal = async (req, res, next) => {
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      const pending = await ProductProposal.findOne({ _id: req.params.id, status: 'pending' }).session(session);
+      if (!pending) {
+        throw httpError(400, 'Only pending proposals can be reviewed or withdrawn');
+      }
+
+      const apply = pending.type === 'new_product' ? applyNewProduct : applyPriceChange;
+      const { product, previous } = await apply(pending, req.user, session);
+      const isNewProduct = pending.type === 'new_product';
+      await recordAudit(req, {
+        action: isNewProduct ? 'create' : 'update',
+        targetType: 'Product',
+        target: product,
+        targetLabel: product.name,
+        before: previous,
+        after: isNewProduct ? product : pending.changes,
+        fields: isNewProduct ? undefined : Object.keys(previous),
+        reason: 'Supplier proposal approved'
+      }, { session });
+      await closeProposal(pending._id, {
+        status: 'approved',
+        product: product._id,
+        previous,
+        reviewNote: req.body.reviewNote,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      }, session);
+    });
+
+    res.json({
+      success: true,
+      data: serializeProposal(await populateProposal(ProductProposal.findById(req.params.id)))
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'The SKU or a barcode is already assigned to another product'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a proposal with a reason
+ * @route   PUT /api/product-proposals/:id/reject
+ * @access  Private/Admin
+ */
+export const rejectProposal = async (req, res, next) => {
+  try {
+    const proposal = await closeProposal(req.params.id, {
+      status: 'rejected',
+      reviewNote: req.body.reviewNote,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    });
+
+    res.json({
+      success: true,
+      data: serializeProposal(await populateProposal(ProductProposal.findById(proposal._id)))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw one of the supplier's own pending proposals
+ * @route   PUT /api/product-proposals/:id/withdraw
+ * @access  Private/Supplier
+ */
+export const withdrawProposal = async (req, res, next) => {
+  try {
+    const proposal = await findProposal(req);
+    await closeProposal(proposal._id, { status: 'withdrawn' });
+
+    res.json({
+      success: true,
+      data: serializeProposal(await populateProposal(ProductProposal.findById(proposal._id)))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,222 @@
+import Promo from '../models/Promo.model.js';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * Parse a date string (YYYY-MM-DD) as local midnight, or local end of day
+ */
+const parseLocalDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day, 0, 0, 0, 0);
+};
+
+/**
+ * Normalize validity window dates in a promo request body
+ */
+const normalizePromoDates = (body) => {
+  const data = { ...body };
+  if (data.startDate !== undefined) data.startDate = parseLocalDate(data.startDate);
+  if (data.endDate !== undefined) data.endDate = parseLocalDate(data.endDate, true);
+  return data;
+};
+
+/**
+ * @desc    Get all promo codes
+ * @route   GET /api/promos
+ * @access  Private/Admin
+ */
+export const getPromos = async (req, res, next) => {
+  try {
+    const { isActive } = req.query;
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const promos = await Promo.find(filter)
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: promos.length,
+      data: promos
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Validate a promo code for use at checkout
+ * @route   GET /api/promos/validate/:code
+ * @access  Private
+ */
+export const validatePromo = async (req, res, next) => {
+  try {
+    const promo = await Promo.findOne({ code: req.params.code.trim().toUpperCase() });
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const amount = req.query.amount !== undefined ? parseFloat(req.query.amount) : undefined;
+    const { valid, message } = promo.checkRedeemable(amount);
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: promo._id,
+        code: promo.code,
+        description: promo.description,
+        discountType: promo.discountType,
+        discountValue: promo.discountValue,
+        maxDiscount: promo.maxDiscount,
+        minPurchase: promo.minPurchase
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new promo code
+ * @route   POST /api/promos
+ * @access  Private/Admin
+ */
+export const createPromo = async (req, res, next) => {
+  try {
+    const promo = await Promo.create({
+      ...normalizePromoDates(req.body),
+      usageCount: 0,
+      createdBy: req.user._id
+    });
+    await recordAudit(req, {
+      action: 'create',
+      targetType: 'Promo',
+      target: promo,
+      targetLabel: promo.code,
+      after: promo
+    });
+
+    res.status(201).json({
+      success: true,
+      data: promo
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code already exists'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update promo code
+ * @route   PUT /api/promos/:id
+ * @access  Private/Admin
+ */
+export const updatePromo = async (req, res, next) => {
+  try {
+    const data = normalizePromoDates(req.body);
+    // Usage is tracked by sales only
+    delete data.usageCount;
+
+    const previous = await Promo.findById(req.params.id);
+    const promo = previous && await Promo.findByIdAndUpdate(
+      req.params.id,
+      data,
+      { new: true, runValidators: true }
+    );
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      targetType: 'Promo',
+      target: promo,
+      targetLabel: promo.code,
+      before: previous,
+      after: promo,
+      // Usage moves with every sale; only admin changes are recorded
+      fields: Object.keys(data)
+    });
+
+    res.json({
+      success: true,
+      data: promo
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code already exists'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete promo code
+ * @route   DELETE /api/promos/:id
+ * @access  Private/Admin
+ */
+export const deletePromo = async (req, res, next) => {
+  try {
+    const promo = await Promo.findById(req.params.id);
+
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    // Keep used promo codes so past sales still reference them
+    if (promo.usageCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete promo code. It has been used in ${promo.usageCount} sale(s). Deactivate it instead.`
+      });
+    }
+
+    await Promo.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'delete',
+      targetType: 'Promo',
+      target: promo,
+      targetLabel: promo.code,
+      before: promo
+    });
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
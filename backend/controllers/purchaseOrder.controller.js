@@ -0,0 +1,544 @@
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/PurchaseOrder.model.js';
+import Product from '../models/Product.model.js';
+import Supplier from '../models/Supplier.model.js';
+import { generatePurchaseOrderNumber, withNumberRetry } from '../utils/documentNumber.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { httpError } from '../utils/httpError.js';
+import { adjustStock } from '../utils/stock.js';
+import { setCostPrice, weightedAverageCost } from '../utils/cost.js';
+import { findActiveLocation, getDefaultLocation, locationMatch } from '../utils/location.js';
+import { findVariant, hasVariants, lineKey, variantName } from '../utils/variant.js';
+import { baseUnit, findUnit, isValidQuantity, roundQuantity, toBaseQuantity } from '../utils/units.js';
+
+// Statuses in which goods can still be received
+const RECEIVABLE_STATUSES = ['sent', 'confirmed', 'partially_received'];
+
+/**
+ * Populate the references shown on a purchase order
+ */
+const populateOrder = (query) => query
+  .populate('supplier', 'companyName contactDetails')
+  .populate('location', 'name code')
+  .populate('items.product', 'name sku stockQuantity unit units allowFractions trackExpiry')
+  .populate('createdBy', 'username')
+  .populate('confirmedBy', 'username')
+  .populate('receipts.receivedBy', 'username');
+
+/**
+ * Supplier record of the logged-in supplier user
+ */
+const getSupplierRecord = async (user) => {
+  const supplierRecord = await Supplier.findOne({ userId: user._id });
+  if (!supplierRecord) {
+    throw httpError(403, 'Supplier record not found');
+  }
+  return supplierRecord;
+};
+
+/**
+ * Validate requested lines against the supplier's products and build order items
+ */
+const buildOrderItems = async (supplierId, items) => {
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+    .select('name supplier variants unit units allowFractions');
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  return items.map(item => {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      throw httpError(404, `Product ${item.product} not found`);
+    }
+    if (product.supplier.toString() !== supplierId.toString()) {
+      throw httpError(400, `${product.name} is not supplied by this supplier`);
+    }
+
+    // Products with variants are ordered and received per variant
+    const variant = findVariant(product, item.variant);
+    if (hasVariants(product) && !variant) {
+      throw httpError(400, `Choose which variant of ${product.name} to order`);
+    }
+
+    // Goods can be ordered in any of the product's units, e.g. by the case
+    const unit = findUnit(product, item.unit);
+    if (!unit) {
+      throw httpError(400, `${product.name} has no unit ${item.unit}`);
+    }
+    if (!isValidQuantity(product, toBaseQuantity(item.quantity, unit))) {
+      throw httpError(400, `${product.name} must be ordered in whole ${baseUnit(product)}`);
+    }
+
+    return {
+      product: product._id,
+      variant: variant?._id,
+      variantName: variant ? variantName(variant) : undefined,
+      unit: unit.name,
+      unitFactor: unit.factor,
+      quantityOrdered: item.quantity,
+      unitCost: roundCurrency(item.unitCost)
+    };
+  });
+};
+
+const calculateTotalCost = (items) => roundCurrency(
+  items.reduce((sum, item) => sum + item.quantityOrdered * item.unitCost, 0)
+);
+
+/**
+ * Supplier a purchase order can be raised with. Throws a 404 or 400 error.
+ */
+const findOrderingSupplier = async (id) => {
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    throw httpError(404, 'Supplier not found');
+  }
+  if (!supplier.isActive) {
+    throw httpError(400, `${supplier.companyName} is inactive and takes no new purchase orders`);
+  }
+  return supplier;
+};
+
+/**
+ * Move a purchase order from one of `fromStatuses` to a new status. The status
+ * check is part of the update so two users cannot both act on the same order.
+ */
+const changeStatus = async (id, fromStatuses, update, errorMessage, extraFilter = {}) => {
+  const order = await PurchaseOrder.findOneAndUpdate(
+    { _id: id, status: { $in: fromStatuses }, ...extraFilter },
+    update,
+    { new: true }
+  );
+
+  if (!order) {
+    const exists = await PurchaseOrder.exists({ _id: id, ...extraFilter });
+    throw exists ? httpError(400, errorMessage) : httpError(404, 'Purchase order not found');
+  }
+
+  return populateOrder(PurchaseOrder.findById(order._id));
+};
+
+/**
+ * @desc    Get purchase orders
+ * @route   GET /api/purchase-orders
+ * @access  Private/Admin/Supplier
+ */
+export const getPurchaseOrders = async (req, res, next) => {
+  try {
+    const { status, supplier, location, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (status) {
+      filter.status = { $in: status.split(',') };
+    }
+    if (location) {
+      filter.location = await locationMatch(location);
+    }
+
+    // Suppliers only see their own orders, and only once they have been sent
+    if (req.user.role === 'supplier') {
+      const supplierRecord = await getSupplierRecord(req.user);
+      filter.supplier = supplierRecord._id;
+      filter.status = { ...filter.status, $ne: 'draft' };
+    } else if (supplier) {
+      filter.supplier = supplier;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [orders, total] = await Promise.all([
+      populateOrder(PurchaseOrder.find(filter))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      PurchaseOrder.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: orders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single purchase order
+ * @route   GET /api/purchase-orders/:id
+ * @access  Private/Admin/Supplier
+ */
+export const getPurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await populateOrder(PurchaseOrder.findById(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (req.user.role === 'supplier') {
+      const supplierRecord = await getSupplierRecord(req.user);
+      if (order.supplier._id.toString() !== supplierRecord._id.toString() || order.status === 'draft') {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found'
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a draft purchase order
+ * @route   POST /api/purchase-orders
+ * @access  Private/Admin
+ */
+export const createPurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplier: supplierId, items, expectedDate, notes, location: locationId } = req.body;
+
+    const supplier = await findOrderingSupplier(supplierId);
+
+    // Goods are delivered to the default location unless another branch is named
+    const location = locationId ? await findActiveLocation(locationId) : await getDefaultLocation();
+    const orderItems = await buildOrderItems(supplier._id, items);
+
+    let order;
+    await withNumberRetry(() => mongoose.connection.transaction(async (session) => {
+      const poNumber = await generatePurchaseOrderNumber({ session });
+
+      [order] = await PurchaseOrder.create([{
+        poNumber,
+        supplier: supplier._id,
+        items: orderItems,
+        totalCost: calculateTotalCost(orderItems),
+        expectedDate: expectedDate || undefined,
+        notes,
+        location: location._id,
+        createdBy: req.user._id
+      }], { session });
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: await populateOrder(PurchaseOrder.findById(order._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a draft purchase order
+ * @route   PUT /api/purchase-orders/:id
+ * @access  Private/Admin
+ */
+export const updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplier: supplierId, items, expectedDate, notes, location } = req.body;
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const update = {};
+    if (expectedDate !== undefined) update.expectedDate = expectedDate || null;
+    if (notes !== undefined) update.notes = notes;
+    if (location) update.location = (await findActiveLocation(location))._id;
+
+    if (supplierId !== undefined || items !== undefined) {
+      const supplier = await findOrderingSupplier(supplierId ?? order.supplier);
+
+      // Changing the supplier requires lines for the new supplier's products
+      const orderItems = await buildOrderItems(
+        supplier._id,
+        items ?? order.items.map(item => ({
+          product: item.product,
+          variant: item.variant,
+          unit: item.unit,
+          quantity: item.quantityOrdered,
+          unitCost: item.unitCost
+        }))
+      );
+
+      update.supplier = supplier._id;
+      update.items = orderItems;
+      update.totalCost = calculateTotalCost(orderItems);
+    }
+
+    const updated = await PurchaseOrder.findOneAndUpdate(
+      { _id: order._id, status: 'draft' },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await populateOrder(PurchaseOrder.findById(updated._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a draft purchase order to the supplier
+ * @route   PUT /api/purchase-orders/:id/send
+ * @access  Private/Admin
+ */
+export const sendPurchaseOrder = async (req, res, next) => {
+  try {
+    const draft = await PurchaseOrder.findById(req.params.id).populate('supplier', 'companyName isActive minimumOrderValue');
+    if (draft?.status === 'draft') {
+      if (!draft.supplier) {
+        throw httpError(404, 'Supplier not found');
+      }
+      if (!draft.supplier.isActive) {
+        throw httpError(400, `${draft.supplier.companyName} is inactive and takes no new purchase orders`);
+      }
+      if (draft.totalCost < draft.supplier.minimumOrderValue) {
+        throw httpError(400, `The order total is below ${draft.supplier.companyName}'s minimum order value of ${draft.supplier.minimumOrderValue.toFixed(2)}`);
+      }
+    }
+
+    const order = await changeStatus(
+      req.params.id,
+      ['draft'],
+      { status: 'sent', sentAt: new Date() },
+      'Only draft purchase orders can be sent'
+    );
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm a sent purchase order
+ * @route   PUT /api/purchase-orders/:id/confirm
+ * @access  Private/Admin/Supplier
+ */
+export const confirmPurchaseOrder = async (req, res, next) => {
+  try {
+    // Suppliers can only confirm their own orders
+    const extraFilter = {};
+    if (req.user.role === 'supplier') {
+      const supplierRecord = await getSupplierRecord(req.user);
+      extraFilter.supplier = supplierRecord._id;
+    }
+
+    const order = await changeStatus(
+      req.params.id,
+      ['sent'],
+      { status: 'confirmed', confirmedAt: new Date(), confirmedBy: req.user._id },
+      'Only sent purchase orders can be confirmed',
+      extraFilter
+    );
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive goods against a purchase order, in full or in part
+ * @route   POST /api/purchase-orders/:id/receive
+ * @access  Private/Admin
+ */
+export const receivePurchaseOrder = async (req, res, next) => {
+  try {
+    const { items, notes } = req.body;
+
+    // The order is re-read inside the transaction so two deliveries recorded at
+    // once cannot both receive the last outstanding units
+    let orderId;
+    await mongoose.connection.transaction(async (session) => {
+      const order = await PurchaseOrder.findById(req.params.id)
+        .populate('items.product', 'name unit allowFractions trackExpiry')
+        .session(session);
+
+      if (!order) {
+        throw httpError(404, 'Purchase order not found');
+      }
+
+      if (!RECEIVABLE_STATUSES.includes(order.status)) {
+        throw httpError(400, `Cannot receive goods on a ${order.status.replace('_', ' ')} purchase order`);
+      }
+
+      const receiptItems = [];
+
+      for (const item of items) {
+        const line = order.items.find(
+          orderLine => lineKey(orderLine.product._id, orderLine.variant) === lineKey(item.product, item.variant)
+        );
+
+        if (!line) {
+          throw httpError(400, `Product ${item.product} is not on purchase order ${order.poNumber}`);
+        }
+
+        // Deliveries are counted in the unit ordered; stock and cost are kept per base unit
+        const lineName = line.variantName ? `${line.product.name} (${line.variantName})` : line.product.name;
+        const outstanding = roundQuantity(line.quantityOrdered - line.quantityReceived);
+        if (item.quantity > outstanding) {
+          throw httpError(400, `Only ${outstanding} ${line.unit || 'unit(s)'} of ${lineName} are still outstanding`);
+        }
+
+        const baseQuantity = toBaseQuantity(item.quantity, { factor: line.unitFactor });
+        if (!isValidQuantity(line.product, baseQuantity)) {
+          throw httpError(400, `${lineName} must be received in whole ${baseUnit(line.product)}`);
+        }
+
+        // Perishable goods are stocked as a lot, numbered after the order unless the label says otherwise
+        if (line.product.trackExpiry && !item.expiryDate) {
+          throw httpError(400, `Enter the expiry date of ${lineName}`);
+        }
+        const lotNumber = item.lotNumber || order.poNumber;
+
+        const unitCost = item.unitCost !== undefined ? roundCurrency(item.unitCost) : line.unitCost;
+        const baseUnitCost = unitCost / (line.unitFactor || 1);
+
+        const reference = { model: 'PurchaseOrder', id: order._id, number: order.poNumber };
+        const updatedProduct = await adjustStock({
+          product: line.product._id,
+          variant: line.variant,
+          change: baseQuantity,
+          // Orders made before branches were delivered to the default location
+          location: order.location,
+          type: 'purchase',
+          user: req.user._id,
+          unitCost: baseUnitCost,
+          reference,
+          lot: { lotNumber, expiryDate: item.expiryDate, unitCost: baseUnitCost, reference },
+          session
+        });
+
+        if (!updatedProduct) {
+          throw httpError(404, `${lineName} no longer exists`);
+        }
+
+        // Blend the received units into the cost of the stock already on hand
+        await setCostPrice({
+          product: updatedProduct._id,
+          costPrice: weightedAverageCost(
+            updatedProduct.stockQuantity - baseQuantity,
+            updatedProduct.costPrice || 0,
+            baseQuantity,
+            baseUnitCost
+          ),
+          source: 'purchase',
+          user: req.user._id,
+          reference,
+          session
+        });
+
+        line.quantityReceived = roundQuantity(line.quantityReceived + item.quantity);
+        receiptItems.push({
+          product: line.product._id,
+          variant: line.variant,
+          quantity: item.quantity,
+          unitCost,
+          ...(line.product.trackExpiry && { lotNumber, expiryDate: item.expiryDate })
+        });
+      }
+
+      order.receipts.push({ items: receiptItems, notes, receivedBy: req.user._id });
+
+      if (order.items.every(line => line.quantityReceived >= line.quantityOrdered)) {
+        order.status = 'closed';
+        order.closedAt = new Date();
+      } else {
+        order.status = 'partially_received';
+      }
+
+      await order.save({ session });
+      orderId = order._id;
+    });
+
+    res.json({
+      success: true,
+      data: await populateOrder(PurchaseOrder.findById(orderId))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close a partially received purchase order without waiting for the rest
+ * @route   PUT /api/purchase-orders/:id/close
+ * @access  Private/Admin
+ */
+export const closePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await changeStatus(
+      req.params.id,
+      ['partially_received'],
+      { status: 'closed', closedAt: new Date() },
+      'Only partially received purchase orders can be closed'
+    );
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a purchase order before any goods are received
+ * @route   PUT /api/purchase-orders/:id/cancel
+ * @access  Private/Admin
+ */
+export const cancelPurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await changeStatus(
+      req.params.id,
+      ['draft', 'sent', 'confirmed'],
+      { status: 'cancelled', cancelledAt: new Date() },
+      'Purchase orders that have received goods cannot be cancelled; close them instead'
+    );
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,35 @@
 import Sale from '../models/Sale.model.js';
 import Product from '../models/Product.model.js';
+import Return from '../models/Return.model.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.model.js';
+import Setting from '../models/Setting.model.js';
+import { locationMatch, withLocationStock } from '../utils/location.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { isLowStock, lowStockVariants } from '../utils/stock.js';
+import {
+  LINE_BASE_QUANTITY,
+  LINE_COST,
+  LINE_NET_SALES,
+  RETURNED_LINE_COST,
+  calculateMargin,
+  getDateRange
+} from '../utils/salesMetrics.js';
+import { hasVariants, lineKey, variantName } from '../utils/variant.js';
+
+// A sale's payments; sales made before split payments were recorded were paid
+// in full with their single payment method
+const SALE_PAYMENTS = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+    '$payments',
+    [{ method: '$paymentMethod', amount: '$total' }]
+  ]
+};
+
+/**
+ * Condition limiting sales and returns to one branch when a location is given
+ */
+const locationFilter = async (location) => (location ? { location: await locationMatch(location) } : {});
 
 /**
  * @desc    Get sales report
@@ -17,26 +47,69 @@ export const getSalesReport = async (req, res, next) => {
       });
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999);
+    const { start, end } = getDateRange(startDate, endDate);
+    const branch = await locationFilter(req.query.location);
 
     // Use aggregation pipeline for better performance
-    const [summaryResult, salesByDateResult, sales] = await Promise.all([
+    const [
+      summaryResult,
+      costResult,
+      salesByDateResult,
+      taxBreakdownResult,
+      returnsResult,
+      returnCostResult,
+      paymentsResult,
+      refundsByMethodResult,
+      sales
+    ] = await Promise.all([
       // Calculate summary statistics
       Sale.aggregate([
         {
           $match: {
             createdAt: { $gte: start, $lte: end },
-            isVoid: false
+            isVoid: false,
+            ...branch
           }
         },
         {
           $group: {
             _id: null,
             totalSales: { $sum: 1 },
+            grossSales: { $sum: '$subtotal' },
+            totalDiscount: { $sum: '$discount' },
+            lineDiscount: { $sum: '$discountBreakdown.lineDiscount' },
+            saleDiscount: { $sum: '$discountBreakdown.saleDiscount' },
+            promoDiscount: { $sum: '$discountBreakdown.promoDiscount' },
+            seniorPwdDiscount: { $sum: '$discountBreakdown.seniorPwdDiscount' },
             totalRevenue: { $sum: '$total' },
-            totalVAT: { $sum: '$tax' }
+            totalVAT: { $sum: '$tax' },
+            // Sales recorded before tax classes were all 12% VAT-exclusive
+            vatableSales: {
+              $sum: { $ifNull: ['$vatableSales', { $subtract: ['$subtotal', '$discount'] }] }
+            },
+            vatExemptSales: { $sum: '$vatExemptSales' },
+            zeroRatedSales: { $sum: '$zeroRatedSales' },
+            vatExemptionAmount: { $sum: '$vatExemptionAmount' }
+          }
+        }
+      ]),
+      // Revenue excluding VAT and cost of goods sold
+      Sale.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            isVoid: false,
+            ...branch
+          }
+        },
+        {
+          $unwind: '$items'
+        },
+        {
+          $group: {
+            _id: null,
+            netSales: { $sum: LINE_NET_SALES },
+            costOfGoods: { $sum: LINE_COST }
           }
         }
       ]),
@@ -45,35 +118,171 @@ export const getSalesReport = async (req, res, next) => {
         {
           $match: {
             createdAt: { $gte: start, $lte: end },
-            isVoid: false
+            isVoid: false,
+            ...branch
           }
         },
         {
           $group: {
             _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
             count: { $sum: 1 },
-            revenue: { $sum: '$total' }
+            revenue: { $sum: '$total' },
+            discount: { $sum: '$discount' }
+          }
+        },
+        {
+          $sort: { _id: 1 }
+        }
+      ]),
+      // Group by tax class
+      Sale.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            isVoid: false,
+            ...branch
+          }
+        },
+        {
+          $unwind: { path: '$taxBreakdown', preserveNullAndEmptyArrays: true }
+        },
+        {
+          $group: {
+            _id: { $ifNull: ['$taxBreakdown.code', 'VAT'] },
+            name: { $first: { $ifNull: ['$taxBreakdown.name', 'VAT'] } },
+            type: { $first: { $ifNull: ['$taxBreakdown.type', 'standard'] } },
+            rate: { $first: { $ifNull: ['$taxBreakdown.rate', 12] } },
+            taxableAmount: {
+              $sum: { $ifNull: ['$taxBreakdown.taxableAmount', { $subtract: ['$subtotal', '$discount'] }] }
+            },
+            taxAmount: { $sum: { $ifNull: ['$taxBreakdown.taxAmount', '$tax'] } }
           }
         },
         {
           $sort: { _id: 1 }
         }
       ]),
+      // Refunds processed in the period
+      Return.aggregate([
+        {
+          $match: { createdAt: { $gte: start, $lte: end }, ...branch }
+        },
+        {
+          $group: {
+            _id: null,
+            returnCount: { $sum: 1 },
+            totalRefunds: { $sum: '$totalRefund' },
+            refundedVAT: { $sum: '$tax' }
+          }
+        }
+      ]),
+      // Revenue and cost taken back by returns in the period
+      Return.aggregate([
+        {
+          $match: { createdAt: { $gte: start, $lte: end }, ...branch }
+        },
+        {
+          $unwind: '$items'
+        },
+        {
+          $group: {
+            _id: null,
+            netSales: { $sum: { $subtract: ['$items.refundAmount', '$items.taxAmount'] } },
+            costOfGoods: { $sum: RETURNED_LINE_COST }
+          }
+        }
+      ]),
+      // Amount taken by each payment method
+      Sale.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            isVoid: false,
+            ...branch
+          }
+        },
+        {
+          $project: { payments: SALE_PAYMENTS }
+        },
+        {
+          $unwind: '$payments'
+        },
+        {
+          $group: {
+            _id: '$payments.method',
+            count: { $sum: 1 },
+            amount: { $sum: '$payments.amount' },
+            tendered: { $sum: { $ifNull: ['$payments.tendered', '$payments.amount'] } }
+          }
+        }
+      ]),
+      // Refunds paid out by each method
+      Return.aggregate([
+        {
+          $match: { createdAt: { $gte: start, $lte: end }, ...branch }
+        },
+        {
+          $group: {
+            _id: '$refundMethod',
+            // Points given back are not paid out
+            refunds: { $sum: { $subtract: ['$totalRefund', { $ifNull: ['$pointsRefund', 0] }] } }
+          }
+        }
+      ]),
       // Get sales data with populated fields (limit to recent for performance)
       Sale.find({
         createdAt: { $gte: start, $lte: end },
-        isVoid: false
+        isVoid: false,
+        ...branch
       })
         .populate('cashier', 'username')
+        .populate('location', 'name code')
         .populate('items.product', 'name')
         .sort({ createdAt: -1 })
         .limit(100) // Limit to prevent memory issues
     ]);
 
-    const summary = summaryResult[0] || { totalSales: 0, totalRevenue: 0, totalVAT: 0 };
+    const summary = summaryResult[0] || {
+      totalSales: 0,
+      grossSales: 0,
+      totalDiscount: 0,
+      lineDiscount: 0,
+      saleDiscount: 0,
+      promoDiscount: 0,
+      seniorPwdDiscount: 0,
+      totalRevenue: 0,
+      totalVAT: 0,
+      vatableSales: 0,
+      vatExemptSales: 0,
+      zeroRatedSales: 0,
+      vatExemptionAmount: 0
+    };
+    const returns = returnsResult[0] || { returnCount: 0, totalRefunds: 0, refundedVAT: 0 };
+    const soldCost = costResult[0] || { netSales: 0, costOfGoods: 0 };
+    const returnedCost = returnCostResult[0] || { netSales: 0, costOfGoods: 0 };
+    const margin = calculateMargin(
+      soldCost.netSales - returnedCost.netSales,
+      soldCost.costOfGoods - returnedCost.costOfGoods
+    );
+    const refundsByMethod = new Map(refundsByMethodResult.map(item => [item._id, item.refunds]));
+    const paymentBreakdown = paymentsResult.map(item => ({
+      method: item._id,
+      count: item.count,
+      amount: item.amount,
+      tendered: item.tendered,
+      refunds: refundsByMethod.get(item._id) || 0,
+      netAmount: item.amount - (refundsByMethod.get(item._id) || 0)
+    }));
+    refundsByMethod.forEach((refunds, method) => {
+      if (!paymentBreakdown.some(item => item.method === method)) {
+        paymentBreakdown.push({ method, count: 0, amount: 0, tendered: 0, refunds, netAmount: -refunds });
+      }
+    });
+    paymentBreakdown.sort((a, b) => b.amount - a.amount);
+
     const salesByDate = {};
     salesByDateResult.forEach(item => {
-      salesByDate[item._id] = { count: item.count, revenue: item.revenue };
+      salesByDate[item._id] = { count: item.count, revenue: item.revenue, discount: item.discount };
     });
 
     res.json({
@@ -81,11 +290,34 @@ export const getSalesReport = async (req, res, next) => {
       period: { startDate, endDate },
       summary: {
         totalSales: summary.totalSales,
+        grossSales: summary.grossSales,
+        totalDiscount: summary.totalDiscount,
+        discountBreakdown: {
+          lineDiscount: summary.lineDiscount,
+          saleDiscount: summary.saleDiscount,
+          promoDiscount: summary.promoDiscount,
+          seniorPwdDiscount: summary.seniorPwdDiscount
+        },
         totalRevenue: summary.totalRevenue,
+        returnCount: returns.returnCount,
+        totalRefunds: returns.totalRefunds,
+        netRevenue: summary.totalRevenue - returns.totalRefunds,
         totalVAT: summary.totalVAT,
+        refundedVAT: returns.refundedVAT,
+        netVAT: summary.totalVAT - returns.refundedVAT,
+        vatableSales: summary.vatableSales,
+        vatExemptSales: summary.vatExemptSales,
+        zeroRatedSales: summary.zeroRatedSales,
+        vatExemptionAmount: summary.vatExemptionAmount,
+        netSalesExVAT: margin.netSales,
+        costOfGoods: margin.costOfGoods,
+        grossProfit: margin.grossProfit,
+        marginPercent: margin.marginPercent,
         averageSaleValue: summary.totalSales > 0 ? summary.totalRevenue / summary.totalSales : 0
       },
       salesByDate,
+      taxBreakdown: taxBreakdownResult.map(({ _id, ...tax }) => ({ code: _id, ...tax })),
+      paymentBreakdown,
       data: sales
     });
   } catch (error) {
@@ -100,13 +332,25 @@ export const getSalesReport = async (req, res, next) => {
  */
 export const getInventoryReport = async (req, res, next) => {
   try {
-    const products = await Product.find({ isActive: true })
+    let products = await Product.find({ isActive: true })
       .populate('supplier', 'companyName')
       .sort({ category: 1, name: 1 });
 
+    // Stock held at one branch instead of the total across branches
+    if (req.query.location) {
+      products = await withLocationStock(products, req.query.location);
+    }
+
+    // Variants of a product sell at their own prices
+    const retailValue = (product) => (hasVariants(product)
+      ? product.variants.reduce((sum, variant) => sum + variant.price * variant.stockQuantity, 0)
+      : product.price * product.stockQuantity);
+
     const totalProducts = products.length;
-    const totalStockValue = products.reduce((sum, p) => sum + (p.price * p.stockQuantity), 0);
-    const lowStockProducts = products.filter(p => p.stockQuantity <= p.lowStockThreshold);
+    // Stock is valued at cost; retail value is what it would sell for
+    const totalStockValue = products.reduce((sum, p) => sum + ((p.costPrice || 0) * p.stockQuantity), 0);
+    const totalRetailValue = products.reduce((sum, p) => sum + retailValue(p), 0);
+    const lowStockProducts = products.filter(isLowStock);
     const outOfStockProducts = products.filter(p => p.stockQuantity === 0);
 
     // Group by category
@@ -114,10 +358,11 @@ export const getInventoryReport = async (req, res, next) => {
     products.forEach(product => {
       const category = product.category || 'Uncategorized';
       if (!byCategory[category]) {
-        byCategory[category] = { count: 0, totalValue: 0 };
+        byCategory[category] = { count: 0, totalValue: 0, retailValue: 0 };
       }
       byCategory[category].count += 1;
-      byCategory[category].totalValue += product.price * product.stockQuantity;
+      byCategory[category].totalValue += (product.costPrice || 0) * product.stockQuantity;
+      byCategory[category].retailValue += retailValue(product);
     });
 
     res.json({
@@ -125,17 +370,28 @@ export const getInventoryReport = async (req, res, next) => {
       summary: {
         totalProducts,
         totalStockValue,
+        totalRetailValue,
         lowStockCount: lowStockProducts.length,
         outOfStockCount: outOfStockProducts.length
       },
       byCategory,
-      lowStockProducts: lowStockProducts.map(p => ({
-        id: p._id,
-        name: p.name,
-        stockQuantity: p.stockQuantity,
-        lowStockThreshold: p.lowStockThreshold,
-        supplier: p.supplier
-      })),
+      // Products with variants are listed once per low variant
+      lowStockProducts: lowStockProducts.flatMap(p => (hasVariants(p)
+        ? lowStockVariants(p).map(variant => ({
+          id: p._id,
+          variant: variant._id,
+          name: `${p.name} (${variantName(variant)})`,
+          stockQuantity: variant.stockQuantity,
+          lowStockThreshold: variant.lowStockThreshold,
+          supplier: p.supplier
+        }))
+        : [{
+          id: p._id,
+          name: p.name,
+          stockQuantity: p.stockQuantity,
+          lowStockThreshold: p.lowStockThreshold,
+          supplier: p.supplier
+        }])),
       outOfStockProducts: outOfStockProducts.map(p => ({
         id: p._id,
         name: p.name,
@@ -155,9 +411,9 @@ export const getInventoryReport = async (req, res, next) => {
  */
 export const getTopProducts = async (req, res, next) => {
   try {
-    const { startDate, endDate, limit = 10 } = req.query;
+    const { startDate, endDate, limit = 10, location } = req.query;
 
-    const matchFilter = { isVoid: false };
+    const matchFilter = { isVoid: false, ...(await locationFilter(location)) };
     if (startDate && endDate) {
       matchFilter.createdAt = {
         $gte: new Date(startDate),
@@ -165,50 +421,104 @@ export const getTopProducts = async (req, res, next) => {
       };
     }
 
+    const returnFilter = {
+      ...(matchFilter.createdAt && { createdAt: matchFilter.createdAt }),
+      ...(matchFilter.location && { location: matchFilter.location })
+    };
+
     // Use aggregation pipeline for better performance
-    const topProducts = await Sale.aggregate([
-      {
-        $match: matchFilter
-      },
-      {
-        $unwind: '$items'
-      },
-      {
-        $group: {
-          _id: '$items.product',
-          totalQuantity: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.subtotal' },
-          saleCount: { $sum: 1 }
-        }
-      },
-      {
-        $lookup: {
-          from: 'products',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'product'
+    const [productSales, productReturns] = await Promise.all([
+      // Units sold and revenue per product
+      Sale.aggregate([
+        {
+          $match: matchFilter
+        },
+        {
+          $unwind: '$items'
+        },
+        {
+          // Variants of a product are ranked separately
+          $group: {
+            _id: { product: '$items.product', variant: '$items.variant' },
+            variantName: { $last: '$items.variantName' },
+            totalQuantity: { $sum: LINE_BASE_QUANTITY },
+            // Revenue net of line discounts
+            totalRevenue: {
+              $sum: { $subtract: ['$items.subtotal', { $ifNull: ['$items.discountAmount', 0] }] }
+            },
+            totalDiscount: { $sum: { $ifNull: ['$items.discountAmount', 0] } },
+            netSales: { $sum: LINE_NET_SALES },
+            costOfGoods: { $sum: LINE_COST },
+            saleCount: { $sum: 1 }
+          }
+        },
+        {
+          $lookup: {
+            from: 'products',
+            localField: '_id.product',
+            foreignField: '_id',
+            as: 'product'
+          }
+        },
+        {
+          $unwind: '$product'
+        },
+        {
+          $project: {
+            _id: 0,
+            productId: '$_id.product',
+            productName: '$product.name',
+            unit: { $ifNull: ['$product.unit', 'pcs'] },
+            variantId: '$_id.variant',
+            variantName: 1,
+            totalQuantity: 1,
+            totalRevenue: 1,
+            totalDiscount: 1,
+            netSales: 1,
+            costOfGoods: 1,
+            saleCount: 1
+          }
         }
-      },
-      {
-        $unwind: '$product'
-      },
-      {
-        $project: {
-          productId: '$_id',
-          productName: '$product.name',
-          totalQuantity: 1,
-          totalRevenue: 1,
-          saleCount: 1
+      ]),
+      // Units returned per product
+      Return.aggregate([
+        {
+          $match: returnFilter
+        },
+        {
+          $unwind: '$items'
+        },
+        {
+          $group: {
+            _id: { product: '$items.product', variant: '$items.variant' },
+            returnedQuantity: { $sum: LINE_BASE_QUANTITY },
+            returnedRevenue: { $sum: '$items.netSales' },
+            returnedNetSales: { $sum: { $subtract: ['$items.refundAmount', '$items.taxAmount'] } },
+            returnedCost: { $sum: RETURNED_LINE_COST }
+          }
         }
-      },
-      {
-        $sort: { totalRevenue: -1 }
-      },
-      {
-        $limit: parseInt(limit)
-      }
+      ])
     ]);
 
+    // Net returns out of quantity and revenue before ranking
+    const returnsByProduct = new Map(productReturns.map(item => [lineKey(item._id.product, item._id.variant), item]));
+    const topProducts = productSales
+      .map(product => {
+        const returned = returnsByProduct.get(lineKey(product.productId, product.variantId));
+        return {
+          ...product,
+          returnedQuantity: returned?.returnedQuantity || 0,
+          totalQuantity: product.totalQuantity - (returned?.returnedQuantity || 0),
+          totalRevenue: product.totalRevenue - (returned?.returnedRevenue || 0),
+          ...calculateMargin(
+            product.netSales - (returned?.returnedNetSales || 0),
+            product.costOfGoods - (returned?.returnedCost || 0)
+          )
+        };
+      })
+      .sort((a, b) => b.totalRevenue - a.totalRevenue)
+      .slice(0, parseInt(limit));
+
     res.json({
       success: true,
       count: topProducts.length,
@@ -235,9 +545,8 @@ export const getRevenueTrends = async (req, res, next) => {
       });
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999);
+    const { start, end } = getDateRange(startDate, endDate);
+    const branch = await locationFilter(req.query.location);
 
     // Determine date format based on groupBy
     let dateFormat;
@@ -252,38 +561,72 @@ export const getRevenueTrends = async (req, res, next) => {
     }
 
     // Use aggregation pipeline for better performance
-    const trendData = await Sale.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: start, $lte: end },
-          isVoid: false
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: {
-              format: dateFormat,
-              date: '$createdAt'
-            }
-          },
-          revenue: { $sum: '$total' },
-          sales: { $sum: 1 }
+    const [salesTrend, refundTrend] = await Promise.all([
+      // Sales per period
+      Sale.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            isVoid: false,
+            ...branch
+          }
+        },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: dateFormat,
+                date: '$createdAt'
+              }
+            },
+            revenue: { $sum: '$total' },
+            sales: { $sum: 1 }
+          }
+        },
+        {
+          $project: {
+            date: '$_id',
+            revenue: 1,
+            sales: 1,
+            _id: 0
+          }
+        },
+        {
+          $sort: { date: 1 }
         }
-      },
-      {
-        $project: {
-          date: '$_id',
-          revenue: 1,
-          sales: 1,
-          _id: 0
+      ]),
+      // Refunds per period
+      Return.aggregate([
+        {
+          $match: { createdAt: { $gte: start, $lte: end }, ...branch }
+        },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: dateFormat,
+                date: '$createdAt'
+              }
+            },
+            refunds: { $sum: '$totalRefund' }
+          }
         }
-      },
-      {
-        $sort: { date: 1 }
-      }
+      ])
     ]);
 
+    // Refunds are counted in the period they were paid out
+    const refundsByDate = new Map(refundTrend.map(item => [item._id, item.refunds]));
+    const trendData = salesTrend.map(item => {
+      const refunds = refundsByDate.get(item.date) || 0;
+      return { ...item, refunds, netRevenue: item.revenue - refunds };
+    });
+    refundsByDate.forEach((refunds, date) => {
+      if (!salesTrend.some(item => item.date === date)) {
+        trendData.push({ date, revenue: 0, sales: 0, refunds, netRevenue: -refunds });
+      }
+    });
+    trendData.sort((a, b) => a.date.localeCompare(b.date));
+
     res.json({
       success: true,
       period: { startDate, endDate, groupBy },
@@ -294,3 +637,181 @@ export const getRevenueTrends = async (req, res, next) => {
   }
 };
 
+
+/**
+ * @desc    Get gross margin by product category
+ * @route   GET /api/reports/margins
+ * @access  Private/Admin
+ */
+export const getMarginReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date and end date are required'
+      });
+    }
+
+    const { start, end } = getDateRange(startDate, endDate);
+    const branch = await locationFilter(req.query.location);
+
+    // Use aggregation pipeline for better performance
+    const [productSales, productReturns] = await Promise.all([
+      // Revenue and cost per product
+      Sale.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            isVoid: false,
+            ...branch
+          }
+        },
+        {
+          $unwind: '$items'
+        },
+        {
+          $group: {
+            _id: '$items.product',
+            quantity: { $sum: LINE_BASE_QUANTITY },
+            netSales: { $sum: LINE_NET_SALES },
+            costOfGoods: { $sum: LINE_COST }
+          }
+        }
+      ]),
+      // Revenue and cost taken back by returns per product
+      Return.aggregate([
+        {
+          $match: { createdAt: { $gte: start, $lte: end }, ...branch }
+        },
+        {
+          $unwind: '$items'
+        },
+        {
+          $group: {
+            _id: '$items.product',
+            quantity: { $sum: LINE_BASE_QUANTITY },
+            netSales: { $sum: { $subtract: ['$items.refundAmount', '$items.taxAmount'] } },
+            costOfGoods: { $sum: RETURNED_LINE_COST }
+          }
+        }
+      ])
+    ]);
+
+    const productIds = [...productSales, ...productReturns].map(item => item._id);
+    const products = await Product.find({ _id: { $in: productIds } }).select('category');
+    const categoryByProduct = new Map(products.map(p => [p._id.toString(), p.category || 'Uncategorized']));
+
+    // Sales add to a category and returns take away from it
+    const byCategory = new Map();
+    const addToCategory = (item, sign) => {
+      const category = categoryByProduct.get(item._id.toString()) || 'Uncategorized';
+      const entry = byCategory.get(category) || { category, quantity: 0, netSales: 0, costOfGoods: 0 };
+      entry.quantity += sign * item.quantity;
+      entry.netSales += sign * item.netSales;
+      entry.costOfGoods += sign * item.costOfGoods;
+      byCategory.set(category, entry);
+    };
+    productSales.forEach(item => addToCategory(item, 1));
+    productReturns.forEach(item => addToCategory(item, -1));
+
+    const categories = [...byCategory.values()]
+      .map(entry => ({
+        category: entry.category,
+        quantity: entry.quantity,
+        ...calculateMargin(entry.netSales, entry.costOfGoods)
+      }))
+      .sort((a, b) => b.grossProfit - a.grossProfit);
+
+    const totals = calculateMargin(
+      categories.reduce((sum, entry) => sum + entry.netSales, 0),
+      categories.reduce((sum, entry) => sum + entry.costOfGoods, 0)
+    );
+
+    res.json({
+      success: true,
+      period: { startDate, endDate },
+      summary: {
+        quantity: categories.reduce((sum, entry) => sum + entry.quantity, 0),
+        ...totals
+      },
+      data: categories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get outstanding loyalty points and their peso value, with points
+ *          activity for a period when dates are given
+ * @route   GET /api/reports/loyalty
+ * @access  Private/Admin
+ */
+export const getLoyaltyReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const now = new Date();
+    const soon = new Date(now);
+    soon.setDate(soon.getDate() + 30);
+
+    // Unspent points in lots that have not expired; points past their expiry
+    // date are left out even before they are swept
+    const [outstanding, settings] = await Promise.all([
+      LoyaltyTransaction.aggregate([
+        {
+          $match: {
+            remaining: { $gt: 0 },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            points: { $sum: '$remaining' },
+            expiringIn30Days: {
+              $sum: {
+                $cond: [
+                  { $and: [{ $gt: ['$expiresAt', null] }, { $lte: ['$expiresAt', soon] }] },
+                  '$remaining',
+                  0
+                ]
+              }
+            },
+            members: { $addToSet: '$customer' }
+          }
+        }
+      ]),
+      Setting.getSettings()
+    ]);
+
+    const pointValue = settings.loyalty?.pointValue ?? 1;
+    const outstandingPoints = outstanding[0]?.points || 0;
+
+    let activity = null;
+    if (startDate && endDate) {
+      const { start, end } = getDateRange(startDate, endDate);
+      const byType = await LoyaltyTransaction.aggregate([
+        { $match: { createdAt: { $gte: start, $lte: end } } },
+        { $group: { _id: '$type', points: { $sum: '$points' }, count: { $sum: 1 } } }
+      ]);
+      activity = byType.map(entry => ({ type: entry._id, points: entry.points, count: entry.count }));
+    }
+
+    res.json({
+      success: true,
+      period: startDate && endDate ? { startDate, endDate } : null,
+      summary: {
+        outstandingPoints,
+        pointValue,
+        liability: roundCurrency(outstandingPoints * pointValue),
+        expiringIn30Days: outstanding[0]?.expiringIn30Days || 0,
+        membersWithPoints: outstanding[0]?.members.length || 0
+      },
+      activity
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,268 @@
+import mongoose from 'mongoose';
+import Return from '../models/Return.model.js';
+import Sale, { PAYMENT_METHODS, POINTS_PAYMENT_METHOD } from '../models/Sale.model.js';
+import Product from '../models/Product.model.js';
+import { generateReturnNumber, withNumberRetry } from '../utils/documentNumber.js';
+import { calculateReturnAmounts, roundCurrency } from '../utils/pricing.js';
+import { httpError } from '../utils/httpError.js';
+import { adjustStock } from '../utils/stock.js';
+import { findReturnLots } from '../utils/lot.js';
+import { locationMatch } from '../utils/location.js';
+import { findOpenShiftId } from '../utils/shift.js';
+import { returnSalePoints } from '../utils/loyalty.js';
+import { recordAudit } from '../utils/audit.js';
+import { lineKey } from '../utils/variant.js';
+import { baseUnit, isValidQuantity, roundQuantity, toBaseQuantity } from '../utils/units.js';
+
+/**
+ * @desc    Get all returns
+ * @route   GET /api/returns
+ * @access  Private
+ */
+export const getReturns = async (req, res, next) => {
+  try {
+    const { sale, location, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (sale) filter.sale = sale;
+    if (location) filter.location = await locationMatch(location);
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) {
+        // Parse date string (YYYY-MM-DD) and set to local midnight
+        const [year, month, day] = startDate.split('-').map(Number);
+        filter.createdAt.$gte = new Date(year, month - 1, day, 0, 0, 0, 0);
+      }
+      if (endDate) {
+        // Parse date string (YYYY-MM-DD) and set to local end of day
+        const [year, month, day] = endDate.split('-').map(Number);
+        filter.createdAt.$lte = new Date(year, month - 1, day, 23, 59, 59, 999);
+      }
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [returns, total] = await Promise.all([
+      Return.find(filter)
+        .populate('processedBy', 'username')
+        .populate('items.product', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Return.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: returns.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: returns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single return
+ * @route   GET /api/returns/:id
+ * @access  Private
+ */
+export const getReturn = async (req, res, next) => {
+  try {
+    const saleReturn = await Return.findById(req.params.id)
+      .populate('processedBy', 'username')
+      .populate('items.product', 'name price');
+
+    if (!saleReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: saleReturn
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Return some or all items of a sale and refund them
+ * @route   POST /api/returns
+ * @access  Private/Admin/Staff
+ */
+export const createReturn = async (req, res, next) => {
+  try {
+    const { sale: saleId, items, refundMethod, notes } = req.body;
+
+    // Refunds are paid out of the drawer of the user's open shift
+    const shift = await findOpenShiftId(req.user._id);
+
+    // The sale is re-read inside the transaction so two returns against the same
+    // sale cannot both refund the last unit; the loser retries and sees the update
+    let saleReturn;
+    await withNumberRetry(() => mongoose.connection.transaction(async (session) => {
+      const sale = await Sale.findById(saleId).session(session);
+
+      if (!sale) {
+        throw httpError(404, 'Sale not found');
+      }
+
+      if (sale.isVoid) {
+        throw httpError(400, 'Cannot return items from a voided sale');
+      }
+
+      const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+        .select('name unit allowFractions')
+        .session(session);
+      const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+      const returnId = new mongoose.Types.ObjectId();
+      const returnNumber = await generateReturnNumber({ session });
+      const returnItems = [];
+
+      for (const item of items) {
+        // A product may be sold in more than one unit on a sale; the unit picks the line
+        const candidates = sale.items.filter(line => (
+          lineKey(line.product, line.variant) === lineKey(item.product, item.variant)
+          && (!item.unit || line.unit === item.unit)
+        ));
+        const product = productMap.get(item.product);
+        const productName = product?.name || 'this product';
+
+        if (candidates.length === 0) {
+          throw httpError(400, `${productName}${item.unit ? ` in ${item.unit}` : ''} was not part of sale ${sale.saleNumber}`);
+        }
+        if (candidates.length > 1) {
+          throw httpError(400, `${productName} was sold in more than one unit on sale ${sale.saleNumber}; name the unit to return`);
+        }
+        const [saleItem] = candidates;
+
+        // Items are returned in the unit they were sold in
+        const label = saleItem.variantName ? `${productName} (${saleItem.variantName})` : productName;
+        const unit = saleItem.unit || 'unit(s)';
+        const remaining = roundQuantity(saleItem.quantity - (saleItem.returnedQuantity || 0));
+        if (item.quantity > remaining) {
+          throw httpError(400, `Only ${remaining} ${unit} of ${label} can still be returned`);
+        }
+
+        const baseQuantity = toBaseQuantity(item.quantity, { factor: saleItem.unitFactor });
+        if (product && !isValidQuantity(product, baseQuantity)) {
+          throw httpError(400, `${label} can only be returned in whole ${baseUnit(product)}`);
+        }
+
+        const amounts = calculateReturnAmounts(sale, saleItem, item.quantity);
+        saleItem.returnedQuantity = roundQuantity((saleItem.returnedQuantity || 0) + item.quantity);
+
+        const disposition = item.disposition || 'restock';
+        if (disposition === 'restock') {
+          await adjustStock({
+            product: saleItem.product,
+            variant: saleItem.variant,
+            // Back at the branch the sale was made from
+            location: sale.location,
+            change: baseQuantity,
+            // Back into the lots the sale took the stock from, keeping its expiry date
+            lots: await findReturnLots({
+              sale,
+              product: saleItem.product,
+              variant: saleItem.variant,
+              quantity: baseQuantity,
+              returnId,
+              session
+            }),
+            type: 'return',
+            user: req.user._id,
+            reason: item.reason,
+            reference: { model: 'Return', id: returnId, number: returnNumber },
+            session
+          });
+        }
+
+        returnItems.push({
+          product: saleItem.product,
+          variant: saleItem.variant,
+          variantName: saleItem.variantName,
+          quantity: item.quantity,
+          unit: saleItem.unit,
+          baseQuantity,
+          reason: item.reason,
+          disposition,
+          unitCost: saleItem.unitCost,
+          ...amounts
+        });
+      }
+
+      const totalRefund = roundCurrency(returnItems.reduce((sum, item) => sum + item.refundAmount, 0));
+      const tax = roundCurrency(returnItems.reduce((sum, item) => sum + item.taxAmount, 0));
+
+      sale.refundedAmount = roundCurrency((sale.refundedAmount || 0) + totalRefund);
+      await sale.save({ session });
+
+      // Points spent on the sale go back to the customer's points, pro rata, and
+      // points earned on the returned items are taken back
+      const { pointsCredited, pointsReversed } = await returnSalePoints({
+        sale,
+        saleReturn: { returnNumber },
+        user: req.user._id,
+        session
+      });
+      const pointsRefund = Math.min(
+        roundCurrency(pointsCredited * (sale.loyalty?.pointValue || 0)),
+        totalRefund
+      );
+
+      // The rest goes back the way the sale was paid; split sales are refunded
+      // in cash unless another method is chosen
+      const defaultMethod = PAYMENT_METHODS.includes(sale.paymentMethod) ? sale.paymentMethod : 'cash';
+      const allPoints = pointsRefund > 0 && pointsRefund >= totalRefund;
+
+      [saleReturn] = await Return.create([{
+        _id: returnId,
+        returnNumber,
+        sale: sale._id,
+        saleNumber: sale.saleNumber,
+        items: returnItems,
+        refundMethod: allPoints ? POINTS_PAYMENT_METHOD : refundMethod || defaultMethod,
+        notes,
+        tax,
+        totalRefund,
+        pointsRefund,
+        pointsCredited,
+        pointsReversed,
+        processedBy: req.user._id,
+        shift,
+        location: sale.location
+      }], { session });
+
+      await recordAudit(req, {
+        action: 'return',
+        targetType: 'Return',
+        target: saleReturn,
+        targetLabel: saleReturn.returnNumber,
+        after: saleReturn,
+        fields: ['saleNumber', 'items', 'refundMethod', 'totalRefund', 'pointsCredited', 'pointsReversed'],
+        reason: notes
+      }, { session });
+    }));
+
+    await saleReturn.populate('processedBy', 'username');
+    await saleReturn.populate('items.product', 'name price');
+
+    res.status(201).json({
+      success: true,
+      data: saleReturn
+    });
+  } catch (error) {
+    next(error);
+  }
+};
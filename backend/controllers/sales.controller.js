@@ -1,6 +1,51 @@
-import Sale from '../models/Sale.model.js';
+import mongoose from 'mongoose';
+import Sale, { POINTS_PAYMENT_METHOD } from '../models/Sale.model.js';
 import Product from '../models/Product.model.js';
-import { generateSaleNumber } from '../utils/generateSaleNumber.js';
+import Promo from '../models/Promo.model.js';
+import Customer from '../models/Customer.model.js';
+import Setting from '../models/Setting.model.js';
+import { generateSaleNumber, withNumberRetry } from '../utils/documentNumber.js';
+import { calculateSaleTotals, roundCurrency } from '../utils/pricing.js';
+import { httpError } from '../utils/httpError.js';
+import { recordAudit } from '../utils/audit.js';
+import { describeReason, resolveApproval } from '../utils/approval.js';
+import { settlePayments } from '../utils/payment.js';
+import {
+  calculatePointsEarned,
+  earnPoints,
+  findLoyaltyMember,
+  pointsForAmount,
+  redeemPoints,
+  resolveLoyaltyMultipliers
+} from '../utils/loyalty.js';
+import { findOpenShiftId } from '../utils/shift.js';
+import { checkVoidable, voidSaleRecord } from '../utils/void.js';
+import { adjustStock } from '../utils/stock.js';
+import { findStockLevels, locationMatch, resolveUserLocation } from '../utils/location.js';
+import { buildReceipt, renderEscPos, renderReceiptHtml, renderReceiptPdf } from '../utils/receipt.js';
+import { resolveProductTaxClasses, SENIOR_PWD_TAX_CLASS } from '../utils/tax.js';
+import { findVariant, hasVariants, lineKey, variantName } from '../utils/variant.js';
+import { baseUnit, findUnit, formatQuantity, isValidQuantity, toBaseQuantity } from '../utils/units.js';
+
+/**
+ * Before and after values of an approved override for the audit log: the list
+ * and charged price of each overridden line, and any discount above the limit
+ */
+const overrideChanges = ({ items, productMap, manualDiscount }) => {
+  const before = {};
+  const after = {};
+  for (const item of items) {
+    const name = productMap.get(item.product.toString()).name;
+    const field = `price (${item.variantName ? `${name} (${item.variantName})` : name}, per ${item.unit})`;
+    before[field] = item.listPrice;
+    after[field] = item.price;
+  }
+  if (manualDiscount > 0) {
+    before.manualDiscount = 0;
+    after.manualDiscount = roundCurrency(manualDiscount);
+  }
+  return { before, after };
+};
 
 /**
  * @desc    Get all sales
@@ -9,7 +54,7 @@ import { generateSaleNumber } from '../utils/generateSaleNumber.js';
  */
 export const getSales = async (req, res, next) => {
   try {
-    const { startDate, endDate, cashier, page = 1, limit = 50 } = req.query;
+    const { startDate, endDate, cashier, customer, location, page = 1, limit = 50 } = req.query;
     const filter = {};
 
     if (startDate || endDate) {
@@ -29,6 +74,8 @@ export const getSales = async (req, res, next) => {
     }
 
     if (cashier) filter.cashier = cashier;
+    if (customer) filter.customer = customer;
+    if (location) filter.location = await locationMatch(location);
 
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
@@ -38,6 +85,7 @@ export const getSales = async (req, res, next) => {
     const [sales, total] = await Promise.all([
       Sale.find(filter)
         .populate('cashier', 'username')
+        .populate('location', 'name code')
         .populate('items.product', 'name price')
         .sort({ createdAt: -1 })
         .skip(skip)
@@ -67,6 +115,9 @@ export const getSale = async (req, res, next) => {
   try {
     const sale = await Sale.findById(req.params.id)
       .populate('cashier', 'username')
+      .populate('voidedBy', 'username')
+      .populate('voidApproval.approvedBy', 'username')
+      .populate('override.approvedBy', 'username')
       .populate('items.product');
 
     if (!sale) {
@@ -85,6 +136,83 @@ export const getSale = async (req, res, next) => {
   }
 };
 
+/**
+ * Send a rendered receipt in the requested format
+ */
+const sendReceipt = async (req, res, sale, { reprint }) => {
+  const settings = await Setting.getSettings();
+  const receipt = buildReceipt(sale, settings, { reprint });
+  const paperWidth = req.query.width || settings.receipt?.paperWidth || 80;
+  const format = req.query.format || 'html';
+
+  if (format === 'escpos') {
+    res.set('Content-Disposition', `attachment; filename="${sale.saleNumber}.bin"`);
+    return res.type('application/octet-stream').send(renderEscPos(receipt, paperWidth));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await renderReceiptPdf(receipt);
+    res.set('Content-Disposition', `inline; filename="Receipt_${sale.saleNumber}.pdf"`);
+    return res.type('application/pdf').send(pdf);
+  }
+
+  res.type('html').send(renderReceiptHtml(receipt, paperWidth));
+};
+
+/**
+ * @desc    Render a sale's receipt as ESC/POS bytes, an A4 PDF or printable HTML.
+ *          Viewing or downloading a copy does not count as a print.
+ * @route   GET /api/sales/:id/receipt?format=escpos|pdf|html&width=58|80
+ * @access  Private
+ */
+export const getSaleReceipt = async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id)
+      .populate('cashier', 'username')
+      .populate('items.product', 'name');
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    await sendReceipt(req, res, sale, { reprint: false });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a receipt print and render it; prints after the first are marked as reprints
+ * @route   POST /api/sales/:id/receipt/print?format=escpos|pdf|html&width=58|80
+ * @access  Private
+ */
+export const printSaleReceipt = async (req, res, next) => {
+  try {
+    // The count before this print tells an original from a reprint
+    const sale = await Sale.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { receiptPrintCount: 1 }, receiptGenerated: true },
+      { new: false }
+    )
+      .populate('cashier', 'username')
+      .populate('items.product', 'name');
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    await sendReceipt(req, res, sale, { reprint: sale.receiptPrintCount > 0 });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create new sale
  * @route   POST /api/sales
@@ -92,16 +220,34 @@ export const getSale = async (req, res, next) => {
  */
 export const createSale = async (req, res, next) => {
   try {
-    const { items, paymentMethod, customerName, customerEmail, customerPhone } = req.body;
+    const {
+      items,
+      payments,
+      paymentMethod,
+      customer,
+      loyaltyCard,
+      customerName,
+      customerEmail,
+      customerPhone,
+      saleDiscount = {},
+      promoCode,
+      taxExemption,
+      override
+    } = req.body;
 
     // Fetch all products at once to avoid N+1 query problem
     const productIds = items.map(item => item.product);
-    const products = await Product.find({ _id: { $in: productIds } });
+    const [products, settings, location] = await Promise.all([
+      Product.find({ _id: { $in: productIds } }).populate('taxClass'),
+      Setting.getSettings(),
+      // Sales take stock from the cashier's home branch
+      resolveUserLocation(req.user)
+    ]);
 
-    // Validate all products exist
-    if (products.length !== items.length) {
-      const foundIds = products.map(p => p._id.toString());
-      const missingId = productIds.find(id => !foundIds.includes(id.toString()));
+    // Validate all products exist; a product can appear once per variant
+    const foundIds = products.map(p => p._id.toString());
+    const missingId = productIds.find(id => !foundIds.includes(id.toString()));
+    if (missingId) {
       return res.status(404).json({
         success: false,
         message: `Product with ID ${missingId} not found`
@@ -110,10 +256,11 @@ export const createSale = async (req, res, next) => {
 
     // Create a map for quick lookup
     const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    const taxClassMap = await resolveProductTaxClasses(products, settings);
+    const stockLevels = await findStockLevels(productIds, location._id);
 
-    // Validate stock and calculate totals
-    let subtotal = 0;
-    const saleItems = [];
+    // Validate stock and build the priced line items
+    const pricedItems = [];
 
     for (const item of items) {
       const product = productMap.get(item.product.toString());
@@ -125,52 +272,319 @@ export const createSale = async (req, res, next) => {
         });
       }
 
-      if (product.stockQuantity < item.quantity) {
+      // Products with variants are sold, priced and stocked per variant
+      let variant = null;
+      if (hasVariants(product)) {
+        variant = findVariant(product, item.variant);
+        if (!variant || !variant.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: `Choose an available variant of ${product.name}`
+          });
+        }
+      }
+
+      const label = variant ? `${product.name} (${variantName(variant)})` : product.name;
+
+      // Items can be sold in any of the product's units; stock is taken in its base unit
+      const unit = findUnit(product, item.unit);
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          message: `${product.name} is not sold by the ${item.unit}`
+        });
+      }
+      const baseQuantity = toBaseQuantity(item.quantity, unit);
+      if (!isValidQuantity(product, baseQuantity)) {
+        return res.status(400).json({
+          success: false,
+          message: `${label} is sold in whole ${baseUnit(product)} only`
+        });
+      }
+
+      const stock = stockLevels.get(lineKey(product._id, variant?._id)) || 0;
+      if (stock < baseQuantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${item.quantity}`
+          message: `Insufficient stock for ${label} at ${location.name}. Available: ${formatQuantity(stock, baseUnit(product))}, Requested: ${formatQuantity(baseQuantity, baseUnit(product))}`
         });
       }
 
-      const itemSubtotal = product.price * item.quantity;
-      subtotal += itemSubtotal;
+      // A price entered at the register overrides the list price, with approval
+      const listPrice = roundCurrency((variant || product).price * unit.factor);
+      const price = item.price !== undefined ? roundCurrency(item.price) : listPrice;
 
-      saleItems.push({
+      pricedItems.push({
         product: product._id,
+        variant: variant?._id,
+        variantName: variant ? variantName(variant) : undefined,
         quantity: item.quantity,
-        price: product.price,
-        subtotal: itemSubtotal
+        unit: unit.name,
+        unitFactor: unit.factor,
+        baseQuantity,
+        price,
+        listPrice: price !== listPrice ? listPrice : undefined,
+        // Cost at the time of sale, for margin reporting
+        unitCost: (product.costPrice || 0) * unit.factor,
+        discountType: item.discount?.type,
+        discountValue: item.discount?.value,
+        taxClass: taxClassMap.get(product._id.toString())
       });
+    }
 
-      // Update product stock in memory
-      product.stockQuantity -= item.quantity;
+    // Loyalty members can also be identified by the card number or phone given at checkout
+    let customerRecord = null;
+    if (customer) {
+      customerRecord = await Customer.findOne({ _id: customer, isActive: true });
+      if (!customerRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+    } else if (loyaltyCard) {
+      customerRecord = await findLoyaltyMember(loyaltyCard);
+      if (!customerRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Loyalty member not found'
+        });
+      }
     }
 
-    // Bulk update all products at once
-    await Promise.all(products.map(product => product.save()));
+    // Look up the promo code, if one was entered
+    let promo = null;
+    if (promoCode) {
+      promo = await Promo.findOne({ code: promoCode.trim().toUpperCase() });
+      if (!promo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Promo code not found'
+        });
+      }
+    }
 
-    // Calculate VAT (12%)
-    const vatRate = 0.12;
-    const discount = 0; // No discount
-    const tax = subtotal * vatRate;
-    const total = subtotal + tax;
+    // Senior citizen and PWD purchases are VAT-exempt with a statutory discount
+    const exemption = taxExemption?.type
+      ? { ...taxExemption, discountPercent: settings.tax.seniorPwdDiscountPercent }
+      : null;
+
+    const totals = calculateSaleTotals({
+      items: pricedItems,
+      saleDiscount,
+      promo,
+      pricesIncludeVat: settings.tax.pricesIncludeVat,
+      taxExemption: exemption,
+      exemptTaxClass: SENIOR_PWD_TAX_CLASS
+    });
 
-    const saleNumber = await generateSaleNumber();
+    if (promo) {
+      const { valid, message } = promo.checkRedeemable(totals.promoBase);
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+    }
 
-    const sale = await Sale.create({
-      saleNumber,
-      customerName,
-      customerEmail,
-      customerPhone,
-      items: saleItems,
-      subtotal,
-      discount: 0, // No discount
-      tax, // 12% VAT
-      total,
-      paymentMethod,
-      cashier: req.user._id,
-      receiptGenerated: true
-    });
+    // Discounts above the staff limit and price overrides need a reason code and
+    // an admin's or supervisor's approval
+    let discountApprovedBy;
+    let overrideApproval;
+    const manualDiscount = totals.discountBreakdown.lineDiscount + totals.discountBreakdown.saleDiscount;
+    const manualDiscountPercent = totals.subtotal > 0 ? (manualDiscount / totals.subtotal) * 100 : 0;
+    const maxPercent = settings.discount.staffMaxPercent;
+    const overLimit = manualDiscount > 0 && manualDiscountPercent > maxPercent;
+    const priceOverrides = pricedItems.filter(item => item.listPrice !== undefined);
+
+    if (overLimit || priceOverrides.length > 0) {
+      const needs = [
+        overLimit && `discounts above ${maxPercent}%`,
+        priceOverrides.length > 0 && 'price overrides'
+      ].filter(Boolean).join(' and ');
+
+      if (!override?.reason) {
+        return res.status(403).json({
+          success: false,
+          requiresOverride: true,
+          message: `Give a reason for ${needs}`
+        });
+      }
+
+      overrideApproval = await resolveApproval(req, { reason: override.reason, note: override.note, override });
+      if (!overrideApproval) {
+        return res.status(403).json({
+          success: false,
+          requiresOverride: true,
+          message: override.username
+            ? 'Invalid approver PIN or password'
+            : `${needs.charAt(0).toUpperCase()}${needs.slice(1)} need an admin or supervisor approval`
+        });
+      }
+      if (manualDiscount > 0) {
+        discountApprovedBy = overrideApproval.approval.approvedBy;
+      }
+    } else if (manualDiscount > 0 && req.user.canApprove()) {
+      discountApprovedBy = req.user._id;
+    }
+
+    // Older clients send a single payment method for the exact amount
+    const settlement = settlePayments(
+      payments || [{ method: paymentMethod, amount: totals.total }],
+      totals.total
+    );
+
+    // Points are only earned and redeemed by known customers while the program is on
+    const loyaltySettings = settings.loyalty || {};
+    const pointsPayment = settlement.payments
+      .filter(payment => payment.method === POINTS_PAYMENT_METHOD)
+      .reduce((sum, payment) => sum + payment.amount, 0);
+
+    let loyalty;
+    if (pointsPayment > 0 && (!loyaltySettings.enabled || !customerRecord)) {
+      return res.status(400).json({
+        success: false,
+        message: loyaltySettings.enabled
+          ? 'Points can only be redeemed by a loyalty member'
+          : 'The loyalty program is not enabled'
+      });
+    }
+    if (loyaltySettings.enabled && customerRecord) {
+      const pointsRedeemed = pointsPayment > 0 ? pointsForAmount(pointsPayment, loyaltySettings.pointValue) : 0;
+      const pointsEarned = calculatePointsEarned({
+        items: totals.items,
+        multipliers: await resolveLoyaltyMultipliers(products),
+        pointsPerPeso: loyaltySettings.pointsPerPeso,
+        total: totals.total,
+        pointsPayment
+      });
+
+      if (pointsEarned > 0 || pointsRedeemed > 0) {
+        loyalty = { pointsEarned, pointsRedeemed, pointValue: loyaltySettings.pointValue };
+      }
+    }
+
+    // Cash taken is reconciled against the cashier's open shift
+    const shift = await findOpenShiftId(req.user._id);
+
+    // Stock, promo usage and the sale are written in one transaction so a failure
+    // part-way leaves nothing behind, and stock is only deducted while enough remains
+    let sale;
+    await withNumberRetry(() => mongoose.connection.transaction(async (session) => {
+      if (promo) {
+        const claimed = await Promo.findOneAndUpdate(
+          {
+            _id: promo._id,
+            $or: [
+              { usageLimit: null },
+              { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+            ]
+          },
+          { $inc: { usageCount: 1 } },
+          { new: true, session }
+        );
+
+        if (!claimed) {
+          throw httpError(400, 'Promo code usage limit has been reached');
+        }
+      }
+
+      const saleId = new mongoose.Types.ObjectId();
+      // Branches number their sales with their own code; the default location keeps the configured one
+      const saleNumber = await generateSaleNumber({
+        session,
+        branchCode: location.isDefault ? undefined : location.code
+      });
+
+      for (const item of pricedItems) {
+        const updated = await adjustStock({
+          product: item.product,
+          variant: item.variant,
+          location: location._id,
+          change: -item.baseQuantity,
+          type: 'sale',
+          user: req.user._id,
+          reference: { model: 'Sale', id: saleId, number: saleNumber },
+          session
+        });
+
+        if (!updated) {
+          const product = productMap.get(item.product.toString());
+          const label = item.variantName ? `${product.name} (${item.variantName})` : product.name;
+          throw httpError(400, `Insufficient stock for ${label}. It was sold out by another transaction.`);
+        }
+      }
+
+      [sale] = await Sale.create([{
+        _id: saleId,
+        saleNumber,
+        customer: customerRecord?._id,
+        customerName: customerName || customerRecord?.name,
+        customerEmail: customerEmail || customerRecord?.email,
+        customerPhone: customerPhone || customerRecord?.phone,
+        items: totals.items,
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        saleDiscountType: saleDiscount.type,
+        saleDiscountValue: saleDiscount.value,
+        promo: promo?._id,
+        promoCode: promo?.code,
+        discountBreakdown: totals.discountBreakdown,
+        discountApprovedBy,
+        override: overrideApproval?.approval,
+        tax: totals.tax,
+        pricesIncludeVat: settings.tax.pricesIncludeVat,
+        taxExemption: exemption || undefined,
+        taxBreakdown: totals.taxBreakdown,
+        vatableSales: totals.vatableSales,
+        vatExemptSales: totals.vatExemptSales,
+        zeroRatedSales: totals.zeroRatedSales,
+        vatExemptionAmount: totals.vatExemptionAmount,
+        total: totals.total,
+        paymentMethod: settlement.paymentMethod,
+        payments: settlement.payments,
+        amountTendered: settlement.amountTendered,
+        change: settlement.change,
+        cashier: req.user._id,
+        loyalty,
+        shift,
+        location: location._id,
+        receiptGenerated: true
+      }], { session });
+
+      if (overrideApproval) {
+        await recordAudit(req, {
+          action: 'override',
+          targetType: 'Sale',
+          target: sale,
+          targetLabel: saleNumber,
+          ...overrideChanges({ items: priceOverrides, productMap, manualDiscount: overLimit ? manualDiscount : 0 }),
+          reason: describeReason(overrideApproval.approval),
+          approver: overrideApproval.approver
+        }, { session });
+      }
+
+      if (loyalty?.pointsRedeemed > 0) {
+        await redeemPoints({
+          customer: customerRecord._id,
+          points: loyalty.pointsRedeemed,
+          sale,
+          user: req.user._id,
+          session
+        });
+      }
+      if (loyalty?.pointsEarned > 0) {
+        await earnPoints({
+          customer: customerRecord._id,
+          points: loyalty.pointsEarned,
+          sale,
+          user: req.user._id,
+          expiryMonths: loyaltySettings.expiryMonths,
+          session
+        });
+      }
+    }));
 
     await sale.populate('cashier', 'username');
     await sale.populate('items.product', 'name price');
@@ -185,67 +599,55 @@ export const createSale = async (req, res, next) => {
 };
 
 /**
- * @desc    Void a sale (revert stock and mark as void)
+ * @desc    Void a sale (revert stock and mark as void) with a reason code.
+ *          Staff need an admin's or supervisor's PIN or password in
+ *          `override`, or can send the void to the approval queue instead.
  * @route   PATCH /api/sales/:id/void
  * @access  Private/Admin/Staff
  */
 export const voidSale = async (req, res, next) => {
   try {
-    const sale = await Sale.findById(req.params.id)
-      .populate('items.product', 'name stockQuantity');
+    const { reason, note, override } = req.body;
+    const [existing, settings] = await Promise.all([
+      Sale.findById(req.params.id),
+      Setting.getSettings()
+    ]);
 
-    if (!sale) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Sale not found'
       });
     }
 
-    if (sale.isVoid) {
-      return res.status(400).json({
-        success: false,
-        message: 'Sale is already voided'
-      });
-    }
+    await checkVoidable(existing, req.user, settings);
 
-    // Revert stock quantities for all products in the sale (bulk operation)
-    const productIds = sale.items.map(item => {
-      return item.product._id || item.product;
-    });
-    
-    const products = await Product.find({ _id: { $in: productIds } });
-    
-    if (products.length !== productIds.length) {
-      return res.status(404).json({
+    const resolved = await resolveApproval(req, { reason, note, override });
+    if (!resolved) {
+      return res.status(403).json({
         success: false,
-        message: 'One or more products not found'
+        requiresOverride: true,
+        message: override?.username
+          ? 'Invalid approver PIN or password'
+          : 'Voids need an admin or supervisor approval'
       });
     }
 
-    // Create a map for quick lookup
-    const productMap = new Map(products.map(p => [p._id.toString(), p]));
-    
-    // Update stock quantities in memory
-    for (const item of sale.items) {
-      const productId = (item.product._id || item.product).toString();
-      const product = productMap.get(productId);
-      
-      if (product) {
-        product.stockQuantity += item.quantity;
-      }
-    }
-
-    // Bulk update all products at once
-    await Promise.all(products.map(product => product.save()));
-
-    // Mark sale as void
-    sale.isVoid = true;
-    sale.voidedAt = new Date();
-    sale.voidedBy = req.user._id;
-    await sale.save();
+    // Marking the sale void and restoring stock happen together
+    let sale;
+    await mongoose.connection.transaction(async (session) => {
+      sale = await voidSaleRecord(req, {
+        sale: existing,
+        approval: resolved.approval,
+        voidedBy: req.user,
+        approver: resolved.approver,
+        session
+      });
+    });
 
     await sale.populate('cashier', 'username');
     await sale.populate('voidedBy', 'username');
+    await sale.populate('voidApproval.approvedBy', 'username');
     await sale.populate('items.product', 'name price');
 
     res.json({
@@ -0,0 +1,77 @@
+import Setting from '../models/Setting.model.js';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * Flatten a nested settings payload into dot-notation paths
+ */
+const flattenSettings = (data, prefix = '') => {
+  return Object.entries(data).reduce((paths, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(paths, flattenSettings(value, path));
+    } else {
+      paths[path] = value;
+    }
+    return paths;
+  }, {});
+};
+
+/**
+ * @desc    Get system settings
+ * @route   GET /api/settings
+ * @access  Private
+ */
+export const getSettings = async (req, res, next) => {
+  try {
+    const settings = await Setting.getSettings();
+    await settings.populate('tax.defaultTaxClass');
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update system settings
+ * @route   PUT /api/settings
+ * @access  Private/Admin
+ */
+export const updateSettings = async (req, res, next) => {
+  try {
+    const settings = await Setting.getSettings();
+    const previous = settings.toObject();
+    const { _id, createdAt, updatedAt, updatedBy, ...updates } = req.body;
+
+    // Only update the paths that were sent so nested defaults are preserved
+    for (const [path, value] of Object.entries(flattenSettings(updates))) {
+      if (Setting.schema.path(path)) {
+        settings.set(path, value);
+      }
+    }
+    settings.updatedBy = req.user._id;
+
+    await settings.save();
+    await recordAudit(req, {
+      action: 'update',
+      targetType: 'Setting',
+      target: settings,
+      targetLabel: 'System settings',
+      before: previous,
+      after: settings,
+      // Sections such as discounts or voids are recorded whole
+      fields: Object.keys(updates)
+    });
+    await settings.populate('tax.defaultTaxClass');
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,325 @@
+import mongoose from 'mongoose';
+import Settlement from '../models/Settlement.model.js';
+import Supplier from '../models/Supplier.model.js';
+import Setting from '../models/Setting.model.js';
+import {
+  buildConsignmentStatement,
+  renderStatementCsv,
+  renderStatementPdf,
+  settlementStatement
+} from '../utils/consignment.js';
+import { generateSettlementNumber, withNumberRetry } from '../utils/documentNumber.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { httpError } from '../utils/httpError.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Statuses in which payments can still be recorded
+const PAYABLE_STATUSES = ['unpaid', 'partially_paid'];
+
+const populateSettlement = (query) => query
+  .populate('supplier', 'companyName contactDetails settlementBasis commissionRate')
+  .populate('createdBy', 'username')
+  .populate('payments.recordedBy', 'username');
+
+/**
+ * Supplier record of the logged-in supplier user
+ */
+const getSupplierRecord = async (user) => {
+  const supplier = await Supplier.findOne({ userId: user._id });
+  if (!supplier) {
+    throw httpError(403, 'Supplier record not found');
+  }
+  return supplier;
+};
+
+/**
+ * Fetch a settlement the user may see: any for admins, their own for suppliers
+ */
+const findSettlement = async (req) => {
+  const settlement = await populateSettlement(Settlement.findById(req.params.id));
+  if (!settlement) {
+    throw httpError(404, 'Settlement not found');
+  }
+
+  if (req.user.role === 'supplier') {
+    const supplier = await getSupplierRecord(req.user);
+    if (!settlement.supplier._id.equals(supplier._id)) {
+      throw httpError(403, 'You can only view your own settlements');
+    }
+  }
+  return settlement;
+};
+
+/**
+ * A consignor for an admin's settlement request. Throws a 404 or 400 error.
+ */
+const findConsignor = async (id) => {
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    throw httpError(404, 'Supplier not found');
+  }
+  if (!supplier.isConsignor) {
+    throw httpError(400, `${supplier.companyName} is not set up as a consignor`);
+  }
+  return supplier;
+};
+
+/**
+ * Status of a settlement from what has been paid against what is due
+ */
+const paymentStatus = (amountDue, amountPaid) => {
+  if (amountPaid >= amountDue) return 'paid';
+  return amountPaid > 0 ? 'partially_paid' : 'unpaid';
+};
+
+/**
+ * @desc    Get settlements (?supplier=, ?status=; suppliers see their own)
+ * @route   GET /api/settlements
+ * @access  Private/Admin/Supplier
+ */
+export const getSettlements = async (req, res, next) => {
+  try {
+    const { supplier, status } = req.query;
+    const filter = {};
+    if (status) filter.status = { $in: status.split(',') };
+
+    if (req.user.role === 'supplier') {
+      filter.supplier = (await getSupplierRecord(req.user))._id;
+    } else if (supplier) {
+      filter.supplier = supplier;
+    }
+
+    const settlements = await Settlement.find(filter)
+      .select('-lines -payments')
+      .populate('supplier', 'companyName')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: settlements.length,
+      data: settlements
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Preview what a consignor is owed for a period before issuing a settlement
+ * @route   GET /api/settlements/preview?supplier=&startDate=&endDate=
+ * @access  Private/Admin
+ */
+export const previewSettlement = async (req, res, next) => {
+  try {
+    const { supplier: supplierId, startDate, endDate } = req.query;
+    const supplier = await findConsignor(supplierId);
+    const [statement, last] = await Promise.all([
+      buildConsignmentStatement({ supplier, startDate, endDate }),
+      Settlement.findOne({ supplier: supplier._id, status: { $ne: 'cancelled' } }).sort({ periodEnd: -1 }).select('settlementNumber periodEnd')
+    ]);
+
+    res.json({
+      success: true,
+      data: statement,
+      lastSettlement: last
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single settlement, as JSON or a CSV or PDF statement
+ * @route   GET /api/settlements/:id?format=json|csv|pdf
+ * @access  Private/Admin/Supplier
+ */
+export const getSettlement = async (req, res, next) => {
+  try {
+    const settlement = await findSettlement(req);
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${settlement.settlementNumber}.csv"`);
+      return res.type('text/csv').send(renderStatementCsv(settlementStatement(settlement)));
+    }
+
+    if (req.query.format === 'pdf') {
+      const settings = await Setting.getSettings();
+      const pdf = await renderStatementPdf(settlementStatement(settlement), settings.receipt);
+      res.set('Content-Disposition', `attachment; filename="${settlement.settlementNumber}.pdf"`);
+      return res.type('application/pdf').send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Issue a settlement of a consignor's sales for a period. Periods of a
+ *          supplier's settlements cannot overlap, so no sale is settled twice.
+ * @route   POST /api/settlements
+ * @access  Private/Admin
+ */
+export const createSettlement = async (req, res, next) => {
+  try {
+    const { supplier: supplierId, startDate, endDate, notes } = req.body;
+    const supplier = await findConsignor(supplierId);
+    const statement = await buildConsignmentStatement({ supplier, startDate, endDate });
+
+    if (statement.totals.amountDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing is owed to ${supplier.companyName} for this period`
+      });
+    }
+
+    let settlement;
+    await withNumberRetry(() => mongoose.connection.transaction(async (session) => {
+      // Write to the supplier first so settlements issued for it at the same
+      // time conflict, and the retried one sees the period already taken
+      await Supplier.updateOne({ _id: supplier._id }, { $inc: { settlementVersion: 1 } }, { session });
+
+      const overlapping = await Settlement.findOne({
+        supplier: supplier._id,
+        status: { $ne: 'cancelled' },
+        periodStart: { $lte: statement.endDate },
+        periodEnd: { $gte: statement.startDate }
+      }).session(session);
+      if (overlapping) {
+        throw httpError(400, `The period overlaps settlement ${overlapping.settlementNumber}`);
+      }
+
+      const settlementNumber = await generateSettlementNumber({ session });
+
+      [settlement] = await Settlement.create([{
+        settlementNumber,
+        supplier: supplier._id,
+        periodStart: statement.startDate,
+        periodEnd: statement.endDate,
+        settlementBasis: statement.settlementBasis,
+        commissionRate: statement.commissionRate,
+        lines: statement.lines,
+        ...statement.totals,
+        notes,
+        createdBy: req.user._id
+      }], { session });
+
+      await recordAudit(req, {
+        action: 'create',
+        targetType: 'Settlement',
+        target: settlement,
+        targetLabel: settlement.settlementNumber,
+        after: settlement,
+        fields: ['supplier', 'periodStart', 'periodEnd', 'amountDue']
+      }, { session });
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: await populateSettlement(Settlement.findById(settlement._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a payment to the supplier against a settlement
+ * @route   POST /api/settlements/:id/payments
+ * @access  Private/Admin
+ */
+export const recordSettlementPayment = async (req, res, next) => {
+  try {
+    const { amount, method, referenceNumber, paidAt, notes } = req.body;
+
+    await mongoose.connection.transaction(async (session) => {
+      const settlement = await Settlement.findById(req.params.id).session(session);
+      if (!settlement) {
+        throw httpError(404, 'Settlement not found');
+      }
+      if (!PAYABLE_STATUSES.includes(settlement.status)) {
+        throw httpError(400, `Cannot record a payment against a ${settlement.status.replace('_', ' ')} settlement`);
+      }
+
+      const balance = roundCurrency(settlement.amountDue - settlement.amountPaid);
+      if (amount > balance) {
+        throw httpError(400, `Payment exceeds the balance of ${balance.toFixed(2)}`);
+      }
+
+      const previous = settlement.toObject();
+      settlement.payments.push({
+        amount,
+        method,
+        referenceNumber,
+        paidAt: paidAt || undefined,
+        notes,
+        recordedBy: req.user._id
+      });
+      settlement.amountPaid = roundCurrency(settlement.amountPaid + amount);
+      settlement.status = paymentStatus(settlement.amountDue, settlement.amountPaid);
+      await settlement.save({ session });
+
+      await recordAudit(req, {
+        action: 'payment',
+        targetType: 'Settlement',
+        target: settlement,
+        targetLabel: settlement.settlementNumber,
+        before: previous,
+        after: settlement,
+        fields: ['amountPaid', 'status'],
+        reason: `${amount.toFixed(2)} paid by ${method}${referenceNumber ? ` (ref ${referenceNumber})` : ''}`
+      }, { session });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await populateSettlement(Settlement.findById(req.params.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a settlement issued in error, before any payment
+ * @route   PUT /api/settlements/:id/cancel
+ * @access  Private/Admin
+ */
+export const cancelSettlement = async (req, res, next) => {
+  try {
+    const settlement = await Settlement.findOneAndUpdate(
+      { _id: req.params.id, status: 'unpaid', 'payments.0': { $exists: false } },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!settlement) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only unpaid settlements without payments can be cancelled'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'cancel',
+      targetType: 'Settlement',
+      target: settlement,
+      targetLabel: settlement.settlementNumber,
+      before: { status: 'unpaid' },
+      after: settlement,
+      fields: ['status']
+    });
+
+    res.json({
+      success: true,
+      data: await populateSettlement(Settlement.findById(settlement._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
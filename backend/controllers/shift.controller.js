@@ -0,0 +1,360 @@
+import mongoose from 'mongoose';
+import Shift from '../models/Shift.model.js';
+import { PAYMENT_METHODS } from '../models/Sale.model.js';
+import { generateShiftNumber, withNumberRetry } from '../utils/documentNumber.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { httpError } from '../utils/httpError.js';
+import { hasVariance, takeShiftReading } from '../utils/shift.js';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * Populate the references shown on a shift
+ */
+const populateShift = (query) => query
+  .populate('cashier', 'username')
+  .populate('closedBy', 'username')
+  .populate('cashMovements.user', 'username');
+
+/**
+ * Staff can only act on their own shifts; admins can act on any
+ */
+const ownerFilter = (user) => (user.role === 'admin' ? {} : { cashier: user._id });
+
+/**
+ * Find a shift the user may see, or throw 404
+ */
+const findShift = async (id, user) => {
+  const shift = await populateShift(Shift.findOne({ _id: id, ...ownerFilter(user) }));
+  if (!shift) {
+    throw httpError(404, 'Shift not found');
+  }
+  return shift;
+};
+
+/**
+ * @desc    Get shifts
+ * @route   GET /api/shifts
+ * @access  Private/Admin/Staff
+ */
+export const getShifts = async (req, res, next) => {
+  try {
+    const { status, cashier, flagged, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const filter = { ...ownerFilter(req.user) };
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (cashier && req.user.role === 'admin') {
+      filter.cashier = cashier;
+    }
+
+    if (flagged === 'true') {
+      filter.hasVariance = true;
+    }
+
+    if (startDate || endDate) {
+      filter.openedAt = {};
+      if (startDate) filter.openedAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.openedAt.$lte = end;
+      }
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [shifts, total] = await Promise.all([
+      populateShift(Shift.find(filter))
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Shift.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: shifts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the logged-in user's open shift with a live reading
+ * @route   GET /api/shifts/current
+ * @access  Private/Admin/Staff
+ */
+export const getCurrentShift = async (req, res, next) => {
+  try {
+    const shift = await populateShift(Shift.findOne({ cashier: req.user._id, status: 'open' }));
+
+    res.json({
+      success: true,
+      data: shift,
+      reading: shift ? await takeShiftReading(shift) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single shift
+ * @route   GET /api/shifts/:id
+ * @access  Private/Admin/Staff
+ */
+export const getShift = async (req, res, next) => {
+  try {
+    const shift = await findShift(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Open a shift with an opening float
+ * @route   POST /api/shifts/open
+ * @access  Private/Admin/Staff
+ */
+export const openShift = async (req, res, next) => {
+  try {
+    let shift;
+    await withNumberRetry(() => mongoose.connection.transaction(async (session) => {
+      const shiftNumber = await generateShiftNumber({ session });
+      [shift] = await Shift.create([{
+        shiftNumber,
+        cashier: req.user._id,
+        openingFloat: roundCurrency(req.body.openingFloat)
+      }], { session });
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: await populateShift(Shift.findById(shift._id))
+    });
+  } catch (error) {
+    // The partial unique index allows one open shift per cashier
+    if (error.code === 11000 && error.keyPattern?.cashier) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open shift'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record cash added to or paid out of the drawer
+ * @route   POST /api/shifts/:id/cash-movements
+ * @access  Private/Admin/Staff
+ */
+export const addCashMovement = async (req, res, next) => {
+  try {
+    const { type, reason } = req.body;
+    const amount = roundCurrency(req.body.amount);
+    const shift = await findShift(req.params.id, req.user);
+
+    if (shift.status !== 'open') {
+      throw httpError(400, 'Cash can only be recorded on an open shift');
+    }
+
+    if (type === 'cash_out') {
+      const reading = await takeShiftReading(shift);
+      const cashOnHand = reading.lines.find(line => line.method === 'cash').expected;
+      if (amount > cashOnHand) {
+        throw httpError(400, `Only ${cashOnHand.toFixed(2)} cash is expected in the drawer`);
+      }
+    }
+
+    const updated = await Shift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      { $push: { cashMovements: { type, amount, reason, user: req.user._id } } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw httpError(400, 'Cash can only be recorded on an open shift');
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await populateShift(Shift.findById(updated._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an X-reading: the live expected amounts of an open shift.
+ *          Closed shifts return their Z-reading.
+ * @route   GET /api/shifts/:id/x-reading
+ * @access  Private/Admin/Staff
+ */
+export const getXReading = async (req, res, next) => {
+  try {
+    const shift = await findShift(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: shift.status === 'open' ? await takeShiftReading(shift) : shift.zReading
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close a shift with the counted amounts and record its Z-reading
+ * @route   POST /api/shifts/:id/close
+ * @access  Private/Admin/Staff
+ */
+export const closeShift = async (req, res, next) => {
+  try {
+    const { counted = {}, closingNotes } = req.body;
+    const countedByMethod = Object.fromEntries(
+      PAYMENT_METHODS
+        .filter(method => counted[method] !== undefined && counted[method] !== null && counted[method] !== '')
+        .map(method => [method, Number(counted[method])])
+    );
+
+    // Closing first stops the shift taking cash movements while the reading is taken
+    let shift;
+    await mongoose.connection.transaction(async (session) => {
+      const closing = await Shift.findOneAndUpdate(
+        { _id: req.params.id, status: 'open', ...ownerFilter(req.user) },
+        { status: 'closed', closedAt: new Date(), closedBy: req.user._id, closingNotes },
+        { new: true, session }
+      );
+
+      if (!closing) {
+        const exists = await Shift.exists({ _id: req.params.id, ...ownerFilter(req.user) }).session(session);
+        throw exists ? httpError(400, 'Shift is already closed') : httpError(404, 'Shift not found');
+      }
+
+      const reading = await takeShiftReading(closing, countedByMethod, session);
+      closing.zReading = reading;
+      closing.hasVariance = hasVariance(reading);
+      shift = await closing.save({ session });
+
+      // Each counted method's variance is kept with the closing
+      const variances = reading.lines
+        .filter(line => line.variance)
+        .map(line => `${line.method} ${line.variance.toFixed(2)}`);
+      await recordAudit(req, {
+        action: 'close',
+        targetType: 'Shift',
+        target: shift,
+        targetLabel: shift.shiftNumber,
+        before: { status: 'open' },
+        after: { status: 'closed', expectedTotal: reading.expectedTotal, countedTotal: reading.countedTotal, variance: reading.variance },
+        reason: variances.length > 0 ? `Variance: ${variances.join(', ')}` : closingNotes
+      }, { session });
+    });
+
+    res.json({
+      success: true,
+      data: await populateShift(Shift.findById(shift._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the end-of-day Z-reading across all shifts closed on a date
+ * @route   GET /api/shifts/z-reading?date=YYYY-MM-DD
+ * @access  Private/Admin
+ */
+export const getDailyZReading = async (req, res, next) => {
+  try {
+    const start = new Date(req.query.date);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setHours(23, 59, 59, 999);
+
+    const [shifts, openShifts] = await Promise.all([
+      populateShift(Shift.find({ status: 'closed', closedAt: { $gte: start, $lte: end } }))
+        .sort({ closedAt: 1 }),
+      Shift.countDocuments({ status: 'open' })
+    ]);
+
+    const lines = new Map();
+    const totals = { salesCount: 0, salesTotal: 0, returnCount: 0, refundTotal: 0 };
+
+    for (const shift of shifts) {
+      const reading = shift.zReading;
+      if (!reading) continue;
+
+      totals.salesCount += reading.salesCount;
+      totals.salesTotal += reading.salesTotal;
+      totals.returnCount += reading.returnCount;
+      totals.refundTotal += reading.refundTotal;
+
+      for (const line of reading.lines) {
+        const combined = lines.get(line.method) || {
+          method: line.method,
+          openingFloat: 0,
+          sales: 0,
+          refunds: 0,
+          cashIn: 0,
+          cashOut: 0,
+          expected: 0,
+          counted: 0,
+          variance: 0
+        };
+        for (const field of ['openingFloat', 'sales', 'refunds', 'cashIn', 'cashOut', 'expected']) {
+          combined[field] = roundCurrency(combined[field] + line[field]);
+        }
+        // Uncounted methods are taken as matching what was expected
+        combined.counted = roundCurrency(combined.counted + (line.counted ?? line.expected));
+        combined.variance = roundCurrency(combined.variance + (line.variance ?? 0));
+        lines.set(line.method, combined);
+      }
+    }
+
+    const dailyLines = PAYMENT_METHODS.filter(method => lines.has(method)).map(method => lines.get(method));
+
+    res.json({
+      success: true,
+      data: {
+        date: req.query.date,
+        shiftCount: shifts.length,
+        openShifts,
+        salesCount: totals.salesCount,
+        salesTotal: roundCurrency(totals.salesTotal),
+        returnCount: totals.returnCount,
+        refundTotal: roundCurrency(totals.refundTotal),
+        lines: dailyLines,
+        expectedTotal: roundCurrency(dailyLines.reduce((sum, line) => sum + line.expected, 0)),
+        countedTotal: roundCurrency(dailyLines.reduce((sum, line) => sum + line.counted, 0)),
+        variance: roundCurrency(dailyLines.reduce((sum, line) => sum + line.variance, 0)),
+        flaggedShifts: shifts
+          .filter(shift => shift.hasVariance)
+          .map(shift => ({
+            _id: shift._id,
+            shiftNumber: shift.shiftNumber,
+            cashier: shift.cashier,
+            variance: shift.zReading?.variance
+          }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
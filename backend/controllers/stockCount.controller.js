@@ -0,0 +1,644 @@
+import mongoose from 'mongoose';
+import StockCount from '../models/StockCount.model.js';
+import StockLevel from '../models/StockLevel.model.js';
+import Product from '../models/Product.model.js';
+import { generateCountNumber, withNumberRetry } from '../utils/documentNumber.js';
+import { httpError } from '../utils/httpError.js';
+import { setStock } from '../utils/stock.js';
+import { barcodeVariants, normalizeBarcode } from '../utils/barcode.js';
+import { checkUserLocation, findActiveLocation, findStockLevels, resolveUserLocation } from '../utils/location.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { recordAudit } from '../utils/audit.js';
+import { hasVariants, lineKey, variantName } from '../utils/variant.js';
+import { baseUnit, findUnit, isValidQuantity, roundQuantity, toBaseQuantity } from '../utils/units.js';
+
+const OPEN_STATUSES = ['counting', 'review'];
+
+/**
+ * Populate the references shown on a stock count
+ */
+const populateCount = (query) => query
+  .populate('location', 'name code')
+  .populate('startedBy', 'username')
+  .populate('submittedBy', 'username')
+  .populate('postedBy', 'username');
+
+const itemLabel = (item) => (item.variantName ? `${item.productName} (${item.variantName})` : item.productName);
+
+const isCounted = (item) => item.countedQuantity !== undefined && item.countedQuantity !== null;
+
+/**
+ * Counted minus expected quantity of a counted item
+ */
+const itemVariance = (item) => roundQuantity(item.countedQuantity - item.expectedQuantity);
+
+/**
+ * Totals of a count: items counted, items with a variance, and the value at
+ * cost of the stock found missing (shortage) and found extra (surplus)
+ */
+const countSummary = (items) => {
+  const summary = { items: items.length, counted: 0, withVariance: 0, shortageValue: 0, surplusValue: 0 };
+
+  for (const item of items.filter(isCounted)) {
+    summary.counted += 1;
+    const variance = itemVariance(item);
+    if (variance === 0) continue;
+
+    summary.withVariance += 1;
+    const value = variance * item.unitCost;
+    if (value < 0) {
+      summary.shortageValue -= value;
+    } else {
+      summary.surplusValue += value;
+    }
+  }
+
+  summary.shortageValue = roundCurrency(summary.shortageValue);
+  summary.surplusValue = roundCurrency(summary.surplusValue);
+  summary.netValue = roundCurrency(summary.surplusValue - summary.shortageValue);
+  return summary;
+};
+
+/**
+ * A count with each counted item's variance and its value at cost and at
+ * retail. Staff count blind: expected quantities are hidden from them while counting.
+ */
+const serializeCount = (count, user) => {
+  const data = count.toObject();
+  const blind = user.role !== 'admin' && data.status === 'counting';
+
+  data.summary = countSummary(data.items);
+  data.items = data.items.map(item => {
+    const line = { ...item };
+    if (isCounted(item)) {
+      line.variance = itemVariance(item);
+      line.costImpact = roundCurrency(line.variance * item.unitCost);
+      line.retailImpact = roundCurrency(line.variance * item.price);
+    }
+    if (blind) {
+      delete line.expectedQuantity;
+      delete line.variance;
+      delete line.costImpact;
+      delete line.retailImpact;
+    }
+    return line;
+  });
+  if (blind) {
+    delete data.summary.withVariance;
+    delete data.summary.shortageValue;
+    delete data.summary.surplusValue;
+    delete data.summary.netValue;
+  }
+  return data;
+};
+
+/**
+ * Find a stock count the user may work on. Throws a 404 error when there is
+ * none, and a 403 error for staff counting another branch.
+ */
+const findCount = async (id, user) => {
+  const count = await StockCount.findById(id);
+  if (!count) {
+    throw httpError(404, 'Stock count not found');
+  }
+  await checkUserLocation(user, count.location, 'You can only count stock at your own branch');
+  return count;
+};
+
+/**
+ * Move a count from one of `fromStatuses` to a new status. The status check
+ * is part of the update so two users cannot both act on the same count.
+ */
+const changeStatus = async (id, fromStatuses, update, errorMessage, session = null) => {
+  const count = await StockCount.findOneAndUpdate(
+    { _id: id, status: { $in: fromStatuses } },
+    update,
+    { new: true, session }
+  );
+
+  if (!count) {
+    const exists = await StockCount.exists({ _id: id }).session(session);
+    throw exists ? httpError(400, errorMessage) : httpError(404, 'Stock count not found');
+  }
+
+  return count;
+};
+
+/**
+ * Convert a counted quantity entered in one of the product's units to its base unit
+ */
+const toCountedQuantity = (product, item, quantity, unitName) => {
+  const unit = findUnit(product, unitName);
+  if (!unit) {
+    throw httpError(400, `${product.name} has no unit ${unitName}`);
+  }
+  const counted = toBaseQuantity(quantity, unit);
+  if (!isValidQuantity(product, counted)) {
+    throw httpError(400, `${itemLabel(item)} must be counted in whole ${baseUnit(product)}`);
+  }
+  return counted;
+};
+
+/**
+ * @desc    Get stock counts
+ * @route   GET /api/stock-counts
+ * @access  Private/Admin/Staff
+ */
+export const getStockCounts = async (req, res, next) => {
+  try {
+    const { status, location, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (status) {
+      filter.status = { $in: status.split(',') };
+    }
+    // Staff see the counts of their own branch
+    if (req.user.role !== 'admin') {
+      filter.location = (await resolveUserLocation(req.user))._id;
+    } else if (location) {
+      filter.location = location;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [counts, total] = await Promise.all([
+      populateCount(StockCount.find(filter))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      StockCount.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: counts.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      // Items are only returned with a single count
+      data: counts.map(count => {
+        const { items, ...data } = serializeCount(count, req.user);
+        return data;
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single stock count with its items
+ * @route   GET /api/stock-counts/:id
+ * @access  Private/Admin/Staff
+ */
+export const getStockCount = async (req, res, next) => {
+  try {
+    await findCount(req.params.id, req.user);
+    const count = await populateCount(StockCount.findById(req.params.id));
+
+    res.json({
+      success: true,
+      data: serializeCount(count, req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start a stock count, freezing the stock expected at a location
+ *          for every active product, or those of one category
+ * @route   POST /api/stock-counts
+ * @access  Private/Admin/Staff
+ */
+export const createStockCount = async (req, res, next) => {
+  try {
+    const { category, notes } = req.body;
+
+    // Stock is counted at the user's home branch unless another location is chosen
+    const location = req.body.location
+      ? await findActiveLocation(req.body.location)
+      : await resolveUserLocation(req.user);
+    await checkUserLocation(req.user, location._id, 'You can only count stock at your own branch');
+
+    // Counts of the same stock would post the same variances twice
+    const open = await StockCount.findOne({
+      location: location._id,
+      status: { $in: OPEN_STATUSES },
+      ...(category ? { category: { $in: [category, null] } } : {})
+    });
+    if (open) {
+      return res.status(400).json({
+        success: false,
+        message: `Stock count ${open.countNumber} at ${location.name} is still open`
+      });
+    }
+
+    const products = await Product.find({ isActive: true, ...(category ? { category } : {}) })
+      .select('name sku unit price costPrice variants')
+      .sort({ name: 1 });
+    const levels = await findStockLevels(products.map(product => product._id), location._id);
+
+    // Products with variants are counted per active variant
+    const items = products.flatMap(product => {
+      const line = {
+        product: product._id,
+        productName: product.name,
+        unit: baseUnit(product),
+        unitCost: product.costPrice || 0
+      };
+      if (!hasVariants(product)) {
+        return [{
+          ...line,
+          sku: product.sku,
+          price: product.price,
+          expectedQuantity: levels.get(lineKey(product._id)) || 0
+        }];
+      }
+      return product.variants.filter(variant => variant.isActive).map(variant => ({
+        ...line,
+        variant: variant._id,
+        variantName: variantName(variant),
+        sku: variant.sku,
+        price: variant.price,
+        expectedQuantity: levels.get(lineKey(product._id, variant._id)) || 0
+      }));
+    });
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: category ? `There are no active products in ${category}` : 'There are no active products to count'
+      });
+    }
+
+    let count;
+    await withNumberRetry(() => mongoose.connection.transaction(async (session) => {
+      const countNumber = await generateCountNumber({ session, branchCode: location.code });
+
+      [count] = await StockCount.create([{
+        countNumber,
+        location: location._id,
+        category: category || undefined,
+        items,
+        notes,
+        startedBy: req.user._id
+      }], { session });
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: serializeCount(await populateCount(StockCount.findById(count._id)), req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Enter counted quantities. A `countedQuantity` of null clears the count of an item.
+ * @route   PUT /api/stock-counts/:id/items
+ * @access  Private/Admin/Staff
+ */
+export const updateCountItems = async (req, res, next) => {
+  try {
+    const count = await findCount(req.params.id, req.user);
+    if (count.status !== 'counting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Counts can only be entered while counting'
+      });
+    }
+
+    const products = await Product.find({ _id: { $in: count.items.map(item => item.product) } })
+      .select('name unit units allowFractions');
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const now = new Date();
+    const updates = req.body.items.map(entry => {
+      const item = count.items.id(entry.item);
+      if (!item) {
+        throw httpError(404, `Count item ${entry.item} not found`);
+      }
+      const filter = { _id: count._id, status: 'counting', 'items._id': item._id };
+
+      if (entry.countedQuantity === null) {
+        return {
+          updateOne: {
+            filter,
+            update: { $unset: { 'items.$.countedQuantity': '', 'items.$.countedBy': '', 'items.$.countedAt': '' } }
+          }
+        };
+      }
+
+      const product = productMap.get(item.product.toString());
+      const counted = product
+        ? toCountedQuantity(product, item, Number(entry.countedQuantity), entry.unit)
+        : Number(entry.countedQuantity);
+      return {
+        updateOne: {
+          filter,
+          update: {
+            $set: {
+              'items.$.countedQuantity': counted,
+              'items.$.countedBy': req.user._id,
+              'items.$.countedAt': now
+            }
+          }
+        }
+      };
+    });
+
+    const result = await StockCount.bulkWrite(updates);
+    if (result.matchedCount < updates.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counting has finished on this stock count'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Counts saved',
+      data: serializeCount(await populateCount(StockCount.findById(count._id)), req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Count a product or variant by scanning its barcode or SKU. Each scan
+ *          adds `quantity` (default 1) to the counted quantity.
+ * @route   POST /api/stock-counts/:id/scan
+ * @access  Private/Admin/Staff
+ */
+export const scanCountItem = async (req, res, next) => {
+  try {
+    const count = await findCount(req.params.id, req.user);
+    if (count.status !== 'counting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Counts can only be entered while counting'
+      });
+    }
+
+    const rawCode = String(req.body.code).trim();
+    const codes = barcodeVariants(normalizeBarcode(rawCode));
+    const product = await Product.findOne({
+      $or: [
+        { barcodes: { $in: codes } },
+        { sku: rawCode },
+        { 'variants.barcodes': { $in: codes } },
+        { 'variants.sku': rawCode }
+      ]
+    }).select('name sku unit units allowFractions variants');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: `No product found for code ${rawCode}`
+      });
+    }
+
+    // Variants are counted separately, so the scan must name one
+    const variant = (product.variants || []).find(
+      item => item.sku === rawCode || (item.barcodes || []).some(barcode => codes.includes(barcode))
+    );
+    if (hasVariants(product) && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: `Scan the barcode of a variant of ${product.name}`
+      });
+    }
+
+    const item = count.items.find(line => (
+      line.product.equals(product._id) && String(line.variant || '') === String(variant?._id || '')
+    ));
+    if (!item) {
+      return res.status(400).json({
+        success: false,
+        message: `${variant ? `${product.name} (${variantName(variant)})` : product.name} is not part of this count`
+      });
+    }
+
+    const quantity = toCountedQuantity(product, item, req.body.quantity ?? 1, req.body.unit);
+    const updated = await StockCount.findOneAndUpdate(
+      { _id: count._id, status: 'counting', 'items._id': item._id },
+      {
+        $inc: { 'items.$.countedQuantity': quantity },
+        $set: { 'items.$.countedBy': req.user._id, 'items.$.countedAt': new Date() }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counting has finished on this stock count'
+      });
+    }
+
+    const line = updated.items.id(item._id);
+    res.json({
+      success: true,
+      message: `${itemLabel(line)}: ${roundQuantity(line.countedQuantity)} ${line.unit} counted`,
+      data: {
+        item: line._id,
+        countedQuantity: line.countedQuantity
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Finish counting and send the variances for review
+ * @route   PUT /api/stock-counts/:id/submit
+ * @access  Private/Admin/Staff
+ */
+export const submitStockCount = async (req, res, next) => {
+  try {
+    const existing = await findCount(req.params.id, req.user);
+    if (!existing.items.some(isCounted)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Count at least one item before submitting'
+      });
+    }
+
+    const count = await changeStatus(
+      req.params.id,
+      ['counting'],
+      { status: 'review', submittedBy: req.user._id, submittedAt: new Date() },
+      'Only counts in progress can be submitted'
+    );
+
+    res.json({
+      success: true,
+      message: `Stock count ${count.countNumber} submitted for review`,
+      data: serializeCount(await populateCount(StockCount.findById(count._id)), req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a count under review back for recounting
+ * @route   PUT /api/stock-counts/:id/reopen
+ * @access  Private/Admin
+ */
+export const reopenStockCount = async (req, res, next) => {
+  try {
+    const count = await changeStatus(
+      req.params.id,
+      ['review'],
+      { status: 'counting', $unset: { submittedBy: '', submittedAt: '' } },
+      'Only counts under review can be reopened'
+    );
+
+    res.json({
+      success: true,
+      message: `Stock count ${count.countNumber} reopened for counting`,
+      data: serializeCount(await populateCount(StockCount.findById(count._id)), req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Post the approved variances of a reviewed count to stock. Stock is
+ *          moved by each variance, so sales made while counting are kept.
+ *          `items` lists the approved items; all counted items when omitted.
+ *          Items not counted are left unchanged.
+ * @route   POST /api/stock-counts/:id/post
+ * @access  Private/Admin
+ */
+export const postStockCount = async (req, res, next) => {
+  try {
+    const approved = req.body.items ? new Set(req.body.items.map(String)) : null;
+
+    let count;
+    let adjusted = 0;
+    await mongoose.connection.transaction(async (session) => {
+      adjusted = 0;
+      // Stock held before and after posting, by item, for the audit log
+      const before = {};
+      const after = {};
+      count = await changeStatus(
+        req.params.id,
+        ['review'],
+        { status: 'posted', postedBy: req.user._id, postedAt: new Date() },
+        'Only counts under review can be posted',
+        session
+      );
+      const location = await findActiveLocation(count.location, session);
+      const reference = { model: 'StockCount', id: count._id, number: count.countNumber };
+
+      for (const item of count.items) {
+        if (!isCounted(item) || (approved && !approved.has(item._id.toString()))) continue;
+        item.posted = true;
+
+        const variance = itemVariance(item);
+        if (variance === 0) continue;
+
+        const level = await StockLevel.findOne({
+          product: item.product,
+          variant: item.variant || null,
+          location: location._id
+        }).session(session);
+        const current = level?.quantity || 0;
+        const quantity = roundQuantity(current + variance);
+        if (quantity < 0) {
+          throw httpError(400, `${location.name} now holds ${current} of ${itemLabel(item)}, less than the ${-variance} found missing. Recount it before posting.`);
+        }
+
+        const updated = await setStock({
+          product: item.product,
+          variant: item.variant,
+          location: location._id,
+          quantity,
+          type: 'count',
+          user: req.user._id,
+          reason: `Stock count ${count.countNumber}`,
+          reference,
+          session
+        });
+        if (!updated) {
+          throw httpError(400, `${itemLabel(item)} no longer exists. Leave it out of the posting.`);
+        }
+        before[itemLabel(item)] = current;
+        after[itemLabel(item)] = quantity;
+        adjusted += 1;
+      }
+
+      if (!count.items.some(item => item.posted)) {
+        throw httpError(400, 'Approve at least one counted item to post');
+      }
+      await count.save({ session });
+      await recordAudit(req, {
+        action: 'post',
+        targetType: 'StockCount',
+        target: count,
+        targetLabel: count.countNumber,
+        before,
+        after,
+        reason: `${adjusted} stock adjustment${adjusted === 1 ? '' : 's'} at ${location.name}`
+      }, { session });
+    });
+
+    res.json({
+      success: true,
+      message: `Stock count ${count.countNumber} posted with ${adjusted} stock adjustment${adjusted === 1 ? '' : 's'}`,
+      data: serializeCount(await populateCount(StockCount.findById(count._id)), req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a stock count that has not been posted
+ * @route   PUT /api/stock-counts/:id/cancel
+ * @access  Private/Admin/Staff
+ */
+export const cancelStockCount = async (req, res, next) => {
+  try {
+    // Staff may only cancel counts they started
+    const existing = await findCount(req.params.id, req.user);
+    if (req.user.role !== 'admin' && !existing.startedBy.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only cancel stock counts you started'
+      });
+    }
+
+    const count = await changeStatus(
+      req.params.id,
+      OPEN_STATUSES,
+      { status: 'cancelled', cancelledAt: new Date() },
+      'Only open stock counts can be cancelled'
+    );
+    await recordAudit(req, {
+      action: 'cancel',
+      targetType: 'StockCount',
+      target: count,
+      targetLabel: count.countNumber,
+      before: existing,
+      after: count,
+      fields: ['status']
+    });
+
+    res.json({
+      success: true,
+      message: `Stock count ${count.countNumber} cancelled`,
+      data: serializeCount(await populateCount(StockCount.findById(count._id)), req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
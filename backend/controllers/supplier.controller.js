@@ -1,14 +1,47 @@
 import Supplier from '../models/Supplier.model.js';
 import User from '../models/User.model.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Supplier fields an admin can set; the linked user account is managed separately
+const SUPPLIER_FIELDS = [
+  'companyName', 'contactDetails', 'contacts', 'address', 'tin', 'paymentTerms', 'minimumOrderValue', 'isActive',
+  'leadTimeDays', 'safetyStockDays', 'isConsignor', 'settlementBasis', 'commissionRate'
+];
+
+const pickSupplierFields = (body) => Object.fromEntries(
+  SUPPLIER_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 /**
- * @desc    Get all suppliers
+ * @desc    Get all suppliers, optionally searching company name, TIN and
+ *          contacts and filtering by status, payment terms and consignment
  * @route   GET /api/suppliers
  * @access  Private
  */
 export const getSuppliers = async (req, res, next) => {
   try {
-    const suppliers = await Supplier.find()
+    const { search, isActive, paymentTerms, isConsignor } = req.query;
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [
+        { companyName: pattern },
+        { tin: pattern },
+        { 'contacts.name': pattern },
+        { 'contacts.email': pattern },
+        { 'contacts.phone': pattern },
+        { 'address.city': pattern }
+      ];
+    }
+    // Suppliers saved before these fields existed have neither set
+    if (isActive !== undefined) filter.isActive = isActive === 'true' ? { $ne: false } : false;
+    if (paymentTerms) filter.paymentTerms = paymentTerms;
+    if (isConsignor !== undefined) filter.isConsignor = isConsignor === 'true' ? true : { $ne: true };
+
+    const suppliers = await Supplier.find(filter)
       .populate('userId', 'username role isActive')
       .sort({ companyName: 1 });
     
@@ -55,7 +88,7 @@ export const getSupplier = async (req, res, next) => {
  */
 export const createSupplier = async (req, res, next) => {
   try {
-    const { username, password, firstName, lastName, email, phone, companyName, contactDetails } = req.body;
+    const { username, password, firstName, lastName, email, phone } = req.body;
 
     // Check if username or email already exists
     const userExists = await User.findOne({ $or: [{ username }, { email }] });
@@ -80,11 +113,29 @@ export const createSupplier = async (req, res, next) => {
     });
 
     // Create supplier record
+    // The account holder is the primary contact unless contacts are given
+    const fields = pickSupplierFields(req.body);
     const supplier = await Supplier.create({
-      companyName,
-      contactDetails,
+      ...fields,
+      contacts: fields.contacts?.length > 0
+        ? fields.contacts
+        : [{ name: `${firstName} ${lastName}`, email, phone, isPrimary: true }],
       userId: user._id
     });
+    await recordAudit(req, {
+      action: 'create',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.username,
+      after: user
+    });
+    await recordAudit(req, {
+      action: 'create',
+      targetType: 'Supplier',
+      target: supplier,
+      targetLabel: supplier.companyName,
+      after: supplier
+    });
 
     // Populate user data in response
     await supplier.populate('userId', 'username firstName lastName email phone role isActive');
@@ -105,11 +156,12 @@ export const createSupplier = async (req, res, next) => {
  */
 export const updateSupplier = async (req, res, next) => {
   try {
-    const supplier = await Supplier.findByIdAndUpdate(
+    const previous = await Supplier.findById(req.params.id);
+    const supplier = previous && await Supplier.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      pickSupplierFields(req.body),
       { new: true, runValidators: true }
-    );
+    ).populate('userId', 'username role isActive');
 
     if (!supplier) {
       return res.status(404).json({
@@ -118,6 +170,15 @@ export const updateSupplier = async (req, res, next) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'update',
+      targetType: 'Supplier',
+      target: supplier,
+      targetLabel: supplier.companyName,
+      before: previous,
+      after: supplier
+    });
+
     res.json({
       success: true,
       data: supplier
@@ -144,11 +205,28 @@ export const deleteSupplier = async (req, res, next) => {
     }
 
     // Delete associated user account
-    await User.findByIdAndDelete(supplier.userId);
+    const user = await User.findByIdAndDelete(supplier.userId);
 
     // Delete supplier record
     await Supplier.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'delete',
+      targetType: 'Supplier',
+      target: supplier,
+      targetLabel: supplier.companyName,
+      before: supplier
+    });
+    if (user) {
+      await recordAudit(req, {
+        action: 'delete',
+        targetType: 'User',
+        target: user,
+        targetLabel: user.username,
+        before: user
+      });
+    }
+
     res.json({
       success: true,
       message: 'Supplier deleted successfully'
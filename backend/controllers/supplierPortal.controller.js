@@ -0,0 +1,131 @@
+import Product from '../models/Product.model.js';
+import Supplier from '../models/Supplier.model.js';
+import Setting from '../models/Setting.model.js';
+import { buildConsignmentStatement, renderStatementCsv, renderStatementPdf } from '../utils/consignment.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { lineKey, variantName } from '../utils/variant.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Supplier a portal request is for: suppliers get their own record, admins
+ * name one with ?supplier=
+ */
+const resolveSupplier = async (req) => {
+  if (req.user.role === 'supplier') {
+    const supplier = await Supplier.findOne({ userId: req.user._id });
+    if (!supplier) {
+      throw httpError(403, 'Supplier record not found');
+    }
+    return supplier;
+  }
+
+  if (!req.query.supplier) {
+    throw httpError(400, 'Supplier is required');
+  }
+  const supplier = await Supplier.findById(req.query.supplier);
+  if (!supplier) {
+    throw httpError(404, 'Supplier not found');
+  }
+  return supplier;
+};
+
+/**
+ * Statement period from ?startDate and ?endDate, the last 30 days by default
+ */
+const statementPeriod = ({ startDate, endDate }) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end);
+  if (!startDate) {
+    start.setDate(start.getDate() - 29);
+    start.setHours(0, 0, 0, 0);
+  }
+  return { startDate: start, endDate: end };
+};
+
+/**
+ * @desc    Sell-through of the supplier's goods: units sold in the period,
+ *          stock on hand now, and the share of the two that sold
+ * @route   GET /api/supplier-portal/performance
+ * @access  Private/Admin/Supplier
+ */
+export const getPerformance = async (req, res, next) => {
+  try {
+    const supplier = await resolveSupplier(req);
+    const period = statementPeriod(req.query);
+    const [statement, products] = await Promise.all([
+      buildConsignmentStatement({ supplier, ...period }),
+      Product.find({ supplier: supplier._id }).sort({ name: 1 })
+    ]);
+    const soldByLine = new Map(statement.lines.map(line => [lineKey(line.product, line.variant), line]));
+
+    const rows = products.flatMap(product => {
+      const entries = product.variants?.length > 0
+        ? product.variants.map(variant => ({ variant, stockOnHand: variant.stockQuantity, isActive: product.isActive && variant.isActive }))
+        : [{ variant: null, stockOnHand: product.stockQuantity, isActive: product.isActive }];
+
+      return entries.map(({ variant, stockOnHand, isActive }) => {
+        const sold = soldByLine.get(lineKey(product._id, variant?._id));
+        const quantitySold = sold?.netQuantity || 0;
+        const available = quantitySold + Math.max(stockOnHand, 0);
+        return {
+          product: product._id,
+          variant: variant?._id || null,
+          name: product.name,
+          variantName: variant ? variantName(variant) : '',
+          sku: variant?.sku || product.sku || '',
+          unit: product.unit || 'pcs',
+          price: variant ? variant.price : product.price,
+          isActive,
+          stockOnHand,
+          quantitySold,
+          netSales: sold?.netSales || 0,
+          sellThrough: available > 0 ? roundCurrency((quantitySold / available) * 100) : 0
+        };
+      });
+    });
+
+    res.json({
+      success: true,
+      supplier: statement.supplier,
+      startDate: statement.startDate,
+      endDate: statement.endDate,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Consignment sales statement of the supplier's goods for a period
+ * @route   GET /api/supplier-portal/statement?startDate=&endDate=&format=json|csv|pdf
+ * @access  Private/Admin/Supplier
+ */
+export const getStatement = async (req, res, next) => {
+  try {
+    const supplier = await resolveSupplier(req);
+    const statement = await buildConsignmentStatement({ supplier, ...statementPeriod(req.query) });
+    const day = (date) => date.toLocaleDateString('en-CA');
+    const filename = `Statement_${day(statement.startDate)}_${day(statement.endDate)}`;
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.type('text/csv').send(renderStatementCsv(statement));
+    }
+
+    if (req.query.format === 'pdf') {
+      const settings = await Setting.getSettings();
+      const pdf = await renderStatementPdf(statement, settings.receipt);
+      res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.type('application/pdf').send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
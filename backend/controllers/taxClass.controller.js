@@ -0,0 +1,154 @@
+import TaxClass from '../models/TaxClass.model.js';
+import Product from '../models/Product.model.js';
+import Category from '../models/Category.model.js';
+import Setting from '../models/Setting.model.js';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * @desc    Get all tax classes
+ * @route   GET /api/tax-classes
+ * @access  Private
+ */
+export const getTaxClasses = async (req, res, next) => {
+  try {
+    const taxClasses = await TaxClass.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: taxClasses.length,
+      data: taxClasses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new tax class
+ * @route   POST /api/tax-classes
+ * @access  Private/Admin
+ */
+export const createTaxClass = async (req, res, next) => {
+  try {
+    const taxClass = await TaxClass.create(req.body);
+    await recordAudit(req, {
+      action: 'create',
+      targetType: 'TaxClass',
+      target: taxClass,
+      targetLabel: taxClass.name,
+      after: taxClass
+    });
+
+    res.status(201).json({
+      success: true,
+      data: taxClass
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tax class code already exists'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update tax class
+ * @route   PUT /api/tax-classes/:id
+ * @access  Private/Admin
+ * @note    Past sales keep the rate snapshotted at the time of sale
+ */
+export const updateTaxClass = async (req, res, next) => {
+  try {
+    const taxClass = await TaxClass.findById(req.params.id);
+
+    if (!taxClass) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax class not found'
+      });
+    }
+
+    const previous = taxClass.toObject();
+    taxClass.set(req.body);
+    await taxClass.save();
+    await recordAudit(req, {
+      action: 'update',
+      targetType: 'TaxClass',
+      target: taxClass,
+      targetLabel: taxClass.name,
+      before: previous,
+      after: taxClass
+    });
+
+    res.json({
+      success: true,
+      data: taxClass
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tax class code already exists'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete tax class
+ * @route   DELETE /api/tax-classes/:id
+ * @access  Private/Admin
+ */
+export const deleteTaxClass = async (req, res, next) => {
+  try {
+    const taxClass = await TaxClass.findById(req.params.id);
+
+    if (!taxClass) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax class not found'
+      });
+    }
+
+    // Check if tax class is assigned anywhere
+    const [productCount, categoryCount, settings] = await Promise.all([
+      Product.countDocuments({ taxClass: taxClass._id }),
+      Category.countDocuments({ taxClass: taxClass._id }),
+      Setting.getSettings()
+    ]);
+
+    if (productCount > 0 || categoryCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete tax class. It is assigned to ${productCount} product(s) and ${categoryCount} category(ies).`
+      });
+    }
+
+    if (settings.tax.defaultTaxClass?.toString() === taxClass._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the default tax class. Choose another default in Settings first.'
+      });
+    }
+
+    await TaxClass.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'delete',
+      targetType: 'TaxClass',
+      target: taxClass,
+      targetLabel: taxClass.name,
+      before: taxClass
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax class deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,416 @@
+import mongoose from 'mongoose';
+import StockTransfer from '../models/StockTransfer.model.js';
+import StockLot from '../models/StockLot.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import Product from '../models/Product.model.js';
+import { generateTransferNumber, withNumberRetry } from '../utils/documentNumber.js';
+import { httpError } from '../utils/httpError.js';
+import { adjustStock } from '../utils/stock.js';
+import { recordAudit } from '../utils/audit.js';
+import { checkUserLocation, findActiveLocation, findStockLevels, locationMatch } from '../utils/location.js';
+import { findVariant, hasVariants, lineKey, variantName } from '../utils/variant.js';
+import { baseUnit, findUnit, isValidQuantity, toBaseQuantity } from '../utils/units.js';
+
+/**
+ * Populate the references shown on a transfer
+ */
+const populateTransfer = (query) => query
+  .populate('fromLocation', 'name code')
+  .populate('toLocation', 'name code')
+  .populate('items.product', 'name sku unit trackExpiry')
+  .populate('items.lots.lot', 'lotNumber expiryDate')
+  .populate('requestedBy', 'username')
+  .populate('dispatchedBy', 'username')
+  .populate('receivedBy', 'username');
+
+/**
+ * Validate requested lines and build transfer items in the products' base units
+ */
+const buildTransferItems = async (items) => {
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) }, isActive: true })
+    .select('name variants unit units allowFractions');
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  return items.map(item => {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      throw httpError(404, `Product ${item.product} not found`);
+    }
+
+    // Products with variants are moved per variant
+    const variant = findVariant(product, item.variant);
+    if (hasVariants(product) && !variant) {
+      throw httpError(400, `Choose which variant of ${product.name} to transfer`);
+    }
+
+    const unit = findUnit(product, item.unit);
+    if (!unit) {
+      throw httpError(400, `${product.name} has no unit ${item.unit}`);
+    }
+    const quantity = toBaseQuantity(item.quantity, unit);
+    if (!isValidQuantity(product, quantity)) {
+      throw httpError(400, `${product.name} must be transferred in whole ${baseUnit(product)}`);
+    }
+
+    return {
+      product: product._id,
+      variant: variant?._id,
+      variantName: variant ? variantName(variant) : undefined,
+      quantity
+    };
+  });
+};
+
+/**
+ * Move a transfer from `fromStatus` to a new status. The status check is part
+ * of the update so two users cannot both act on the same transfer.
+ */
+const changeStatus = async (id, fromStatus, update, errorMessage, session = null) => {
+  const transfer = await StockTransfer.findOneAndUpdate(
+    { _id: id, status: fromStatus },
+    update,
+    { new: true, session }
+  );
+
+  if (!transfer) {
+    const exists = await StockTransfer.exists({ _id: id }).session(session);
+    throw exists ? httpError(400, errorMessage) : httpError(404, 'Stock transfer not found');
+  }
+
+  return transfer;
+};
+
+/**
+ * @desc    Get stock transfers
+ * @route   GET /api/transfers
+ * @access  Private/Admin/Staff
+ */
+export const getTransfers = async (req, res, next) => {
+  try {
+    const { status, location, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (status) {
+      filter.status = { $in: status.split(',') };
+    }
+    // Transfers into or out of one location
+    if (location) {
+      const match = await locationMatch(location);
+      filter.$or = [{ fromLocation: match }, { toLocation: match }];
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [transfers, total] = await Promise.all([
+      populateTransfer(StockTransfer.find(filter))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      StockTransfer.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: transfers.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: transfers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single stock transfer
+ * @route   GET /api/transfers/:id
+ * @access  Private/Admin/Staff
+ */
+export const getTransfer = async (req, res, next) => {
+  try {
+    const transfer = await populateTransfer(StockTransfer.findById(req.params.id));
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request stock to be moved from one location to another
+ * @route   POST /api/transfers
+ * @access  Private/Admin/Staff
+ */
+export const createTransfer = async (req, res, next) => {
+  try {
+    const { fromLocation: fromId, toLocation: toId, items, notes } = req.body;
+
+    if (String(fromId) === String(toId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose two different locations'
+      });
+    }
+
+    const [fromLocation, toLocation] = await Promise.all([
+      findActiveLocation(fromId),
+      findActiveLocation(toId)
+    ]);
+    const transferItems = await buildTransferItems(items);
+
+    // Warn early when the source does not hold the stock; it is checked again on dispatch
+    const levels = await findStockLevels(transferItems.map(item => item.product), fromLocation._id);
+    const short = transferItems.find(item => (levels.get(lineKey(item.product, item.variant)) || 0) < item.quantity);
+    if (short) {
+      const held = levels.get(lineKey(short.product, short.variant)) || 0;
+      const product = await Product.findById(short.product).select('name');
+      const label = short.variantName ? `${product.name} (${short.variantName})` : product.name;
+      return res.status(400).json({
+        success: false,
+        message: `${fromLocation.name} only holds ${held} of ${label}`
+      });
+    }
+
+    let transfer;
+    await withNumberRetry(() => mongoose.connection.transaction(async (session) => {
+      const transferNumber = await generateTransferNumber({ session, branchCode: fromLocation.code });
+
+      [transfer] = await StockTransfer.create([{
+        transferNumber,
+        fromLocation: fromLocation._id,
+        toLocation: toLocation._id,
+        items: transferItems,
+        notes,
+        requestedBy: req.user._id
+      }], { session });
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Dispatch a requested transfer, taking the stock out of the source location
+ * @route   PUT /api/transfers/:id/dispatch
+ * @access  Private/Admin
+ */
+export const dispatchTransfer = async (req, res, next) => {
+  try {
+    let transfer;
+    await mongoose.connection.transaction(async (session) => {
+      transfer = await changeStatus(
+        req.params.id,
+        'requested',
+        { status: 'in_transit', dispatchedBy: req.user._id, dispatchedAt: new Date() },
+        'Only requested transfers can be dispatched',
+        session
+      );
+      const fromLocation = await findActiveLocation(transfer.fromLocation, session);
+      const toLocation = await findActiveLocation(transfer.toLocation, session);
+
+      const reference = { model: 'StockTransfer', id: transfer._id, number: transfer.transferNumber };
+      for (const item of transfer.items) {
+        const updated = await adjustStock({
+          product: item.product,
+          variant: item.variant,
+          location: fromLocation._id,
+          change: -item.quantity,
+          type: 'transfer',
+          user: req.user._id,
+          reason: `Transfer to ${toLocation.name}`,
+          reference,
+          session
+        });
+        if (!updated) {
+          const product = await Product.findById(item.product).select('name').session(session);
+          const label = item.variantName ? `${product.name} (${item.variantName})` : product.name;
+          throw httpError(400, `${fromLocation.name} does not hold ${item.quantity} of ${label}`);
+        }
+
+        // Lots the stock left from travel with it to the destination
+        if (updated.trackExpiry) {
+          const movement = await StockMovement.findOne({
+            reference: transfer._id,
+            type: 'transfer',
+            product: item.product,
+            variant: item.variant || null
+          }).session(session);
+          item.lots = movement.lots?.length > 0 ? movement.lots : undefined;
+        }
+      }
+      await transfer.save({ session });
+      await recordAudit(req, {
+        action: 'dispatch',
+        targetType: 'StockTransfer',
+        target: transfer,
+        targetLabel: transfer.transferNumber,
+        before: { status: 'requested' },
+        after: transfer,
+        fields: ['status'],
+        reason: `${transfer.items.length} item${transfer.items.length === 1 ? '' : 's'} out of ${fromLocation.name} to ${toLocation.name}`
+      }, { session });
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferNumber} dispatched`,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive a dispatched transfer, adding the stock at the destination.
+ *          Lots keep their number, expiry date and cost at the destination.
+ * @route   PUT /api/transfers/:id/receive
+ * @access  Private/Admin/Staff
+ */
+export const receiveTransfer = async (req, res, next) => {
+  try {
+    const existing = await StockTransfer.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+    await checkUserLocation(req.user, existing.toLocation, 'You can only receive transfers into your own branch');
+
+    let transfer;
+    await mongoose.connection.transaction(async (session) => {
+      transfer = await changeStatus(
+        req.params.id,
+        'in_transit',
+        { status: 'received', receivedBy: req.user._id, receivedAt: new Date() },
+        'Only transfers in transit can be received',
+        session
+      );
+      const fromLocation = await findActiveLocation(transfer.fromLocation, session);
+      const toLocation = await findActiveLocation(transfer.toLocation, session);
+
+      for (const item of transfer.items) {
+        // Open an empty copy of each source lot at the destination for the stock to go into
+        let lots;
+        if (item.lots?.length > 0) {
+          lots = [];
+          for (const allocation of item.lots) {
+            const source = await StockLot.findById(allocation.lot).session(session);
+            const [lot] = await StockLot.create([{
+              product: item.product,
+              variant: item.variant,
+              location: toLocation._id,
+              lotNumber: source.lotNumber,
+              expiryDate: source.expiryDate,
+              receivedDate: source.receivedDate,
+              quantity: 0,
+              initialQuantity: allocation.quantity,
+              unitCost: source.unitCost,
+              reference: source.reference,
+              referenceNumber: source.referenceNumber,
+              user: req.user._id
+            }], { session });
+            lots.push({ lot: lot._id, quantity: allocation.quantity });
+          }
+        }
+
+        const updated = await adjustStock({
+          product: item.product,
+          variant: item.variant,
+          location: toLocation._id,
+          change: item.quantity,
+          type: 'transfer',
+          user: req.user._id,
+          reason: `Transfer from ${fromLocation.name}`,
+          reference: { model: 'StockTransfer', id: transfer._id, number: transfer.transferNumber },
+          lots,
+          session
+        });
+        if (!updated) {
+          throw httpError(400, `A product on transfer ${transfer.transferNumber} no longer exists`);
+        }
+      }
+
+      await recordAudit(req, {
+        action: 'receive',
+        targetType: 'StockTransfer',
+        target: transfer,
+        targetLabel: transfer.transferNumber,
+        before: { status: 'in_transit' },
+        after: transfer,
+        fields: ['status'],
+        reason: `${transfer.items.length} item${transfer.items.length === 1 ? '' : 's'} into ${toLocation.name} from ${fromLocation.name}`
+      }, { session });
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferNumber} received`,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a transfer that has not been dispatched
+ * @route   PUT /api/transfers/:id/cancel
+ * @access  Private/Admin/Staff
+ */
+export const cancelTransfer = async (req, res, next) => {
+  try {
+    // Staff may only cancel their own requests
+    const extra = req.user.role === 'admin' ? {} : { requestedBy: req.user._id };
+    const transfer = await StockTransfer.findOneAndUpdate(
+      { _id: req.params.id, status: 'requested', ...extra },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!transfer) {
+      const exists = await StockTransfer.exists({ _id: req.params.id, ...extra });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only requested transfers can be cancelled' : 'Stock transfer not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'cancel',
+      targetType: 'StockTransfer',
+      target: transfer,
+      targetLabel: transfer.transferNumber,
+      before: { status: 'requested' },
+      after: transfer,
+      fields: ['status']
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferNumber} cancelled`,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,6 @@
 import User from '../models/User.model.js';
+import { findActiveLocation } from '../utils/location.js';
+import { recordAudit } from '../utils/audit.js';
 
 /**
  * @desc    Get all users
@@ -7,7 +9,10 @@ import User from '../models/User.model.js';
  */
 export const getUsers = async (req, res, next) => {
   try {
-    const users = await User.find().select('-password').sort({ createdAt: -1 });
+    const users = await User.find()
+      .select('-password')
+      .populate('location', 'name code')
+      .sort({ createdAt: -1 });
     
     res.json({
       success: true,
@@ -26,7 +31,7 @@ export const getUsers = async (req, res, next) => {
  */
 export const createUser = async (req, res, next) => {
   try {
-    const { username, firstName, lastName, email, phone, password, role } = req.body;
+    const { username, firstName, lastName, email, phone, password, role, isSupervisor, location } = req.body;
 
     const userExists = await User.findOne({ $or: [{ username }, { email }] });
     if (userExists) {
@@ -38,6 +43,11 @@ export const createUser = async (req, res, next) => {
       });
     }
 
+    // Users without a home branch work at the default location
+    if (location) {
+      await findActiveLocation(location);
+    }
+
     const user = await User.create({ 
       username, 
       firstName, 
@@ -45,7 +55,17 @@ export const createUser = async (req, res, next) => {
       email, 
       phone, 
       password, 
-      role 
+      role,
+      // Only staff are supervisors; admins approve anyway
+      isSupervisor: role === 'staff' && Boolean(isSupervisor),
+      location: location || undefined
+    });
+    await recordAudit(req, {
+      action: 'create',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.username,
+      after: user
     });
 
     res.status(201).json({
@@ -57,7 +77,9 @@ export const createUser = async (req, res, next) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        isSupervisor: user.isSupervisor,
+        location: user.location
       }
     });
   } catch (error) {
@@ -80,7 +102,8 @@ export const updateUser = async (req, res, next) => {
       });
     }
 
-    const { firstName, lastName, email, phone, role, isActive } = req.body;
+    const { firstName, lastName, email, phone, role, isSupervisor, isActive, location } = req.body;
+    const before = user.toObject();
     
     // Check if email is being updated and if it's already taken
     if (email && email !== user.email) {
@@ -98,9 +121,27 @@ export const updateUser = async (req, res, next) => {
     if (email) user.email = email;
     if (phone) user.phone = phone;
     if (role) user.role = role;
+    if (isSupervisor !== undefined) user.isSupervisor = isSupervisor;
+    // Only staff are supervisors; admins approve anyway
+    if (user.role !== 'staff') user.isSupervisor = false;
     if (isActive !== undefined) user.isActive = isActive;
+    // null clears the home branch
+    if (location !== undefined) {
+      if (location) {
+        await findActiveLocation(location);
+      }
+      user.location = location || undefined;
+    }
 
     await user.save();
+    await recordAudit(req, {
+      action: 'update',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.username,
+      before,
+      after: user
+    });
 
     res.json({
       success: true,
@@ -112,7 +153,9 @@ export const updateUser = async (req, res, next) => {
         email: user.email,
         phone: user.phone,
         role: user.role,
-        isActive: user.isActive
+        isSupervisor: user.isSupervisor,
+        isActive: user.isActive,
+        location: user.location
       }
     });
   } catch (error) {
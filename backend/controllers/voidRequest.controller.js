@@ -0,0 +1,242 @@
+import mongoose from 'mongoose';
+import VoidRequest from '../models/VoidRequest.model.js';
+import Sale from '../models/Sale.model.js';
+import Setting from '../models/Setting.model.js';
+import User from '../models/User.model.js';
+import { httpError } from '../utils/httpError.js';
+import { recordAudit } from '../utils/audit.js';
+import { describeReason } from '../utils/approval.js';
+import { checkVoidable, voidSaleRecord } from '../utils/void.js';
+
+const populateRequest = (query) => query
+  .populate({
+    path: 'sale',
+    select: 'saleNumber total createdAt cashier isVoid',
+    populate: { path: 'cashier', select: 'username' }
+  })
+  .populate('requestedBy', 'username')
+  .populate('reviewedBy', 'username');
+
+/**
+ * Only admins and supervisors review void requests
+ */
+const assertApprover = (user) => {
+  if (!user.canApprove()) {
+    throw httpError(403, 'Only admins and supervisors can review void requests');
+  }
+};
+
+/**
+ * Close a pending request, failing with a 400 error when it was already reviewed
+ */
+const closeRequest = async (filter, update, session = null) => {
+  const request = await VoidRequest.findOneAndUpdate(
+    { ...filter, status: 'pending' },
+    update,
+    { new: true, session }
+  );
+  if (!request) {
+    throw httpError(400, 'Only pending void requests can be reviewed or cancelled');
+  }
+  return request;
+};
+
+/**
+ * @desc    Get void requests (?status=, comma-separated). Admins and
+ *          supervisors see everyone's; staff see their own.
+ * @route   GET /api/void-requests
+ * @access  Private/Admin/Staff
+ */
+export const getVoidRequests = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = { $in: req.query.status.split(',') };
+    if (!req.user.canApprove()) filter.requestedBy = req.user._id;
+
+    const requests = await populateRequest(VoidRequest.find(filter)).sort({ createdAt: -1 }).limit(200);
+
+    res.json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Ask for a sale to be voided when no approver is at the register.
+ *          The void time limits apply to the cashier asking.
+ * @route   POST /api/void-requests
+ * @access  Private/Admin/Staff
+ */
+export const createVoidRequest = async (req, res, next) => {
+  try {
+    const { sale: saleId, reason, note } = req.body;
+    const [sale, settings] = await Promise.all([
+      Sale.findById(saleId),
+      Setting.getSettings()
+    ]);
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    await checkVoidable(sale, req.user, settings);
+
+    const alreadyPending = () => res.status(400).json({
+      success: false,
+      message: `A void of sale ${sale.saleNumber} is already awaiting approval`
+    });
+
+    if (await VoidRequest.exists({ sale: sale._id, status: 'pending' })) {
+      return alreadyPending();
+    }
+
+    let request;
+    try {
+      request = await VoidRequest.create({
+        sale: sale._id,
+        reason,
+        note,
+        requestedBy: req.user._id
+      });
+    } catch (error) {
+      // A concurrent request for the same sale won the one-pending-per-sale index
+      if (error.code === 11000) {
+        return alreadyPending();
+      }
+      throw error;
+    }
+    await recordAudit(req, {
+      action: 'void_request',
+      targetType: 'Sale',
+      target: sale,
+      targetLabel: sale.saleNumber,
+      reason: describeReason(request)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await populateRequest(VoidRequest.findById(request._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a void request, voiding the sale. The cashier who asked is
+ *          recorded as voiding it and the reviewer as approving it.
+ * @route   PUT /api/void-requests/:id/approve
+ * @access  Private/Admin/Supervisor
+ */
+export const approveVoidRequest = async (req, res, next) => {
+  try {
+    assertApprover(req.user);
+
+    await mongoose.connection.transaction(async (session) => {
+      const pending = await VoidRequest.findOne({ _id: req.params.id, status: 'pending' }).session(session);
+      if (!pending) {
+        throw httpError(400, 'Only pending void requests can be reviewed or cancelled');
+      }
+      // Approving takes a second person
+      if (pending.requestedBy.equals(req.user._id)) {
+        throw httpError(403, 'You cannot approve your own void request');
+      }
+
+      // Run one after another; operations in a transaction cannot share the session concurrently
+      const sale = await Sale.findById(pending.sale).session(session);
+      if (!sale) {
+        throw httpError(404, 'Sale not found');
+      }
+      // Requests outlive the users who made them
+      const requester = await User.findById(pending.requestedBy).session(session) || { _id: pending.requestedBy };
+
+      await voidSaleRecord(req, {
+        sale,
+        approval: {
+          reason: pending.reason,
+          note: pending.note,
+          approvedBy: req.user._id,
+          method: 'queue'
+        },
+        voidedBy: requester,
+        approver: req.user,
+        session
+      });
+      await closeRequest({ _id: pending._id }, {
+        status: 'approved',
+        reviewNote: req.body.reviewNote,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      }, session);
+    });
+
+    res.json({
+      success: true,
+      message: 'Sale voided successfully. Stock quantities have been restored.',
+      data: await populateRequest(VoidRequest.findById(req.params.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a void request; the sale stands
+ * @route   PUT /api/void-requests/:id/reject
+ * @access  Private/Admin/Supervisor
+ */
+export const rejectVoidRequest = async (req, res, next) => {
+  try {
+    assertApprover(req.user);
+
+    const request = await closeRequest({ _id: req.params.id }, {
+      status: 'rejected',
+      reviewNote: req.body.reviewNote,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    });
+    const populated = await populateRequest(VoidRequest.findById(request._id));
+    await recordAudit(req, {
+      action: 'void_reject',
+      targetType: 'Sale',
+      target: request.sale,
+      targetLabel: populated.sale?.saleNumber,
+      reason: req.body.reviewNote
+    });
+
+    res.json({
+      success: true,
+      data: populated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel one of the user's own pending void requests
+ * @route   PUT /api/void-requests/:id/cancel
+ * @access  Private/Admin/Staff
+ */
+export const cancelVoidRequest = async (req, res, next) => {
+  try {
+    const request = await closeRequest(
+      { _id: req.params.id, requestedBy: req.user._id },
+      { status: 'cancelled' }
+    );
+
+    res.json({
+      success: true,
+      data: await populateRequest(VoidRequest.findById(request._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
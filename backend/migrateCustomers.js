@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from './models/Customer.model.js';
+import Sale from './models/Sale.model.js';
+
+dotenv.config();
+
+// One-time migration: turn the free-text customer fields on existing sales into
+// Customer records and link the sales to them. Sales are matched to a customer
+// by email, then phone, then (for sales with neither) by name, ignoring case
+// and extra spaces. Safe to re-run; sales already linked are skipped.
+// Pass --dry-run to report what would change without writing anything.
+
+const dryRun = process.argv.includes('--dry-run');
+
+const normalizeName = (name) => (name || '').trim().replace(/\s+/g, ' ');
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+const normalizePhone = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length > 0 && digits.length <= 11 ? digits : '';
+};
+
+const migrateCustomers = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blcm');
+    console.log('Connected to MongoDB');
+
+    const byEmail = new Map();
+    const byPhone = new Map();
+    const byName = new Map();
+    const index = (customer) => {
+      if (customer.email) byEmail.set(customer.email, customer);
+      if (customer.phone) byPhone.set(customer.phone, customer);
+      // Only customers known by name alone are matched by name
+      if (!customer.email && !customer.phone) byName.set(customer.name.toLowerCase(), customer);
+    };
+
+    const existing = await Customer.find().lean();
+    existing.forEach(index);
+
+    const created = [];
+    const updated = new Set();
+    const salesByCustomer = new Map();
+    let scanned = 0;
+
+    const sales = Sale.find({
+      customer: { $exists: false },
+      $or: [
+        { customerName: { $nin: [null, ''] } },
+        { customerEmail: { $nin: [null, ''] } },
+        { customerPhone: { $nin: [null, ''] } }
+      ]
+    })
+      .select('customerName customerEmail customerPhone')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+
+    for await (const sale of sales) {
+      scanned++;
+      const name = normalizeName(sale.customerName);
+      const email = normalizeEmail(sale.customerEmail);
+      const phone = normalizePhone(sale.customerPhone);
+
+      let customer = (email && byEmail.get(email))
+        || (phone && byPhone.get(phone))
+        || (!email && !phone && name && byName.get(name.toLowerCase()));
+
+      if (!customer) {
+        customer = {
+          _id: new mongoose.Types.ObjectId(),
+          name: (name || email || phone).slice(0, 100),
+          email: email || undefined,
+          phone: phone || undefined,
+          isNew: true
+        };
+        created.push(customer);
+      } else {
+        // Fill in contact details seen on later sales, unless another customer has them
+        if (email && !customer.email && !byEmail.has(email)) {
+          customer.email = email;
+          if (!customer.isNew) updated.add(customer);
+        }
+        if (phone && !customer.phone && !byPhone.has(phone)) {
+          customer.phone = phone;
+          if (!customer.isNew) updated.add(customer);
+        }
+      }
+      index(customer);
+
+      const key = customer._id.toString();
+      if (!salesByCustomer.has(key)) salesByCustomer.set(key, []);
+      salesByCustomer.get(key).push(sale._id);
+    }
+
+    console.log(`Scanned ${scanned} sale(s) with customer details`);
+    console.log(`Customers to create: ${created.length}`);
+    console.log(`Existing customers to update: ${updated.size}`);
+    console.log(`Sales to link: ${[...salesByCustomer.values()].reduce((sum, ids) => sum + ids.length, 0)}`);
+
+    if (dryRun) {
+      console.log('Dry run: no changes written');
+      process.exit(0);
+    }
+
+    if (created.length > 0) {
+      await Customer.insertMany(created.map(({ isNew, ...customer }) => customer));
+    }
+
+    if (updated.size > 0) {
+      await Customer.bulkWrite([...updated].map(customer => ({
+        updateOne: {
+          filter: { _id: customer._id },
+          update: {
+            $set: Object.fromEntries(
+              ['email', 'phone'].filter(field => customer[field]).map(field => [field, customer[field]])
+            )
+          }
+        }
+      })));
+    }
+
+    if (salesByCustomer.size > 0) {
+      await Sale.bulkWrite([...salesByCustomer].map(([customerId, saleIds]) => ({
+        updateMany: {
+          filter: { _id: { $in: saleIds }, customer: { $exists: false } },
+          update: { $set: { customer: customerId } }
+        }
+      })));
+    }
+
+    console.log('✅ Customer migration complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating customers:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateCustomers();
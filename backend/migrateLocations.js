@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Location from './models/Location.model.js';
+import Product from './models/Product.model.js';
+import Setting from './models/Setting.model.js';
+import StockLevel from './models/StockLevel.model.js';
+import StockLot from './models/StockLot.model.js';
+
+dotenv.config();
+
+// One-time migration to branch locations: creates the default location (coded
+// with the sale number branch code when one is set) and places all existing
+// stock and stock lots there. Sales, returns and movements made before
+// branches keep no location and are counted at the default location. Safe to
+// re-run; products or variants that already have stock levels are skipped.
+// Pass --dry-run to report what would change without writing anything.
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateLocations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blcm');
+    console.log('Connected to MongoDB');
+
+    let location = await Location.findOne({ isDefault: true });
+    if (!location) {
+      const settings = await Setting.getSettings();
+      const code = /^[A-Z0-9]{1,10}$/.test(settings.saleNumber?.branchCode || '')
+        ? settings.saleNumber.branchCode
+        : 'MAIN';
+      console.log(`Default location to create: Main Store (${code})`);
+      location = dryRun
+        ? { _id: new mongoose.Types.ObjectId(), name: 'Main Store' }
+        : await Location.create({ name: 'Main Store', code, isDefault: true });
+    } else {
+      console.log(`Default location: ${location.name} (${location.code})`);
+    }
+
+    const existing = await StockLevel.find().select('product variant').lean();
+    const stocked = new Set(existing.map(level => `${level.product}:${level.variant || ''}`));
+
+    // Each product, or each variant of a product, holds its stock at the default location
+    const levels = [];
+    const products = Product.find().select('stockQuantity variants').lean().cursor();
+    for await (const product of products) {
+      const lines = product.variants?.length > 0
+        ? product.variants.map(variant => ({ variant: variant._id, quantity: variant.stockQuantity }))
+        : [{ variant: undefined, quantity: product.stockQuantity }];
+
+      for (const line of lines) {
+        if (!(line.quantity > 0) || stocked.has(`${product._id}:${line.variant || ''}`)) continue;
+        levels.push({ product: product._id, variant: line.variant, location: location._id, quantity: line.quantity });
+      }
+    }
+
+    const lotsToPlace = await StockLot.countDocuments({ location: { $exists: false } });
+
+    console.log(`Stock levels to create at ${location.name}: ${levels.length}`);
+    console.log(`Stock lots to place at ${location.name}: ${lotsToPlace}`);
+
+    if (dryRun) {
+      console.log('Dry run: no changes written');
+      process.exit(0);
+    }
+
+    if (levels.length > 0) {
+      await StockLevel.insertMany(levels);
+    }
+    if (lotsToPlace > 0) {
+      await StockLot.updateMany({ location: { $exists: false } }, { $set: { location: location._id } });
+    }
+
+    console.log('✅ Location migration complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating locations:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateLocations();
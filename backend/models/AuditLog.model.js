@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'void',             // Sale voided
+  'void_request',     // Void sent to the approval queue
+  'void_reject',      // Queued void turned down
+  'override',         // Discount above the staff limit or price override approved
+  'return',           // Sale items returned and refunded
+  'payment',          // Payment recorded against a settlement
+  'cancel',
+  'close',            // Shift closed, with any cash variance
+  'stock_adjust',     // Stock added or set by hand
+  'write_off',        // Expired lot written off
+  'post',             // Stock count posted to stock
+  'dispatch',         // Transfer sent out of its source location
+  'receive',          // Transfer received at its destination
+  'login',
+  'login_failed',     // Wrong password, or an inactive or locked account
+  'logout',
+  'account_unlock',   // Admin reset of a locked account
+  'password_change',
+  'profile_update',
+  'pin_change'        // Approval PIN set or changed
+];
+
+export const AUDIT_TARGETS = [
+  'Product', 'User', 'Supplier', 'Category', 'Sale', 'Return', 'Promo', 'TaxClass',
+  'Setting', 'Settlement', 'Shift', 'StockCount', 'StockTransfer'
+];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Who did what to which record, from where. Entries are only ever added.
+const auditLogSchema = new mongoose.Schema({
+  // Empty for failed logins to unknown usernames
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Kept as they were at the time, so entries still read after a user is renamed or deleted
+  actorName: String,
+  actorRole: String,
+  // Admin or supervisor who approved a void or override, when it needed one
+  approver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approverName: String,
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGETS,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Name, username or sale number of the target when the action was taken
+  targetLabel: String,
+  changes: [changeSchema],
+  reason: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
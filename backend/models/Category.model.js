@@ -14,6 +14,17 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Description cannot exceed 200 characters']
   },
+  taxClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxClass'
+  },
+  // Loyalty points earned on this category are multiplied by this
+  loyaltyMultiplier: {
+    type: Number,
+    default: 1,
+    min: [0, 'Loyalty multiplier cannot be negative'],
+    max: [10, 'Loyalty multiplier cannot exceed 10']
+  },
   isActive: {
     type: Boolean,
     default: true
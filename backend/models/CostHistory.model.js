@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// One entry per change to a product's cost price; never updated or deleted
+const costHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  costPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  previousCostPrice: {
+    type: Number,
+    default: 0
+  },
+  // manual: entered on the product form; purchase: weighted average after receiving goods;
+  // proposal: supplier price change approved by an admin
+  source: {
+    type: String,
+    enum: ['manual', 'purchase', 'proposal'],
+    required: true
+  },
+  // Purchase order whose receipt changed the cost
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  referenceNumber: {
+    type: String
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+costHistorySchema.index({ product: 1, createdAt: -1 });
+
+export default mongoose.model('CostHistory', costHistorySchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Named sequences (e.g. one per sale number prefix and day), incremented atomically
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Counter', counterSchema);
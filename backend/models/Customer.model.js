@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\d{1,11}$/, 'Phone number must be up to 11 digits']
+  },
+  // Printed on the member's loyalty card; the phone number also identifies a member
+  loyaltyCardNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{4,20}$/, 'Loyalty card number must be 4-20 letters or digits']
+  },
+  // Current points balance; the points ledger holds how it was earned and spent
+  loyaltyPoints: {
+    type: Number,
+    default: 0,
+    min: [0, 'Loyalty points cannot be negative']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Email and phone identify a customer; both are optional
+customerSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+customerSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phone: { $type: 'string' } } });
+customerSchema.index({ loyaltyCardNumber: 1 }, { unique: true, partialFilterExpression: { loyaltyCardNumber: { $type: 'string' } } });
+customerSchema.index({ name: 1 });
+
+export default mongoose.model('Customer', customerSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const LOCATION_TYPES = ['store', 'warehouse'];
+
+// A branch or warehouse holding its own stock. Stock not yet assigned to a
+// branch, and stock of users without a home branch, is at the default location.
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Location name cannot exceed 50 characters']
+  },
+  // Short code used in sale numbers, e.g. MNL
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{1,10}$/, 'Location code must be 1-10 letters or digits']
+  },
+  type: {
+    type: String,
+    enum: LOCATION_TYPES,
+    default: 'store'
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Only one location is the default
+locationSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+export default mongoose.model('Location', locationSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+export const LOYALTY_TRANSACTION_TYPES = [
+  'earn',         // Points earned on a sale
+  'redeem',       // Points spent as payment on a sale
+  'void_earn',    // Points earned on a sale taken back when it was voided
+  'void_redeem',  // Points spent on a sale given back when it was voided
+  'return_earn',  // Points earned on returned items taken back
+  'return_redeem', // Points spent on returned items given back
+  'expire',       // Earned points that passed their expiry date unspent
+  'adjustment'    // Manual correction by an admin
+];
+
+// Earned points spent from a lot by a redemption
+const allocationSchema = new mongoose.Schema({
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoyaltyTransaction',
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Points ledger: one entry per change to a customer's points balance. Points
+// coming in form a lot that is spent oldest-expiring first; `remaining` is the
+// only field updated after an entry is written.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LOYALTY_TRANSACTION_TYPES,
+    required: true
+  },
+  // Signed change: negative when points are spent or lost
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Unspent points of an incoming lot
+  remaining: {
+    type: Number,
+    min: 0
+  },
+  // Incoming lots expire on this date; missing when points never expire
+  expiresAt: {
+    type: Date
+  },
+  // Lots a redemption or clawback took its points from
+  allocations: {
+    type: [allocationSchema],
+    default: undefined
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  saleNumber: {
+    type: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyTransactionSchema.index({ customer: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ customer: 1, remaining: 1, expiresAt: 1 }); // Open lots to spend or expire
+loyaltyTransactionSchema.index({ expiresAt: 1, remaining: 1 }); // Expiry sweep and liability report
+loyaltyTransactionSchema.index({ sale: 1 });
+
+export default mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
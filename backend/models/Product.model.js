@@ -1,5 +1,74 @@
 import mongoose from 'mongoose';
 
+// An option axis such as Size or Color and the values it offers
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    maxlength: [30, 'Option name cannot exceed 30 characters']
+  },
+  values: {
+    type: [{ type: String, trim: true }],
+    validate: {
+      validator: (values) => values.length > 0,
+      message: 'Each option needs at least one value'
+    }
+  }
+}, { _id: false });
+
+// One sellable combination of option values with its own SKU, price and stock
+const variantSchema = new mongoose.Schema({
+  // One value per option axis, in the same order as the product's options
+  optionValues: {
+    type: [{ type: String, trim: true }],
+    required: true
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  stockQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock quantity cannot be negative']
+  },
+  lowStockThreshold: {
+    type: Number,
+    default: 10,
+    min: [0, 'Low stock threshold cannot be negative']
+  },
+  barcodes: {
+    type: [{ type: String, trim: true }],
+    default: undefined
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// A unit the product is also sold or bought in, e.g. a case of 24 pcs
+const unitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Unit name is required'],
+    trim: true,
+    maxlength: [20, 'Unit name cannot exceed 20 characters']
+  },
+  // Number of base units in one of this unit
+  factor: {
+    type: Number,
+    required: [true, 'Unit conversion factor is required'],
+    min: [0.001, 'Unit conversion factor must be greater than 0']
+  }
+}, { _id: false });
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -10,11 +79,20 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // For a product with variants: the lowest active variant price, for listings.
+  // Prices, costs and stock are per base unit
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // What the shop pays per unit; weighted average of purchase receipts
+  costPrice: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost price cannot be negative']
+  },
+  // For a product with variants: the sum of its variants' stock
   stockQuantity: {
     type: Number,
     required: [true, 'Stock quantity is required'],
@@ -30,6 +108,10 @@ const productSchema = new mongoose.Schema({
     ref: 'Supplier',
     required: [true, 'Supplier is required']
   },
+  taxClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxClass'
+  },
   lowStockThreshold: {
     type: Number,
     default: 10,
@@ -41,6 +123,42 @@ const productSchema = new mongoose.Schema({
     trim: true,
     sparse: true
   },
+  // EAN-8, UPC-A or EAN-13 codes printed on the product; a product may carry several
+  barcodes: {
+    type: [{ type: String, trim: true }],
+    default: undefined
+  },
+  // Unit stock is counted in, e.g. pcs or kg
+  unit: {
+    type: String,
+    trim: true,
+    default: 'pcs',
+    maxlength: [20, 'Unit name cannot exceed 20 characters']
+  },
+  // Weighed or measured goods may be stocked and sold in fractions of their unit
+  allowFractions: {
+    type: Boolean,
+    default: false
+  },
+  units: {
+    type: [unitSchema],
+    default: undefined
+  },
+  // Perishable goods are received in lots with an expiry date and sold
+  // first-expired-first-out; expired lots cannot be sold
+  trackExpiry: {
+    type: Boolean,
+    default: false
+  },
+  // Option axes, e.g. Size: S/M/L; empty for a product sold in one form
+  options: {
+    type: [optionSchema],
+    default: undefined
+  },
+  variants: {
+    type: [variantSchema],
+    default: undefined
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -49,6 +167,18 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Keep the listing price and total stock of a product with variants in step
+// with its variants. Stock changes after creation update both atomically.
+productSchema.pre('validate', function (next) {
+  if (this.variants?.length > 0) {
+    const active = this.variants.filter(variant => variant.isActive);
+    const prices = (active.length > 0 ? active : this.variants).map(variant => variant.price);
+    this.price = Math.min(...prices);
+    this.stockQuantity = this.variants.reduce((sum, variant) => sum + (variant.stockQuantity || 0), 0);
+  }
+  next();
+});
+
 // Index for faster queries
 productSchema.index({ name: 1 });
 productSchema.index({ category: 1 });
@@ -57,6 +187,21 @@ productSchema.index({ supplier: 1 });
 productSchema.index({ isActive: 1, category: 1 }); // For filtered product listings
 productSchema.index({ stockQuantity: 1, lowStockThreshold: 1 }); // For low stock queries
 productSchema.index({ isActive: 1, supplier: 1 }); // For supplier-specific active products
+// A barcode belongs to one product only; products without barcodes are left out
+productSchema.index(
+  { barcodes: 1 },
+  { unique: true, partialFilterExpression: { barcodes: { $type: 'string' } } }
+);
+
+// Variant SKUs and barcodes are unique across all products
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } }
+);
+productSchema.index(
+  { 'variants.barcodes': 1 },
+  { unique: true, partialFilterExpression: { 'variants.barcodes': { $type: 'string' } } }
+);
 
 export default mongoose.model('Product', productSchema);
 
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+export const PROPOSAL_TYPES = [
+  'new_product',    // A product the supplier wants to start selling through the store
+  'price_change'    // A new selling price or supplier cost for one of their products
+];
+
+export const PROPOSAL_STATUSES = [
+  'pending',        // Awaiting review by an admin
+  'approved',       // Applied to the catalog
+  'rejected',
+  'withdrawn'       // Taken back by the supplier before review
+];
+
+// Proposed values; only the fields the proposal sets are stored
+const proposalChangesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  barcodes: {
+    type: [String],
+    default: undefined
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  // The supplier's price to the store
+  costPrice: {
+    type: Number,
+    min: [0, 'Cost price cannot be negative']
+  }
+}, { _id: false });
+
+// A catalog change submitted by a supplier, applied only once an admin approves it
+const productProposalSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: PROPOSAL_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: PROPOSAL_STATUSES,
+    default: 'pending'
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  // Product whose price changes; the product created on approval of a new product
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Variant whose selling price changes
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  changes: {
+    type: proposalChangesSchema,
+    required: true
+  },
+  // Values the approved changes replaced, kept for the record
+  previous: {
+    type: proposalChangesSchema
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters']
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+productProposalSchema.index({ status: 1, createdAt: -1 });
+productProposalSchema.index({ supplier: 1, createdAt: -1 });
+
+export default mongoose.model('ProductProposal', productProposalSchema);
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+const promoSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minPurchase: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum purchase cannot be negative']
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+promoSchema.index({ isActive: 1, endDate: 1 });
+
+// Check whether the promo can be applied to a purchase of the given amount
+promoSchema.methods.checkRedeemable = function(amount, date = new Date()) {
+  if (!this.isActive) {
+    return { valid: false, message: 'Promo code is inactive' };
+  }
+
+  if (this.startDate && this.startDate > date) {
+    return { valid: false, message: 'Promo code is not yet valid' };
+  }
+
+  if (this.endDate && this.endDate < date) {
+    return { valid: false, message: 'Promo code has expired' };
+  }
+
+  if (this.usageLimit && this.usageCount >= this.usageLimit) {
+    return { valid: false, message: 'Promo code usage limit has been reached' };
+  }
+
+  if (amount !== undefined && amount < this.minPurchase) {
+    return { valid: false, message: `Promo code requires a minimum purchase of ${this.minPurchase.toFixed(2)}` };
+  }
+
+  return { valid: true };
+};
+
+export default mongoose.model('Promo', promoSchema);
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+
+export const PO_STATUSES = [
+  'draft',              // Being prepared, not yet visible to the supplier
+  'sent',               // Sent to the supplier, awaiting confirmation
+  'confirmed',          // Supplier agreed to deliver
+  'partially_received',
+  'closed',             // Fully received, or closed short by an admin
+  'cancelled'
+];
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant ordered, for products stocked as variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  // Unit ordered, e.g. case, and the base units it holds
+  unit: {
+    type: String
+  },
+  unitFactor: {
+    type: Number,
+    default: 1
+  },
+  // Quantities and cost are in the unit ordered
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Agreed cost per unit
+  unitCost: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit cost cannot be negative']
+  }
+}, { _id: false });
+
+// One delivery against the order; a PO can be received over several deliveries
+const receiptSchema = new mongoose.Schema({
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // In the unit ordered
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0.001
+    },
+    // Actual cost per unit on this delivery
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Lot the delivery was stocked as, for products that track expiry
+    lotNumber: {
+      type: String
+    },
+    expiryDate: {
+      type: Date
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  status: {
+    type: String,
+    enum: PO_STATUSES,
+    default: 'draft'
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  totalCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expectedDate: {
+    type: Date
+  },
+  // Branch or warehouse the goods are delivered to
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  receipts: [receiptSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sentAt: Date,
+  confirmedAt: Date,
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import { TENDER_METHODS } from './Sale.model.js';
+
+export const RETURN_REASONS = ['defective', 'damaged', 'wrong_item', 'expired', 'changed_mind', 'other'];
+
+const returnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  // Quantity in the unit the item was sold in
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  unit: {
+    type: String
+  },
+  // Quantity in the product's base unit
+  baseQuantity: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required']
+  },
+  // Restocked items go back on the shelf; written-off items (e.g. damaged) do not
+  disposition: {
+    type: String,
+    enum: ['restock', 'write_off'],
+    default: 'restock'
+  },
+  // Price less line discounts for the returned units, netted out of product revenue
+  netSales: {
+    type: Number,
+    default: 0
+  },
+  // Share of the original line's net amount (after discounts, including VAT)
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Unit cost from the sale line; restocked units are taken back out of cost of goods sold
+  unitCost: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  // How the refund was paid out; 'points' when all of it went back as loyalty points
+  refundMethod: {
+    type: String,
+    enum: TENDER_METHODS,
+    required: [true, 'Refund method is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  totalRefund: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund cannot be negative']
+  },
+  // Part of totalRefund given back as loyalty points on sales paid with points,
+  // never paid out by refundMethod
+  pointsRefund: {
+    type: Number,
+    default: 0
+  },
+  // Points given back to the customer and earned points taken back
+  pointsCredited: {
+    type: Number,
+    default: 0
+  },
+  pointsReversed: {
+    type: Number,
+    default: 0
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cashier shift whose drawer paid the refund
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Branch of the sale, where restocked items go back
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  }
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ sale: 1 });
+returnSchema.index({ createdAt: -1 });
+returnSchema.index({ shift: 1 });
+
+export default mongoose.model('Return', returnSchema);
@@ -1,24 +1,214 @@
 import mongoose from 'mongoose';
 
+// Tax class as it was when the sale was made, so later rate changes never alter history
+const taxSnapshotSchema = new mongoose.Schema({
+  taxClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxClass'
+  },
+  code: String,
+  name: String,
+  type: {
+    type: String,
+    enum: ['standard', 'zero_rated', 'exempt']
+  },
+  rate: Number
+}, { _id: false });
+
+const taxBreakdownSchema = new mongoose.Schema({
+  code: String,
+  name: String,
+  type: {
+    type: String,
+    enum: ['standard', 'zero_rated', 'exempt']
+  },
+  rate: Number,
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const taxExemptionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['senior_citizen', 'pwd'],
+    required: true
+  },
+  idNumber: {
+    type: String,
+    required: [true, 'ID number is required for tax exemption'],
+    trim: true
+  },
+  holderName: {
+    type: String,
+    trim: true
+  },
+  discountPercent: Number
+}, { _id: false });
+
+export const PAYMENT_METHODS = ['cash', 'card', 'mobile_payment', 'other'];
+
+// Loyalty points redeemed at checkout are recorded as a payment, but never
+// counted in a cash drawer or paid out as a refund
+export const POINTS_PAYMENT_METHOD = 'points';
+export const TENDER_METHODS = [...PAYMENT_METHODS, POINTS_PAYMENT_METHOD];
+
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: TENDER_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  // Amount applied to the sale, after change is given back
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Payment amount cannot be negative']
+  },
+  // Cash handed over by the customer
+  tendered: Number,
+  // Card approval code or e-wallet transaction number
+  referenceNumber: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Why a sale was voided, or why a discount above the staff limit or a price
+// override was given. 'other' needs a note.
+export const VOID_REASONS = ['customer_changed_mind', 'cashier_error', 'wrong_item', 'payment_problem', 'duplicate_sale', 'other'];
+export const OVERRIDE_REASONS = ['price_match', 'damaged_item', 'pricing_error', 'customer_goodwill', 'manager_discretion', 'other'];
+
+// How an approval was given: by an approver acting themselves, by an
+// approver's PIN or password entered at the register, or from the void queue
+export const APPROVAL_METHODS = ['self', 'pin', 'password', 'queue'];
+
+const approvalSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    required: [true, 'Reason is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  method: {
+    type: String,
+    enum: APPROVAL_METHODS
+  },
+  approvedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const loyaltySchema = new mongoose.Schema({
+  pointsEarned: {
+    type: Number,
+    default: 0
+  },
+  pointsRedeemed: {
+    type: Number,
+    default: 0
+  },
+  // Peso value of one point at the time of sale
+  pointValue: Number
+}, { _id: false });
+
 const saleItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
     required: true
   },
+  // Variant sold, for products sold as variants, with its label at the time of sale
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  // Quantity in the unit sold; fractional for weighed goods
   quantity: {
     type: Number,
     required: true,
-    min: [1, 'Quantity must be at least 1']
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  // Unit sold and the base units it holds; missing on sales made before units of measure
+  unit: {
+    type: String
+  },
+  unitFactor: {
+    type: Number,
+    default: 1
   },
+  // Quantity taken out of stock, in the product's base unit
+  baseQuantity: {
+    type: Number
+  },
+  // Price per unit sold
   price: {
     type: Number,
     required: true,
     min: [0, 'Price cannot be negative']
   },
+  // List price per unit sold, kept when the price was overridden at the register
+  listPrice: {
+    type: Number
+  },
+  // Product cost of one unit sold; missing on sales made before costs were tracked
+  unitCost: {
+    type: Number,
+    min: 0
+  },
   subtotal: {
     type: Number,
     required: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed']
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Share of the sale discount and promo code
+  orderDiscountAmount: {
+    type: Number,
+    default: 0
+  },
+  seniorPwdDiscount: {
+    type: Number,
+    default: 0
+  },
+  taxClass: taxSnapshotSchema,
+  taxableAmount: Number,
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: Number,
+  // In the unit sold
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
   }
 }, { _id: false });
 
@@ -28,6 +218,11 @@ const saleSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
+  // Customer record; the name, email and phone below are copied from it at the time of sale
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
   customerName: {
     type: String,
     trim: true
@@ -52,30 +247,121 @@ const saleSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  saleDiscountType: {
+    type: String,
+    enum: ['percentage', 'fixed']
+  },
+  saleDiscountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  promo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promo'
+  },
+  promoCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  discountBreakdown: {
+    lineDiscount: { type: Number, default: 0 },
+    saleDiscount: { type: Number, default: 0 },
+    promoDiscount: { type: Number, default: 0 },
+    seniorPwdDiscount: { type: Number, default: 0 }
+  },
+  discountApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Approval of a discount above the staff limit or of price overrides
+  override: {
+    type: approvalSchema,
+    default: undefined
+  },
   tax: {
     type: Number,
     default: 0,
     min: [0, 'Tax cannot be negative']
   },
+  pricesIncludeVat: {
+    type: Boolean,
+    default: false
+  },
+  taxExemption: taxExemptionSchema,
+  taxBreakdown: [taxBreakdownSchema],
+  vatableSales: {
+    type: Number,
+    default: 0
+  },
+  vatExemptSales: {
+    type: Number,
+    default: 0
+  },
+  zeroRatedSales: {
+    type: Number,
+    default: 0
+  },
+  // VAT removed from VAT-inclusive prices on exempt sales
+  vatExemptionAmount: {
+    type: Number,
+    default: 0
+  },
   total: {
     type: Number,
     required: true,
     min: [0, 'Total cannot be negative']
   },
+  // Sum of refunds from partial returns
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // The single method used, or 'split' when the sale was paid several ways
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'mobile_payment', 'other'],
+    enum: [...TENDER_METHODS, 'split'],
     required: [true, 'Payment method is required']
   },
+  // Missing on sales made before split payments were recorded
+  payments: {
+    type: [paymentSchema],
+    default: undefined
+  },
+  amountTendered: Number,
+  change: {
+    type: Number,
+    default: 0
+  },
+  // Points earned and redeemed by the customer on this sale
+  loyalty: {
+    type: loyaltySchema,
+    default: undefined
+  },
   cashier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Cashier shift the sale was rung up in
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Branch whose stock the sale was taken from; missing on sales made before branches
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
   receiptGenerated: {
     type: Boolean,
     default: false
   },
+  // Receipts printed after the first are marked as reprints
+  receiptPrintCount: {
+    type: Number,
+    default: 0
+  },
   isVoid: {
     type: Boolean,
     default: false
@@ -86,6 +372,11 @@ const saleSchema = new mongoose.Schema({
   voidedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Reason for the void and who approved it; missing on sales voided before approvals
+  voidApproval: {
+    type: approvalSchema,
+    default: undefined
   }
 }, {
   timestamps: true
@@ -98,6 +389,9 @@ saleSchema.index({ cashier: 1 });
 // Compound indexes for common query patterns
 saleSchema.index({ createdAt: -1, isVoid: 1 }); // For reports filtering by date and void status
 saleSchema.index({ cashier: 1, createdAt: -1 }); // For cashier-specific queries with date sorting
+saleSchema.index({ shift: 1 }); // For shift readings
+saleSchema.index({ location: 1, createdAt: -1 }); // For branch reports
+saleSchema.index({ customer: 1, createdAt: -1 }); // For customer purchase history
 
 export default mongoose.model('Sale', saleSchema);
 
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+
+const settingSchema = new mongoose.Schema({
+  discount: {
+    staffMaxPercent: {
+      type: Number,
+      default: 20,
+      min: [0, 'Staff discount limit cannot be negative'],
+      max: [100, 'Staff discount limit cannot exceed 100%']
+    }
+  },
+  // Limits on voiding sales. Admins may void any sale.
+  voids: {
+    // Staff may only void, or ask to void, sales from their own open shift
+    staffSameShiftOnly: {
+      type: Boolean,
+      default: true
+    },
+    // Supervisors and staff may only void sales this many hours old; 0 means no limit
+    maxAgeHours: {
+      type: Number,
+      default: 24,
+      min: [0, 'Void time limit cannot be negative'],
+      max: [720, 'Void time limit cannot exceed 720 hours']
+    }
+  },
+  tax: {
+    // Whether product prices already include VAT
+    pricesIncludeVat: {
+      type: Boolean,
+      default: false
+    },
+    // Applied to products whose product and category have no tax class
+    defaultTaxClass: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxClass'
+    },
+    // Statutory discount for senior citizen and PWD purchases
+    seniorPwdDiscountPercent: {
+      type: Number,
+      default: 20,
+      min: [0, 'Senior citizen/PWD discount cannot be negative'],
+      max: [100, 'Senior citizen/PWD discount cannot exceed 100%']
+    }
+  },
+  // Sale numbers are built as PREFIX-BRANCH-REGISTER-YYYYMMDD-NNNN, skipping empty parts
+  saleNumber: {
+    prefix: {
+      type: String,
+      default: 'SALE',
+      trim: true,
+      uppercase: true,
+      required: [true, 'Sale number prefix is required'],
+      match: [/^[A-Z0-9]{1,10}$/, 'Sale number prefix must be 1-10 letters or digits']
+    },
+    branchCode: {
+      type: String,
+      default: '',
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{0,10}$/, 'Branch code must be up to 10 letters or digits']
+    },
+    registerId: {
+      type: String,
+      default: '',
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{0,10}$/, 'Register ID must be up to 10 letters or digits']
+    },
+    sequenceDigits: {
+      type: Number,
+      default: 4,
+      min: [3, 'Sequence must have at least 3 digits'],
+      max: [8, 'Sequence cannot exceed 8 digits']
+    }
+  },
+  // Printed on every receipt
+  receipt: {
+    storeName: {
+      type: String,
+      default: 'BLCM Sales and Inventory System',
+      trim: true,
+      maxlength: [60, 'Store name cannot exceed 60 characters']
+    },
+    address: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [200, 'Store address cannot exceed 200 characters']
+    },
+    tin: {
+      type: String,
+      default: '',
+      trim: true,
+      match: [/^[0-9-]{0,20}$/, 'TIN must be up to 20 digits or dashes']
+    },
+    contactNumber: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [30, 'Contact number cannot exceed 30 characters']
+    },
+    footer: {
+      type: String,
+      default: 'Thank you for your purchase!',
+      trim: true,
+      maxlength: [200, 'Receipt footer cannot exceed 200 characters']
+    },
+    // Thermal paper width in millimetres
+    paperWidth: {
+      type: Number,
+      enum: [58, 80],
+      default: 80
+    }
+  },
+  loyalty: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Points earned per peso spent, before category multipliers
+    pointsPerPeso: {
+      type: Number,
+      default: 0.01,
+      min: [0, 'Points per peso cannot be negative'],
+      max: [10, 'Points per peso cannot exceed 10']
+    },
+    // Peso value of one point when redeemed at checkout
+    pointValue: {
+      type: Number,
+      default: 1,
+      min: [0.01, 'Point value must be at least 0.01'],
+      max: [1000, 'Point value cannot exceed 1000']
+    },
+    // Points expire this many months after they are earned; 0 means never
+    expiryMonths: {
+      type: Number,
+      default: 12,
+      min: [0, 'Points expiry cannot be negative'],
+      max: [120, 'Points expiry cannot exceed 120 months']
+    }
+  },
+  // Reorder suggestions from sales velocity. Lead time and safety stock apply
+  // to suppliers that do not set their own.
+  reorder: {
+    // Days of sales history averaged into the daily sales rate
+    salesHistoryDays: {
+      type: Number,
+      default: 30,
+      min: [7, 'Sales history must be at least 7 days'],
+      max: [365, 'Sales history cannot exceed 365 days']
+    },
+    leadTimeDays: {
+      type: Number,
+      default: 7,
+      min: [0, 'Lead time cannot be negative'],
+      max: [180, 'Lead time cannot exceed 180 days']
+    },
+    // Days of sales kept in stock against late deliveries and sales spikes
+    safetyStockDays: {
+      type: Number,
+      default: 3,
+      min: [0, 'Safety stock cannot be negative'],
+      max: [180, 'Safety stock cannot exceed 180 days']
+    },
+    // Days of sales an order should last once it arrives
+    coverageDays: {
+      type: Number,
+      default: 14,
+      min: [1, 'Order coverage must be at least 1 day'],
+      max: [180, 'Order coverage cannot exceed 180 days']
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Settings are stored as a single document; create it with defaults on first access
+settingSchema.statics.getSettings = async function() {
+  let settings = await this.findOne();
+
+  if (!settings) {
+    settings = await this.create({});
+  }
+
+  return settings;
+};
+
+export default mongoose.model('Setting', settingSchema);
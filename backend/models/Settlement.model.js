@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import { SETTLEMENT_BASES } from './Supplier.model.js';
+
+export const SETTLEMENT_STATUSES = [
+  'unpaid',
+  'partially_paid',
+  'paid',
+  'cancelled'       // Issued in error; only settlements without payments can be cancelled
+];
+
+export const SETTLEMENT_PAYMENT_METHODS = ['cash', 'bank_transfer', 'check', 'other'];
+
+// One product, or variant of a product, sold on consignment in the period.
+// Quantities are in the product's base unit.
+const settlementLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  variantName: String,
+  sku: String,
+  unit: String,
+  quantitySold: {
+    type: Number,
+    default: 0
+  },
+  quantityReturned: {
+    type: Number,
+    default: 0
+  },
+  netQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Revenue excluding VAT, before and after returns
+  salesAmount: {
+    type: Number,
+    default: 0
+  },
+  returnsAmount: {
+    type: Number,
+    default: 0
+  },
+  netSales: {
+    type: Number,
+    default: 0
+  },
+  costOfSales: {
+    type: Number,
+    default: 0
+  },
+  commissionAmount: {
+    type: Number,
+    default: 0
+  },
+  // What the store owes the supplier for the line
+  amountDue: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const settlementPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  method: {
+    type: String,
+    enum: SETTLEMENT_PAYMENT_METHODS,
+    required: true
+  },
+  // Bank or check reference
+  referenceNumber: {
+    type: String,
+    trim: true
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// What the store owes a consignor for the goods sold in a period, frozen when
+// issued so later sales, returns or changes to the supplier's terms leave it as it was
+const settlementSchema = new mongoose.Schema({
+  settlementNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  settlementBasis: {
+    type: String,
+    enum: SETTLEMENT_BASES,
+    required: true
+  },
+  commissionRate: {
+    type: Number,
+    default: 0
+  },
+  lines: [settlementLineSchema],
+  salesAmount: {
+    type: Number,
+    default: 0
+  },
+  returnsAmount: {
+    type: Number,
+    default: 0
+  },
+  netSales: {
+    type: Number,
+    default: 0
+  },
+  costOfSales: {
+    type: Number,
+    default: 0
+  },
+  commissionAmount: {
+    type: Number,
+    default: 0
+  },
+  amountDue: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: SETTLEMENT_STATUSES,
+    default: 'unpaid'
+  },
+  payments: [settlementPaymentSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+settlementSchema.index({ supplier: 1, periodStart: -1 });
+settlementSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Settlement', settlementSchema);
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from './Sale.model.js';
+
+export const CASH_MOVEMENT_TYPES = ['cash_in', 'cash_out'];
+
+// Cash added to or paid out of the drawer outside of sales
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CASH_MOVEMENT_TYPES,
+    required: [true, 'Cash movement type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    required: [true, 'Reason is required'],
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Expected and counted amounts for one payment method
+const readingLineSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS
+  },
+  openingFloat: { type: Number, default: 0 },
+  sales: { type: Number, default: 0 },
+  refunds: { type: Number, default: 0 },
+  cashIn: { type: Number, default: 0 },
+  cashOut: { type: Number, default: 0 },
+  expected: { type: Number, default: 0 },
+  // Not counted when the cashier left the method blank
+  counted: Number,
+  variance: Number
+}, { _id: false });
+
+const readingSchema = new mongoose.Schema({
+  salesCount: { type: Number, default: 0 },
+  salesTotal: { type: Number, default: 0 },
+  returnCount: { type: Number, default: 0 },
+  refundTotal: { type: Number, default: 0 },
+  lines: [readingLineSchema],
+  expectedTotal: { type: Number, default: 0 },
+  countedTotal: Number,
+  variance: Number,
+  generatedAt: Date
+}, { _id: false });
+
+const shiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openingFloat: {
+    type: Number,
+    required: [true, 'Opening float is required'],
+    min: [0, 'Opening float cannot be negative']
+  },
+  cashMovements: [cashMovementSchema],
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closingNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Reading taken when the shift was closed
+  zReading: readingSchema,
+  // Counted amounts did not match the expected amounts
+  hasVariance: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// A cashier can only have one open shift at a time
+shiftSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+shiftSchema.index({ openedAt: -1 });
+shiftSchema.index({ closedAt: -1, hasVariance: 1 });
+
+export default mongoose.model('Shift', shiftSchema);
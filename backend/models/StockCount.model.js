@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+export const COUNT_STATUSES = [
+  'counting',     // Counted quantities are being entered
+  'review',       // Counting finished, variances awaiting review
+  'posted',       // Approved variances posted to stock
+  'cancelled'
+];
+
+// One product, or variant of a product, to count. Quantities are in the product's base unit.
+const countItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  variantName: {
+    type: String
+  },
+  sku: {
+    type: String
+  },
+  unit: {
+    type: String
+  },
+  // Stock held at the location when the count started
+  expectedQuantity: {
+    type: Number,
+    required: true
+  },
+  // Left unset until the item is counted
+  countedQuantity: {
+    type: Number,
+    min: [0, 'Counted quantity cannot be negative']
+  },
+  // Cost and price per unit when the count started, for the value of variances
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  price: {
+    type: Number,
+    default: 0
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: Date,
+  // Whether the variance was approved and posted to stock
+  posted: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// A stock take at one location, optionally limited to one category. Expected
+// quantities are frozen when it starts; posting adjusts stock by the variances.
+const stockCountSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Location is required']
+  },
+  // Category counted; the whole location when empty
+  category: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: COUNT_STATUSES,
+    default: 'counting'
+  },
+  items: {
+    type: [countItemSchema],
+    validate: [items => items.length > 0, 'There are no products to count']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+stockCountSchema.index({ location: 1, status: 1 });
+stockCountSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('StockCount', stockCountSchema);
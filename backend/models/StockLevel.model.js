@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Stock of a product or variant at one location. A product's stockQuantity
+// (and each variant's) is the sum of its stock levels across locations.
+const stockLevelSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock quantity cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+stockLevelSchema.index({ product: 1, variant: 1, location: 1 }, { unique: true });
+stockLevelSchema.index({ location: 1, product: 1 });
+
+export default mongoose.model('StockLevel', stockLevelSchema);
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// A batch of a product received with one expiry date. Stock is sold from the
+// lot expiring soonest; `quantity` is the only field updated after a lot is
+// created. Stock held before the product tracked expiry has no lot.
+const stockLotSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant the lot is of, for products sold as variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Location holding the lot; a transfer moves stock into a lot of the same number at the destination
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    maxlength: [50, 'Lot number cannot exceed 50 characters']
+  },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  receivedDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Quantity left in the lot, in the product's base unit
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Lot quantity cannot be negative']
+  },
+  initialQuantity: {
+    type: Number,
+    required: true
+  },
+  // Cost per base unit the lot was received at, when known
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  // Purchase order the lot was received against
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  referenceNumber: {
+    type: String
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockLotSchema.index({ product: 1, variant: 1, location: 1, quantity: 1, expiryDate: 1 }); // Open lots to sell from
+stockLotSchema.index({ expiryDate: 1, quantity: 1 }); // Expiring-soon feed
+
+export default mongoose.model('StockLot', stockLotSchema);
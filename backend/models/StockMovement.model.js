@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+export const MOVEMENT_TYPES = [
+  'initial',      // Opening stock when the product or variant was created
+  'sale',
+  'void',
+  'return',
+  'manual_set',   // Stock count entered on the Inventory page
+  'manual_add',   // Stock received on the Inventory page
+  'adjustment',   // Quantity changed while editing the product
+  'purchase',     // Goods received against a purchase order
+  'transfer',
+  'expired',      // Expired lot written off as a loss
+  'count'         // Variance posted from a stock-take session
+];
+
+// Quantity a movement took from or put back into a stock lot
+const lotAllocationSchema = new mongoose.Schema({
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// One entry per change to a product's stock quantity; never updated or deleted
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant whose stock changed, for products sold as variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Location whose stock changed; quantities before and after are that location's
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed change: negative when stock leaves, positive when it comes in
+  quantity: {
+    type: Number,
+    required: true
+  },
+  quantityBefore: {
+    type: Number,
+    required: true
+  },
+  quantityAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  // Cost per unit of stock coming in, when known (e.g. purchase receipts)
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  // Document that caused the movement, e.g. the Sale or Return
+  referenceModel: {
+    type: String,
+    enum: ['Sale', 'Return', 'PurchaseOrder', 'StockTransfer', 'StockCount']
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceModel'
+  },
+  referenceNumber: {
+    type: String
+  },
+  // Lots the stock came from or went into, for products that track expiry
+  lots: {
+    type: [lotAllocationSchema],
+    default: undefined
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ location: 1, createdAt: -1 });
+stockMovementSchema.index({ reference: 1 });
+stockMovementSchema.index({ 'lots.lot': 1 });
+
+export default mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+export const TRANSFER_STATUSES = [
+  'requested',    // Asked for, stock not yet moved
+  'in_transit',   // Dispatched: stock has left the source location
+  'received',     // Stock added at the destination
+  'cancelled'
+];
+
+const transferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  // In the product's base unit
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  // Lots the stock was dispatched from, for products that track expiry
+  lots: {
+    type: [{
+      _id: false,
+      lot: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot', required: true },
+      quantity: { type: Number, required: true }
+    }],
+    default: undefined
+  }
+}, { _id: false });
+
+// Stock moved between two locations: requested, dispatched from the source,
+// then received at the destination
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fromLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Source location is required']
+  },
+  toLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Destination location is required']
+  },
+  status: {
+    type: String,
+    enum: TRANSFER_STATUSES,
+    default: 'requested'
+  },
+  items: {
+    type: [transferItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dispatchedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+stockTransferSchema.index({ fromLocation: 1, createdAt: -1 });
+stockTransferSchema.index({ toLocation: 1, createdAt: -1 });
+
+export default mongoose.model('StockTransfer', stockTransferSchema);
@@ -1,16 +1,121 @@
 import mongoose from 'mongoose';
 
+export const PAYMENT_TERMS = ['cod', 'net_7', 'net_15', 'net_30', 'net_60'];
+
+// Taxpayer Identification Number: 9 digits and an optional branch code, e.g. 123-456-789-000
+export const TIN_PATTERN = /^\d{3}-?\d{3}-?\d{3}(-?\d{3,5})?$/;
+
+export const SETTLEMENT_BASES = [
+  'cost',         // The agreed cost of each unit sold
+  'commission'    // Net sales less the commission rate
+];
+
+// A person to deal with at the supplier; one may be marked as the primary contact
+const contactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true
+  },
+  role: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const addressSchema = new mongoose.Schema({
+  street: { type: String, trim: true },
+  city: { type: String, trim: true },
+  province: { type: String, trim: true },
+  postalCode: { type: String, trim: true }
+}, { _id: false });
+
 const supplierSchema = new mongoose.Schema({
   companyName: {
     type: String,
     required: [true, 'Company name is required'],
     trim: true
   },
+  // Free-form notes on how to reach the supplier; people are kept in `contacts`
   contactDetails: {
     type: String,
-    required: [true, 'Contact details are required'],
     trim: true
   },
+  contacts: [contactSchema],
+  address: {
+    type: addressSchema,
+    default: () => ({})
+  },
+  tin: {
+    type: String,
+    trim: true,
+    match: [TIN_PATTERN, 'TIN must be 9 digits and an optional branch code, e.g. 123-456-789-000']
+  },
+  paymentTerms: {
+    type: String,
+    enum: PAYMENT_TERMS,
+    default: 'cod'
+  },
+  // Purchase orders below this total are not sent to the supplier
+  minimumOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  // Inactive suppliers keep their history but take no new purchase orders
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Days from ordering to delivery and days of sales kept as safety stock, for
+  // reorder suggestions; the settings' defaults apply when not set
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    max: [180, 'Lead time cannot exceed 180 days']
+  },
+  safetyStockDays: {
+    type: Number,
+    min: [0, 'Safety stock cannot be negative'],
+    max: [180, 'Safety stock cannot exceed 180 days']
+  },
+  // Consignors are paid for what sells: at the agreed cost of the goods sold,
+  // or the net sales less the store's commission
+  isConsignor: {
+    type: Boolean,
+    default: false
+  },
+  settlementBasis: {
+    type: String,
+    enum: SETTLEMENT_BASES,
+    default: 'cost'
+  },
+  commissionRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot exceed 100%']
+  },
+  // Bumped by each settlement issued so two issued at once conflict and the
+  // retried one sees the other's period
+  settlementVersion: {
+    type: Number,
+    default: 0
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -21,5 +126,7 @@ const supplierSchema = new mongoose.Schema({
   timestamps: true
 });
 
+supplierSchema.index({ isActive: 1, companyName: 1 });
+
 export default mongoose.model('Supplier', supplierSchema);
 
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const taxClassSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Tax class code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Tax class code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Tax class name is required'],
+    trim: true,
+    maxlength: [50, 'Tax class name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: ['standard', 'zero_rated', 'exempt'],
+    required: [true, 'Tax type is required']
+  },
+  rate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Only standard-rated classes carry a tax rate
+taxClassSchema.pre('validate', function(next) {
+  if (this.type !== 'standard') {
+    this.rate = 0;
+  }
+  next();
+});
+
+export default mongoose.model('TaxClass', taxClassSchema);
@@ -43,6 +43,22 @@ const userSchema = new mongoose.Schema({
     default: 'staff',
     required: true
   },
+  // Supervisors are staff who may approve voids, discounts above the staff
+  // limit and price overrides, as admins can
+  isSupervisor: {
+    type: Boolean,
+    default: false
+  },
+  // Hashed 4-6 digit PIN an approver enters at the register instead of their password
+  approvalPin: {
+    type: String,
+    select: false
+  },
+  // Home branch: the user's sales and returns move stock at this location
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
   failedLoginAttempts: {
     type: Number,
     default: 0
@@ -55,6 +71,17 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Wrong PINs and passwords entered at the register to approve someone else's
+  // action; kept apart from the login lockout so a cashier cannot lock an
+  // approver out of their account
+  failedApprovalAttempts: {
+    type: Number,
+    default: 0
+  },
+  approvalLockedUntil: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -72,11 +99,31 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Hash approval PIN before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('approvalPin') || !this.approvalPin) return next();
+
+  const salt = await bcrypt.genSalt(10);
+  this.approvalPin = await bcrypt.hash(this.approvalPin, salt);
+  next();
+});
+
 // Method to check password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Method to check approval PIN; the user must be loaded with +approvalPin
+userSchema.methods.matchApprovalPin = async function(enteredPin) {
+  if (!this.approvalPin) return false;
+  return await bcrypt.compare(enteredPin, this.approvalPin);
+};
+
+// Whether the user may approve voids, discounts above the staff limit and price overrides
+userSchema.methods.canApprove = function() {
+  return this.isActive && (this.role === 'admin' || (this.role === 'staff' && this.isSupervisor));
+};
+
 // Method to increment failed login attempts
 userSchema.methods.incrementFailedAttempts = async function() {
   this.failedLoginAttempts += 1;
@@ -113,5 +160,35 @@ userSchema.methods.isAccountLocked = function() {
   return false;
 };
 
+// Method to increment failed register approvals; locks approving, not signing in
+userSchema.methods.incrementFailedApprovalAttempts = async function() {
+  // A lock that has run out starts a fresh count
+  if (this.approvalLockedUntil && this.approvalLockedUntil <= new Date()) {
+    this.failedApprovalAttempts = 0;
+    this.approvalLockedUntil = null;
+  }
+
+  this.failedApprovalAttempts += 1;
+
+  if (this.failedApprovalAttempts >= 3) {
+    // Lock for 30 minutes
+    this.approvalLockedUntil = new Date(Date.now() + 30 * 60 * 1000);
+  }
+
+  await this.save();
+};
+
+// Method to reset failed register approvals
+userSchema.methods.resetFailedApprovalAttempts = async function() {
+  this.failedApprovalAttempts = 0;
+  this.approvalLockedUntil = null;
+  await this.save();
+};
+
+// Check if approving at the register is locked
+userSchema.methods.isApprovalLocked = function() {
+  return Boolean(this.approvalLockedUntil && this.approvalLockedUntil > new Date());
+};
+
 export default mongoose.model('User', userSchema);
 
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { VOID_REASONS } from './Sale.model.js';
+
+export const VOID_REQUEST_STATUSES = [
+  'pending',        // Awaiting an admin or supervisor
+  'approved',       // The sale was voided
+  'rejected',
+  'cancelled'       // Taken back by the cashier before review
+];
+
+// A void a cashier asked for without an approver at the register, carried out
+// only once an admin or supervisor approves it
+const voidRequestSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: VOID_REQUEST_STATUSES,
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    enum: VOID_REASONS,
+    required: [true, 'Reason is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Review note cannot exceed 200 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+voidRequestSchema.index({ status: 1, createdAt: -1 });
+voidRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+// A sale has at most one request awaiting review
+voidRequestSchema.index({ sale: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+export default mongoose.model('VoidRequest', voidRequestSchema);
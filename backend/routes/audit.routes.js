@@ -0,0 +1,35 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { AUDIT_ACTIONS, AUDIT_TARGETS } from '../models/AuditLog.model.js';
+import * as auditController from '../controllers/audit.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+/**
+ * @route   GET /api/audit
+ * @desc    Get audit log entries (?actor=, ?approver=, ?action=, ?targetType=, ?target=, ?field=, ?startDate=, ?endDate=, ?search=)
+ * @access  Private/Admin
+ */
+router.get('/', [
+  query('actor').optional().isMongoId().withMessage('Invalid actor'),
+  query('approver').optional().isMongoId().withMessage('Invalid approver'),
+  query('action').optional().custom(value => value.split(',').every(action => AUDIT_ACTIONS.includes(action)))
+    .withMessage('Invalid action'),
+  query('targetType').optional().isIn(AUDIT_TARGETS).withMessage('Invalid target type'),
+  query('target').optional().isMongoId().withMessage('Invalid target'),
+  query('field').optional().trim(),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  query('search').optional().trim(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  handleValidationErrors
+], auditController.getAuditLogs);
+
+export default router;
@@ -73,5 +73,17 @@ router.post('/reset-password', [
   handleValidationErrors
 ], authController.resetPassword);
 
+/**
+ * @route   PUT /api/auth/approval-pin
+ * @desc    Set or change the approval PIN entered at the register (Admin/Supervisor)
+ * @access  Private/Admin/Supervisor
+ */
+router.put('/approval-pin', [
+  protect,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('pin').matches(/^\d{4,6}$/).withMessage('PIN must be 4 to 6 digits'),
+  handleValidationErrors
+], authController.setApprovalPin);
+
 export default router;
 
@@ -32,6 +32,9 @@ router.post('/', authorize('admin'), [
   body('name').trim().notEmpty().withMessage('Category name is required')
     .isLength({ min: 2, max: 50 }).withMessage('Category name must be between 2 and 50 characters'),
   body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('taxClass').optional().customSanitizer(value => value || null)
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid tax class'),
+  body('loyaltyMultiplier').optional().isFloat({ min: 0, max: 10 }).withMessage('Loyalty multiplier must be between 0 and 10').toFloat(),
   handleValidationErrors
 ], categoryController.createCategory);
 
@@ -44,6 +47,9 @@ router.put('/:id', authorize('admin'), [
   body('name').optional().trim().notEmpty().withMessage('Category name cannot be empty')
     .isLength({ min: 2, max: 50 }).withMessage('Category name must be between 2 and 50 characters'),
   body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('taxClass').optional().customSanitizer(value => value || null)
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid tax class'),
+  body('loyaltyMultiplier').optional().isFloat({ min: 0, max: 10 }).withMessage('Loyalty multiplier must be between 0 and 10').toFloat(),
   handleValidationErrors
 ], categoryController.updateCategory);
 
@@ -0,0 +1,84 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as customerController from '../controllers/customer.controller.js';
+
+const router = express.Router();
+
+const customerValidators = [
+  body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Please provide a valid email'),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d+$/)
+    .withMessage('Phone number must contain only digits')
+    .isLength({ max: 11 })
+    .withMessage('Phone number must not exceed 11 digits'),
+  body('loyaltyCardNumber')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[A-Za-z0-9]{4,20}$/)
+    .withMessage('Loyalty card number must be 4-20 letters or digits'),
+  body('address').optional().trim().isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('isActive').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+// All routes require authentication; customers are managed at the register
+router.use(protect);
+router.use(authorize('admin', 'staff'));
+
+/**
+ * @route   GET /api/customers
+ * @desc    Get customers (search by name, email or phone)
+ * @access  Private/Admin/Staff
+ */
+router.get('/', customerController.getCustomers);
+
+/**
+ * @route   GET /api/customers/:id
+ * @desc    Get single customer with lifetime value and last purchase
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id', customerController.getCustomer);
+
+/**
+ * @route   GET /api/customers/:id/sales
+ * @desc    Get a customer's purchase history
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id/sales', customerController.getCustomerSales);
+
+/**
+ * @route   POST /api/customers
+ * @desc    Create customer
+ * @access  Private/Admin/Staff
+ */
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Customer name is required')
+    .isLength({ max: 100 }).withMessage('Customer name cannot exceed 100 characters'),
+  ...customerValidators,
+  handleValidationErrors
+], customerController.createCustomer);
+
+/**
+ * @route   PUT /api/customers/:id
+ * @desc    Update customer
+ * @access  Private/Admin/Staff
+ */
+router.put('/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Customer name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Customer name cannot exceed 100 characters'),
+  ...customerValidators,
+  handleValidationErrors
+], customerController.updateCustomer);
+
+/**
+ * @route   DELETE /api/customers/:id
+ * @desc    Delete a customer with no sales (Admin only)
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), customerController.deleteCustomer);
+
+export default router;
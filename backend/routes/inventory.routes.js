@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as inventoryController from '../controllers/inventory.controller.js';
@@ -14,7 +14,10 @@ router.use(protect);
  * @desc    Get inventory status
  * @access  Private
  */
-router.get('/', inventoryController.getInventory);
+router.get('/', [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], inventoryController.getInventory);
 
 /**
  * @route   PUT /api/inventory/:id/stock
@@ -22,8 +25,14 @@ router.get('/', inventoryController.getInventory);
  * @access  Private/Admin/Supplier
  */
 router.put('/:id/stock', authorize('admin', 'supplier'), [
-  body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer'),
+  body('quantity').isFloat({ min: 0 }).withMessage('Quantity must be a non-negative number').toFloat(),
+  body('unit').optional({ values: 'falsy' }).trim(),
+  body('variant').optional().isMongoId().withMessage('Invalid variant'),
+  body('location').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid location'),
   body('operation').optional().isIn(['add', 'set']).withMessage('Operation must be "add" or "set"'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  body('lotNumber').optional({ values: 'falsy' }).trim().isLength({ max: 50 }).withMessage('Lot number cannot exceed 50 characters'),
+  body('expiryDate').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a valid date'),
   handleValidationErrors
 ], inventoryController.updateStock);
 
@@ -32,7 +41,54 @@ router.put('/:id/stock', authorize('admin', 'supplier'), [
  * @desc    Get low stock alerts
  * @access  Private
  */
-router.get('/alerts', inventoryController.getLowStockAlerts);
+router.get('/alerts', [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], inventoryController.getLowStockAlerts);
+
+/**
+ * @route   GET /api/inventory/reorder-suggestions
+ * @desc    Get reorder suggestions from sales velocity, grouped by supplier (Admin only)
+ * @access  Private/Admin
+ */
+router.get('/reorder-suggestions', authorize('admin'), [
+  query('days').optional().isInt({ min: 7, max: 365 }).withMessage('Days must be between 7 and 365').toInt(),
+  query('coverageDays').optional().isInt({ min: 1, max: 180 }).withMessage('Coverage must be between 1 and 180 days').toInt(),
+  query('supplier').optional().isMongoId().withMessage('Invalid supplier'),
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], inventoryController.getReorderSuggestions);
+
+/**
+ * @route   GET /api/inventory/expiring
+ * @desc    Get lots that have expired or expire within `days` days (default 30)
+ * @access  Private
+ */
+router.get('/expiring', [
+  query('days').optional().isInt({ min: 0, max: 365 }).withMessage('Days must be between 0 and 365').toInt(),
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], inventoryController.getExpiringLots);
+
+/**
+ * @route   POST /api/inventory/lots/:id/write-off
+ * @desc    Write off the stock left in an expired lot (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/lots/:id/write-off', authorize('admin'), [
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  handleValidationErrors
+], inventoryController.writeOffExpiredLot);
+
+/**
+ * @route   GET /api/inventory/:id/movements
+ * @desc    Get stock movement history for a product
+ * @access  Private
+ */
+router.get('/:id/movements', [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], inventoryController.getStockMovements);
 
 export default router;
 
@@ -0,0 +1,51 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as loyaltyController from '../controllers/loyalty.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication; members are looked up at the register
+router.use(protect);
+router.use(authorize('admin', 'staff'));
+
+/**
+ * @route   GET /api/loyalty/members?card=
+ * @desc    Find a loyalty member by card number or phone
+ * @access  Private/Admin/Staff
+ */
+router.get('/members', [
+  query('card').trim().notEmpty().withMessage('Card number or phone is required')
+    .isLength({ max: 20 }).withMessage('Card number or phone cannot exceed 20 characters'),
+  handleValidationErrors
+], loyaltyController.lookupMember);
+
+/**
+ * @route   POST /api/loyalty/expire
+ * @desc    Expire all points past their expiry date (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/expire', authorize('admin'), loyaltyController.expirePoints);
+
+/**
+ * @route   GET /api/loyalty/customers/:id
+ * @desc    Get a customer's points balance and ledger
+ * @access  Private/Admin/Staff
+ */
+router.get('/customers/:id', loyaltyController.getCustomerLedger);
+
+/**
+ * @route   POST /api/loyalty/customers/:id/adjust
+ * @desc    Manually add or remove points (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/customers/:id/adjust', authorize('admin'), [
+  body('points').isInt().withMessage('Points must be a whole number').toInt()
+    .custom(value => value !== 0).withMessage('Points cannot be zero'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  handleValidationErrors
+], loyaltyController.adjustCustomerPoints);
+
+export default router;
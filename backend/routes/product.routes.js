@@ -1,20 +1,82 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
+import { isValidBarcode, normalizeBarcode } from '../utils/barcode.js';
 import * as productController from '../controllers/product.controller.js';
 
 const router = express.Router();
 
+const barcodeValidators = [
+  body('barcodes').optional().isArray().withMessage('Barcodes must be a list'),
+  body('barcodes.*')
+    .customSanitizer(normalizeBarcode)
+    .custom(isValidBarcode).withMessage('Barcodes must be valid EAN-8, UPC-A or EAN-13 codes')
+];
+
+// A product with variants takes its price and stock from them
+const withoutVariants = (value, { req }) => !req.body.variants?.length;
+
+const variantValidators = [
+  body('options').optional().isArray({ max: 3 }).withMessage('Products can have up to 3 options'),
+  body('options.*.name').trim().notEmpty().withMessage('Option name is required'),
+  body('options.*.values').isArray({ min: 1 }).withMessage('Each option needs at least one value'),
+  body('options.*.values.*').trim().notEmpty().withMessage('Option values cannot be blank'),
+  body('variants').optional().isArray().withMessage('Variants must be a list'),
+  body('variants.*._id').optional().isMongoId().withMessage('Invalid variant'),
+  body('variants.*.optionValues').isArray({ min: 1 }).withMessage('Each variant needs its option values'),
+  body('variants.*.optionValues.*').trim(),
+  body('variants.*.sku').optional({ values: 'falsy' }).trim(),
+  body('variants.*.price').isFloat({ min: 0 }).withMessage('Variant price must be a positive number').toFloat(),
+  body('variants.*.stockQuantity').optional().isFloat({ min: 0 }).withMessage('Variant stock must be a non-negative number').toFloat(),
+  body('variants.*.lowStockThreshold').optional().isFloat({ min: 0 }).withMessage('Variant low stock threshold must be a non-negative number').toFloat(),
+  body('variants.*.isActive').optional().isBoolean().toBoolean(),
+  body('variants.*.barcodes').optional().isArray().withMessage('Barcodes must be a list'),
+  body('variants.*.barcodes.*')
+    .customSanitizer(normalizeBarcode)
+    .custom(isValidBarcode).withMessage('Barcodes must be valid EAN-8, UPC-A or EAN-13 codes')
+];
+
+// Whole-unit stock is checked by the controller, which knows whether the product allows fractions
+const unitValidators = [
+  body('unit').optional().trim().notEmpty().withMessage('Unit is required')
+    .isLength({ max: 20 }).withMessage('Unit name cannot exceed 20 characters'),
+  body('allowFractions').optional().isBoolean().toBoolean(),
+  body('units').optional().isArray({ max: 5 }).withMessage('Products can have up to 5 alternate units'),
+  body('units.*.name').trim().notEmpty().withMessage('Unit name is required')
+    .isLength({ max: 20 }).withMessage('Unit name cannot exceed 20 characters'),
+  body('units.*.factor').isFloat({ gt: 0 }).withMessage('Unit conversion factor must be greater than 0').toFloat()
+];
+
 // All routes require authentication
 router.use(protect);
 
 /**
  * @route   GET /api/products
- * @desc    Get all products
+ * @desc    Get all products, with stock at one location when ?location= is given
  * @access  Private
  */
-router.get('/', productController.getProducts);
+router.get('/', [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], productController.getProducts);
+
+/**
+ * @route   GET /api/products/lookup
+ * @desc    Find a product by scanned barcode or SKU (?code=)
+ * @access  Private
+ */
+router.get('/lookup', [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], productController.lookupProduct);
+
+/**
+ * @route   GET /api/products/:id/cost-history
+ * @desc    Get cost price history of a product (Admin only)
+ * @access  Private/Admin
+ */
+router.get('/:id/cost-history', authorize('admin'), productController.getCostHistory);
 
 /**
  * @route   GET /api/products/:id
@@ -25,26 +87,40 @@ router.get('/:id', productController.getProduct);
 
 /**
  * @route   POST /api/products
- * @desc    Create new product (Admin or Supplier)
- * @access  Private/Admin/Supplier
+ * @desc    Create new product (Admin only; suppliers submit product proposals)
+ * @access  Private/Admin
  */
-router.post('/', authorize('admin', 'supplier'), [
+router.post('/', authorize('admin'), [
   body('name').trim().notEmpty().withMessage('Product name is required'),
-  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-  body('stockQuantity').isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
-  body('supplier').optional().isMongoId().withMessage('Valid supplier ID is required'),
+  body('price').if(withoutVariants).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('costPrice').optional().isFloat({ min: 0 }).withMessage('Cost price must be a non-negative number').toFloat(),
+  body('stockQuantity').if(withoutVariants).isFloat({ min: 0 }).withMessage('Stock quantity must be a non-negative number'),
+  body('supplier').isMongoId().withMessage('Valid supplier ID is required'),
+  body('taxClass').optional().customSanitizer(value => value || null)
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid tax class'),
+  body('trackExpiry').optional().isBoolean().toBoolean(),
+  ...barcodeValidators,
+  ...variantValidators,
+  ...unitValidators,
   handleValidationErrors
 ], productController.createProduct);
 
 /**
  * @route   PUT /api/products/:id
- * @desc    Update product (Admin or Supplier - suppliers can only update their own)
+ * @desc    Update product (Admin or Supplier - suppliers can only update their own, prices excepted)
  * @access  Private/Admin/Supplier
  */
 router.put('/:id', authorize('admin', 'supplier'), [
   body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  body('costPrice').optional().isFloat({ min: 0 }).withMessage('Cost price must be a non-negative number').toFloat(),
+  body('stockQuantity').optional().isFloat({ min: 0 }).withMessage('Stock quantity must be a non-negative number'),
   body('supplier').optional().isMongoId().withMessage('Valid supplier ID is required'),
+  body('taxClass').optional().customSanitizer(value => value || null)
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid tax class'),
+  body('trackExpiry').optional().isBoolean().toBoolean(),
+  ...barcodeValidators,
+  ...variantValidators,
+  ...unitValidators,
   handleValidationErrors
 ], productController.updateProduct);
 
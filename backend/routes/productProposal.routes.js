@@ -0,0 +1,94 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { isValidBarcode, normalizeBarcode } from '../utils/barcode.js';
+import { PROPOSAL_STATUSES, PROPOSAL_TYPES } from '../models/ProductProposal.model.js';
+import * as proposalController from '../controllers/productProposal.controller.js';
+
+const router = express.Router();
+
+const isNewProduct = (value, { req }) => req.body.type === 'new_product';
+const isPriceChange = (value, { req }) => req.body.type === 'price_change';
+
+// All routes require authentication; staff have no part in catalog proposals
+router.use(protect);
+router.use(authorize('admin', 'supplier'));
+
+/**
+ * @route   GET /api/product-proposals
+ * @desc    Get product proposals (?status=, ?type=, ?supplier=; suppliers see their own)
+ * @access  Private/Admin/Supplier
+ */
+router.get('/', [
+  query('status').optional().custom(value => value.split(',').every(status => PROPOSAL_STATUSES.includes(status)))
+    .withMessage('Invalid status'),
+  query('type').optional().isIn(PROPOSAL_TYPES).withMessage('Invalid proposal type'),
+  query('supplier').optional().isMongoId().withMessage('Invalid supplier'),
+  handleValidationErrors
+], proposalController.getProposals);
+
+/**
+ * @route   GET /api/product-proposals/:id
+ * @desc    Get single proposal with the diff of current and proposed values
+ * @access  Private/Admin/Supplier
+ */
+router.get('/:id', proposalController.getProposal);
+
+/**
+ * @route   POST /api/product-proposals
+ * @desc    Propose a new product or a price change (Supplier only)
+ * @access  Private/Supplier
+ */
+router.post('/', authorize('supplier'), [
+  body('type').isIn(PROPOSAL_TYPES).withMessage('Invalid proposal type'),
+  body('name').if(isNewProduct).trim().notEmpty().withMessage('Product name is required'),
+  body('description').if(isNewProduct).optional().trim(),
+  body('category').if(isNewProduct).optional({ values: 'falsy' }).trim(),
+  body('sku').if(isNewProduct).optional({ values: 'falsy' }).trim(),
+  body('unit').if(isNewProduct).optional({ values: 'falsy' }).trim()
+    .isLength({ max: 20 }).withMessage('Unit name cannot exceed 20 characters'),
+  body('barcodes').if(isNewProduct).optional().isArray().withMessage('Barcodes must be a list'),
+  body('barcodes.*').if(isNewProduct)
+    .customSanitizer(normalizeBarcode)
+    .custom(isValidBarcode).withMessage('Barcodes must be valid EAN-8, UPC-A or EAN-13 codes'),
+  body('price').if(isNewProduct).isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+  body('product').if(isPriceChange).isMongoId().withMessage('Valid product ID is required'),
+  body('variant').if(isPriceChange).optional({ values: 'falsy' }).isMongoId().withMessage('Invalid variant'),
+  body('price').if(isPriceChange).optional().isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+  body('costPrice').optional().isFloat({ min: 0 }).withMessage('Cost price must be a non-negative number').toFloat(),
+  body().if(isPriceChange).custom(value => value.price !== undefined || value.costPrice !== undefined)
+    .withMessage('Propose a new price, a new cost price or both'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], proposalController.createProposal);
+
+/**
+ * @route   PUT /api/product-proposals/:id/approve
+ * @desc    Approve a proposal and apply it to the catalog (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id/approve', authorize('admin'), [
+  body('reviewNote').optional().trim().isLength({ max: 500 }).withMessage('Review note cannot exceed 500 characters'),
+  handleValidationErrors
+], proposalController.approveProposal);
+
+/**
+ * @route   PUT /api/product-proposals/:id/reject
+ * @desc    Reject a proposal with a reason (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id/reject', authorize('admin'), [
+  body('reviewNote').trim().notEmpty().withMessage('Reason for rejection is required')
+    .isLength({ max: 500 }).withMessage('Review note cannot exceed 500 characters'),
+  handleValidationErrors
+], proposalController.rejectProposal);
+
+/**
+ * @route   PUT /api/product-proposals/:id/withdraw
+ * @desc    Withdraw one of the supplier's own pending proposals (Supplier only)
+ * @access  Private/Supplier
+ */
+router.put('/:id/withdraw', authorize('supplier'), proposalController.withdrawProposal);
+
+export default router;
@@ -0,0 +1,94 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as promoController from '../controllers/promo.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Percentage promos cannot exceed 100%
+const isValidPromoValue = (value, { req }) => {
+  if (req.body.discountType === 'percentage' && Number(value) > 100) {
+    throw new Error('Percentage discount cannot exceed 100%');
+  }
+  return true;
+};
+
+// End date must not be before the start date
+const isValidEndDate = (value, { req }) => {
+  if (value && req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+    throw new Error('End date cannot be before start date');
+  }
+  return true;
+};
+
+/**
+ * @route   GET /api/promos
+ * @desc    Get all promo codes (Admin only)
+ * @access  Private/Admin
+ */
+router.get('/', authorize('admin'), promoController.getPromos);
+
+/**
+ * @route   GET /api/promos/validate/:code
+ * @desc    Validate a promo code at checkout
+ * @access  Private/Admin/Staff
+ */
+router.get('/validate/:code', authorize('admin', 'staff'), promoController.validatePromo);
+
+/**
+ * @route   POST /api/promos
+ * @desc    Create new promo code (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  body('code').trim().notEmpty().withMessage('Promo code is required')
+    .isLength({ max: 30 }).withMessage('Promo code cannot exceed 30 characters')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Promo code may only contain letters, numbers, dashes and underscores'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('discountType').isIn(['percentage', 'fixed']).withMessage('Discount type must be "percentage" or "fixed"'),
+  body('discountValue').isFloat({ min: 0 }).withMessage('Discount value must be a positive number')
+    .custom(isValidPromoValue),
+  body('maxDiscount').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+  body('minPurchase').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Minimum purchase must be a positive number'),
+  body('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a valid date')
+    .custom(isValidEndDate),
+  body('usageLimit').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  handleValidationErrors
+], promoController.createPromo);
+
+/**
+ * @route   PUT /api/promos/:id
+ * @desc    Update promo code (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id', authorize('admin'), [
+  body('code').optional().trim().notEmpty().withMessage('Promo code cannot be empty')
+    .isLength({ max: 30 }).withMessage('Promo code cannot exceed 30 characters')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Promo code may only contain letters, numbers, dashes and underscores'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('discountType').optional().isIn(['percentage', 'fixed']).withMessage('Discount type must be "percentage" or "fixed"'),
+  body('discountValue').optional().isFloat({ min: 0 }).withMessage('Discount value must be a positive number')
+    .custom(isValidPromoValue),
+  body('maxDiscount').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+  body('minPurchase').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Minimum purchase must be a positive number'),
+  body('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a valid date')
+    .custom(isValidEndDate),
+  body('usageLimit').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
+  handleValidationErrors
+], promoController.updatePromo);
+
+/**
+ * @route   DELETE /api/promos/:id
+ * @desc    Delete promo code (Admin only)
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), promoController.deletePromo);
+
+export default router;
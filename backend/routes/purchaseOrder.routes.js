@@ -0,0 +1,133 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { lineKey } from '../utils/variant.js';
+import * as purchaseOrderController from '../controllers/purchaseOrder.controller.js';
+
+const router = express.Router();
+
+// Each product, or variant of a product, may appear only once per order or delivery
+const hasUniqueProducts = (items) => {
+  const keys = items.map(item => lineKey(item.product, item.variant));
+  if (new Set(keys).size !== keys.length) {
+    throw new Error('Each product can only be listed once');
+  }
+  return true;
+};
+
+const orderItemValidators = [
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant'),
+  body('items.*.unit').optional({ values: 'falsy' }).trim(),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('items.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be a non-negative number').toFloat()
+];
+
+const orderDetailValidators = [
+  body('expectedDate')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Expected date must be a valid date'),
+  body('location').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid location'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// All routes require authentication; staff have no access to purchasing
+router.use(protect);
+router.use(authorize('admin', 'supplier'));
+
+/**
+ * @route   GET /api/purchase-orders
+ * @desc    Get purchase orders (suppliers see their own sent orders)
+ * @access  Private/Admin/Supplier
+ */
+router.get('/', [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], purchaseOrderController.getPurchaseOrders);
+
+/**
+ * @route   GET /api/purchase-orders/:id
+ * @desc    Get single purchase order
+ * @access  Private/Admin/Supplier
+ */
+router.get('/:id', purchaseOrderController.getPurchaseOrder);
+
+/**
+ * @route   POST /api/purchase-orders
+ * @desc    Create a draft purchase order (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  body('supplier').isMongoId().withMessage('Valid supplier ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required')
+    .bail()
+    .custom(hasUniqueProducts),
+  ...orderItemValidators,
+  ...orderDetailValidators,
+  handleValidationErrors
+], purchaseOrderController.createPurchaseOrder);
+
+/**
+ * @route   PUT /api/purchase-orders/:id
+ * @desc    Update a draft purchase order (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id', authorize('admin'), [
+  body('supplier').optional().isMongoId().withMessage('Valid supplier ID is required'),
+  body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required')
+    .bail()
+    .custom(hasUniqueProducts),
+  ...orderItemValidators,
+  ...orderDetailValidators,
+  handleValidationErrors
+], purchaseOrderController.updatePurchaseOrder);
+
+/**
+ * @route   PUT /api/purchase-orders/:id/send
+ * @desc    Send a draft purchase order to the supplier (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id/send', authorize('admin'), purchaseOrderController.sendPurchaseOrder);
+
+/**
+ * @route   PUT /api/purchase-orders/:id/confirm
+ * @desc    Confirm a sent purchase order
+ * @access  Private/Admin/Supplier
+ */
+router.put('/:id/confirm', purchaseOrderController.confirmPurchaseOrder);
+
+/**
+ * @route   POST /api/purchase-orders/:id/receive
+ * @desc    Receive goods against a purchase order (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/:id/receive', authorize('admin'), [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required')
+    .bail()
+    .custom(hasUniqueProducts),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('items.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a non-negative number').toFloat(),
+  body('items.*.lotNumber').optional({ values: 'falsy' }).trim().isLength({ max: 50 }).withMessage('Lot number cannot exceed 50 characters'),
+  body('items.*.expiryDate').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a valid date'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], purchaseOrderController.receivePurchaseOrder);
+
+/**
+ * @route   PUT /api/purchase-orders/:id/close
+ * @desc    Close a partially received purchase order (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id/close', authorize('admin'), purchaseOrderController.closePurchaseOrder);
+
+/**
+ * @route   PUT /api/purchase-orders/:id/cancel
+ * @desc    Cancel a purchase order (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id/cancel', authorize('admin'), purchaseOrderController.cancelPurchaseOrder);
+
+export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
+import { query } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as reportController from '../controllers/report.controller.js';
 
 const router = express.Router();
@@ -8,33 +10,53 @@ const router = express.Router();
 router.use(protect);
 router.use(authorize('admin'));
 
+// Reports cover all branches unless narrowed to one with ?location=
+const locationValidators = [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+];
+
 /**
  * @route   GET /api/reports/sales
  * @desc    Get sales report
  * @access  Private/Admin
  */
-router.get('/sales', reportController.getSalesReport);
+router.get('/sales', locationValidators, reportController.getSalesReport);
 
 /**
  * @route   GET /api/reports/inventory
  * @desc    Get inventory report
  * @access  Private/Admin
  */
-router.get('/inventory', reportController.getInventoryReport);
+router.get('/inventory', locationValidators, reportController.getInventoryReport);
 
 /**
  * @route   GET /api/reports/top-products
  * @desc    Get top selling products
  * @access  Private/Admin
  */
-router.get('/top-products', reportController.getTopProducts);
+router.get('/top-products', locationValidators, reportController.getTopProducts);
 
 /**
  * @route   GET /api/reports/revenue-trends
  * @desc    Get revenue trends
  * @access  Private/Admin
  */
-router.get('/revenue-trends', reportController.getRevenueTrends);
+router.get('/revenue-trends', locationValidators, reportController.getRevenueTrends);
+
+/**
+ * @route   GET /api/reports/margins
+ * @desc    Get gross margin by product category
+ * @access  Private/Admin
+ */
+router.get('/margins', locationValidators, reportController.getMarginReport);
+
+/**
+ * @route   GET /api/reports/loyalty
+ * @desc    Get outstanding loyalty points liability and points activity
+ * @access  Private/Admin
+ */
+router.get('/loyalty', reportController.getLoyaltyReport);
 
 export default router;
 
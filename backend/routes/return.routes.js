@@ -0,0 +1,74 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { lineKey } from '../utils/variant.js';
+import { RETURN_REASONS } from '../models/Return.model.js';
+import * as returnController from '../controllers/return.controller.js';
+
+const router = express.Router();
+
+// Each product, or variant of a product, may appear only once per return. A
+// product sold in more than one unit may be listed once per unit, but only when
+// every one of its lines names its unit.
+const hasUniqueProducts = (items) => {
+  const unitsByLine = new Map();
+  for (const item of items) {
+    const key = lineKey(item.product, item.variant);
+    unitsByLine.set(key, [...(unitsByLine.get(key) || []), item.unit || null]);
+  }
+
+  for (const units of unitsByLine.values()) {
+    if (units.length === 1) continue;
+    if (units.includes(null)) {
+      throw new Error('A product listed more than once must name the unit on each line');
+    }
+    if (new Set(units).size !== units.length) {
+      throw new Error('Each product can only be listed once per unit');
+    }
+  }
+  return true;
+};
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/returns
+ * @desc    Get all returns
+ * @access  Private
+ */
+router.get('/', [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], returnController.getReturns);
+
+/**
+ * @route   POST /api/returns
+ * @desc    Return items from a sale (Admin/Staff)
+ * @access  Private/Admin/Staff
+ */
+router.post('/', authorize('admin', 'staff'), [
+  body('sale').isMongoId().withMessage('Valid sale ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required')
+    .bail()
+    .custom(hasUniqueProducts),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant'),
+  body('items.*.unit').optional({ values: 'falsy' }).trim(),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('items.*.reason').isIn(RETURN_REASONS).withMessage('Invalid return reason'),
+  body('items.*.disposition').optional().isIn(['restock', 'write_off']).withMessage('Disposition must be "restock" or "write_off"'),
+  body('refundMethod').optional().isIn(['cash', 'card', 'mobile_payment', 'other']).withMessage('Invalid refund method'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], returnController.createReturn);
+
+/**
+ * @route   GET /api/returns/:id
+ * @desc    Get single return
+ * @access  Private
+ */
+router.get('/:id', returnController.getReturn);
+
+export default router;
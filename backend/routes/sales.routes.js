@@ -1,11 +1,45 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as salesController from '../controllers/sales.controller.js';
+import { OVERRIDE_REASONS, PAYMENT_METHODS, TENDER_METHODS, VOID_REASONS } from '../models/Sale.model.js';
 
 const router = express.Router();
 
+// Percentage discounts cannot exceed 100%
+const isValidDiscount = (discount) => {
+  if (discount?.type === 'percentage' && Number(discount.value) > 100) {
+    throw new Error('Percentage discount cannot exceed 100%');
+  }
+  return true;
+};
+
+// Approver credentials entered at the register: a username with a PIN or password
+const approverValidators = (prefix) => [
+  body(`${prefix}.username`).optional({ values: 'falsy' }).trim(),
+  body(`${prefix}.pin`).optional({ values: 'falsy' }).matches(/^\d{4,6}$/).withMessage('PIN must be 4 to 6 digits'),
+  body(`${prefix}.password`).optional({ values: 'falsy' }).isString()
+];
+
+// A reason code from `reasons`, with a note required when the reason is 'other'
+const reasonValidators = (reasonPath, notePath, reasons) => [
+  body(reasonPath).isIn(reasons).withMessage('Choose a valid reason'),
+  body(notePath)
+    .if(body(reasonPath).equals('other'))
+    .trim()
+    .notEmpty()
+    .withMessage('Describe the reason'),
+  body(notePath).optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters')
+];
+
+// Receipt format and thermal paper width
+const receiptValidators = [
+  query('format').optional().isIn(['escpos', 'pdf', 'html']).withMessage('Format must be escpos, pdf or html'),
+  query('width').optional().isIn(['58', '80']).withMessage('Paper width must be 58 or 80 mm').toInt(),
+  handleValidationErrors
+];
+
 // All routes require authentication
 router.use(protect);
 
@@ -14,7 +48,10 @@ router.use(protect);
  * @desc    Get all sales
  * @access  Private
  */
-router.get('/', salesController.getSales);
+router.get('/', [
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], salesController.getSales);
 
 /**
  * @route   POST /api/sales
@@ -22,6 +59,8 @@ router.get('/', salesController.getSales);
  * @access  Private/Supplier/Staff
  */
 router.post('/', authorize('supplier', 'staff', 'admin'), [
+  body('customer').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid customer'),
+  body('loyaltyCard').optional({ values: 'falsy' }).trim().isLength({ max: 20 }).withMessage('Loyalty card number cannot exceed 20 characters'),
   body('customerName').optional().trim(),
   body('customerEmail').optional().isEmail().withMessage('Please provide a valid email'),
   body('customerPhone')
@@ -33,19 +72,66 @@ router.post('/', authorize('supplier', 'staff', 'admin'), [
     .withMessage('Phone number must not exceed 11 digits'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('paymentMethod').isIn(['cash', 'card', 'mobile_payment', 'other']).withMessage('Invalid payment method'),
-  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
-  body('tax').optional().isFloat({ min: 0 }).withMessage('Tax cannot be negative'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('items.*.unit').optional({ values: 'falsy' }).trim(),
+  // Overrides the list price; needs a reason and approval
+  body('items.*.price').optional().isFloat({ min: 0 }).withMessage('Price cannot be negative').toFloat(),
+  body('payments').optional().isArray({ min: 1, max: 10 }).withMessage('Between 1 and 10 payments are allowed'),
+  body('payments.*.method').isIn(TENDER_METHODS).withMessage('Invalid payment method'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0').toFloat(),
+  body('payments.*.referenceNumber').optional({ values: 'falsy' }).trim().isLength({ max: 50 }).withMessage('Reference number cannot exceed 50 characters'),
+  // Older clients send a single payment method instead of payments
+  body('paymentMethod').if(body('payments').not().exists()).isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('items.*.discount.type').optional().isIn(['percentage', 'fixed']).withMessage('Discount type must be "percentage" or "fixed"'),
+  body('items.*.discount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('items.*.discount').optional().custom(isValidDiscount),
+  body('saleDiscount.type').optional().isIn(['percentage', 'fixed']).withMessage('Discount type must be "percentage" or "fixed"'),
+  body('saleDiscount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('saleDiscount').optional().custom(isValidDiscount),
+  body('taxExemption.type').optional({ values: 'falsy' }).isIn(['senior_citizen', 'pwd']).withMessage('Tax exemption must be "senior_citizen" or "pwd"'),
+  body('taxExemption.idNumber')
+    .if(body('taxExemption.type').notEmpty())
+    .trim()
+    .notEmpty()
+    .withMessage('Senior citizen/PWD ID number is required'),
+  body('taxExemption.holderName').optional().trim(),
+  body('promoCode').optional({ values: 'falsy' }).trim().isLength({ max: 30 }).withMessage('Promo code cannot exceed 30 characters'),
+  body('override.reason').optional({ values: 'falsy' }).isIn(OVERRIDE_REASONS).withMessage('Choose a valid override reason'),
+  body('override.note')
+    .if(body('override.reason').equals('other'))
+    .trim()
+    .notEmpty()
+    .withMessage('Describe the override reason'),
+  body('override.note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+  ...approverValidators('override'),
   handleValidationErrors
 ], salesController.createSale);
 
 /**
  * @route   PATCH /api/sales/:id/void
- * @desc    Void a sale (Admin/Staff)
+ * @desc    Void a sale with a reason code; staff need an approver's PIN or password (Admin/Staff)
  * @access  Private/Admin/Staff
  */
-router.patch('/:id/void', authorize('admin', 'staff'), salesController.voidSale);
+router.patch('/:id/void', authorize('admin', 'staff'), [
+  ...reasonValidators('reason', 'note', VOID_REASONS),
+  ...approverValidators('override'),
+  handleValidationErrors
+], salesController.voidSale);
+
+/**
+ * @route   GET /api/sales/:id/receipt
+ * @desc    Get a copy of a sale's receipt as ESC/POS bytes, an A4 PDF or printable HTML
+ * @access  Private
+ */
+router.get('/:id/receipt', receiptValidators, salesController.getSaleReceipt);
+
+/**
+ * @route   POST /api/sales/:id/receipt/print
+ * @desc    Record a receipt print and get the receipt, marked as a reprint after the first
+ * @access  Private
+ */
+router.post('/:id/receipt/print', receiptValidators, salesController.printSaleReceipt);
 
 /**
  * @route   GET /api/sales/:id
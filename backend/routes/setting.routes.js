@@ -0,0 +1,53 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as settingController from '../controllers/setting.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get system settings
+ * @access  Private
+ */
+router.get('/', settingController.getSettings);
+
+/**
+ * @route   PUT /api/settings
+ * @desc    Update system settings (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/', authorize('admin'), [
+  body('discount.staffMaxPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Staff discount limit must be between 0 and 100'),
+  body('voids.staffSameShiftOnly').optional().isBoolean().withMessage('Same-shift voids must be true or false'),
+  body('voids.maxAgeHours').optional().isInt({ min: 0, max: 720 }).withMessage('Void time limit must be between 0 and 720 hours').toInt(),
+  body('tax.pricesIncludeVat').optional().isBoolean().withMessage('Prices include VAT must be true or false'),
+  body('tax.defaultTaxClass').optional().customSanitizer(value => value || null)
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid default tax class'),
+  body('tax.seniorPwdDiscountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Senior Citizen/PWD discount must be between 0 and 100'),
+  body('saleNumber.prefix').optional().trim().matches(/^[A-Za-z0-9]{1,10}$/).withMessage('Sale number prefix must be 1-10 letters or digits'),
+  body('saleNumber.branchCode').optional().trim().matches(/^[A-Za-z0-9]{0,10}$/).withMessage('Branch code must be up to 10 letters or digits'),
+  body('saleNumber.registerId').optional().trim().matches(/^[A-Za-z0-9]{0,10}$/).withMessage('Register ID must be up to 10 letters or digits'),
+  body('saleNumber.sequenceDigits').optional().isInt({ min: 3, max: 8 }).withMessage('Sequence digits must be between 3 and 8'),
+  body('receipt.storeName').optional().trim().isLength({ max: 60 }).withMessage('Store name cannot exceed 60 characters'),
+  body('receipt.address').optional().trim().isLength({ max: 200 }).withMessage('Store address cannot exceed 200 characters'),
+  body('receipt.tin').optional().trim().matches(/^[0-9-]{0,20}$/).withMessage('TIN must be up to 20 digits or dashes'),
+  body('receipt.contactNumber').optional().trim().isLength({ max: 30 }).withMessage('Contact number cannot exceed 30 characters'),
+  body('receipt.footer').optional().trim().isLength({ max: 200 }).withMessage('Receipt footer cannot exceed 200 characters'),
+  body('receipt.paperWidth').optional().isIn([58, 80]).withMessage('Paper width must be 58 or 80 mm').toInt(),
+  body('loyalty.enabled').optional().isBoolean().withMessage('Loyalty enabled must be true or false'),
+  body('loyalty.pointsPerPeso').optional().isFloat({ min: 0, max: 10 }).withMessage('Points per peso must be between 0 and 10'),
+  body('loyalty.pointValue').optional().isFloat({ min: 0.01, max: 1000 }).withMessage('Point value must be between 0.01 and 1000'),
+  body('loyalty.expiryMonths').optional().isInt({ min: 0, max: 120 }).withMessage('Points expiry must be between 0 and 120 months').toInt(),
+  body('reorder.salesHistoryDays').optional().isInt({ min: 7, max: 365 }).withMessage('Sales history must be between 7 and 365 days').toInt(),
+  body('reorder.leadTimeDays').optional().isInt({ min: 0, max: 180 }).withMessage('Lead time must be between 0 and 180 days').toInt(),
+  body('reorder.safetyStockDays').optional().isInt({ min: 0, max: 180 }).withMessage('Safety stock must be between 0 and 180 days').toInt(),
+  body('reorder.coverageDays').optional().isInt({ min: 1, max: 180 }).withMessage('Order coverage must be between 1 and 180 days').toInt(),
+  handleValidationErrors
+], settingController.updateSettings);
+
+export default router;
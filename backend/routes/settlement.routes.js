@@ -0,0 +1,88 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { SETTLEMENT_PAYMENT_METHODS, SETTLEMENT_STATUSES } from '../models/Settlement.model.js';
+import * as settlementController from '../controllers/settlement.controller.js';
+
+const router = express.Router();
+
+const periodValidators = (location) => [
+  location('supplier').isMongoId().withMessage('Valid supplier ID is required'),
+  location('startDate').isISO8601().withMessage('Valid start date is required'),
+  location('endDate').isISO8601().withMessage('Valid end date is required'),
+  location('endDate').custom((value, { req }) => {
+    const { startDate } = location === body ? req.body : req.query;
+    return new Date(value) >= new Date(startDate);
+  }).withMessage('End date cannot be before the start date')
+];
+
+// All routes require authentication; suppliers can only read their own settlements
+router.use(protect);
+router.use(authorize('admin', 'supplier'));
+
+/**
+ * @route   GET /api/settlements
+ * @desc    Get settlements (?supplier=, ?status=; suppliers see their own)
+ * @access  Private/Admin/Supplier
+ */
+router.get('/', [
+  query('status').optional().custom(value => value.split(',').every(status => SETTLEMENT_STATUSES.includes(status)))
+    .withMessage('Invalid status'),
+  query('supplier').optional().isMongoId().withMessage('Invalid supplier'),
+  handleValidationErrors
+], settlementController.getSettlements);
+
+/**
+ * @route   GET /api/settlements/preview
+ * @desc    Preview what a consignor is owed for a period (Admin only)
+ * @access  Private/Admin
+ */
+router.get('/preview', authorize('admin'), [
+  ...periodValidators(query),
+  handleValidationErrors
+], settlementController.previewSettlement);
+
+/**
+ * @route   GET /api/settlements/:id
+ * @desc    Get single settlement as JSON, CSV or PDF (?format=)
+ * @access  Private/Admin/Supplier
+ */
+router.get('/:id', [
+  query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be json, csv or pdf'),
+  handleValidationErrors
+], settlementController.getSettlement);
+
+/**
+ * @route   POST /api/settlements
+ * @desc    Issue a settlement of a consignor's sales for a period (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  ...periodValidators(body),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], settlementController.createSettlement);
+
+/**
+ * @route   POST /api/settlements/:id/payments
+ * @desc    Record a payment to the supplier (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/:id/payments', authorize('admin'), [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Payment amount must be greater than 0').toFloat(),
+  body('method').isIn(SETTLEMENT_PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('referenceNumber').optional().trim().isLength({ max: 100 }).withMessage('Reference number cannot exceed 100 characters'),
+  body('paidAt').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid payment date'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], settlementController.recordSettlementPayment);
+
+/**
+ * @route   PUT /api/settlements/:id/cancel
+ * @desc    Cancel a settlement without payments (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id/cancel', authorize('admin'), settlementController.cancelSettlement);
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as shiftController from '../controllers/shift.controller.js';
+import { PAYMENT_METHODS } from '../models/Sale.model.js';
+import { CASH_MOVEMENT_TYPES } from '../models/Shift.model.js';
+
+const router = express.Router();
+
+// All routes require authentication; shifts belong to the register staff
+router.use(protect);
+router.use(authorize('admin', 'staff'));
+
+/**
+ * @route   GET /api/shifts
+ * @desc    Get shifts (staff see their own)
+ * @access  Private/Admin/Staff
+ */
+router.get('/', [
+  query('status').optional().isIn(['open', 'closed']).withMessage('Status must be open or closed'),
+  query('cashier').optional().isMongoId().withMessage('Invalid cashier'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  handleValidationErrors
+], shiftController.getShifts);
+
+/**
+ * @route   GET /api/shifts/current
+ * @desc    Get the logged-in user's open shift with a live reading
+ * @access  Private/Admin/Staff
+ */
+router.get('/current', shiftController.getCurrentShift);
+
+/**
+ * @route   GET /api/shifts/z-reading
+ * @desc    Get the end-of-day Z-reading for a date (Admin only)
+ * @access  Private/Admin
+ */
+router.get('/z-reading', authorize('admin'), [
+  query('date').isISO8601().withMessage('A valid date is required'),
+  handleValidationErrors
+], shiftController.getDailyZReading);
+
+/**
+ * @route   POST /api/shifts/open
+ * @desc    Open a shift with an opening float
+ * @access  Private/Admin/Staff
+ */
+router.post('/open', [
+  body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float must be a non-negative number').toFloat(),
+  handleValidationErrors
+], shiftController.openShift);
+
+/**
+ * @route   GET /api/shifts/:id
+ * @desc    Get single shift
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id', shiftController.getShift);
+
+/**
+ * @route   GET /api/shifts/:id/x-reading
+ * @desc    Get a shift's X-reading (its Z-reading once closed)
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id/x-reading', shiftController.getXReading);
+
+/**
+ * @route   POST /api/shifts/:id/cash-movements
+ * @desc    Record cash added to or paid out of the drawer
+ * @access  Private/Admin/Staff
+ */
+router.post('/:id/cash-movements', [
+  body('type').isIn(CASH_MOVEMENT_TYPES).withMessage('Type must be cash_in or cash_out'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  handleValidationErrors
+], shiftController.addCashMovement);
+
+/**
+ * @route   POST /api/shifts/:id/close
+ * @desc    Close a shift with the counted amounts and record its Z-reading
+ * @access  Private/Admin/Staff
+ */
+router.post('/:id/close', [
+  body('counted.cash').isFloat({ min: 0 }).withMessage('Counted cash is required').toFloat(),
+  ...PAYMENT_METHODS.filter(method => method !== 'cash').map(method => (
+    body(`counted.${method}`).optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Counted amounts cannot be negative').toFloat()
+  )),
+  body('closingNotes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], shiftController.closeShift);
+
+export default router;
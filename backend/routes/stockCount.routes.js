@@ -0,0 +1,107 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { COUNT_STATUSES } from '../models/StockCount.model.js';
+import * as stockCountController from '../controllers/stockCount.controller.js';
+
+const router = express.Router();
+
+// A counted quantity, or null to clear the count
+const isCountedQuantity = (value) => value === null
+  || (value !== '' && typeof value !== 'boolean' && Number.isFinite(Number(value)) && Number(value) >= 0);
+
+// All routes require authentication; suppliers have no access to branch stock
+router.use(protect);
+router.use(authorize('admin', 'staff'));
+
+/**
+ * @route   GET /api/stock-counts
+ * @desc    Get stock counts (?status=, ?location=; staff see their own branch)
+ * @access  Private/Admin/Staff
+ */
+router.get('/', [
+  query('status').optional().custom(value => value.split(',').every(status => COUNT_STATUSES.includes(status)))
+    .withMessage('Invalid status'),
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], stockCountController.getStockCounts);
+
+/**
+ * @route   GET /api/stock-counts/:id
+ * @desc    Get single stock count with its items
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id', stockCountController.getStockCount);
+
+/**
+ * @route   POST /api/stock-counts
+ * @desc    Start a stock count at a location, optionally for one category
+ * @access  Private/Admin/Staff
+ */
+router.post('/', [
+  body('location').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid location'),
+  body('category').optional({ values: 'falsy' }).trim(),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], stockCountController.createStockCount);
+
+/**
+ * @route   PUT /api/stock-counts/:id/items
+ * @desc    Enter counted quantities
+ * @access  Private/Admin/Staff
+ */
+router.put('/:id/items', [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.item').isMongoId().withMessage('Valid count item ID is required'),
+  body('items.*.countedQuantity').custom(isCountedQuantity)
+    .withMessage('Counted quantity must be a non-negative number'),
+  body('items.*.unit').optional({ values: 'falsy' }).trim(),
+  handleValidationErrors
+], stockCountController.updateCountItems);
+
+/**
+ * @route   POST /api/stock-counts/:id/scan
+ * @desc    Count an item by barcode or SKU
+ * @access  Private/Admin/Staff
+ */
+router.post('/:id/scan', [
+  body('code').trim().notEmpty().withMessage('Barcode or SKU is required'),
+  body('quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('unit').optional({ values: 'falsy' }).trim(),
+  handleValidationErrors
+], stockCountController.scanCountItem);
+
+/**
+ * @route   PUT /api/stock-counts/:id/submit
+ * @desc    Finish counting and send the count for review
+ * @access  Private/Admin/Staff
+ */
+router.put('/:id/submit', stockCountController.submitStockCount);
+
+/**
+ * @route   PUT /api/stock-counts/:id/reopen
+ * @desc    Send a count under review back for recounting (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id/reopen', authorize('admin'), stockCountController.reopenStockCount);
+
+/**
+ * @route   POST /api/stock-counts/:id/post
+ * @desc    Post approved variances to stock (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/:id/post', authorize('admin'), [
+  body('items').optional().isArray().withMessage('Items must be a list of count item IDs'),
+  body('items.*').isMongoId().withMessage('Invalid count item'),
+  handleValidationErrors
+], stockCountController.postStockCount);
+
+/**
+ * @route   PUT /api/stock-counts/:id/cancel
+ * @desc    Cancel a stock count that has not been posted
+ * @access  Private/Admin/Staff
+ */
+router.put('/:id/cancel', stockCountController.cancelStockCount);
+
+export default router;
@@ -1,20 +1,57 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
+import { PAYMENT_TERMS, SETTLEMENT_BASES, TIN_PATTERN } from '../models/Supplier.model.js';
 import * as supplierController from '../controllers/supplier.controller.js';
 
 const router = express.Router();
 
+// Company details shared by create and update; all optional
+const profileValidators = [
+  body('contactDetails').optional().trim(),
+  body('contacts').optional().isArray().withMessage('Contacts must be a list')
+    .custom(contacts => contacts.filter(contact => contact.isPrimary === true || contact.isPrimary === 'true').length <= 1)
+    .withMessage('Only one contact can be the primary contact'),
+  body('contacts.*.name').trim().notEmpty().withMessage('Contact name is required'),
+  body('contacts.*.role').optional().trim(),
+  body('contacts.*.email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Contact email must be a valid email address'),
+  body('contacts.*.phone').optional({ values: 'falsy' }).trim()
+    .matches(/^[\d\s()+-]{7,20}$/).withMessage('Contact phone must be a valid phone number'),
+  body('contacts.*.isPrimary').optional().isBoolean().withMessage('Primary must be true or false').toBoolean(),
+  body('address.street').optional().trim(),
+  body('address.city').optional().trim(),
+  body('address.province').optional().trim(),
+  body('address.postalCode').optional({ values: 'falsy' }).trim()
+    .matches(/^\d{4}$/).withMessage('Postal code must be 4 digits'),
+  body('tin').optional({ values: 'falsy' }).trim()
+    .matches(TIN_PATTERN).withMessage('TIN must be 9 digits and an optional branch code, e.g. 123-456-789-000'),
+  body('paymentTerms').optional().isIn(PAYMENT_TERMS).withMessage('Invalid payment terms'),
+  body('minimumOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be a non-negative number').toFloat(),
+  body('isActive').optional().isBoolean().withMessage('Active must be true or false').toBoolean()
+];
+
+const consignmentValidators = [
+  body('isConsignor').optional().isBoolean().withMessage('Consignor must be true or false').toBoolean(),
+  body('settlementBasis').optional().isIn(SETTLEMENT_BASES).withMessage('Settlement basis must be cost or commission'),
+  body('commissionRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Commission rate must be between 0 and 100').toFloat()
+];
+
 // All routes require authentication
 router.use(protect);
 
 /**
  * @route   GET /api/suppliers
- * @desc    Get all suppliers
+ * @desc    Get all suppliers (?search=, ?isActive=, ?paymentTerms=, ?isConsignor=)
  * @access  Private
  */
-router.get('/', supplierController.getSuppliers);
+router.get('/', [
+  query('search').optional().trim(),
+  query('isActive').optional().isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  query('paymentTerms').optional().isIn(PAYMENT_TERMS).withMessage('Invalid payment terms'),
+  query('isConsignor').optional().isIn(['true', 'false']).withMessage('isConsignor must be true or false'),
+  handleValidationErrors
+], supplierController.getSuppliers);
 
 /**
  * @route   GET /api/suppliers/:id
@@ -46,7 +83,10 @@ router.post('/', authorize('admin'), [
     .isLength({ max: 11 })
     .withMessage('Phone number must not exceed 11 digits'),
   body('companyName').trim().notEmpty().withMessage('Company name is required'),
-  body('contactDetails').trim().notEmpty().withMessage('Contact details are required'),
+  body('leadTimeDays').optional({ values: 'null' }).isInt({ min: 0, max: 180 }).withMessage('Lead time must be between 0 and 180 days').toInt(),
+  body('safetyStockDays').optional({ values: 'null' }).isInt({ min: 0, max: 180 }).withMessage('Safety stock must be between 0 and 180 days').toInt(),
+  ...profileValidators,
+  ...consignmentValidators,
   handleValidationErrors
 ], supplierController.createSupplier);
 
@@ -57,7 +97,10 @@ router.post('/', authorize('admin'), [
  */
 router.put('/:id', authorize('admin'), [
   body('companyName').optional().trim().notEmpty().withMessage('Company name cannot be empty'),
-  body('contactDetails').optional().trim().notEmpty().withMessage('Contact details cannot be empty'),
+  body('leadTimeDays').optional({ values: 'null' }).isInt({ min: 0, max: 180 }).withMessage('Lead time must be between 0 and 180 days').toInt(),
+  body('safetyStockDays').optional({ values: 'null' }).isInt({ min: 0, max: 180 }).withMessage('Safety stock must be between 0 and 180 days').toInt(),
+  ...profileValidators,
+  ...consignmentValidators,
   handleValidationErrors
 ], supplierController.updateSupplier);
 
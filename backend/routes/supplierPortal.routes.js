@@ -0,0 +1,41 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as portalController from '../controllers/supplierPortal.controller.js';
+
+const router = express.Router();
+
+// Suppliers see their own goods; admins choose a supplier with ?supplier=
+const periodValidators = [
+  query('supplier').optional().isMongoId().withMessage('Invalid supplier'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date')
+];
+
+// All routes require authentication
+router.use(protect);
+router.use(authorize('admin', 'supplier'));
+
+/**
+ * @route   GET /api/supplier-portal/performance
+ * @desc    Get sell-through and stock on hand of a supplier's goods (?startDate=, ?endDate=; last 30 days by default)
+ * @access  Private/Admin/Supplier
+ */
+router.get('/performance', [
+  ...periodValidators,
+  handleValidationErrors
+], portalController.getPerformance);
+
+/**
+ * @route   GET /api/supplier-portal/statement
+ * @desc    Get a supplier's consignment sales statement as JSON, CSV or PDF (?format=)
+ * @access  Private/Admin/Supplier
+ */
+router.get('/statement', [
+  ...periodValidators,
+  query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be json, csv or pdf'),
+  handleValidationErrors
+], portalController.getStatement);
+
+export default router;
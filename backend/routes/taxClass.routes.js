@@ -0,0 +1,58 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as taxClassController from '../controllers/taxClass.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/tax-classes
+ * @desc    Get all tax classes
+ * @access  Private
+ */
+router.get('/', taxClassController.getTaxClasses);
+
+/**
+ * @route   POST /api/tax-classes
+ * @desc    Create new tax class (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  body('code').trim().notEmpty().withMessage('Tax class code is required')
+    .isLength({ max: 20 }).withMessage('Tax class code cannot exceed 20 characters'),
+  body('name').trim().notEmpty().withMessage('Tax class name is required')
+    .isLength({ max: 50 }).withMessage('Tax class name cannot exceed 50 characters'),
+  body('type').isIn(['standard', 'zero_rated', 'exempt']).withMessage('Type must be "standard", "zero_rated" or "exempt"'),
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  handleValidationErrors
+], taxClassController.createTaxClass);
+
+/**
+ * @route   PUT /api/tax-classes/:id
+ * @desc    Update tax class (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id', authorize('admin'), [
+  body('code').optional().trim().notEmpty().withMessage('Tax class code cannot be empty')
+    .isLength({ max: 20 }).withMessage('Tax class code cannot exceed 20 characters'),
+  body('name').optional().trim().notEmpty().withMessage('Tax class name cannot be empty')
+    .isLength({ max: 50 }).withMessage('Tax class name cannot exceed 50 characters'),
+  body('type').optional().isIn(['standard', 'zero_rated', 'exempt']).withMessage('Type must be "standard", "zero_rated" or "exempt"'),
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  handleValidationErrors
+], taxClassController.updateTaxClass);
+
+/**
+ * @route   DELETE /api/tax-classes/:id
+ * @desc    Delete tax class (Admin only)
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), taxClassController.deleteTaxClass);
+
+export default router;
@@ -0,0 +1,81 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { TRANSFER_STATUSES } from '../models/StockTransfer.model.js';
+import { lineKey } from '../utils/variant.js';
+import * as transferController from '../controllers/transfer.controller.js';
+
+const router = express.Router();
+
+// Each product, or variant of a product, may appear only once per transfer
+const hasUniqueProducts = (items) => {
+  const keys = items.map(item => lineKey(item.product, item.variant));
+  if (new Set(keys).size !== keys.length) {
+    throw new Error('Each product can only be listed once');
+  }
+  return true;
+};
+
+// All routes require authentication; suppliers have no access to branch stock
+router.use(protect);
+router.use(authorize('admin', 'staff'));
+
+/**
+ * @route   GET /api/transfers
+ * @desc    Get stock transfers (?status=, ?location= for transfers into or out of a location)
+ * @access  Private/Admin/Staff
+ */
+router.get('/', [
+  query('status').optional().custom(value => value.split(',').every(status => TRANSFER_STATUSES.includes(status)))
+    .withMessage('Invalid status'),
+  query('location').optional().isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], transferController.getTransfers);
+
+/**
+ * @route   GET /api/transfers/:id
+ * @desc    Get single stock transfer
+ * @access  Private/Admin/Staff
+ */
+router.get('/:id', transferController.getTransfer);
+
+/**
+ * @route   POST /api/transfers
+ * @desc    Request stock to be moved between locations
+ * @access  Private/Admin/Staff
+ */
+router.post('/', [
+  body('fromLocation').isMongoId().withMessage('Source location is required'),
+  body('toLocation').isMongoId().withMessage('Destination location is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required').custom(hasUniqueProducts),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant'),
+  body('items.*.unit').optional({ values: 'falsy' }).trim(),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], transferController.createTransfer);
+
+/**
+ * @route   PUT /api/transfers/:id/dispatch
+ * @desc    Dispatch a requested transfer from its source location (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id/dispatch', authorize('admin'), transferController.dispatchTransfer);
+
+/**
+ * @route   PUT /api/transfers/:id/receive
+ * @desc    Receive a transfer in transit at its destination
+ * @access  Private/Admin/Staff
+ */
+router.put('/:id/receive', transferController.receiveTransfer);
+
+/**
+ * @route   PUT /api/transfers/:id/cancel
+ * @desc    Cancel a transfer that has not been dispatched
+ * @access  Private/Admin/Staff
+ */
+router.put('/:id/cancel', transferController.cancelTransfer);
+
+export default router;
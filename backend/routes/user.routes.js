@@ -39,6 +39,9 @@ router.post('/', authorize('admin'), [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
     .withMessage('Password must contain uppercase, lowercase, number, and special character'),
   body('role').isIn(['admin', 'staff', 'supplier']).withMessage('Invalid role'),
+  body('isSupervisor').optional().isBoolean().withMessage('Supervisor must be true or false').toBoolean(),
+  body('location').optional().customSanitizer(value => value || null)
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid location'),
   handleValidationErrors
 ], userController.createUser);
 
@@ -61,7 +64,10 @@ router.put('/:id', authorize('admin'), [
     .isLength({ max: 11 })
     .withMessage('Phone number must not exceed 11 digits'),
   body('role').optional().isIn(['admin', 'staff', 'supplier']).withMessage('Invalid role'),
+  body('isSupervisor').optional().isBoolean().withMessage('Supervisor must be true or false').toBoolean(),
   body('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
+  body('location').optional().customSanitizer(value => value || null)
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value)).withMessage('Invalid location'),
   handleValidationErrors
 ], userController.updateUser);
 
@@ -0,0 +1,69 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { VOID_REASONS } from '../models/Sale.model.js';
+import { VOID_REQUEST_STATUSES } from '../models/VoidRequest.model.js';
+import * as voidRequestController from '../controllers/voidRequest.controller.js';
+
+const router = express.Router();
+
+const reviewValidators = [
+  body('reviewNote').optional().trim().isLength({ max: 200 }).withMessage('Review note cannot exceed 200 characters'),
+  handleValidationErrors
+];
+
+// All routes require authentication; suppliers do not void sales
+router.use(protect);
+router.use(authorize('admin', 'staff'));
+
+/**
+ * @route   GET /api/void-requests
+ * @desc    Get void requests (?status=; staff see their own)
+ * @access  Private/Admin/Staff
+ */
+router.get('/', [
+  query('status').optional().custom(value => value.split(',').every(status => VOID_REQUEST_STATUSES.includes(status)))
+    .withMessage('Invalid status'),
+  handleValidationErrors
+], voidRequestController.getVoidRequests);
+
+/**
+ * @route   POST /api/void-requests
+ * @desc    Send a sale void for approval, with a reason code
+ * @access  Private/Admin/Staff
+ */
+router.post('/', [
+  body('sale').isMongoId().withMessage('Valid sale ID is required'),
+  body('reason').isIn(VOID_REASONS).withMessage('Choose a valid reason'),
+  body('note')
+    .if(body('reason').equals('other'))
+    .trim()
+    .notEmpty()
+    .withMessage('Describe the reason'),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+  handleValidationErrors
+], voidRequestController.createVoidRequest);
+
+/**
+ * @route   PUT /api/void-requests/:id/approve
+ * @desc    Approve a void request and void the sale (Admin/Supervisor)
+ * @access  Private/Admin/Supervisor
+ */
+router.put('/:id/approve', reviewValidators, voidRequestController.approveVoidRequest);
+
+/**
+ * @route   PUT /api/void-requests/:id/reject
+ * @desc    Reject a void request (Admin/Supervisor)
+ * @access  Private/Admin/Supervisor
+ */
+router.put('/:id/reject', reviewValidators, voidRequestController.rejectVoidRequest);
+
+/**
+ * @route   PUT /api/void-requests/:id/cancel
+ * @desc    Cancel one of your own pending void requests
+ * @access  Private/Admin/Staff
+ */
+router.put('/:id/cancel', voidRequestController.cancelVoidRequest);
+
+export default router;
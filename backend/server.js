@@ -14,6 +14,22 @@ import categoryRoutes from './routes/category.routes.js';
 import salesRoutes from './routes/sales.routes.js';
 import inventoryRoutes from './routes/inventory.routes.js';
 import reportRoutes from './routes/report.routes.js';
+import promoRoutes from './routes/promo.routes.js';
+import settingRoutes from './routes/setting.routes.js';
+import taxClassRoutes from './routes/taxClass.routes.js';
+import returnRoutes from './routes/return.routes.js';
+import purchaseOrderRoutes from './routes/purchaseOrder.routes.js';
+import shiftRoutes from './routes/shift.routes.js';
+import customerRoutes from './routes/customer.routes.js';
+import loyaltyRoutes from './routes/loyalty.routes.js';
+import locationRoutes from './routes/location.routes.js';
+import transferRoutes from './routes/transfer.routes.js';
+import stockCountRoutes from './routes/stockCount.routes.js';
+import productProposalRoutes from './routes/productProposal.routes.js';
+import supplierPortalRoutes from './routes/supplierPortal.routes.js';
+import settlementRoutes from './routes/settlement.routes.js';
+import auditRoutes from './routes/audit.routes.js';
+import voidRequestRoutes from './routes/voidRequest.routes.js';
 
 dotenv.config();
 
@@ -51,6 +67,22 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/sales', salesRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/promos', promoRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/tax-classes', taxClassRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/stock-counts', stockCountRoutes);
+app.use('/api/product-proposals', productProposalRoutes);
+app.use('/api/supplier-portal', supplierPortalRoutes);
+app.use('/api/settlements', settlementRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/void-requests', voidRequestRoutes);
 
 // Health check - optimized for Render keep-alive (no DB query)
 app.get('/api/health', (req, res) => {
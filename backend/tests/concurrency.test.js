@@ -0,0 +1,170 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import User from '../models/User.model.js';
+import Product from '../models/Product.model.js';
+import Promo from '../models/Promo.model.js';
+import Sale from '../models/Sale.model.js';
+import Settlement from '../models/Settlement.model.js';
+import StockLevel from '../models/StockLevel.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import Supplier from '../models/Supplier.model.js';
+import { createSale, voidSale } from '../controllers/sales.controller.js';
+import { createSettlement } from '../controllers/settlement.controller.js';
+import { getDefaultLocation } from '../utils/location.js';
+import { setStock } from '../utils/stock.js';
+
+// Sales and voids run in transactions, which need a replica set
+let replSet;
+let cashier;
+let location;
+
+/**
+ * Call a controller the way Express would and resolve with the status and
+ * body it answered with, or the status of the error passed to next()
+ */
+const call = (handler, { body = {}, params = {} } = {}) => new Promise((resolve) => {
+  const req = {
+    user: cashier,
+    body,
+    params,
+    query: {},
+    ip: '127.0.0.1',
+    get: () => 'node-test'
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.statusCode, body: data });
+      return this;
+    }
+  };
+  handler(req, res, (error) => resolve({ status: error.status || 500, body: { message: error.message } }));
+});
+
+const stockAt = async (product) => {
+  const level = await StockLevel.findOne({ product: product._id, location: location._id });
+  return level?.quantity || 0;
+};
+
+const createProduct = async (quantity, supplier = new mongoose.Types.ObjectId()) => {
+  const product = await Product.create({
+    name: 'Widget',
+    price: 100,
+    supplier
+  });
+  await setStock({ product: product._id, location: location._id, quantity, type: 'manual_set', user: cashier._id });
+  return product;
+};
+
+const sellOne = (product, extra = {}) => call(createSale, {
+  body: { items: [{ product: product._id.toString(), quantity: 1 }], paymentMethod: 'cash', ...extra }
+});
+
+const statuses = (results) => results.map(result => result.status).sort();
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Collections and unique indexes cannot be created inside a transaction
+  for (const model of Object.values(mongoose.models)) {
+    await model.init();
+  }
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+beforeEach(async () => {
+  for (const collection of Object.values(mongoose.connection.collections)) {
+    await collection.deleteMany({});
+  }
+  cashier = await User.create({
+    username: 'cashier',
+    firstName: 'Test',
+    lastName: 'Cashier',
+    email: 'cashier@example.com',
+    phone: '09170000000',
+    password: 'password123',
+    role: 'admin'
+  });
+  location = await getDefaultLocation();
+});
+
+describe('concurrent sales', () => {
+  it('sells the last unit only once', async () => {
+    const product = await createProduct(1);
+
+    const results = await Promise.all([sellOne(product), sellOne(product)]);
+
+    assert.deepEqual(statuses(results), [201, 400]);
+    assert.equal(await stockAt(product), 0);
+    assert.equal((await Product.findById(product._id)).stockQuantity, 0);
+    assert.equal(await Sale.countDocuments(), 1);
+    assert.equal(await StockMovement.countDocuments({ type: 'sale' }), 1);
+  });
+
+  it('stops redemptions at the promo usage limit', async () => {
+    const product = await createProduct(5);
+    const promo = await Promo.create({ code: 'TWICE', discountType: 'fixed', discountValue: 10, usageLimit: 2 });
+
+    const results = await Promise.all([1, 2, 3].map(() => sellOne(product, { promoCode: 'TWICE' })));
+
+    assert.deepEqual(statuses(results), [201, 201, 400]);
+    assert.equal((await Promo.findById(promo._id)).usageCount, 2);
+    assert.equal(await Sale.countDocuments({ promo: promo._id }), 2);
+    assert.equal(await stockAt(product), 3);
+  });
+});
+
+describe('concurrent voids', () => {
+  it('restores the stock of a sale voided twice at once only once', async () => {
+    const product = await createProduct(1);
+    const sold = await sellOne(product);
+    assert.equal(sold.status, 201);
+
+    const voidIt = () => call(voidSale, {
+      params: { id: sold.body.data._id.toString() },
+      body: { reason: 'cashier_error' }
+    });
+    const results = await Promise.all([voidIt(), voidIt()]);
+
+    assert.deepEqual(statuses(results), [200, 400]);
+    assert.equal(await stockAt(product), 1);
+    assert.equal((await Product.findById(product._id)).stockQuantity, 1);
+    assert.equal(await StockMovement.countDocuments({ type: 'void' }), 1);
+  });
+});
+
+describe('concurrent settlements', () => {
+  it('settles a consignor\'s period only once', async () => {
+    const consignor = await Supplier.create({
+      companyName: 'Consignor Co',
+      isConsignor: true,
+      settlementBasis: 'commission',
+      commissionRate: 10,
+      userId: new mongoose.Types.ObjectId()
+    });
+    const product = await createProduct(1, consignor._id);
+    assert.equal((await sellOne(product)).status, 201);
+
+    const settle = () => call(createSettlement, {
+      body: {
+        supplier: consignor._id.toString(),
+        startDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+        endDate: new Date().toISOString()
+      }
+    });
+    const results = await Promise.all([settle(), settle()]);
+
+    assert.deepEqual(statuses(results), [201, 400]);
+    assert.equal(await Settlement.countDocuments({ supplier: consignor._id }), 1);
+  });
+});
@@ -0,0 +1,59 @@
+import User from '../models/User.model.js';
+
+/**
+ * Verify an approver's PIN or password entered at the register to approve
+ * someone else's action. Returns the approving admin or supervisor and how
+ * they approved, or null if the credentials are missing or invalid.
+ */
+export const verifyApprover = async (credentials, requester) => {
+  const { username, pin, password } = credentials || {};
+  if (!username || (!pin && !password)) return null;
+
+  const approver = await User.findOne({ username, isActive: true }).select('+approvalPin');
+  if (!approver || !approver.canApprove() || approver.isAccountLocked() || approver.isApprovalLocked()) {
+    return null;
+  }
+
+  // Approving takes a second person
+  if (approver._id.equals(requester._id)) return null;
+
+  const isMatch = pin ? await approver.matchApprovalPin(pin) : await approver.matchPassword(password);
+  if (!isMatch) {
+    // Wrong PINs and passwords lock approving at the register, not the approver's login
+    await approver.incrementFailedApprovalAttempts();
+    return null;
+  }
+  if (approver.failedApprovalAttempts > 0) {
+    await approver.resetFailedApprovalAttempts();
+  }
+
+  return { approver, method: pin ? 'pin' : 'password' };
+};
+
+/**
+ * Approval of an action that needs one, as stored on the sale. Admins and
+ * supervisors approve their own actions; anyone else needs an approver's
+ * credentials in `override`. Returns { approval, approver }, or null if the
+ * credentials are missing or invalid.
+ */
+export const resolveApproval = async (req, { reason, note, override }) => {
+  if (req.user.canApprove()) {
+    return {
+      approval: { reason, note, approvedBy: req.user._id, method: 'self' },
+      approver: req.user
+    };
+  }
+
+  const verified = await verifyApprover(override, req.user);
+  if (!verified) return null;
+
+  return {
+    approval: { reason, note, approvedBy: verified.approver._id, method: verified.method },
+    approver: verified.approver
+  };
+};
+
+/**
+ * Reason code and note as one line for the audit log
+ */
+export const describeReason = ({ reason, note }) => (note ? `${reason}: ${note}` : reason);
@@ -0,0 +1,94 @@
+import AuditLog from '../models/AuditLog.model.js';
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Fields whose values never reach the audit log; a change is still recorded
+const REDACTED_FIELDS = ['password'];
+const REDACTED = '[redacted]';
+
+const toPlain = (record) => {
+  if (!record) return {};
+  return typeof record.toObject === 'function' ? record.toObject({ depopulate: true }) : record;
+};
+
+// ObjectIds, dates and nested documents compare by their JSON form
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Fields that differ between two versions of a record, as
+ * [{ field, before, after }]. Nested objects and arrays such as variants
+ * compare and are recorded whole. Pass `fields` to compare only those.
+ */
+export const diffRecords = (before, after, fields) => {
+  const previous = toPlain(before);
+  const next = toPlain(after);
+  const keys = fields || [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+  return keys
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => ({ field, before: normalize(previous[field]), after: normalize(next[field]) }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after))
+    .map(change => (REDACTED_FIELDS.includes(change.field)
+      ? { field: change.field, before: REDACTED, after: REDACTED }
+      : change));
+};
+
+/**
+ * Record an administrative or financial action. The actor is the logged-in
+ * user unless `actor` is given (logins, where there is no session yet), and
+ * the IP address and user agent come from the request. `approver` is whoever
+ * approved the action, for voids and overrides.
+ *
+ * `before` and `after` are the record before and after the change; only the
+ * fields that differ are kept. An update that changed nothing is not recorded.
+ *
+ * Inside a transaction pass its `session` so the entry commits with the
+ * change. Outside one, a failed write is logged rather than failing a change
+ * that has already been made.
+ */
+export const recordAudit = async (req, {
+  action,
+  targetType,
+  target,
+  targetLabel,
+  before,
+  after,
+  fields,
+  reason,
+  actor = req.user,
+  approver
+}, { session = null } = {}) => {
+  const changes = before || after ? diffRecords(before, after, fields) : [];
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  const entry = {
+    actor: actor?._id,
+    actorName: actor?.username,
+    actorRole: actor?.role,
+    approver: approver?._id,
+    approverName: approver?.username,
+    action,
+    targetType,
+    target: target?._id ?? target,
+    targetLabel,
+    changes,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+
+  if (session) {
+    const [log] = await AuditLog.create([entry], { session });
+    return log;
+  }
+
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+    return null;
+  }
+};
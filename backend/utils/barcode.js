@@ -0,0 +1,38 @@
+// Retail barcode lengths: EAN-8, UPC-A and EAN-13
+const BARCODE_LENGTHS = [8, 12, 13];
+
+/**
+ * Strip the spaces and dashes printed between barcode digit groups
+ */
+export const normalizeBarcode = (code) => String(code ?? '').replace(/[\s-]/g, '');
+
+/**
+ * Check an EAN-8, UPC-A or EAN-13 barcode, including its check digit.
+ * Digits are weighted 3 and 1 alternately from the right, excluding the check digit.
+ */
+export const isValidBarcode = (code) => {
+  const digits = normalizeBarcode(code);
+  if (!/^\d+$/.test(digits) || !BARCODE_LENGTHS.includes(digits.length)) {
+    return false;
+  }
+
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+};
+
+/**
+ * Codes to search for a scanned barcode. Scanners may report a UPC-A as a
+ * 13-digit EAN with a leading zero, so both forms are matched.
+ */
+export const barcodeVariants = (code) => {
+  const digits = normalizeBarcode(code);
+  if (digits.length === 12) return [digits, `0${digits}`];
+  if (digits.length === 13 && digits.startsWith('0')) return [digits, digits.slice(1)];
+  return [digits];
+};
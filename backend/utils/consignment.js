@@ -0,0 +1,344 @@
+import PDFDocument from 'pdfkit';
+import Sale from '../models/Sale.model.js';
+import Return from '../models/Return.model.js';
+import Product from '../models/Product.model.js';
+import { roundCurrency } from './pricing.js';
+import { roundQuantity } from './units.js';
+import { LINE_BASE_QUANTITY, LINE_COST, LINE_NET_SALES, getDateRange } from './salesMetrics.js';
+import { findVariant, lineKey, variantName } from './variant.js';
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-PH', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-PH', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const SETTLEMENT_PAYMENT_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank Transfer',
+  check: 'Check',
+  other: 'Other'
+};
+
+/**
+ * What the store owes the supplier for a line under the supplier's terms:
+ * the agreed cost of the units sold, or net sales less the commission
+ */
+const applyTerms = (line, { settlementBasis, commissionRate }) => {
+  if (settlementBasis === 'commission') {
+    const commissionAmount = roundCurrency(line.netSales * (commissionRate || 0) / 100);
+    return { ...line, commissionAmount, amountDue: roundCurrency(line.netSales - commissionAmount) };
+  }
+  return { ...line, commissionAmount: 0, amountDue: line.costOfSales };
+};
+
+/**
+ * Sales of a supplier's goods between two dates, per product and variant:
+ * units sold on non-void sales less units returned in the period, with the
+ * revenue (excluding VAT), the cost of those units at the agreed cost and what
+ * the store owes under the supplier's settlement terms.
+ */
+export const buildConsignmentStatement = async ({ supplier, startDate, endDate }) => {
+  const { start, end } = getDateRange(startDate, endDate);
+  const products = await Product.find({ supplier: supplier._id }).select('name sku unit variants');
+  const productIds = products.map(product => product._id);
+  const lineMatch = { 'items.product': { $in: productIds } };
+
+  const [sold, returned] = await Promise.all([
+    Sale.aggregate([
+      { $match: { isVoid: false, createdAt: { $gte: start, $lte: end }, ...lineMatch } },
+      { $unwind: '$items' },
+      { $match: lineMatch },
+      {
+        $group: {
+          _id: { product: '$items.product', variant: '$items.variant' },
+          quantity: { $sum: LINE_BASE_QUANTITY },
+          netSales: { $sum: LINE_NET_SALES },
+          cost: { $sum: LINE_COST }
+        }
+      }
+    ]),
+    Return.aggregate([
+      { $match: { createdAt: { $gte: start, $lte: end }, ...lineMatch } },
+      { $unwind: '$items' },
+      { $match: lineMatch },
+      {
+        $group: {
+          _id: { product: '$items.product', variant: '$items.variant' },
+          quantity: { $sum: LINE_BASE_QUANTITY },
+          netSales: { $sum: { $subtract: ['$items.refundAmount', '$items.taxAmount'] } },
+          // Returned units go back to the supplier's account whatever became of them
+          cost: { $sum: { $multiply: [{ $ifNull: ['$items.unitCost', 0] }, '$items.quantity'] } }
+        }
+      }
+    ])
+  ]);
+
+  const terms = { settlementBasis: supplier.settlementBasis || 'cost', commissionRate: supplier.commissionRate || 0 };
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const lines = new Map();
+  const lineFor = ({ product: productId, variant: variantId }) => {
+    const key = lineKey(productId, variantId);
+    if (!lines.has(key)) {
+      const product = productsById.get(productId.toString());
+      const variant = findVariant(product, variantId);
+      lines.set(key, {
+        product: productId,
+        variant: variantId || null,
+        name: product.name,
+        variantName: variant ? variantName(variant) : '',
+        sku: variant?.sku || product.sku || '',
+        unit: product.unit || 'pcs',
+        quantitySold: 0,
+        quantityReturned: 0,
+        salesAmount: 0,
+        returnsAmount: 0,
+        costOfSales: 0
+      });
+    }
+    return lines.get(key);
+  };
+
+  sold.forEach(entry => {
+    const line = lineFor(entry._id);
+    line.quantitySold = entry.quantity;
+    line.salesAmount = entry.netSales;
+    line.costOfSales += entry.cost;
+  });
+  returned.forEach(entry => {
+    const line = lineFor(entry._id);
+    line.quantityReturned = entry.quantity;
+    line.returnsAmount = entry.netSales;
+    line.costOfSales -= entry.cost;
+  });
+
+  const statementLines = [...lines.values()]
+    .map(line => ({
+      ...line,
+      quantitySold: roundQuantity(line.quantitySold),
+      quantityReturned: roundQuantity(line.quantityReturned),
+      netQuantity: roundQuantity(line.quantitySold - line.quantityReturned),
+      salesAmount: roundCurrency(line.salesAmount),
+      returnsAmount: roundCurrency(line.returnsAmount),
+      netSales: roundCurrency(line.salesAmount - line.returnsAmount),
+      costOfSales: roundCurrency(line.costOfSales)
+    }))
+    .map(line => applyTerms(line, terms))
+    .sort((a, b) => a.name.localeCompare(b.name) || a.variantName.localeCompare(b.variantName));
+
+  const totals = statementLines.reduce((sum, line) => ({
+    salesAmount: sum.salesAmount + line.salesAmount,
+    returnsAmount: sum.returnsAmount + line.returnsAmount,
+    netSales: sum.netSales + line.netSales,
+    costOfSales: sum.costOfSales + line.costOfSales,
+    commissionAmount: sum.commissionAmount + line.commissionAmount,
+    amountDue: sum.amountDue + line.amountDue
+  }), { salesAmount: 0, returnsAmount: 0, netSales: 0, costOfSales: 0, commissionAmount: 0, amountDue: 0 });
+
+  return {
+    supplier: { _id: supplier._id, companyName: supplier.companyName },
+    startDate: start,
+    endDate: end,
+    ...terms,
+    lines: statementLines,
+    totals: {
+      salesAmount: roundCurrency(totals.salesAmount),
+      returnsAmount: roundCurrency(totals.returnsAmount),
+      netSales: roundCurrency(totals.netSales),
+      costOfSales: roundCurrency(totals.costOfSales),
+      commissionAmount: roundCurrency(totals.commissionAmount),
+      amountDue: roundCurrency(totals.amountDue)
+    }
+  };
+};
+
+/**
+ * An issued settlement, populated with its supplier, in the shape of a
+ * statement for the CSV and PDF renderers
+ */
+export const settlementStatement = (settlement) => ({
+  settlementNumber: settlement.settlementNumber,
+  issuedAt: settlement.createdAt,
+  status: settlement.status,
+  supplier: settlement.supplier,
+  startDate: settlement.periodStart,
+  endDate: settlement.periodEnd,
+  settlementBasis: settlement.settlementBasis,
+  commissionRate: settlement.commissionRate,
+  lines: settlement.lines,
+  totals: {
+    salesAmount: settlement.salesAmount,
+    returnsAmount: settlement.returnsAmount,
+    netSales: settlement.netSales,
+    costOfSales: settlement.costOfSales,
+    commissionAmount: settlement.commissionAmount,
+    amountDue: settlement.amountDue
+  },
+  payments: settlement.payments,
+  amountPaid: settlement.amountPaid
+});
+
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * A consignment statement as CSV, one row per product or variant and a totals row
+ */
+export const renderStatementCsv = (statement) => {
+  const rows = [
+    [
+      'Product', 'Variant', 'SKU', 'Unit', 'Sold', 'Returned', 'Net Quantity',
+      'Sales', 'Returns', 'Net Sales', 'Cost of Sales', 'Commission', 'Amount Due'
+    ],
+    ...statement.lines.map(line => [
+      line.name,
+      line.variantName,
+      line.sku,
+      line.unit,
+      line.quantitySold,
+      line.quantityReturned,
+      line.netQuantity,
+      line.salesAmount.toFixed(2),
+      line.returnsAmount.toFixed(2),
+      line.netSales.toFixed(2),
+      line.costOfSales.toFixed(2),
+      line.commissionAmount.toFixed(2),
+      line.amountDue.toFixed(2)
+    ]),
+    [
+      'Total', '', '', '', '', '', '',
+      statement.totals.salesAmount.toFixed(2),
+      statement.totals.returnsAmount.toFixed(2),
+      statement.totals.netSales.toFixed(2),
+      statement.totals.costOfSales.toFixed(2),
+      statement.totals.commissionAmount.toFixed(2),
+      statement.totals.amountDue.toFixed(2)
+    ]
+  ];
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n');
+};
+
+/**
+ * A consignment statement as an A4 PDF under the store's receipt header.
+ * Statements of an issued settlement also carry its number, status and payments.
+ */
+export const renderStatementPdf = (statement, store = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const contentWidth = right - left;
+  const columns = { sold: left + 220, returned: left + 265, net: left + 310, sales: left + 355, cost: left + 425 };
+
+  const row = (label, value, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, left, y, { width: contentWidth / 2 });
+    doc.text(value, left + contentWidth / 2, y, { width: contentWidth / 2, align: 'right' });
+    doc.font('Helvetica');
+  };
+  const rule = () => {
+    doc.moveDown(0.5);
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor('#d1d5db').stroke();
+    doc.moveDown(0.5);
+  };
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18)
+    .text(store.storeName || 'BLCM Sales and Inventory System', left, doc.y, { width: contentWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(10);
+  [store.address, store.tin && `TIN: ${store.tin}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: contentWidth, align: 'center' }));
+  doc.moveDown(0.5);
+  const title = statement.settlementNumber ? 'Consignment Settlement' : 'Consignment Sales Statement';
+  doc.font('Helvetica-Bold').fontSize(14).text(title, { width: contentWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(10);
+  rule();
+
+  if (statement.settlementNumber) {
+    row('Settlement Number:', statement.settlementNumber);
+    row('Issued:', formatDay(statement.issuedAt));
+  }
+  row('Supplier:', statement.supplier.companyName);
+  row('Period:', `${formatDay(statement.startDate)} - ${formatDay(statement.endDate)}`);
+  row('Terms:', statement.settlementBasis === 'commission'
+    ? `Net sales less ${statement.commissionRate}% commission`
+    : 'Agreed cost of goods sold');
+  if (!statement.settlementNumber) row('Generated:', formatDay(new Date()));
+  rule();
+
+  // Lines
+  doc.fontSize(9);
+  const headerY = doc.y;
+  doc.font('Helvetica-Bold');
+  doc.text('Product', left, headerY, { width: 215 });
+  doc.text('Sold', columns.sold, headerY, { width: 40, align: 'right' });
+  doc.text('Ret.', columns.returned, headerY, { width: 40, align: 'right' });
+  doc.text('Net', columns.net, headerY, { width: 40, align: 'right' });
+  doc.text('Net Sales', columns.sales, headerY, { width: 65, align: 'right' });
+  doc.text('Amount Due', columns.cost, headerY, { width: right - columns.cost, align: 'right' });
+  doc.font('Helvetica');
+  doc.moveDown(0.5);
+
+  if (statement.lines.length === 0) {
+    doc.text('No sales in this period', left, doc.y, { width: contentWidth, align: 'center' });
+  }
+  for (const line of statement.lines) {
+    const y = doc.y;
+    const name = line.variantName ? `${line.name} (${line.variantName})` : line.name;
+    doc.text(`${name}${line.sku ? `\n${line.sku}` : ''}`, left, y, { width: 215 });
+    const nextY = doc.y;
+    doc.text(String(line.quantitySold), columns.sold, y, { width: 40, align: 'right' });
+    doc.text(String(line.quantityReturned), columns.returned, y, { width: 40, align: 'right' });
+    doc.text(String(line.netQuantity), columns.net, y, { width: 40, align: 'right' });
+    doc.text(formatAmount(line.netSales), columns.sales, y, { width: 65, align: 'right' });
+    doc.text(formatAmount(line.amountDue), columns.cost, y, { width: right - columns.cost, align: 'right' });
+    doc.y = nextY + 4;
+  }
+  doc.fontSize(10);
+  rule();
+
+  // Totals
+  row('Sales:', formatAmount(statement.totals.salesAmount));
+  row('Less returns:', formatAmount(-statement.totals.returnsAmount));
+  row('Net sales (excl. VAT):', formatAmount(statement.totals.netSales));
+  if (statement.settlementBasis === 'commission') {
+    row(`Less commission (${statement.commissionRate}%):`, formatAmount(-statement.totals.commissionAmount));
+  } else {
+    row('Cost of sales:', formatAmount(statement.totals.costOfSales));
+  }
+  doc.fontSize(12);
+  row('Amount due:', formatAmount(statement.totals.amountDue), { bold: true });
+  doc.fontSize(10);
+
+  if (statement.settlementNumber) {
+    rule();
+    doc.font('Helvetica-Bold').text('Payments', left);
+    doc.font('Helvetica');
+    if (statement.payments.length === 0) {
+      doc.text('No payments recorded', left);
+    }
+    statement.payments.forEach(payment => {
+      const reference = payment.referenceNumber ? ` (Ref: ${payment.referenceNumber})` : '';
+      row(`${formatDay(payment.paidAt)} ${SETTLEMENT_PAYMENT_LABELS[payment.method] || payment.method}${reference}:`, formatAmount(payment.amount));
+    });
+    row('Total paid:', formatAmount(statement.amountPaid));
+    row('Balance:', formatAmount(statement.totals.amountDue - statement.amountPaid), { bold: true });
+    row('Status:', statement.status.replace('_', ' ').toUpperCase());
+  }
+
+  doc.end();
+});
@@ -0,0 +1,60 @@
+import Product from '../models/Product.model.js';
+import CostHistory from '../models/CostHistory.model.js';
+import { roundCurrency } from './pricing.js';
+
+/**
+ * Weighted-average unit cost after receiving `receivedQuantity` units at
+ * `receivedCost` on top of `currentQuantity` units valued at `currentCost`.
+ * Stock that was empty (or negative from earlier corrections) takes the new cost.
+ */
+export const weightedAverageCost = (currentQuantity, currentCost, receivedQuantity, receivedCost) => {
+  if (currentQuantity <= 0) {
+    return roundCurrency(receivedCost);
+  }
+
+  const totalQuantity = currentQuantity + receivedQuantity;
+  return roundCurrency((currentQuantity * currentCost + receivedQuantity * receivedCost) / totalQuantity);
+};
+
+/**
+ * Set a product's cost price and record the change in its cost history.
+ * Nothing is recorded when the cost does not change.
+ *
+ * `reference` is the purchase order behind the change: { id, number }.
+ */
+export const setCostPrice = async ({ product, costPrice, source, user, reference, session = null }) => {
+  const previous = await Product.findOneAndUpdate(
+    { _id: product },
+    { costPrice },
+    { new: false, session }
+  );
+
+  if (previous && (previous.costPrice || 0) !== costPrice) {
+    await CostHistory.create([{
+      product: previous._id,
+      costPrice,
+      previousCostPrice: previous.costPrice || 0,
+      source,
+      reference: reference?.id,
+      referenceNumber: reference?.number,
+      user
+    }], { session });
+  }
+
+  return previous;
+};
+
+/**
+ * Record the opening cost price of a newly created product
+ */
+export const recordInitialCost = async ({ product, user, session = null }) => {
+  if (product.costPrice > 0) {
+    await CostHistory.create([{
+      product: product._id,
+      costPrice: product.costPrice,
+      previousCostPrice: 0,
+      source: 'manual',
+      user
+    }], { session });
+  }
+};
@@ -0,0 +1,174 @@
+import Sale from '../models/Sale.model.js';
+import Return from '../models/Return.model.js';
+import PurchaseOrder from '../models/PurchaseOrder.model.js';
+import Shift from '../models/Shift.model.js';
+import StockTransfer from '../models/StockTransfer.model.js';
+import StockCount from '../models/StockCount.model.js';
+import Settlement from '../models/Settlement.model.js';
+import Counter from '../models/Counter.model.js';
+import Setting from '../models/Setting.model.js';
+
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Format a date as YYYYMMDD in server local time
+ */
+const formatDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}${month}${day}`;
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highest sequence already issued under a number base
+ */
+const getLastIssuedSequence = async (model, field, base, session) => {
+  const last = await model.findOne({ [field]: new RegExp(`^${escapeRegex(base)}-\\d+$`) })
+    .sort({ [field]: -1 })
+    .select(field)
+    .session(session);
+
+  return last ? parseInt(last[field].slice(base.length + 1), 10) : 0;
+};
+
+/**
+ * Increment the counter for a number base and format the issued number.
+ * New counters are seeded from the highest number already stored on `model`
+ * so numbers issued before the counter existed are not reused.
+ */
+const issueNumber = async (base, { session, digits, model, field }) => {
+  let counter = await Counter.findOneAndUpdate(
+    { key: base },
+    { $inc: { seq: 1 } },
+    { new: true, session }
+  );
+
+  if (!counter) {
+    // Two first documents of the day can race to create the counter; the loser
+    // fails on the unique key and is retried by withNumberRetry
+    const lastSequence = await getLastIssuedSequence(model, field, base, session);
+    [counter] = await Counter.create([{ key: base, seq: lastSequence + 1 }], { session });
+  }
+
+  return `${base}-${String(counter.seq).padStart(digits, '0')}`;
+};
+
+/**
+ * Build the number base: PREFIX-BRANCH-REGISTER-YYYYMMDD, skipping empty parts
+ */
+const buildBase = (prefix, format, { branchCode, registerId }) => {
+  return [
+    prefix,
+    branchCode ?? format.branchCode,
+    registerId ?? format.registerId,
+    formatDateKey(new Date())
+  ].filter(Boolean).join('-');
+};
+
+/**
+ * Generate the next sale number, e.g. SALE-MNL-R1-20250101-0001.
+ * Prefix, branch code and register ID come from settings unless given.
+ * The sequence restarts daily per prefix, branch and register.
+ * Call inside the sale's transaction so an aborted sale releases its number
+ * and the sequence stays gap-free.
+ */
+export const generateSaleNumber = async ({ session = null, ...location } = {}) => {
+  const { saleNumber: format } = await Setting.getSettings();
+  const base = buildBase(format.prefix, format, location);
+
+  return issueNumber(base, { session, digits: format.sequenceDigits, model: Sale, field: 'saleNumber' });
+};
+
+/**
+ * Generate the next return number, e.g. RET-MNL-R1-20250101-0001.
+ * Follows the sale number format with a fixed RET prefix.
+ */
+export const generateReturnNumber = async ({ session = null, ...location } = {}) => {
+  const { saleNumber: format } = await Setting.getSettings();
+  const base = buildBase('RET', format, location);
+
+  return issueNumber(base, { session, digits: format.sequenceDigits, model: Return, field: 'returnNumber' });
+};
+
+/**
+ * Generate the next purchase order number, e.g. PO-MNL-20250101-0001.
+ * Purchase orders are not tied to a register, so only the branch code is used.
+ */
+export const generatePurchaseOrderNumber = async ({ session = null, branchCode } = {}) => {
+  const { saleNumber: format } = await Setting.getSettings();
+  const base = ['PO', branchCode ?? format.branchCode, formatDateKey(new Date())].filter(Boolean).join('-');
+
+  return issueNumber(base, { session, digits: format.sequenceDigits, model: PurchaseOrder, field: 'poNumber' });
+};
+
+/**
+ * Generate the next stock transfer number, e.g. TRF-MNL-20250101-0001, using
+ * the code of the location the stock is sent from
+ */
+export const generateTransferNumber = async ({ session = null, branchCode } = {}) => {
+  const { saleNumber: format } = await Setting.getSettings();
+  const base = ['TRF', branchCode, formatDateKey(new Date())].filter(Boolean).join('-');
+
+  return issueNumber(base, { session, digits: format.sequenceDigits, model: StockTransfer, field: 'transferNumber' });
+};
+
+/**
+ * Generate the next stock count number, e.g. CNT-MNL-20250101-0001, using
+ * the code of the location being counted
+ */
+export const generateCountNumber = async ({ session = null, branchCode } = {}) => {
+  const { saleNumber: format } = await Setting.getSettings();
+  const base = ['CNT', branchCode, formatDateKey(new Date())].filter(Boolean).join('-');
+
+  return issueNumber(base, { session, digits: format.sequenceDigits, model: StockCount, field: 'countNumber' });
+};
+
+/**
+ * Generate the next consignment settlement number, e.g. SET-20250101-0001.
+ * Settlements are issued by the head office, so no branch code is used.
+ */
+export const generateSettlementNumber = async ({ session = null } = {}) => {
+  const { saleNumber: format } = await Setting.getSettings();
+  const base = ['SET', formatDateKey(new Date())].join('-');
+
+  return issueNumber(base, { session, digits: format.sequenceDigits, model: Settlement, field: 'settlementNumber' });
+};
+
+/**
+ * Generate the next shift number, e.g. SHIFT-MNL-R1-20250101-0001.
+ * Follows the sale number format with a fixed SHIFT prefix.
+ */
+export const generateShiftNumber = async ({ session = null, ...location } = {}) => {
+  const { saleNumber: format } = await Setting.getSettings();
+  const base = buildBase('SHIFT', format, location);
+
+  return issueNumber(base, { session, digits: format.sequenceDigits, model: Shift, field: 'shiftNumber' });
+};
+
+/**
+ * Run work that generates a document number, retrying when it loses a race
+ * on the counter or the unique index of the number it issued
+ */
+export const withNumberRetry = async (work) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await work();
+    } catch (error) {
+      const isNumberConflict = error.code === 11000
+        && (error.keyPattern?.key || error.keyPattern?.saleNumber
+          || error.keyPattern?.returnNumber || error.keyPattern?.poNumber
+          || error.keyPattern?.shiftNumber || error.keyPattern?.transferNumber
+          || error.keyPattern?.countNumber || error.keyPattern?.settlementNumber);
+
+      if (!isNumberConflict || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
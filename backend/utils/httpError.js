@@ -0,0 +1,9 @@
+/**
+ * Create an error carrying an HTTP status for the error handling middleware.
+ * Used to abort a transaction and still answer with a client error.
+ */
+export const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import Location from '../models/Location.model.js';
+import StockLevel from '../models/StockLevel.model.js';
+import { httpError } from './httpError.js';
+import { lineKey } from './variant.js';
+
+/**
+ * The default location, created as "Main Store" the first time it is needed
+ * so a single-store setup works without configuring locations
+ */
+export const getDefaultLocation = async (session = null) => {
+  const existing = await Location.findOne({ isDefault: true }).session(session);
+  if (existing) return existing;
+
+  try {
+    const [created] = await Location.create([{ name: 'Main Store', code: 'MAIN', isDefault: true }], { session });
+    return created;
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      const location = await Location.findOne({ isDefault: true }).session(session);
+      if (location) return location;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Location a user works at: their home branch, or the default location
+ */
+export const resolveUserLocation = async (user, session = null) => {
+  if (user?.location) {
+    const location = await Location.findOne({ _id: user.location, isActive: true }).session(session);
+    if (location) return location;
+  }
+  return getDefaultLocation(session);
+};
+
+/**
+ * Staff may only act for their own branch; admins act for any location.
+ * Throws a 403 error with `errorMessage` otherwise.
+ */
+export const checkUserLocation = async (user, locationId, errorMessage) => {
+  if (user.role === 'admin') return;
+
+  const location = await resolveUserLocation(user);
+  if (!location._id.equals(locationId)) {
+    throw httpError(403, errorMessage);
+  }
+};
+
+/**
+ * Find an active location by ID. Throws a 404 error when there is none.
+ */
+export const findActiveLocation = async (id, session = null) => {
+  const location = await Location.findOne({ _id: id, isActive: true }).session(session);
+  if (!location) {
+    throw httpError(404, 'Location not found');
+  }
+  return location;
+};
+
+/**
+ * Condition on a document's `location` matching one location, for find
+ * filters and aggregation $match stages. Records made before branches have no
+ * location and belong to the default location.
+ */
+export const locationMatch = async (location) => {
+  const id = new mongoose.Types.ObjectId(String(location));
+  const defaultLocation = await getDefaultLocation();
+  return defaultLocation._id.equals(id) ? { $in: [id, null] } : id;
+};
+
+/**
+ * Stock of products at a location, as a Map keyed by product and variant
+ */
+export const findStockLevels = async (products, location, session = null) => {
+  const levels = await StockLevel.find({ product: { $in: products }, location }).session(session);
+  return new Map(levels.map(level => [lineKey(level.product, level.variant), level.quantity]));
+};
+
+/**
+ * Products as plain objects with their stock, and their variants' stock,
+ * replaced by the stock held at one location
+ */
+export const withLocationStock = async (products, location) => {
+  const levels = await findStockLevels(products.map(product => product._id), location);
+  const stockAt = (product, variant) => levels.get(lineKey(product._id, variant?._id)) || 0;
+
+  return products.map(product => {
+    const data = product.toObject ? product.toObject() : product;
+    if (data.variants?.length > 0) {
+      data.variants = data.variants.map(variant => ({ ...variant, stockQuantity: stockAt(data, variant) }));
+      data.stockQuantity = data.variants.reduce((sum, variant) => sum + variant.stockQuantity, 0);
+    } else {
+      data.stockQuantity = stockAt(data);
+    }
+    return data;
+  });
+};
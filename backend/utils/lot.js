@@ -0,0 +1,193 @@
+import Return from '../models/Return.model.js';
+import StockLot from '../models/StockLot.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import { httpError } from './httpError.js';
+import { roundQuantity } from './units.js';
+import { findVariant, lineKey, variantName } from './variant.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the current day. Stock can still be sold on its expiry date.
+ */
+export const startOfToday = () => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Whether a lot is past its expiry date and can no longer be sold
+ */
+export const isExpired = (lot, today = startOfToday()) => lot.expiryDate < today;
+
+/**
+ * Whole days until a lot expires: 0 on its expiry date, negative once expired
+ */
+export const daysUntilExpiry = (lot, today = startOfToday()) => (
+  Math.floor((lot.expiryDate.getTime() - today.getTime()) / DAY_MS)
+);
+
+/**
+ * Lots of a product or variant at a location with stock left, soonest to expire first
+ */
+const findOpenLots = (product, variant, location, session) => StockLot.find({
+  product,
+  variant: variant || null,
+  location,
+  quantity: { $gt: 0 }
+}).sort({ expiryDate: 1, receivedDate: 1 }).session(session);
+
+const lotTotal = (lots) => roundQuantity(lots.reduce((sum, lot) => sum + lot.quantity, 0));
+
+/**
+ * Receive stock as a new lot. Returns the allocation for the stock movement.
+ */
+export const createLot = async ({ product, variant, location, quantity, lot, user, session = null }) => {
+  const [created] = await StockLot.create([{
+    product,
+    variant,
+    location,
+    lotNumber: lot.lotNumber,
+    expiryDate: lot.expiryDate,
+    receivedDate: lot.receivedDate,
+    quantity,
+    initialQuantity: quantity,
+    unitCost: lot.unitCost,
+    reference: lot.reference?.id,
+    referenceNumber: lot.reference?.number,
+    user
+  }], { session });
+
+  return [{ lot: created._id, quantity }];
+};
+
+/**
+ * Take `quantity` first-expired-first-out from the stock of a product that
+ * tracks expiry: unexpired lots soonest to expire first, then stock held
+ * without a lot. `stockBefore` is the location's stock of the product or
+ * variant before the deduction. Throws a 400 error when the rest of the stock has expired.
+ * Returns the allocations taken from each lot.
+ */
+export const takeFromLots = async ({ product, variant, location, quantity, stockBefore, session = null }) => {
+  const lots = await findOpenLots(product._id, variant, location, session);
+  const today = startOfToday();
+  const untracked = Math.max(roundQuantity(stockBefore - lotTotal(lots)), 0);
+  const sellable = roundQuantity(untracked + lotTotal(lots.filter(lot => !isExpired(lot, today))));
+
+  if (sellable < quantity) {
+    const label = variant ? `${product.name} (${variantName(findVariant(product, variant))})` : product.name;
+    throw httpError(400, `Only ${sellable} of ${label} can be sold. The rest of the stock has expired.`);
+  }
+
+  const allocations = [];
+  let left = quantity;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    if (isExpired(lot, today)) continue;
+    const take = Math.min(lot.quantity, left);
+    await StockLot.updateOne({ _id: lot._id }, { $inc: { quantity: -take } }, { session });
+    allocations.push({ lot: lot._id, quantity: take });
+    left = roundQuantity(left - take);
+  }
+
+  return allocations;
+};
+
+/**
+ * Move stock into or out of the given lots: positive `sign` puts the
+ * allocated quantities back, negative takes them out. Taking only applies
+ * while each lot still holds its allocation.
+ */
+export const applyLotAllocations = async ({ allocations, sign, session = null }) => {
+  for (const allocation of allocations) {
+    const filter = { _id: allocation.lot };
+    if (sign < 0) {
+      filter.quantity = { $gte: allocation.quantity };
+    }
+    const result = await StockLot.updateOne(
+      filter,
+      { $inc: { quantity: sign * allocation.quantity } },
+      { session }
+    );
+    if (result.matchedCount === 0) {
+      throw httpError(409, 'Stock lot changed while it was being updated, please try again');
+    }
+  }
+};
+
+/**
+ * Keep a product's lots at a location within its stock there after a count. Stock found missing
+ * comes out of the stock held without a lot first, then out of the lots
+ * expiring soonest. Returns the allocations taken from each lot.
+ */
+export const trimLots = async ({ product, variant, location, quantity, session = null }) => {
+  const lots = await findOpenLots(product, variant, location, session);
+
+  const allocations = [];
+  let excess = roundQuantity(lotTotal(lots) - quantity);
+  for (const lot of lots) {
+    if (excess <= 0) break;
+    const take = Math.min(lot.quantity, excess);
+    await StockLot.updateOne({ _id: lot._id }, { $inc: { quantity: -take } }, { session });
+    allocations.push({ lot: lot._id, quantity: take });
+    excess = roundQuantity(excess - take);
+  }
+
+  return allocations;
+};
+
+/**
+ * Lots each line of a sale was sold from, in line order, keyed by product and
+ * variant. Lines of products that do not track expiry have no allocations.
+ */
+export const findSaleLots = async ({ sale, session = null }) => {
+  const movements = await StockMovement.find({ reference: sale._id, type: 'sale' })
+    .sort({ _id: 1 })
+    .session(session);
+
+  const saleLots = new Map();
+  for (const movement of movements) {
+    const key = lineKey(movement.product, movement.variant);
+    saleLots.set(key, [...(saleLots.get(key) || []), movement.lots || []]);
+  }
+  return saleLots;
+};
+
+/**
+ * Lots to restock `quantity` of a returned product into: the lots the sale
+ * took it from, less what earlier returns already put back. Any quantity
+ * beyond them is restocked without a lot.
+ */
+export const findReturnLots = async ({ sale, product, variant, quantity, returnId, session = null }) => {
+  const sold = await StockMovement.find({ reference: sale._id, type: 'sale', product, variant: variant || null })
+    .session(session);
+  const returns = await Return.find({ sale: sale._id }).select('_id').session(session);
+  const restocked = await StockMovement.find({
+    reference: { $in: [...returns.map(item => item._id), returnId] },
+    type: 'return',
+    product,
+    variant: variant || null
+  }).session(session);
+
+  const available = new Map();
+  for (const allocation of sold.flatMap(movement => movement.lots || [])) {
+    const key = allocation.lot.toString();
+    available.set(key, (available.get(key) || 0) + allocation.quantity);
+  }
+  for (const allocation of restocked.flatMap(movement => movement.lots || [])) {
+    const key = allocation.lot.toString();
+    available.set(key, (available.get(key) || 0) - allocation.quantity);
+  }
+
+  const allocations = [];
+  let left = quantity;
+  for (const [lot, lotQuantity] of available) {
+    if (left <= 0) break;
+    const give = Math.min(roundQuantity(lotQuantity), left);
+    if (give <= 0) continue;
+    allocations.push({ lot, quantity: give });
+    left = roundQuantity(left - give);
+  }
+  return allocations;
+};
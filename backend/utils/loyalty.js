@@ -0,0 +1,373 @@
+import Category from '../models/Category.model.js';
+import Customer from '../models/Customer.model.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.model.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Find the active customer with a loyalty card number or phone number
+ */
+export const findLoyaltyMember = (card) => {
+  const value = card.trim();
+  return Customer.findOne({
+    isActive: true,
+    $or: [{ loyaltyCardNumber: value.toUpperCase() }, { phone: value }]
+  });
+};
+
+/**
+ * Loyalty multiplier for each product from its category.
+ * Returns a Map of product ID to multiplier; products without a category earn at 1x.
+ */
+export const resolveLoyaltyMultipliers = async (products) => {
+  const categoryNames = [...new Set(products.map(product => product.category).filter(Boolean))];
+  const categories = categoryNames.length > 0
+    ? await Category.find({ name: { $in: categoryNames } }).select('name loyaltyMultiplier')
+    : [];
+  const categoryMultipliers = new Map(categories.map(category => [category.name, category.loyaltyMultiplier ?? 1]));
+
+  return new Map(products.map(product => [
+    product._id.toString(),
+    categoryMultipliers.get(product.category) ?? 1
+  ]));
+};
+
+/**
+ * Points a sale earns: each line's total times the points-per-peso rate and
+ * its category multiplier, rounded down. The share of the sale paid with
+ * points earns nothing.
+ */
+export const calculatePointsEarned = ({ items, multipliers, pointsPerPeso, total, pointsPayment = 0 }) => {
+  if (!(total > 0) || !(pointsPerPeso > 0)) return 0;
+
+  const weightedSpend = items.reduce(
+    (sum, item) => sum + item.total * (multipliers.get(item.product.toString()) ?? 1),
+    0
+  );
+  const paidShare = Math.max(total - pointsPayment, 0) / total;
+
+  // The small epsilon keeps floating point error from losing a whole point
+  return Math.floor(weightedSpend * pointsPerPeso * paidShare + 1e-9);
+};
+
+/**
+ * Convert a points payment in pesos to the number of points it spends.
+ * Throws a 400 error unless the amount is a whole number of points.
+ */
+export const pointsForAmount = (amount, pointValue) => {
+  const points = Math.round(amount / pointValue);
+  if (Math.abs(points * pointValue - amount) >= 0.005) {
+    throw httpError(400, `Points payments must be a whole number of points worth ${pointValue.toFixed(2)} each`);
+  }
+  return points;
+};
+
+/**
+ * Expiry date for points earned now, or undefined when points never expire
+ */
+const expiryDate = (expiryMonths) => {
+  if (!expiryMonths) return undefined;
+  const date = new Date();
+  date.setMonth(date.getMonth() + expiryMonths);
+  return date;
+};
+
+/**
+ * Change a customer's points balance. Deductions only apply while the balance
+ * covers them. Returns the updated customer, or null if the customer was not
+ * found or has too few points.
+ */
+const changeBalance = (customer, change, session) => {
+  const filter = { _id: customer };
+  if (change < 0) {
+    filter.loyaltyPoints = { $gte: -change };
+  }
+  return Customer.findOneAndUpdate(filter, { $inc: { loyaltyPoints: change } }, { new: true, session });
+};
+
+const recordEntry = async (entry, session) => {
+  const [created] = await LoyaltyTransaction.create([entry], { session });
+  return created;
+};
+
+/**
+ * Unexpired lots with points left, in the order they are spent: soonest to
+ * expire first, then oldest. `first` is spent before all others when given.
+ */
+const findOpenLots = async (customer, session, first = null) => {
+  const lots = await LoyaltyTransaction.find({
+    customer,
+    remaining: { $gt: 0 },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).session(session);
+
+  const rank = (lot) => {
+    if (first && lot._id.equals(first)) return -Infinity;
+    return lot.expiresAt ? lot.expiresAt.getTime() : Infinity;
+  };
+  return lots.sort((a, b) => rank(a) - rank(b) || a.createdAt - b.createdAt);
+};
+
+/**
+ * Take up to `points` from a customer's open lots.
+ * Returns the allocations taken from each lot.
+ */
+const spendFromLots = async (customer, points, session, first = null) => {
+  const allocations = [];
+  let left = points;
+
+  for (const lot of await findOpenLots(customer, session, first)) {
+    if (left <= 0) break;
+    const take = Math.min(lot.remaining, left);
+    await LoyaltyTransaction.updateOne({ _id: lot._id }, { $inc: { remaining: -take } }, { session });
+    allocations.push({ lot: lot._id, points: take });
+    left -= take;
+  }
+
+  return allocations;
+};
+
+/**
+ * Expire a customer's lots that passed their expiry date with points left,
+ * recording one ledger entry per lot. Returns the number of points expired.
+ */
+export const expireCustomerPoints = async ({ customer, user, session = null }) => {
+  const lots = await LoyaltyTransaction.find({
+    customer,
+    remaining: { $gt: 0 },
+    expiresAt: { $lte: new Date() }
+  }).sort({ expiresAt: 1 }).session(session);
+
+  let expired = 0;
+  for (const lot of lots) {
+    await LoyaltyTransaction.updateOne({ _id: lot._id }, { remaining: 0 }, { session });
+    const updated = await changeBalance(customer, -lot.remaining, session);
+    if (!updated) {
+      throw httpError(409, 'Loyalty points balance does not match the points ledger');
+    }
+
+    await recordEntry({
+      customer,
+      type: 'expire',
+      points: -lot.remaining,
+      balanceAfter: updated.loyaltyPoints,
+      allocations: [{ lot: lot._id, points: lot.remaining }],
+      reason: `Points earned ${lot.createdAt.toISOString().slice(0, 10)} expired`,
+      user
+    }, session);
+    expired += lot.remaining;
+  }
+
+  return expired;
+};
+
+/**
+ * Credit points earned on a sale as a new lot
+ */
+export const earnPoints = async ({ customer, points, sale, user, expiryMonths, session = null }) => {
+  const updated = await changeBalance(customer, points, session);
+  if (!updated) {
+    throw httpError(404, 'Customer not found');
+  }
+
+  return recordEntry({
+    customer,
+    type: 'earn',
+    points,
+    balanceAfter: updated.loyaltyPoints,
+    remaining: points,
+    expiresAt: expiryDate(expiryMonths),
+    sale: sale._id,
+    saleNumber: sale.saleNumber,
+    user
+  }, session);
+};
+
+/**
+ * Spend points as payment on a sale, from the lots expiring soonest
+ */
+export const redeemPoints = async ({ customer, points, sale, user, session = null }) => {
+  await expireCustomerPoints({ customer, user, session });
+
+  const updated = await changeBalance(customer, -points, session);
+  if (!updated) {
+    const current = await Customer.findById(customer).select('loyaltyPoints').session(session);
+    throw httpError(400, `Not enough loyalty points. Available: ${current?.loyaltyPoints || 0}, Requested: ${points}`);
+  }
+
+  const allocations = await spendFromLots(customer, points, session);
+
+  return recordEntry({
+    customer,
+    type: 'redeem',
+    points: -points,
+    balanceAfter: updated.loyaltyPoints,
+    allocations,
+    sale: sale._id,
+    saleNumber: sale.saleNumber,
+    user
+  }, session);
+};
+
+/**
+ * Undo a voided sale's points: give back the points it spent, to the lots they
+ * came from, and take back the points it earned. Earned points already spent
+ * are taken from the customer's other points, as far as the balance allows;
+ * earned points that expired were already lost and are not taken twice.
+ */
+export const reverseSalePoints = async ({ sale, user, session = null }) => {
+  const customer = sale.customer;
+  const reference = { sale: sale._id, saleNumber: sale.saleNumber, user };
+
+  await expireCustomerPoints({ customer, user, session });
+
+  const redemption = await LoyaltyTransaction.findOne({ sale: sale._id, type: 'redeem' }).session(session);
+  if (redemption) {
+    for (const allocation of redemption.allocations || []) {
+      await LoyaltyTransaction.updateOne({ _id: allocation.lot }, { $inc: { remaining: allocation.points } }, { session });
+    }
+    const updated = await changeBalance(customer, -redemption.points, session);
+    await recordEntry({
+      customer,
+      type: 'void_redeem',
+      points: -redemption.points,
+      balanceAfter: updated.loyaltyPoints,
+      ...reference
+    }, session);
+  }
+
+  const lot = await LoyaltyTransaction.findOne({ sale: sale._id, type: 'earn' }).session(session);
+  if (lot) {
+    const expired = await LoyaltyTransaction.find({ type: 'expire', 'allocations.lot': lot._id }).session(session);
+    const expiredPoints = expired.reduce((sum, entry) => sum - entry.points, 0);
+
+    const allocations = await spendFromLots(customer, lot.points - expiredPoints, session, lot._id);
+    const taken = allocations.reduce((sum, allocation) => sum + allocation.points, 0);
+
+    if (taken > 0) {
+      const updated = await changeBalance(customer, -taken, session);
+      if (!updated) {
+        throw httpError(409, 'Loyalty points balance does not match the points ledger');
+      }
+      await recordEntry({
+        customer,
+        type: 'void_earn',
+        points: -taken,
+        balanceAfter: updated.loyaltyPoints,
+        allocations,
+        ...reference
+      }, session);
+    }
+  }
+};
+
+/**
+ * Undo the points of the part of a sale refunded so far, pro rata by the
+ * refunded amount. Points spent on the sale are given back to the lots they
+ * came from and points it earned are taken back as reverseSalePoints does,
+ * less what earlier returns already gave or took. Returns the points credited
+ * and the points taken back by this return.
+ */
+export const returnSalePoints = async ({ sale, saleReturn, user, session = null }) => {
+  const customer = sale.customer;
+  const reference = { sale: sale._id, saleNumber: sale.saleNumber, reason: `Return ${saleReturn.returnNumber}`, user };
+  const refundedShare = Math.min(sale.refundedAmount / sale.total, 1);
+  const result = { pointsCredited: 0, pointsReversed: 0 };
+
+  if (!customer || !(sale.total > 0)) return result;
+
+  await expireCustomerPoints({ customer, user, session });
+
+  const redemption = await LoyaltyTransaction.findOne({ sale: sale._id, type: 'redeem' }).session(session);
+  if (redemption) {
+    const given = await LoyaltyTransaction.find({ sale: sale._id, type: 'return_redeem' }).session(session);
+    const givenByLot = new Map();
+    for (const allocation of given.flatMap(entry => entry.allocations || [])) {
+      const key = allocation.lot.toString();
+      givenByLot.set(key, (givenByLot.get(key) || 0) + allocation.points);
+    }
+
+    const spent = -redemption.points;
+    const alreadyGiven = given.reduce((sum, entry) => sum + entry.points, 0);
+    let left = Math.round(spent * refundedShare) - alreadyGiven;
+
+    const allocations = [];
+    for (const allocation of redemption.allocations || []) {
+      if (left <= 0) break;
+      const give = Math.min(allocation.points - (givenByLot.get(allocation.lot.toString()) || 0), left);
+      if (give <= 0) continue;
+      await LoyaltyTransaction.updateOne({ _id: allocation.lot }, { $inc: { remaining: give } }, { session });
+      allocations.push({ lot: allocation.lot, points: give });
+      left -= give;
+    }
+
+    const credited = allocations.reduce((sum, allocation) => sum + allocation.points, 0);
+    if (credited > 0) {
+      const updated = await changeBalance(customer, credited, session);
+      await recordEntry({
+        customer,
+        type: 'return_redeem',
+        points: credited,
+        balanceAfter: updated.loyaltyPoints,
+        allocations,
+        ...reference
+      }, session);
+      result.pointsCredited = credited;
+    }
+  }
+
+  const lot = await LoyaltyTransaction.findOne({ sale: sale._id, type: 'earn' }).session(session);
+  if (lot) {
+    const expired = await LoyaltyTransaction.find({ type: 'expire', 'allocations.lot': lot._id }).session(session);
+    const expiredPoints = expired.reduce((sum, entry) => sum - entry.points, 0);
+    const taken = await LoyaltyTransaction.find({ sale: sale._id, type: 'return_earn' }).session(session);
+    const alreadyTaken = taken.reduce((sum, entry) => sum - entry.points, 0);
+
+    // Expired points were already lost and are not taken twice
+    const due = Math.min(Math.round(lot.points * refundedShare), lot.points - expiredPoints) - alreadyTaken;
+    if (due > 0) {
+      const allocations = await spendFromLots(customer, due, session, lot._id);
+      const reversed = allocations.reduce((sum, allocation) => sum + allocation.points, 0);
+
+      if (reversed > 0) {
+        const updated = await changeBalance(customer, -reversed, session);
+        if (!updated) {
+          throw httpError(409, 'Loyalty points balance does not match the points ledger');
+        }
+        await recordEntry({
+          customer,
+          type: 'return_earn',
+          points: -reversed,
+          balanceAfter: updated.loyaltyPoints,
+          allocations,
+          ...reference
+        }, session);
+        result.pointsReversed = reversed;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Manually add or remove points. Added points form a new lot with the usual
+ * expiry; removed points come from the lots expiring soonest.
+ */
+export const adjustPoints = async ({ customer, points, reason, user, expiryMonths, session = null }) => {
+  await expireCustomerPoints({ customer, user, session });
+
+  const updated = await changeBalance(customer, points, session);
+  if (!updated) {
+    throw httpError(400, 'Cannot remove more points than the customer has');
+  }
+
+  const entry = { customer, type: 'adjustment', points, balanceAfter: updated.loyaltyPoints, reason, user };
+  if (points > 0) {
+    entry.remaining = points;
+    entry.expiresAt = expiryDate(expiryMonths);
+  } else {
+    entry.allocations = await spendFromLots(customer, -points, session);
+  }
+
+  return recordEntry(entry, session);
+};
@@ -0,0 +1,53 @@
+import { httpError } from './httpError.js';
+import { roundCurrency } from './pricing.js';
+
+const formatAmount = (amount) => amount.toFixed(2);
+
+/**
+ * Apply the payments a customer handed over to a sale total.
+ * Only cash can be overpaid; the excess comes back as change, taken from the
+ * last cash payment first. Card, e-wallet and points payments must not exceed the total.
+ *
+ * Returns the payments as stored on the sale, with `amount` being what each
+ * one contributed, plus the amount tendered, the change and the sale's payment method.
+ */
+export const settlePayments = (tendered, total) => {
+  const payments = tendered.map(payment => ({
+    method: payment.method,
+    amount: roundCurrency(Number(payment.amount)),
+    referenceNumber: payment.method === 'cash' ? undefined : payment.referenceNumber || undefined
+  }));
+
+  const nonCashTotal = roundCurrency(payments
+    .filter(payment => payment.method !== 'cash')
+    .reduce((sum, payment) => sum + payment.amount, 0));
+  if (nonCashTotal > total) {
+    throw httpError(400, `Non-cash payments of ${formatAmount(nonCashTotal)} exceed the total of ${formatAmount(total)}`);
+  }
+
+  const amountTendered = roundCurrency(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  if (amountTendered < total) {
+    throw httpError(400, `Payments of ${formatAmount(amountTendered)} do not cover the total of ${formatAmount(total)}`);
+  }
+
+  const change = roundCurrency(amountTendered - total);
+  let changeDue = change;
+  for (let i = payments.length - 1; i >= 0; i--) {
+    const payment = payments[i];
+    if (payment.method !== 'cash') continue;
+
+    payment.tendered = payment.amount;
+    const given = Math.min(changeDue, payment.amount);
+    payment.amount = roundCurrency(payment.amount - given);
+    changeDue = roundCurrency(changeDue - given);
+  }
+
+  const methods = new Set(payments.map(payment => payment.method));
+
+  return {
+    payments,
+    amountTendered,
+    change,
+    paymentMethod: methods.size === 1 ? payments[0].method : 'split'
+  };
+};
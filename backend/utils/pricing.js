@@ -0,0 +1,215 @@
+/**
+ * Round a monetary amount to 2 decimal places
+ */
+export const roundCurrency = (value) => {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+};
+
+/**
+ * Compute the amount of a percentage or fixed discount against a base amount.
+ * The discount never exceeds the base amount.
+ */
+export const computeDiscountAmount = (base, discountType, discountValue) => {
+  if (!discountType || !discountValue || base <= 0) return 0;
+
+  const amount = discountType === 'percentage'
+    ? base * (discountValue / 100)
+    : discountValue;
+
+  return roundCurrency(Math.min(amount, base));
+};
+
+/**
+ * Compute the discount granted by a promo code, honouring its maximum discount cap
+ */
+export const computePromoDiscount = (base, promo) => {
+  if (!promo) return 0;
+
+  let amount = computeDiscountAmount(base, promo.discountType, promo.discountValue);
+  if (promo.maxDiscount) {
+    amount = Math.min(amount, promo.maxDiscount);
+  }
+
+  return roundCurrency(amount);
+};
+
+/**
+ * Spread an order-level discount across lines in proportion to their amounts.
+ * The last line absorbs any rounding difference so the shares add up exactly.
+ */
+export const allocateDiscount = (amounts, discount) => {
+  const base = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (!discount || base <= 0) return amounts.map(() => 0);
+
+  let remaining = discount;
+  return amounts.map((amount, index) => {
+    if (index === amounts.length - 1) return roundCurrency(remaining);
+    const share = roundCurrency(discount * (amount / base));
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Calculate line and sale totals for a cart.
+ * Discounts are applied in order: per-line discounts, the sale discount,
+ * then the promo code on whatever remains. Order-level discounts are spread
+ * across lines so VAT can be computed per tax class on each line's net amount.
+ *
+ * Each item carries a `taxClass` snapshot ({ code, name, type, rate }).
+ * With `pricesIncludeVat`, prices already contain VAT and it is extracted;
+ * otherwise VAT is added on top. A `taxExemption` (senior citizen/PWD) removes
+ * VAT from every line and grants the statutory discount on the VAT-exclusive amount.
+ */
+export const calculateSaleTotals = ({
+  items,
+  saleDiscount = {},
+  promo = null,
+  pricesIncludeVat = false,
+  taxExemption = null,
+  exemptTaxClass = null
+}) => {
+  let subtotal = 0;
+  let lineDiscount = 0;
+
+  const lines = items.map(item => {
+    const lineSubtotal = roundCurrency(item.price * item.quantity);
+    const discountAmount = computeDiscountAmount(lineSubtotal, item.discountType, item.discountValue);
+
+    subtotal += lineSubtotal;
+    lineDiscount += discountAmount;
+
+    return {
+      ...item,
+      subtotal: lineSubtotal,
+      discountAmount
+    };
+  });
+
+  subtotal = roundCurrency(subtotal);
+  lineDiscount = roundCurrency(lineDiscount);
+
+  const afterLineDiscounts = roundCurrency(subtotal - lineDiscount);
+  const saleDiscountAmount = computeDiscountAmount(afterLineDiscounts, saleDiscount.type, saleDiscount.value);
+  const afterSaleDiscount = roundCurrency(afterLineDiscounts - saleDiscountAmount);
+  const promoDiscount = computePromoDiscount(afterSaleDiscount, promo);
+
+  const orderDiscounts = allocateDiscount(
+    lines.map(line => line.subtotal - line.discountAmount),
+    roundCurrency(saleDiscountAmount + promoDiscount)
+  );
+
+  let tax = 0;
+  let total = 0;
+  let seniorPwdDiscount = 0;
+  let vatExemptionAmount = 0;
+  const taxBuckets = new Map();
+
+  lines.forEach((line, index) => {
+    const taxClass = line.taxClass || {};
+    const rate = taxClass.type === 'standard' ? (taxClass.rate || 0) / 100 : 0;
+    const net = roundCurrency(line.subtotal - line.discountAmount - orderDiscounts[index]);
+
+    let taxableAmount;
+    let taxAmount = 0;
+    let lineTotal;
+    let bucket = taxClass;
+
+    if (taxExemption) {
+      // VAT is removed and the statutory discount applies to the VAT-exclusive amount
+      const base = pricesIncludeVat ? roundCurrency(net / (1 + rate)) : net;
+      const exemptDiscount = roundCurrency(base * ((taxExemption.discountPercent || 0) / 100));
+
+      vatExemptionAmount += pricesIncludeVat ? roundCurrency(net - base) : 0;
+      seniorPwdDiscount += exemptDiscount;
+      line.seniorPwdDiscount = exemptDiscount;
+      taxableAmount = roundCurrency(base - exemptDiscount);
+      lineTotal = taxableAmount;
+      bucket = exemptTaxClass || taxClass;
+    } else if (pricesIncludeVat) {
+      taxableAmount = roundCurrency(net / (1 + rate));
+      taxAmount = roundCurrency(net - taxableAmount);
+      lineTotal = net;
+    } else {
+      taxableAmount = net;
+      taxAmount = roundCurrency(net * rate);
+      lineTotal = roundCurrency(net + taxAmount);
+    }
+
+    line.orderDiscountAmount = orderDiscounts[index];
+    line.taxableAmount = taxableAmount;
+    line.taxAmount = taxAmount;
+    line.total = lineTotal;
+
+    tax += taxAmount;
+    total += lineTotal;
+
+    const key = bucket.code;
+    const entry = taxBuckets.get(key) || {
+      code: bucket.code,
+      name: bucket.name,
+      type: bucket.type,
+      rate: bucket.type === 'standard' ? bucket.rate : 0,
+      taxableAmount: 0,
+      taxAmount: 0
+    };
+    entry.taxableAmount = roundCurrency(entry.taxableAmount + taxableAmount);
+    entry.taxAmount = roundCurrency(entry.taxAmount + taxAmount);
+    taxBuckets.set(key, entry);
+  });
+
+  const taxBreakdown = [...taxBuckets.values()];
+  const sumByType = (type) => roundCurrency(
+    taxBreakdown.filter(entry => entry.type === type).reduce((sum, entry) => sum + entry.taxableAmount, 0)
+  );
+
+  seniorPwdDiscount = roundCurrency(seniorPwdDiscount);
+
+  return {
+    items: lines,
+    subtotal,
+    discountBreakdown: {
+      lineDiscount,
+      saleDiscount: saleDiscountAmount,
+      promoDiscount,
+      seniorPwdDiscount
+    },
+    discount: roundCurrency(lineDiscount + saleDiscountAmount + promoDiscount + seniorPwdDiscount),
+    // Amount the promo minimum purchase is checked against
+    promoBase: afterSaleDiscount,
+    taxBreakdown,
+    vatableSales: sumByType('standard'),
+    vatExemptSales: sumByType('exempt'),
+    zeroRatedSales: sumByType('zero_rated'),
+    vatExemptionAmount: roundCurrency(vatExemptionAmount),
+    tax: roundCurrency(tax),
+    total: roundCurrency(total)
+  };
+};
+
+/**
+ * Calculate the refund for returning `quantity` units of a sale line.
+ * Each unit refunds its share of what the customer actually paid for the line,
+ * so discounts and VAT are returned pro-rata. Shares are taken from the running
+ * returned quantity so returning the whole line in parts refunds the exact total.
+ */
+export const calculateReturnAmounts = (sale, item, quantity) => {
+  // Sales recorded before per-line totals take their share of the sale totals
+  const lineShare = sale.subtotal > 0 ? item.subtotal / sale.subtotal : 0;
+  const lineTotal = item.total ?? sale.total * lineShare;
+  const lineTax = item.total !== undefined ? item.taxAmount : sale.tax * lineShare;
+  const lineNetSales = item.subtotal - (item.discountAmount || 0);
+
+  const returned = item.returnedQuantity || 0;
+  const shareOf = (amount) => roundCurrency(
+    roundCurrency(amount * ((returned + quantity) / item.quantity))
+    - roundCurrency(amount * (returned / item.quantity))
+  );
+
+  return {
+    refundAmount: shareOf(lineTotal),
+    taxAmount: shareOf(lineTax),
+    // Same basis as top-products revenue: price less line discounts
+    netSales: shareOf(lineNetSales)
+  };
+};
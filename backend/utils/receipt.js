@@ -0,0 +1,409 @@
+import PDFDocument from 'pdfkit';
+
+// Characters per line on 58mm and 80mm thermal paper with the printer's default font
+const THERMAL_COLUMNS = { 58: 32, 80: 48 };
+
+const PAYMENT_METHODS = {
+  cash: 'Cash',
+  card: 'Card',
+  mobile_payment: 'Mobile Payment',
+  other: 'Other',
+  points: 'Loyalty Points'
+};
+
+// ESC/POS commands
+const ESC = 0x1b;
+const GS = 0x1d;
+const ALIGNMENT = { left: 0, center: 1, right: 2 };
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-PH', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-PH', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Collect everything printed on a receipt from a sale populated with
+ * `items.product` and `cashier`, in the order it is printed.
+ */
+export const buildReceipt = (sale, settings, { reprint = false } = {}) => {
+  const header = settings.receipt || {};
+  const breakdown = sale.discountBreakdown || {};
+
+  const adjustments = [];
+  if (breakdown.lineDiscount > 0) {
+    adjustments.push({ label: 'Item Discounts', amount: -breakdown.lineDiscount });
+  }
+  if (breakdown.saleDiscount > 0) {
+    const percent = sale.saleDiscountType === 'percentage' ? ` (${sale.saleDiscountValue}%)` : '';
+    adjustments.push({ label: `Sale Discount${percent}`, amount: -breakdown.saleDiscount });
+  }
+  if (breakdown.promoDiscount > 0) {
+    adjustments.push({ label: `Promo (${sale.promoCode})`, amount: -breakdown.promoDiscount });
+  }
+  if (breakdown.seniorPwdDiscount > 0) {
+    adjustments.push({
+      label: `SC/PWD Discount (${sale.taxExemption?.discountPercent}%)`,
+      amount: -breakdown.seniorPwdDiscount
+    });
+  }
+  if (sale.vatExemptionAmount > 0) {
+    adjustments.push({ label: 'VAT Exemption', amount: -sale.vatExemptionAmount });
+  }
+
+  const vat = [
+    { label: 'VATable Sales', amount: sale.vatableSales },
+    { label: 'VAT-Exempt Sales', amount: sale.vatExemptSales },
+    { label: 'Zero-Rated Sales', amount: sale.zeroRatedSales }
+  ].filter(line => line.amount > 0);
+  // Itemize VAT by tax class only when more than one rate applied
+  const taxedClasses = (sale.taxBreakdown || []).filter(entry => entry.taxAmount > 0);
+  if (taxedClasses.length > 1) {
+    taxedClasses.forEach(entry => vat.push({
+      label: `${entry.code || entry.name} (${entry.rate}%)`,
+      amount: entry.taxAmount
+    }));
+  }
+  vat.push({ label: `VAT${sale.pricesIncludeVat ? ' (incl.)' : ''}`, amount: sale.tax || 0 });
+
+  const exemption = sale.taxExemption?.type
+    ? {
+        label: `${sale.taxExemption.type === 'pwd' ? 'PWD' : 'Senior Citizen'} ID`,
+        value: [sale.taxExemption.idNumber, sale.taxExemption.holderName].filter(Boolean).join(' / ')
+      }
+    : null;
+
+  return {
+    storeName: header.storeName || 'BLCM Sales and Inventory System',
+    address: header.address || '',
+    tin: header.tin || '',
+    contactNumber: header.contactNumber || '',
+    footer: header.footer || '',
+    saleNumber: sale.saleNumber,
+    date: formatDateTime(sale.createdAt),
+    cashier: sale.cashier?.username || '',
+    customer: [sale.customerName, sale.customerPhone, sale.customerEmail].filter(Boolean),
+    exemption,
+    items: sale.items.map(item => ({
+      name: item.variantName
+        ? `${item.product?.name || 'Unknown Product'} (${item.variantName})`
+        : item.product?.name || 'Unknown Product',
+      // Sales made before units of measure have no unit on their items
+      quantity: item.unit ? `${item.quantity} ${item.unit}` : item.quantity,
+      price: item.price,
+      subtotal: item.subtotal,
+      discountAmount: item.discountAmount || 0,
+      returnedQuantity: item.returnedQuantity || 0
+    })),
+    subtotal: sale.subtotal,
+    adjustments,
+    vat,
+    total: sale.total,
+    refundedAmount: sale.refundedAmount || 0,
+    // Sales made before split payments were paid in full with one method
+    payments: (sale.payments?.length ? sale.payments : [{ method: sale.paymentMethod, amount: sale.total }])
+      .map(payment => ({
+        label: PAYMENT_METHODS[payment.method] || payment.method,
+        amount: payment.tendered ?? payment.amount,
+        referenceNumber: payment.referenceNumber || ''
+      })),
+    change: sale.change || 0,
+    pointsRedeemed: sale.loyalty?.pointsRedeemed || 0,
+    pointsEarned: sale.loyalty?.pointsEarned || 0,
+    // A voided sale is marked as such even on reprints
+    watermark: sale.isVoid ? 'VOID' : reprint ? 'REPRINT' : null
+  };
+};
+
+/**
+ * Left text and right-aligned amount on one line, shortening the text to fit
+ */
+const columnsLine = (left, right, width) => {
+  const room = Math.max(width - right.length - 1, 0);
+  const text = left.length > room ? left.slice(0, room) : left;
+  return text + ' '.repeat(width - text.length - right.length) + right;
+};
+
+/**
+ * Word-wrap text to lines of at most `width` characters
+ */
+const wrapText = (text, width) => {
+  const lines = [];
+  let current = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    for (let i = 0; i < word.length; i += width) {
+      const chunk = word.slice(i, i + width);
+      if (!current) {
+        current = chunk;
+      } else if (current.length + 1 + chunk.length <= width) {
+        current += ` ${chunk}`;
+      } else {
+        lines.push(current);
+        current = chunk;
+      }
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+};
+
+/**
+ * Lay a receipt out for thermal paper as { text, align, bold } lines
+ */
+const layoutThermal = (receipt, width) => {
+  const lines = [];
+  const add = (text, align = 'left', bold = false) => lines.push({ text, align, bold });
+  const rule = () => add('-'.repeat(width));
+  const amountLine = (label, amount, bold = false) => add(columnsLine(label, formatAmount(amount), width), 'left', bold);
+
+  if (receipt.watermark) {
+    add(`*** ${receipt.watermark} ***`, 'center', true);
+  }
+  wrapText(receipt.storeName, width).forEach(line => add(line, 'center', true));
+  wrapText(receipt.address, width).forEach(line => add(line, 'center'));
+  if (receipt.tin) add(`TIN: ${receipt.tin}`, 'center');
+  if (receipt.contactNumber) add(`Tel: ${receipt.contactNumber}`, 'center');
+  rule();
+
+  add(columnsLine('Sale No:', receipt.saleNumber, width));
+  add(columnsLine('Date:', receipt.date, width));
+  if (receipt.cashier) add(columnsLine('Cashier:', receipt.cashier, width));
+  receipt.customer.forEach(detail => add(columnsLine('Customer:', detail, width)));
+  if (receipt.exemption) add(columnsLine(`${receipt.exemption.label}:`, receipt.exemption.value, width));
+  rule();
+
+  for (const item of receipt.items) {
+    wrapText(item.name, width).forEach(line => add(line));
+    amountLine(`  ${item.quantity} x ${formatAmount(item.price)}`, item.subtotal);
+    if (item.discountAmount > 0) amountLine('  Less discount', -item.discountAmount);
+    if (item.returnedQuantity > 0) add(`  Returned: ${item.returnedQuantity}`);
+  }
+  rule();
+
+  amountLine('Subtotal', receipt.subtotal);
+  receipt.adjustments.forEach(line => amountLine(line.label, line.amount));
+  amountLine('TOTAL', receipt.total, true);
+  if (receipt.refundedAmount > 0) amountLine('Refunded (returns)', -receipt.refundedAmount);
+  for (const payment of receipt.payments) {
+    amountLine(payment.label, payment.amount);
+    if (payment.referenceNumber) add(`  Ref: ${payment.referenceNumber}`);
+  }
+  if (receipt.change > 0) amountLine('Change', receipt.change);
+  if (receipt.pointsRedeemed > 0) add(columnsLine('Points redeemed', String(receipt.pointsRedeemed), width));
+  if (receipt.pointsEarned > 0) add(columnsLine('Points earned', String(receipt.pointsEarned), width));
+  rule();
+
+  receipt.vat.forEach(line => amountLine(line.label, line.amount));
+
+  if (receipt.footer) {
+    rule();
+    wrapText(receipt.footer, width).forEach(line => add(line, 'center'));
+  }
+  if (receipt.watermark) {
+    add(`*** ${receipt.watermark} ***`, 'center', true);
+  }
+
+  return lines;
+};
+
+/**
+ * Thermal printers only know their own code page; keep to plain ASCII
+ */
+const toPrinterText = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+/**
+ * Render a receipt as raw ESC/POS bytes for a 58mm or 80mm thermal printer
+ */
+export const renderEscPos = (receipt, paperWidth = 80) => {
+  const chunks = [Buffer.from([ESC, 0x40])]; // Initialize printer
+
+  for (const line of layoutThermal(receipt, THERMAL_COLUMNS[paperWidth])) {
+    chunks.push(
+      Buffer.from([ESC, 0x61, ALIGNMENT[line.align]]),
+      Buffer.from([ESC, 0x45, line.bold ? 1 : 0]),
+      Buffer.from(`${toPrinterText(line.text)}\n`, 'ascii')
+    );
+  }
+
+  // Feed past the tear bar, then partial cut
+  chunks.push(Buffer.from([ESC, 0x64, 4, GS, 0x56, 1]));
+  return Buffer.concat(chunks);
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a receipt as a printable HTML page laid out for thermal paper
+ */
+export const renderReceiptHtml = (receipt, paperWidth = 80) => {
+  const columns = THERMAL_COLUMNS[paperWidth];
+  const body = layoutThermal(receipt, columns)
+    .map(line => `<div class="${line.align}${line.bold ? ' bold' : ''}">${escapeHtml(line.text) || '&nbsp;'}</div>`)
+    .join('\n');
+  const watermark = receipt.watermark
+    ? `<div class="watermark">${escapeHtml(receipt.watermark)}</div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.saleNumber)}</title>
+<style>
+  @page { size: ${paperWidth}mm auto; margin: 0; }
+  body { margin: 0; padding: 4mm; font-family: 'Courier New', monospace; font-size: 12px; }
+  .receipt { position: relative; width: ${columns}ch; white-space: pre; }
+  .left { text-align: left; }
+  .center { text-align: center; }
+  .right { text-align: right; }
+  .bold { font-weight: bold; }
+  .watermark {
+    position: absolute; top: 40%; left: 0; right: 0; text-align: center;
+    font-size: 48px; font-weight: bold; color: rgba(0, 0, 0, 0.12);
+    transform: rotate(-30deg); pointer-events: none;
+  }
+</style>
+</head>
+<body>
+<div class="receipt">
+${watermark}
+${body}
+</div>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a receipt as an A4 PDF document
+ * @returns {Promise<Buffer>}
+ */
+export const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const contentWidth = right - left;
+  const columns = { qty: left + 280, price: left + 330, amount: left + 415 };
+
+  const drawWatermark = () => {
+    if (!receipt.watermark) return;
+    const { width, height } = doc.page;
+    doc.save()
+      .rotate(-45, { origin: [width / 2, height / 2] })
+      .fontSize(110)
+      .font('Helvetica-Bold')
+      .fillColor('#e5e7eb')
+      .text(receipt.watermark, 0, height / 2 - 55, { width, align: 'center', lineBreak: false })
+      .restore();
+    doc.fillColor('black').font('Helvetica');
+  };
+  drawWatermark();
+  doc.on('pageAdded', drawWatermark);
+
+  const row = (label, value, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, left, y, { width: contentWidth / 2 });
+    doc.text(value, left + contentWidth / 2, y, { width: contentWidth / 2, align: 'right' });
+    doc.font('Helvetica');
+  };
+  const rule = () => {
+    doc.moveDown(0.5);
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor('#d1d5db').stroke();
+    doc.moveDown(0.5);
+  };
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text(receipt.storeName, left, doc.y, { width: contentWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(10);
+  [receipt.address, receipt.tin && `TIN: ${receipt.tin}`, receipt.contactNumber && `Tel: ${receipt.contactNumber}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: contentWidth, align: 'center' }));
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(14).text('Sales Receipt', { width: contentWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(10);
+  rule();
+
+  // Details
+  row('Sale Number:', receipt.saleNumber);
+  row('Transaction Date:', receipt.date);
+  if (receipt.cashier) row('Cashier:', receipt.cashier);
+  row('Customer:', receipt.customer.length > 0 ? receipt.customer.join(', ') : 'Walk-in Customer');
+  if (receipt.exemption) row(`${receipt.exemption.label}:`, receipt.exemption.value);
+  rule();
+
+  // Items
+  const headerY = doc.y;
+  doc.font('Helvetica-Bold');
+  doc.text('Item', left, headerY, { width: 270 });
+  doc.text('Qty', columns.qty, headerY, { width: 50, align: 'center' });
+  doc.text('Price', columns.price, headerY, { width: 80, align: 'right' });
+  doc.text('Amount', columns.amount, headerY, { width: right - columns.amount, align: 'right' });
+  doc.font('Helvetica');
+  doc.moveDown(0.5);
+
+  for (const item of receipt.items) {
+    const y = doc.y;
+    let notes = item.discountAmount > 0 ? `\nDiscount: -${formatAmount(item.discountAmount)}` : '';
+    if (item.returnedQuantity > 0) notes += `\nReturned: ${item.returnedQuantity}`;
+    doc.text(`${item.name}${notes}`, left, y, { width: 270 });
+    const nextY = doc.y;
+    doc.text(String(item.quantity), columns.qty, y, { width: 50, align: 'center' });
+    doc.text(formatAmount(item.price), columns.price, y, { width: 80, align: 'right' });
+    doc.text(formatAmount(item.subtotal), columns.amount, y, { width: right - columns.amount, align: 'right' });
+    doc.y = nextY + 4;
+  }
+  rule();
+
+  // Totals
+  row('Subtotal:', formatAmount(receipt.subtotal));
+  receipt.adjustments.forEach(line => row(`${line.label}:`, formatAmount(line.amount)));
+  doc.fontSize(13);
+  row('Total:', formatAmount(receipt.total), { bold: true });
+  doc.fontSize(10);
+  if (receipt.refundedAmount > 0) row('Refunded (returns):', formatAmount(-receipt.refundedAmount));
+  rule();
+
+  // Payments
+  doc.font('Helvetica-Bold').text('Payment', left);
+  doc.font('Helvetica');
+  receipt.payments.forEach(payment => {
+    const reference = payment.referenceNumber ? ` (Ref: ${payment.referenceNumber})` : '';
+    row(`${payment.label}${reference}:`, formatAmount(payment.amount));
+  });
+  if (receipt.change > 0) row('Change:', formatAmount(receipt.change));
+  if (receipt.pointsRedeemed > 0) row('Points redeemed:', String(receipt.pointsRedeemed));
+  if (receipt.pointsEarned > 0) row('Points earned:', String(receipt.pointsEarned));
+  rule();
+
+  // VAT breakdown
+  doc.font('Helvetica-Bold').text('VAT Breakdown', left);
+  doc.font('Helvetica');
+  receipt.vat.forEach(line => row(`${line.label}:`, formatAmount(line.amount)));
+
+  if (receipt.footer) {
+    rule();
+    doc.fillColor('#4b5563').text(receipt.footer, left, doc.y, { width: contentWidth, align: 'center' });
+  }
+
+  doc.end();
+});
@@ -0,0 +1,51 @@
+import { roundCurrency } from './pricing.js';
+
+// Line revenue after all discounts, excluding VAT. Lines recorded before
+// per-line totals fall back to price less line discount.
+export const LINE_NET_SALES = {
+  $ifNull: [
+    { $subtract: ['$items.total', { $ifNull: ['$items.taxAmount', 0] }] },
+    { $subtract: ['$items.subtotal', { $ifNull: ['$items.discountAmount', 0] }] }
+  ]
+};
+
+// Cost of the units on a line; lines sold before costs were tracked count as zero
+export const LINE_COST = { $multiply: [{ $ifNull: ['$items.unitCost', 0] }, '$items.quantity'] };
+
+// Cost of returned units that went back on the shelf. Written-off units stay in
+// cost of goods sold because the stock was lost.
+export const RETURNED_LINE_COST = {
+  $cond: [
+    { $eq: ['$items.disposition', 'write_off'] },
+    0,
+    { $multiply: [{ $ifNull: ['$items.unitCost', 0] }, '$items.quantity'] }
+  ]
+};
+
+// Units on a sale or return line in the product's base unit, so cases and
+// pieces add up; lines recorded before units of measure were in base units
+export const LINE_BASE_QUANTITY = { $ifNull: ['$items.baseQuantity', '$items.quantity'] };
+
+/**
+ * Gross profit and margin % from revenue (excluding VAT) and cost of goods sold
+ */
+export const calculateMargin = (netSales, costOfGoods) => {
+  const grossProfit = roundCurrency(netSales - costOfGoods);
+  return {
+    netSales: roundCurrency(netSales),
+    costOfGoods: roundCurrency(costOfGoods),
+    grossProfit,
+    marginPercent: netSales > 0 ? roundCurrency((grossProfit / netSales) * 100) : 0
+  };
+};
+
+/**
+ * Parse report start and end dates, covering the whole end day
+ */
+export const getDateRange = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
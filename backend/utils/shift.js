@@ -0,0 +1,91 @@
+import Sale, { PAYMENT_METHODS } from '../models/Sale.model.js';
+import Return from '../models/Return.model.js';
+import Shift from '../models/Shift.model.js';
+import { roundCurrency } from './pricing.js';
+
+const sumBy = (entries) => new Map(entries.map(entry => [entry._id, entry]));
+
+/**
+ * Take a reading of a shift: what each payment method should hold from the
+ * opening float, sales, refunds and cash movements. When `counted` amounts
+ * (keyed by payment method) are given, each method's variance is included.
+ * Methods left out of `counted` are not checked.
+ */
+export const takeShiftReading = async (shift, counted = null, session = null) => {
+  // Run one after another; operations in a transaction cannot share the session concurrently
+  const salesByMethod = sumBy(await Sale.aggregate([
+    { $match: { shift: shift._id, isVoid: false } },
+    { $unwind: '$payments' },
+    { $group: { _id: '$payments.method', amount: { $sum: '$payments.amount' } } }
+  ]).session(session));
+  const [salesSummary] = await Sale.aggregate([
+    { $match: { shift: shift._id, isVoid: false } },
+    { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$total' } } }
+  ]).session(session);
+  const refundsByMethod = sumBy(await Return.aggregate([
+    { $match: { shift: shift._id } },
+    // Points given back were never in a drawer
+    { $group: { _id: '$refundMethod', count: { $sum: 1 }, amount: { $sum: { $subtract: ['$totalRefund', { $ifNull: ['$pointsRefund', 0] }] } } } }
+  ]).session(session));
+
+  const movementTotal = (type) => roundCurrency(shift.cashMovements
+    .filter(movement => movement.type === type)
+    .reduce((sum, movement) => sum + movement.amount, 0));
+
+  const lines = [];
+  for (const method of PAYMENT_METHODS) {
+    const isCash = method === 'cash';
+    const line = {
+      method,
+      openingFloat: isCash ? shift.openingFloat : 0,
+      sales: roundCurrency(salesByMethod.get(method)?.amount || 0),
+      refunds: roundCurrency(refundsByMethod.get(method)?.amount || 0),
+      cashIn: isCash ? movementTotal('cash_in') : 0,
+      cashOut: isCash ? movementTotal('cash_out') : 0
+    };
+    line.expected = roundCurrency(line.openingFloat + line.sales - line.refunds + line.cashIn - line.cashOut);
+
+    const countedAmount = counted?.[method];
+    if (countedAmount !== undefined && countedAmount !== null) {
+      line.counted = roundCurrency(countedAmount);
+      line.variance = roundCurrency(line.counted - line.expected);
+    }
+
+    // The cash drawer is always shown; other methods only once they were used
+    if (isCash || line.sales || line.refunds || line.counted !== undefined) {
+      lines.push(line);
+    }
+  }
+
+  const countedLines = lines.filter(line => line.counted !== undefined);
+  const refundCount = [...refundsByMethod.values()].reduce((sum, entry) => sum + entry.count, 0);
+
+  return {
+    salesCount: salesSummary?.count || 0,
+    salesTotal: roundCurrency(salesSummary?.total || 0),
+    returnCount: refundCount,
+    refundTotal: roundCurrency([...refundsByMethod.values()].reduce((sum, entry) => sum + entry.amount, 0)),
+    lines,
+    expectedTotal: roundCurrency(lines.reduce((sum, line) => sum + line.expected, 0)),
+    countedTotal: countedLines.length > 0
+      ? roundCurrency(countedLines.reduce((sum, line) => sum + line.counted, 0))
+      : undefined,
+    variance: countedLines.length > 0
+      ? roundCurrency(countedLines.reduce((sum, line) => sum + line.variance, 0))
+      : undefined,
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Whether any counted amount in a reading differs from what was expected
+ */
+export const hasVariance = (reading) => reading.lines.some(line => line.variance !== undefined && line.variance !== 0);
+
+/**
+ * ID of the user's open shift, if they have one, for linking sales and refunds to it
+ */
+export const findOpenShiftId = async (userId) => {
+  const shift = await Shift.findOne({ cashier: userId, status: 'open' }).select('_id');
+  return shift?._id;
+};
@@ -0,0 +1,263 @@
+import Product from '../models/Product.model.js';
+import StockLevel from '../models/StockLevel.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import { httpError } from './httpError.js';
+import { applyLotAllocations, createLot, takeFromLots, trimLots } from './lot.js';
+import { getDefaultLocation } from './location.js';
+
+/**
+ * Aggregation expression matching products at or below their low-stock
+ * threshold. A product with variants is low when any active variant is.
+ */
+export const LOW_STOCK_EXPR = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+    {
+      $anyElementTrue: [{
+        $map: {
+          input: '$variants',
+          as: 'variant',
+          in: {
+            $and: [
+              '$$variant.isActive',
+              { $lte: ['$$variant.stockQuantity', '$$variant.lowStockThreshold'] }
+            ]
+          }
+        }
+      }]
+    },
+    { $lte: ['$stockQuantity', '$lowStockThreshold'] }
+  ]
+};
+
+/**
+ * Active variants of a product at or below their low-stock threshold
+ */
+export const lowStockVariants = (product) => (product.variants || []).filter(
+  variant => variant.isActive && variant.stockQuantity <= variant.lowStockThreshold
+);
+
+/**
+ * Whether a product, or any of its active variants, is at or below its low-stock threshold
+ */
+export const isLowStock = (product) => (
+  product.variants?.length > 0
+    ? lowStockVariants(product).length > 0
+    : product.stockQuantity <= product.lowStockThreshold
+);
+
+// Products without variants carry their stock on the product itself
+const NO_VARIANTS = { 'variants.0': { $exists: false } };
+
+/**
+ * Record a stock movement entry
+ */
+const recordMovement = async ({ product, variant, location, change, quantityAfter, type, user, reason, unitCost, reference, lots, session }) => {
+  await StockMovement.create([{
+    product,
+    variant,
+    location,
+    type,
+    quantity: change,
+    quantityBefore: quantityAfter - change,
+    quantityAfter,
+    reason,
+    unitCost,
+    referenceModel: reference?.model,
+    reference: reference?.id,
+    referenceNumber: reference?.number,
+    lots: lots?.length > 0 ? lots : undefined,
+    user
+  }], { session });
+};
+
+/**
+ * ID of the location a stock change applies to: the one given, or the default location
+ */
+const locationId = async (location, session) => location || (await getDefaultLocation(session))._id;
+
+/**
+ * Filter matching a product, or one of its variants, in Product queries
+ */
+const productFilter = (product, variant) => (
+  variant ? { _id: product, 'variants._id': variant } : { _id: product, ...NO_VARIANTS }
+);
+
+/**
+ * Update moving a product's total stock, and its variant's when given, by `change`
+ */
+const totalStockUpdate = (variant, change) => ({
+  $inc: variant ? { stockQuantity: change, 'variants.$.stockQuantity': change } : { stockQuantity: change }
+});
+
+/**
+ * Change a product's stock at a location by `change` units and record the
+ * movement. Deductions only apply while the location holds enough stock, so
+ * concurrent sales cannot oversell. Returns the updated product, or null if
+ * the product was not found or had too little stock at the location.
+ *
+ * Products with variants hold stock per variant: `variant` names the one to
+ * change, and the product's total moves with it. Without `variant`, only
+ * products without variants are matched. `location` defaults to the default
+ * location; the product's stockQuantity is its total across locations.
+ *
+ * `reference` is the document behind the movement: { model, id, number }.
+ * `unitCost` is recorded for incoming stock whose cost is known.
+ *
+ * For products that track expiry, deductions are taken first-expired-first-out
+ * and incoming stock forms a new lot from `lot`: { lotNumber, expiryDate,
+ * unitCost, reference }. `lots` instead names the lot allocations to put
+ * stock back into (e.g. a void) or take it out of (e.g. a write-off).
+ */
+export const adjustStock = async ({ product, variant, location, change, type, user, reason, unitCost, reference, lot, lots, session = null }) => {
+  const at = await locationId(location, session);
+
+  const levelFilter = { product, variant: variant || null, location: at };
+  if (change < 0) {
+    levelFilter.quantity = { $gte: -change };
+  }
+  // A location's first stock of a product creates its stock level, but only for a product that exists
+  const exists = change > 0 ? await Product.exists(productFilter(product, variant)).session(session) : true;
+  if (!exists) return null;
+
+  const level = await StockLevel.findOneAndUpdate(
+    levelFilter,
+    { $inc: { quantity: change } },
+    { new: true, upsert: change > 0, session }
+  );
+  if (!level) return null;
+
+  const updated = await Product.findOneAndUpdate(
+    productFilter(product, variant),
+    totalStockUpdate(variant, change),
+    { new: true, session }
+  );
+  if (!updated) {
+    throw httpError(409, 'Stock levels do not match the product stock');
+  }
+
+  let movementLots;
+  if (updated.trackExpiry) {
+    if (lots) {
+      await applyLotAllocations({ allocations: lots, sign: Math.sign(change), session });
+      movementLots = lots;
+    } else if (change < 0) {
+      movementLots = await takeFromLots({
+        product: updated,
+        variant,
+        location: at,
+        quantity: -change,
+        stockBefore: level.quantity - change,
+        session
+      });
+    } else if (lot) {
+      movementLots = await createLot({ product: updated._id, variant, location: at, quantity: change, lot, user, session });
+    }
+  }
+
+  await recordMovement({
+    product: updated._id,
+    variant,
+    location: at,
+    change,
+    quantityAfter: level.quantity,
+    type,
+    user,
+    reason,
+    unitCost,
+    reference,
+    lots: movementLots,
+    session
+  });
+
+  return updated;
+};
+
+/**
+ * Set a product's or variant's stock at a location to an absolute quantity
+ * (e.g. after a count) and record the difference as a movement. The
+ * product's total moves by the difference, so the update only applies while
+ * the location still holds the quantity it was read with. Lots of a product
+ * that tracks expiry are trimmed to fit the new quantity. Returns the updated
+ * product, or null if not found.
+ */
+export const setStock = async ({ product, variant, location, quantity, type, user, reason, reference, session = null }) => {
+  const at = await locationId(location, session);
+
+  const current = await Product.findOne(productFilter(product, variant)).session(session);
+  if (!current) return null;
+
+  const level = await StockLevel.findOne({ product, variant: variant || null, location: at }).session(session);
+  const before = level?.quantity || 0;
+  if (before === quantity) return current;
+
+  if (level) {
+    const result = await StockLevel.updateOne({ _id: level._id, quantity: before }, { quantity }, { session });
+    if (result.matchedCount === 0) {
+      throw httpError(409, 'Stock changed while it was being updated, please try again');
+    }
+  } else {
+    await StockLevel.create([{ product, variant, location: at, quantity }], { session });
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    productFilter(product, variant),
+    totalStockUpdate(variant, quantity - before),
+    { new: true, session }
+  );
+
+  await recordMovement({
+    product: updated._id,
+    variant,
+    location: at,
+    change: quantity - before,
+    quantityAfter: quantity,
+    type,
+    user,
+    reason,
+    reference,
+    lots: updated.trackExpiry ? await trimLots({ product: updated._id, variant, location: at, quantity, session }) : undefined,
+    session
+  });
+
+  return updated;
+};
+
+/**
+ * Record the opening stock of a newly created product at a location (the
+ * default location unless given), per variant when it has them
+ */
+export const recordInitialStock = async ({ product, location, user, session = null }) => {
+  if (product.variants?.length > 0) {
+    for (const variant of product.variants) {
+      await recordInitialVariantStock({ product, variant, location, user, session });
+    }
+    return;
+  }
+
+  await recordOpeningLevel({ product, quantity: product.stockQuantity, location, user, session });
+};
+
+/**
+ * Record the opening stock of a variant added to a product
+ */
+export const recordInitialVariantStock = async ({ product, variant, location, user, session = null }) => {
+  await recordOpeningLevel({ product, variant: variant._id, quantity: variant.stockQuantity, location, user, session });
+};
+
+const recordOpeningLevel = async ({ product, variant, quantity, location, user, session }) => {
+  if (!(quantity > 0)) return;
+
+  const at = await locationId(location, session);
+  await StockLevel.create([{ product: product._id, variant, location: at, quantity }], { session });
+  await recordMovement({
+    product: product._id,
+    variant,
+    location: at,
+    change: quantity,
+    quantityAfter: quantity,
+    type: 'initial',
+    user,
+    session
+  });
+};
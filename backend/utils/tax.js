@@ -0,0 +1,67 @@
+import Category from '../models/Category.model.js';
+
+/**
+ * Tax class used when neither the product, its category nor the settings define one
+ */
+export const DEFAULT_TAX_CLASS = {
+  code: 'VAT',
+  name: 'VAT',
+  type: 'standard',
+  rate: 12
+};
+
+/**
+ * Tax bucket for sales exempted under the senior citizen and PWD laws
+ */
+export const SENIOR_PWD_TAX_CLASS = {
+  code: 'SC/PWD',
+  name: 'Senior Citizen/PWD Exempt',
+  type: 'exempt',
+  rate: 0
+};
+
+/**
+ * Build the tax class snapshot stored on a sale item
+ */
+export const toTaxSnapshot = (taxClass) => ({
+  taxClass: taxClass._id,
+  code: taxClass.code,
+  name: taxClass.name,
+  type: taxClass.type,
+  rate: taxClass.type === 'standard' ? taxClass.rate : 0
+});
+
+/**
+ * Resolve the tax class for each product.
+ * Precedence: product tax class, then its category's, then the default from settings.
+ * Products must have `taxClass` populated.
+ * Returns a Map of product ID to tax class snapshot.
+ */
+export const resolveProductTaxClasses = async (products, settings) => {
+  const categoryNames = [...new Set(
+    products
+      .filter(product => !product.taxClass && product.category)
+      .map(product => product.category)
+  )];
+
+  const categories = categoryNames.length > 0
+    ? await Category.find({ name: { $in: categoryNames } }).populate('taxClass')
+    : [];
+  const categoryTaxClasses = new Map(
+    categories
+      .filter(category => category.taxClass)
+      .map(category => [category.name, category.taxClass])
+  );
+
+  if (settings.populated('tax.defaultTaxClass') === undefined && settings.tax?.defaultTaxClass) {
+    await settings.populate('tax.defaultTaxClass');
+  }
+  const defaultTaxClass = settings.tax?.defaultTaxClass || DEFAULT_TAX_CLASS;
+
+  return new Map(products.map(product => {
+    const taxClass = product.taxClass
+      || categoryTaxClasses.get(product.category)
+      || defaultTaxClass;
+    return [product._id.toString(), toTaxSnapshot(taxClass)];
+  }));
+};
@@ -0,0 +1,41 @@
+/**
+ * Round a quantity to 3 decimal places, enough for grams of a product stocked in kg
+ */
+export const roundQuantity = (value) => {
+  return Math.round((value + Number.EPSILON) * 1000) / 1000;
+};
+
+/**
+ * Unit a product's stock is counted in; products made before units of measure count pieces
+ */
+export const baseUnit = (product) => product.unit || 'pcs';
+
+/**
+ * Find a unit a product is sold or bought in, as { name, factor } where factor
+ * is the number of base units it holds. No name means the base unit; a name
+ * the product does not define returns undefined.
+ */
+export const findUnit = (product, name) => {
+  if (!name || name === baseUnit(product)) {
+    return { name: baseUnit(product), factor: 1 };
+  }
+  return (product.units || []).find(unit => unit.name === name);
+};
+
+/**
+ * Convert a quantity in `unit` to the product's base unit
+ */
+export const toBaseQuantity = (quantity, unit) => roundQuantity(quantity * (unit?.factor || 1));
+
+/**
+ * Whether a base-unit quantity can be stocked: whole units, unless the product
+ * is weighed or measured and allows fractions
+ */
+export const isValidQuantity = (product, quantity) => (
+  product.allowFractions || Number.isInteger(quantity)
+);
+
+/**
+ * Quantity with its unit for messages, e.g. "1.5 kg"
+ */
+export const formatQuantity = (quantity, unit) => `${roundQuantity(quantity)} ${unit}`;
@@ -0,0 +1,22 @@
+/**
+ * Whether a product is sold as variants rather than as a single item
+ */
+export const hasVariants = (product) => (product?.variants?.length || 0) > 0;
+
+/**
+ * Label for a variant from its option values, e.g. "M / Red"
+ */
+export const variantName = (variant) => (variant?.optionValues || []).join(' / ');
+
+/**
+ * Find a product's variant by ID, or undefined
+ */
+export const findVariant = (product, variantId) => (
+  variantId ? product?.variants?.find(variant => variant._id.equals(variantId)) : undefined
+);
+
+/**
+ * Key identifying an item line by product and variant, for matching lines
+ * across sales, returns and purchase orders
+ */
+export const lineKey = (product, variant) => `${product}:${variant || ''}`;
@@ -0,0 +1,108 @@
+import Sale from '../models/Sale.model.js';
+import Promo from '../models/Promo.model.js';
+import { httpError } from './httpError.js';
+import { recordAudit } from './audit.js';
+import { describeReason } from './approval.js';
+import { reverseSalePoints } from './loyalty.js';
+import { findOpenShiftId } from './shift.js';
+import { adjustStock } from './stock.js';
+import { findSaleLots } from './lot.js';
+import { lineKey } from './variant.js';
+
+/**
+ * Check a sale can be voided by the user, within the void time limits.
+ * Admins may void any sale; supervisors and staff only sales younger than
+ * the configured age, and staff only sales from their own open shift when
+ * same-shift voids are on. Throws a 400 or 403 error.
+ */
+export const checkVoidable = async (sale, user, settings) => {
+  if (sale.isVoid) {
+    throw httpError(400, 'Sale is already voided');
+  }
+  if (sale.items.some(item => item.returnedQuantity > 0)) {
+    throw httpError(400, 'Sale has returns and cannot be voided. Return the remaining items instead.');
+  }
+  if (user.role === 'admin') return;
+
+  const { staffSameShiftOnly, maxAgeHours } = settings.voids || {};
+  if (maxAgeHours > 0 && Date.now() - sale.createdAt.getTime() > maxAgeHours * 60 * 60 * 1000) {
+    throw httpError(403, `Sales older than ${maxAgeHours} hours can only be voided by an admin. Return the items instead.`);
+  }
+
+  if (staffSameShiftOnly && !user.isSupervisor) {
+    const shift = await findOpenShiftId(user._id);
+    if (!shift || !sale.shift?.equals(shift)) {
+      throw httpError(403, 'You can only void sales from your own open shift');
+    }
+  }
+};
+
+/**
+ * Void a sale inside a transaction: mark it void with its approval, put the
+ * stock back, reverse its loyalty points and release its promo code use.
+ * `voidedBy` is whoever asked for the void and `approver` whoever approved it.
+ * Returns the voided sale.
+ */
+export const voidSaleRecord = async (req, { sale: existing, approval, voidedBy, approver, session }) => {
+  // The isVoid guard stops two concurrent voids from restoring the stock twice
+  const sale = await Sale.findOneAndUpdate(
+    { _id: existing._id, isVoid: false, 'items.returnedQuantity': { $not: { $gt: 0 } } },
+    { isVoid: true, voidedAt: new Date(), voidedBy: voidedBy._id, voidApproval: approval },
+    { new: true, session }
+  );
+
+  if (!sale) {
+    throw httpError(400, 'Sale was voided or had items returned while processing');
+  }
+  await recordAudit(req, {
+    action: 'void',
+    targetType: 'Sale',
+    target: sale,
+    targetLabel: sale.saleNumber,
+    before: existing,
+    after: sale,
+    fields: ['isVoid', 'voidedAt', 'voidedBy'],
+    reason: describeReason(approval),
+    actor: voidedBy,
+    approver
+  }, { session });
+
+  // Stock of products that track expiry goes back into the lots it was sold from
+  const saleLots = await findSaleLots({ sale, session });
+
+  for (const item of sale.items) {
+    const updated = await adjustStock({
+      product: item.product,
+      variant: item.variant,
+      // Sales made before units of measure were sold in base units
+      change: item.baseQuantity ?? item.quantity,
+      // Sales made before branches took stock from the default location
+      location: sale.location,
+      lots: saleLots.get(lineKey(item.product, item.variant))?.shift(),
+      type: 'void',
+      user: voidedBy._id,
+      reference: { model: 'Sale', id: sale._id, number: sale.saleNumber },
+      session
+    });
+
+    if (!updated) {
+      throw httpError(404, 'One or more products not found');
+    }
+  }
+
+  // Give back points spent on the sale and take back points it earned
+  if (sale.loyalty && sale.customer) {
+    await reverseSalePoints({ sale, user: voidedBy._id, session });
+  }
+
+  // Release the promo code use so it can be redeemed again
+  if (sale.promo) {
+    await Promo.updateOne(
+      { _id: sale.promo, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { session }
+    );
+  }
+
+  return sale;
+};
@@ -14,6 +14,22 @@ const Inventory = lazy(() => import('./pages/Inventory'));
 const Reports = lazy(() => import('./pages/Reports'));
 const Users = lazy(() => import('./pages/Users'));
 const Profile = lazy(() => import('./pages/Profile'));
+const Promos = lazy(() => import('./pages/Promos'));
+const Settings = lazy(() => import('./pages/Settings'));
+const TaxClasses = lazy(() => import('./pages/TaxClasses'));
+const Returns = lazy(() => import('./pages/Returns'));
+const PurchaseOrders = lazy(() => import('./pages/PurchaseOrders'));
+const Shifts = lazy(() => import('./pages/Shifts'));
+const Customers = lazy(() => import('./pages/Customers'));
+const Locations = lazy(() => import('./pages/Locations'));
+const Transfers = lazy(() => import('./pages/Transfers'));
+const StockCounts = lazy(() => import('./pages/StockCounts'));
+const ReorderSuggestions = lazy(() => import('./pages/ReorderSuggestions'));
+const ProductProposals = lazy(() => import('./pages/ProductProposals'));
+const SupplierPortal = lazy(() => import('./pages/SupplierPortal'));
+const Settlements = lazy(() => import('./pages/Settlements'));
+const Audit = lazy(() => import('./pages/Audit'));
+const VoidRequests = lazy(() => import('./pages/VoidRequests'));
 
 // Loading fallback component
 const PageLoader = () => (
@@ -58,7 +74,25 @@ function App() {
             }
           />
           <Route path="sales" element={<Sales />} />
+          <Route path="returns" element={<Returns />} />
+          <Route path="shifts" element={<Shifts />} />
+          <Route path="void-requests" element={<VoidRequests />} />
+          <Route path="customers" element={<Customers />} />
           <Route path="inventory" element={<Inventory />} />
+          <Route path="transfers" element={<Transfers />} />
+          <Route path="stock-counts" element={<StockCounts />} />
+          <Route path="purchase-orders" element={<PurchaseOrders />} />
+          <Route
+            path="reorder-suggestions"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <ReorderSuggestions />
+              </ProtectedRoute>
+            }
+          />
+          <Route path="product-proposals" element={<ProductProposals />} />
+          <Route path="supplier-portal" element={<SupplierPortal />} />
+          <Route path="settlements" element={<Settlements />} />
           <Route path="reports" element={<Reports />} />
           <Route path="profile" element={<Profile />} />
           <Route
@@ -69,6 +103,46 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="audit"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <Audit />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="locations"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <Locations />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="promos"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <Promos />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="tax-classes"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <TaxClasses />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="settings"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <Settings />
+              </ProtectedRoute>
+            }
+          />
         </Route>
       </Routes>
     </Suspense>
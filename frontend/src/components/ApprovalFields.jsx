@@ -0,0 +1,128 @@
+export const VOID_REASONS = {
+  customer_changed_mind: 'Customer changed mind',
+  cashier_error: 'Cashier error',
+  wrong_item: 'Wrong item rung up',
+  payment_problem: 'Payment problem',
+  duplicate_sale: 'Duplicate sale',
+  other: 'Other'
+};
+
+export const OVERRIDE_REASONS = {
+  price_match: 'Price match',
+  damaged_item: 'Damaged item',
+  pricing_error: 'Wrong shelf or system price',
+  customer_goodwill: 'Customer goodwill',
+  manager_discretion: 'Manager discretion',
+  other: 'Other'
+};
+
+export const APPROVAL_METHODS = {
+  self: 'Own approval',
+  pin: 'PIN at the register',
+  password: 'Password at the register',
+  queue: 'Approval queue'
+};
+
+export const EMPTY_APPROVAL = { reason: '', note: '', username: '', method: 'pin', secret: '' };
+
+/**
+ * What is missing from an approval before it can be sent, or null
+ */
+export const approvalError = (approval, needsApprover) => {
+  if (!approval.reason) return 'Choose a reason';
+  if (approval.reason === 'other' && !approval.note.trim()) return 'Describe the reason';
+  if (needsApprover && (!approval.username.trim() || !approval.secret)) {
+    return `Enter the approver's username and ${approval.method === 'pin' ? 'PIN' : 'password'}`;
+  }
+  return null;
+};
+
+/**
+ * Approver credentials for the request body: a username with a PIN or password
+ */
+export const approverCredentials = (approval) => ({
+  username: approval.username.trim(),
+  [approval.method]: approval.secret
+});
+
+// A reason code and note as shown on a sale
+export const formatApprovalReason = (reasons, approval) => {
+  const label = reasons[approval.reason] || approval.reason;
+  return approval.note ? `${label}: ${approval.note}` : label;
+};
+
+// Reason code and note, plus an admin's or supervisor's username and PIN or
+// password when the user cannot approve the action themselves
+const ApprovalFields = ({ value, onChange, reasons, needsApprover }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">Reason *</label>
+          <select
+            value={value.reason}
+            onChange={(e) => update({ reason: e.target.value })}
+            className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Choose a reason</option>
+            {Object.entries(reasons).map(([reason, label]) => (
+              <option key={reason} value={reason}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">Note{value.reason === 'other' && ' *'}</label>
+          <input
+            type="text"
+            value={value.note}
+            onChange={(e) => update({ note: e.target.value })}
+            maxLength={200}
+            className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      {needsApprover && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Approver Username *</label>
+            <input
+              type="text"
+              value={value.username}
+              onChange={(e) => update({ username: e.target.value })}
+              autoComplete="off"
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Approve With</label>
+            <select
+              value={value.method}
+              onChange={(e) => update({ method: e.target.value, secret: '' })}
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="pin">PIN</option>
+              <option value="password">Password</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">{value.method === 'pin' ? 'PIN' : 'Password'} *</label>
+            <input
+              type="password"
+              value={value.secret}
+              onChange={(e) => update({ secret: e.target.value })}
+              inputMode={value.method === 'pin' ? 'numeric' : undefined}
+              maxLength={value.method === 'pin' ? 6 : undefined}
+              autoComplete="new-password"
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalFields;
@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Keyboard-wedge scanners type a whole code in a burst; a longer pause than this
+// between keys means a person is typing
+const MAX_KEY_INTERVAL_MS = 50;
+const MIN_SCAN_LENGTH = 6;
+
+const isEditable = (element) => element && (
+  element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+);
+
+/**
+ * Input for barcode scanners. Scans typed into the input are submitted on Enter.
+ * While no other field has focus, scanner bursts anywhere on the page are caught too.
+ */
+const BarcodeScanInput = ({ onScan, disabled = false }) => {
+  const [value, setValue] = useState('');
+  const inputRef = useRef(null);
+  const bufferRef = useRef({ code: '', lastKeyAt: 0 });
+
+  useEffect(() => {
+    if (disabled) return undefined;
+
+    const handleKeyDown = (e) => {
+      // Keystrokes in a field, including the scan input itself, belong to that field
+      if (isEditable(e.target)) return;
+
+      const now = Date.now();
+      const buffer = bufferRef.current;
+      if (now - buffer.lastKeyAt > MAX_KEY_INTERVAL_MS) {
+        buffer.code = '';
+      }
+      buffer.lastKeyAt = now;
+
+      if (e.key === 'Enter') {
+        if (buffer.code.length >= MIN_SCAN_LENGTH) {
+          e.preventDefault();
+          onScan(buffer.code);
+        }
+        buffer.code = '';
+      } else if (e.key.length === 1) {
+        buffer.code += e.key;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onScan, disabled]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      // Keep Enter from submitting the surrounding form
+      e.preventDefault();
+      const code = value.trim();
+      if (code) {
+        onScan(code);
+        setValue('');
+        // Adding the item can move focus elsewhere; stay ready for the next scan
+        inputRef.current?.focus();
+      }
+    }
+  };
+
+  return (
+    <input
+      ref={inputRef}
+      type="text"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onKeyDown={handleKeyDown}
+      disabled={disabled}
+      autoFocus
+      autoComplete="off"
+      className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      placeholder="Scan a barcode or type a barcode/SKU and press Enter"
+    />
+  );
+};
+
+export default BarcodeScanInput;
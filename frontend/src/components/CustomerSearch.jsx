@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Search customers by name, email or phone and pick one for a sale
+ */
+const CustomerSearch = ({ selected, onSelect }) => {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  useEffect(() => {
+    const term = search.trim();
+    if (!term) {
+      setResults([]);
+      return undefined;
+    }
+
+    // Wait for typing to pause before searching
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await axios.get('/customers', { params: { search: term, active: true, limit: 8 } });
+        setResults(response.data.data);
+      } catch (error) {
+        // Error handled by axios interceptor
+      } finally {
+        setIsSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const handleSelect = (customer) => {
+    onSelect(customer);
+    setSearch('');
+    setResults([]);
+  };
+
+  if (selected) {
+    return (
+      <div className="flex items-center justify-between gap-2 px-3 py-2 border rounded-lg bg-blue-50">
+        <div className="min-w-0">
+          <div className="font-medium truncate">{selected.name}</div>
+          <div className="text-xs text-gray-600 truncate">
+            {[selected.phone, selected.email].filter(Boolean).join(' · ') || 'No contact details'}
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => onSelect(null)}
+          className="text-sm text-red-600 hover:text-red-800"
+        >
+          Clear
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        placeholder="Search by name, email or phone"
+        autoComplete="off"
+      />
+      {search.trim() && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border rounded-lg shadow-lg max-h-60 overflow-y-auto">
+          {isSearching && results.length === 0 ? (
+            <li className="px-3 py-2 text-sm text-gray-500">Searching...</li>
+          ) : results.length === 0 ? (
+            <li className="px-3 py-2 text-sm text-gray-500">No customers found</li>
+          ) : (
+            results.map(customer => (
+              <li key={customer._id}>
+                <button
+                  type="button"
+                  onClick={() => handleSelect(customer)}
+                  className="w-full text-left px-3 py-2 hover:bg-gray-100"
+                >
+                  <div className="font-medium">{customer.name}</div>
+                  <div className="text-xs text-gray-600">
+                    {[customer.phone, customer.email].filter(Boolean).join(' · ')}
+                  </div>
+                </button>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CustomerSearch;
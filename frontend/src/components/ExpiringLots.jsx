@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import ConfirmModal from './ConfirmModal';
+import { itemName } from '../utils/variant';
+import { formatQuantity } from '../utils/units';
+import { formatCurrencyDisplay } from '../utils/utils';
+
+const WINDOWS = [7, 30, 90];
+
+const ExpiryStatus = ({ lot }) => {
+  if (lot.isExpired) {
+    return <span className="px-2 py-1 bg-red-100 text-red-800 rounded text-xs">Expired</span>;
+  }
+  if (lot.daysUntilExpiry === 0) {
+    return <span className="px-2 py-1 bg-orange-100 text-orange-800 rounded text-xs">Expires today</span>;
+  }
+  return (
+    <span className="px-2 py-1 bg-yellow-100 text-yellow-800 rounded text-xs">
+      {lot.daysUntilExpiry} day{lot.daysUntilExpiry === 1 ? '' : 's'} left
+    </span>
+  );
+};
+
+/**
+ * Lots of perishable products that have expired or expire soon, at one
+ * location or all of them, with a write-off for expired stock. Hidden when
+ * nothing is expiring.
+ */
+const ExpiringLots = ({ location, canWriteOff, onWrittenOff }) => {
+  const [lots, setLots] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [days, setDays] = useState(30);
+  const [writeOffLot, setWriteOffLot] = useState(null);
+  const [isWritingOff, setIsWritingOff] = useState(false);
+
+  useEffect(() => {
+    fetchLots();
+  }, [days, location]);
+
+  const fetchLots = async () => {
+    try {
+      const response = await axios.get('/inventory/expiring', { params: { days, location: location || undefined } });
+      setLots(response.data.data);
+      setSummary(response.data.summary || {});
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleWriteOff = async () => {
+    setIsWritingOff(true);
+    try {
+      const response = await axios.post(`/inventory/lots/${writeOffLot._id}/write-off`);
+      toast.success(`${response.data.message}. Loss: ${formatCurrencyDisplay(response.data.data.loss)}`);
+      setWriteOffLot(null);
+      fetchLots();
+      onWrittenOff?.();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsWritingOff(false);
+    }
+  };
+
+  if (lots.length === 0 && days === 30) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mb-6 sm:mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-4 border-b">
+        <div>
+          <h2 className="text-lg font-semibold">Expiring Stock</h2>
+          <p className="text-sm text-gray-600">
+            {summary.expired || 0} expired lot{summary.expired === 1 ? '' : 's'}
+            {summary.expiredValue > 0 && ` worth ${formatCurrencyDisplay(summary.expiredValue)} at cost`}
+            {' '}· {summary.expiringSoon || 0} expiring within {days} days
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="px-3 py-2 border rounded-lg text-sm"
+        >
+          {WINDOWS.map(value => (
+            <option key={value} value={value}>Next {value} days</option>
+          ))}
+        </select>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lot</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expiry Date</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              {canWriteOff && (
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              )}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {lots.length === 0 ? (
+              <tr>
+                <td colSpan={canWriteOff ? 6 : 5} className="px-6 py-4 text-center text-gray-500">
+                  No stock expires within {days} days
+                </td>
+              </tr>
+            ) : (
+              lots.map(lot => (
+                <tr key={lot._id} className={lot.isExpired ? 'bg-red-50' : ''}>
+                  <td className="px-6 py-3 whitespace-nowrap font-semibold">{itemName(lot.product.name, lot.variantName)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm">
+                    {lot.lotNumber}
+                    {!location && lot.location && <span className="text-xs text-gray-500"> · {lot.location.name}</span>}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm">{new Date(lot.expiryDate).toLocaleDateString()}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm">{formatQuantity(lot.quantity, lot.product.unit)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap"><ExpiryStatus lot={lot} /></td>
+                  {canWriteOff && (
+                    <td className="px-6 py-3 whitespace-nowrap">
+                      {lot.isExpired && (
+                        <button
+                          onClick={() => setWriteOffLot(lot)}
+                          className="text-red-600 hover:text-red-800 text-sm"
+                        >
+                          Write Off
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <ConfirmModal
+        isOpen={!!writeOffLot}
+        onClose={() => setWriteOffLot(null)}
+        onConfirm={handleWriteOff}
+        title="Write Off Expired Lot"
+        message={writeOffLot && `Remove ${formatQuantity(writeOffLot.quantity, writeOffLot.product.unit)} of ${itemName(writeOffLot.product.name, writeOffLot.variantName)} (lot ${writeOffLot.lotNumber}) from stock and record ${formatCurrencyDisplay(writeOffLot.value)} as a loss?`}
+        confirmText="Write Off"
+        isLoading={isWritingOff}
+      />
+    </div>
+  );
+};
+
+export default ExpiringLots;
@@ -23,7 +23,13 @@ const Layout = () => {
         // Core Operations
         { name: 'Dashboard', path: '/dashboard', icon: '📊', group: 'Core' },
         { name: 'Sales', path: '/sales', icon: '💰', group: 'Core' },
+        { name: 'Returns', path: '/returns', icon: '↩️', group: 'Core' },
+        { name: 'Shifts', path: '/shifts', icon: '🧮', group: 'Core' },
+        { name: 'Void Approvals', path: '/void-requests', icon: '🚫', group: 'Core' },
+        { name: 'Customers', path: '/customers', icon: '🪪', group: 'Core' },
         { name: 'Inventory', path: '/inventory', icon: '🗂️', group: 'Core' },
+        { name: 'Transfers', path: '/transfers', icon: '🔁', group: 'Core' },
+        { name: 'Stock Counts', path: '/stock-counts', icon: '📝', group: 'Core' },
         
         // Product Management
         { 
@@ -36,17 +42,33 @@ const Layout = () => {
           ]
         },
         { name: 'Suppliers', path: '/suppliers', icon: '🏢', group: 'Products' },
+        { name: 'Purchase Orders', path: '/purchase-orders', icon: '🚚', group: 'Products' },
+        { name: 'Reorder Suggestions', path: '/reorder-suggestions', icon: '📉', group: 'Products' },
+        { name: 'Product Proposals', path: '/product-proposals', icon: '📨', group: 'Products' },
+        { name: 'Supplier Sales', path: '/supplier-portal', icon: '🧾', group: 'Products' },
+        { name: 'Settlements', path: '/settlements', icon: '💸', group: 'Products' },
         
         // Administration
         { name: 'Reports', path: '/reports', icon: '📈', group: 'Admin' },
         { name: 'Users', path: '/users', icon: '👥', group: 'Admin' },
+        { name: 'Audit Log', path: '/audit', icon: '🕵️', group: 'Admin' },
+        { name: 'Locations', path: '/locations', icon: '📍', group: 'Admin' },
+        { name: 'Promo Codes', path: '/promos', icon: '🎟️', group: 'Admin' },
+        { name: 'Tax Classes', path: '/tax-classes', icon: '🧾', group: 'Admin' },
+        { name: 'Settings', path: '/settings', icon: '⚙️', group: 'Admin' },
       ];
     } else if (isStaff) {
       return [
         // Core Operations
         { name: 'Dashboard', path: '/dashboard', icon: '📊', group: 'Core' },
         { name: 'Sales', path: '/sales', icon: '💰', group: 'Core' },
+        { name: 'Returns', path: '/returns', icon: '↩️', group: 'Core' },
+        { name: 'Shifts', path: '/shifts', icon: '🧮', group: 'Core' },
+        { name: 'Void Approvals', path: '/void-requests', icon: '🚫', group: 'Core' },
+        { name: 'Customers', path: '/customers', icon: '🪪', group: 'Core' },
         { name: 'Inventory', path: '/inventory', icon: '🗂️', group: 'Core' },
+        { name: 'Transfers', path: '/transfers', icon: '🔁', group: 'Core' },
+        { name: 'Stock Counts', path: '/stock-counts', icon: '📝', group: 'Core' },
       ];
     } else if (isSupplier) {
       return [
@@ -54,6 +76,10 @@ const Layout = () => {
         { name: 'Dashboard', path: '/dashboard', icon: '📊', group: 'Core' },
         { name: 'Products', path: '/products', icon: '📦', group: 'Core' },
         { name: 'Inventory', path: '/inventory', icon: '🗂️', group: 'Core' },
+        { name: 'Purchase Orders', path: '/purchase-orders', icon: '🚚', group: 'Core' },
+        { name: 'My Sales', path: '/supplier-portal', icon: '🧾', group: 'Core' },
+        { name: 'Settlements', path: '/settlements', icon: '💸', group: 'Core' },
+        { name: 'Proposals', path: '/product-proposals', icon: '📨', group: 'Core' },
       ];
     }
     return [];
@@ -0,0 +1,130 @@
+import { formatCurrencyDisplay, formatPaymentMethod } from '../utils/utils';
+import { summarizePayments } from '../utils/payment';
+
+export const PAYMENT_METHODS = ['cash', 'card', 'mobile_payment', 'other'];
+
+export const EMPTY_PAYMENT = { method: 'cash', amount: '', referenceNumber: '' };
+
+/**
+ * Payment lines for a sale. Several methods can be combined; cash beyond the
+ * total is given back as change. Loyalty points are offered when `methods`
+ * includes 'points', valued at `pointValue` pesos each.
+ */
+const PaymentEntry = ({ payments, onChange, total, methods = PAYMENT_METHODS, pointValue = 1, pointsBalance = 0 }) => {
+  const summary = summarizePayments(payments, total);
+
+  const updatePayment = (index, changes) => {
+    onChange(payments.map((payment, i) => (i === index ? { ...payment, ...changes } : payment)));
+  };
+
+  const removePayment = (index) => {
+    onChange(payments.filter((_, i) => i !== index));
+  };
+
+  // Fill a line with whatever the other lines leave unpaid. Points cover as
+  // much as the balance allows in whole points.
+  const payRemaining = (index) => {
+    const others = payments.filter((_, i) => i !== index);
+    let { remaining } = summarizePayments(others, total);
+    if (payments[index].method === 'points') {
+      remaining = Math.min(Math.floor(remaining / pointValue + 1e-9), pointsBalance) * pointValue;
+    }
+    updatePayment(index, { amount: remaining > 0 ? remaining.toFixed(2) : '' });
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold">Payment</h3>
+        <button
+          type="button"
+          onClick={() => onChange([...payments, { ...EMPTY_PAYMENT, method: 'card' }])}
+          disabled={payments.length >= 10}
+          className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          + Add Payment
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {payments.map((payment, index) => (
+          <div key={index} className="grid grid-cols-1 sm:grid-cols-12 gap-2 items-center">
+            <select
+              value={payment.method}
+              onChange={(e) => updatePayment(index, { method: e.target.value })}
+              className="sm:col-span-3 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {methods.map(method => (
+                <option key={method} value={method}>{formatPaymentMethod(method)}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={payment.amount}
+              onChange={(e) => updatePayment(index, { amount: e.target.value })}
+              className="sm:col-span-3 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder={payment.method === 'cash' ? 'Cash tendered' : 'Amount'}
+            />
+            {payment.method === 'cash' ? (
+              <div className="sm:col-span-4" />
+            ) : payment.method === 'points' ? (
+              <div className="sm:col-span-4 text-sm text-gray-600">
+                {Math.round((parseFloat(payment.amount) || 0) / pointValue)} of {pointsBalance} points
+              </div>
+            ) : (
+              <input
+                type="text"
+                value={payment.referenceNumber}
+                onChange={(e) => updatePayment(index, { referenceNumber: e.target.value })}
+                maxLength={50}
+                className="sm:col-span-4 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Reference number"
+              />
+            )}
+            <div className="sm:col-span-2 flex gap-2 text-sm">
+              <button
+                type="button"
+                onClick={() => payRemaining(index)}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Exact
+              </button>
+              {payments.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removePayment(index)}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 space-y-1 text-sm">
+        <div className="flex justify-between">
+          <span>Tendered:</span>
+          <span>{formatCurrencyDisplay(summary.tendered)}</span>
+        </div>
+        {summary.remaining > 0 && (
+          <div className="flex justify-between text-orange-600">
+            <span>Remaining:</span>
+            <span>{formatCurrencyDisplay(summary.remaining)}</span>
+          </div>
+        )}
+        {summary.change > 0 && (
+          <div className="flex justify-between text-lg font-semibold text-green-700">
+            <span>Change:</span>
+            <span>{formatCurrencyDisplay(summary.change)}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentEntry;
@@ -0,0 +1,203 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { formatCurrencyDisplay } from '../utils/utils';
+import { itemName, lineKey } from '../utils/variant';
+import { formatQuantity, quantityStep, roundQuantity } from '../utils/units';
+
+const ReceivePurchaseOrderModal = ({ order, onClose, onReceived }) => {
+  const [lines, setLines] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (order) {
+      setNotes('');
+      setLines(order.items.map(item => {
+        const outstanding = roundQuantity(item.quantityOrdered - item.quantityReceived);
+        return {
+          key: lineKey(item.product?._id || item.product, item.variant),
+          product: item.product?._id || item.product,
+          variant: item.variant,
+          name: itemName(item.product?.name || 'Unknown product', item.variantName),
+          // Received in the unit ordered; part of a case can come in as loose pieces
+          unit: item.unit,
+          step: item.unitFactor > 1 ? 'any' : quantityStep(item.product),
+          ordered: item.quantityOrdered,
+          outstanding,
+          quantity: outstanding,
+          unitCost: item.unitCost,
+          // Perishable goods are stocked as a lot; the lot number defaults to the PO number
+          trackExpiry: !!item.product?.trackExpiry,
+          lotNumber: '',
+          expiryDate: ''
+        };
+      }));
+    }
+  }, [order]);
+
+  const updateLine = (key, changes) => {
+    setLines(lines.map(line => (line.key === key ? { ...line, ...changes } : line)));
+  };
+
+  const selectedLines = lines.filter(line => line.quantity > 0);
+  const receivedCost = selectedLines.reduce((sum, line) => sum + line.quantity * (parseFloat(line.unitCost) || 0), 0);
+
+  const hasPerishables = lines.some(line => line.trackExpiry);
+
+  const handleSubmit = async () => {
+    if (selectedLines.length === 0) {
+      toast.error('Enter a received quantity for at least one item');
+      return;
+    }
+    const missingExpiry = selectedLines.find(line => line.trackExpiry && !line.expiryDate);
+    if (missingExpiry) {
+      toast.error(`Enter the expiry date of ${missingExpiry.name}`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/purchase-orders/${order._id}/receive`, {
+        items: selectedLines.map(({ product, variant, quantity, unitCost, trackExpiry, lotNumber, expiryDate }) => ({
+          product,
+          variant,
+          quantity,
+          unitCost: parseFloat(unitCost) || 0,
+          ...(trackExpiry && { lotNumber: lotNumber.trim() || undefined, expiryDate })
+        })),
+        notes: notes || undefined
+      });
+      toast.success(`Goods received on ${order.poNumber}`);
+      onReceived(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!order) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl sm:text-2xl font-bold mb-1">Receive Goods</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {order.poNumber} · {order.supplier?.companyName}. Received quantities are added to stock.
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Outstanding</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Received Qty</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                {hasPerishables && (
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Lot / Expiry</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {lines.map(line => (
+                <tr key={line.key} className={line.outstanding === 0 ? 'opacity-50' : ''}>
+                  <td className="px-3 py-2">{line.name}</td>
+                  <td className="px-3 py-2 text-center">{line.outstanding} of {formatQuantity(line.ordered, line.unit)}</td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max={line.outstanding}
+                      step={line.step}
+                      value={line.quantity}
+                      disabled={line.outstanding === 0}
+                      onChange={(e) => updateLine(line.key, {
+                        quantity: Math.min(Math.max(roundQuantity(parseFloat(e.target.value) || 0), 0), line.outstanding)
+                      })}
+                      className="w-20 px-2 py-1 border rounded"
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.unitCost}
+                      disabled={line.outstanding === 0}
+                      onChange={(e) => updateLine(line.key, { unitCost: e.target.value })}
+                      className="w-28 px-2 py-1 border rounded"
+                    />
+                  </td>
+                  {hasPerishables && (
+                    <td className="px-3 py-2">
+                      {line.trackExpiry && (
+                        <div className="flex flex-col gap-1">
+                          <input
+                            type="text"
+                            maxLength={50}
+                            value={line.lotNumber}
+                            disabled={line.outstanding === 0}
+                            onChange={(e) => updateLine(line.key, { lotNumber: e.target.value })}
+                            className="w-36 px-2 py-1 border rounded"
+                            placeholder={order.poNumber}
+                          />
+                          <input
+                            type="date"
+                            value={line.expiryDate}
+                            disabled={line.outstanding === 0}
+                            onChange={(e) => updateLine(line.key, { expiryDate: e.target.value })}
+                            className="w-36 px-2 py-1 border rounded"
+                          />
+                        </div>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="mt-4">
+          <label className="block text-sm font-medium mb-1">Notes</label>
+          <input
+            type="text"
+            value={notes}
+            maxLength={500}
+            onChange={(e) => setNotes(e.target.value)}
+            className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="e.g. Delivery receipt number"
+          />
+        </div>
+
+        <div className="flex justify-between text-lg font-bold border-t pt-3 mt-4">
+          <span>Received Cost:</span>
+          <span>{formatCurrencyDisplay(receivedCost)}</span>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-2 mt-4">
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={isSubmitting || selectedLines.length === 0}
+            className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Receiving...' : 'Receive Goods'}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isSubmitting}
+            className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReceivePurchaseOrderModal;
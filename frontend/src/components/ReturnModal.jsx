@@ -0,0 +1,238 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { formatCurrencyDisplay } from '../utils/utils';
+import { itemName, lineKey } from '../utils/variant';
+import { formatQuantity, quantityStep, roundQuantity } from '../utils/units';
+
+export const RETURN_REASONS = {
+  defective: 'Defective',
+  damaged: 'Damaged',
+  wrong_item: 'Wrong item',
+  expired: 'Expired',
+  changed_mind: 'Changed mind',
+  other: 'Other'
+};
+
+const ReturnModal = ({ saleId, isOpen, onClose, onReturned }) => {
+  const [sale, setSale] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [refundMethod, setRefundMethod] = useState('cash');
+  const [notes, setNotes] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && saleId) {
+      setSale(null);
+      fetchSale();
+    }
+  }, [isOpen, saleId]);
+
+  const fetchSale = async () => {
+    try {
+      const response = await axios.get(`/sales/${saleId}`);
+      const data = response.data.data;
+      setSale(data);
+      // Points go back as points; the rest of a split sale is refunded in cash by default, as on the server
+      setRefundMethod(['split', 'points'].includes(data.paymentMethod) ? 'cash' : data.paymentMethod);
+      setNotes('');
+      setLines(data.items.map(item => ({
+        // The same product can be sold in more than one unit
+        key: `${lineKey(item.product?._id || item.product, item.variant)}:${item.unit || ''}`,
+        product: item.product?._id || item.product,
+        variant: item.variant,
+        name: itemName(item.product?.name || 'Unknown product', item.variantName),
+        // Items are returned in the unit they were sold in
+        unit: item.unit,
+        step: quantityStep(item.product),
+        sold: item.quantity,
+        remaining: roundQuantity(item.quantity - (item.returnedQuantity || 0)),
+        // Per-unit amount actually paid, used for the refund estimate
+        unitRefund: (item.total ?? item.subtotal - (item.discountAmount || 0)) / item.quantity,
+        quantity: 0,
+        reason: 'defective',
+        disposition: 'restock'
+      })));
+    } catch (error) {
+      // Error handled by axios interceptor
+      onClose();
+    }
+  };
+
+  const updateLine = (key, changes) => {
+    setLines(lines.map(line => (line.key === key ? { ...line, ...changes } : line)));
+  };
+
+  const selectedLines = lines.filter(line => line.quantity > 0);
+  const estimatedRefund = selectedLines.reduce((sum, line) => sum + line.unitRefund * line.quantity, 0);
+
+  const handleSubmit = async () => {
+    if (selectedLines.length === 0) {
+      toast.error('Select at least one item to return');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post('/returns', {
+        sale: sale._id,
+        items: selectedLines.map(({ product, variant, unit, quantity, reason, disposition }) => ({
+          product,
+          variant,
+          unit,
+          quantity,
+          reason,
+          disposition
+        })),
+        refundMethod,
+        notes: notes || undefined
+      });
+      const saleReturn = response.data.data;
+      const pointsNote = saleReturn.pointsCredited > 0 ? `, ${saleReturn.pointsCredited} points given back` : '';
+      toast.success(`Return ${saleReturn.returnNumber} processed. Refund ${formatCurrencyDisplay(saleReturn.totalRefund)}${pointsNote}`);
+      onReturned(saleReturn);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl sm:text-2xl font-bold mb-1">Return Items</h2>
+        {!sale ? (
+          <div className="text-center py-8">Loading...</div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Sale {sale.saleNumber}. Restocked items go back to inventory; written-off items do not.
+            </p>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Returnable</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Return Qty</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Condition</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {lines.map(line => (
+                    <tr key={line.key} className={line.remaining === 0 ? 'opacity-50' : ''}>
+                      <td className="px-3 py-2">{line.name}</td>
+                      <td className="px-3 py-2 text-center">{line.remaining} of {formatQuantity(line.sold, line.unit)}</td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="number"
+                          min="0"
+                          max={line.remaining}
+                          step={line.step}
+                          value={line.quantity}
+                          disabled={line.remaining === 0}
+                          onChange={(e) => updateLine(line.key, {
+                            quantity: Math.min(Math.max(roundQuantity(parseFloat(e.target.value) || 0), 0), line.remaining)
+                          })}
+                          className="w-20 px-2 py-1 border rounded"
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <select
+                          value={line.reason}
+                          disabled={line.remaining === 0}
+                          onChange={(e) => updateLine(line.key, { reason: e.target.value })}
+                          className="px-2 py-1 border rounded"
+                        >
+                          {Object.entries(RETURN_REASONS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2">
+                        <select
+                          value={line.disposition}
+                          disabled={line.remaining === 0}
+                          onChange={(e) => updateLine(line.key, { disposition: e.target.value })}
+                          className="px-2 py-1 border rounded"
+                        >
+                          <option value="restock">Restock</option>
+                          <option value="write_off">Write off</option>
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Refund Method *</label>
+                <select
+                  value={refundMethod}
+                  onChange={(e) => setRefundMethod(e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="cash">Cash</option>
+                  <option value="card">Card</option>
+                  <option value="mobile_payment">Mobile Payment</option>
+                  <option value="other">Other</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <input
+                  type="text"
+                  value={notes}
+                  maxLength={500}
+                  onChange={(e) => setNotes(e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Optional"
+                />
+              </div>
+            </div>
+
+            {(sale.loyalty?.pointsRedeemed > 0 || sale.loyalty?.pointsEarned > 0) && (
+              <p className="text-sm text-gray-600">
+                {sale.loyalty.pointsRedeemed > 0 && 'The share paid with loyalty points goes back to the customer as points. '}
+                {sale.loyalty.pointsEarned > 0 && 'Points earned on the returned items are taken back.'}
+              </p>
+            )}
+
+            <div className="flex justify-between text-lg font-bold border-t pt-3">
+              <span>Estimated Refund:</span>
+              <span>{formatCurrencyDisplay(estimatedRefund)}</span>
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <button
+                type="button"
+                onClick={handleSubmit}
+                disabled={isSubmitting || selectedLines.length === 0}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? 'Processing...' : 'Process Return'}
+              </button>
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={isSubmitting}
+                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReturnModal;
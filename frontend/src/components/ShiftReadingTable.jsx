@@ -0,0 +1,106 @@
+import { formatCurrencyDisplay, formatPaymentMethod } from '../utils/utils';
+
+const varianceClass = (variance) => {
+  if (variance === undefined || variance === null) return 'text-gray-400';
+  if (variance === 0) return 'text-green-700';
+  return 'text-red-600 font-semibold';
+};
+
+const formatVariance = (variance) => {
+  if (variance === undefined || variance === null) return '-';
+  return variance > 0 ? `+${formatCurrencyDisplay(variance)}` : formatCurrencyDisplay(variance);
+};
+
+/**
+ * Expected amounts per payment method for an X- or Z-reading, with the
+ * counted amounts and variance once the drawer has been counted
+ */
+const ShiftReadingTable = ({ reading }) => {
+  if (!reading) return null;
+
+  const isCounted = reading.countedTotal !== undefined && reading.countedTotal !== null;
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-4">
+        <div>
+          <div className="text-gray-600 text-sm">Sales</div>
+          <div className="text-lg font-bold">{reading.salesCount}</div>
+        </div>
+        <div>
+          <div className="text-gray-600 text-sm">Sales Total</div>
+          <div className="text-lg font-bold">{formatCurrencyDisplay(reading.salesTotal)}</div>
+        </div>
+        <div>
+          <div className="text-gray-600 text-sm">Returns</div>
+          <div className="text-lg font-bold">{reading.returnCount}</div>
+        </div>
+        <div>
+          <div className="text-gray-600 text-sm">Refunds</div>
+          <div className="text-lg font-bold">{formatCurrencyDisplay(reading.refundTotal)}</div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Float</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Sales</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Refunds</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cash In</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cash Out</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+              {isCounted && (
+                <>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Variance</th>
+                </>
+              )}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {reading.lines.map(line => (
+              <tr key={line.method}>
+                <td className="px-3 py-2 text-sm">{formatPaymentMethod(line.method)}</td>
+                <td className="px-3 py-2 text-sm text-right">{formatCurrencyDisplay(line.openingFloat)}</td>
+                <td className="px-3 py-2 text-sm text-right">{formatCurrencyDisplay(line.sales)}</td>
+                <td className="px-3 py-2 text-sm text-right">{formatCurrencyDisplay(line.refunds)}</td>
+                <td className="px-3 py-2 text-sm text-right">{formatCurrencyDisplay(line.cashIn)}</td>
+                <td className="px-3 py-2 text-sm text-right">{formatCurrencyDisplay(line.cashOut)}</td>
+                <td className="px-3 py-2 text-sm text-right font-semibold">{formatCurrencyDisplay(line.expected)}</td>
+                {isCounted && (
+                  <>
+                    <td className="px-3 py-2 text-sm text-right">
+                      {line.counted !== undefined && line.counted !== null ? formatCurrencyDisplay(line.counted) : '-'}
+                    </td>
+                    <td className={`px-3 py-2 text-sm text-right ${varianceClass(line.variance)}`}>
+                      {formatVariance(line.variance)}
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-gray-50">
+            <tr>
+              <td colSpan="6" className="px-3 py-2 text-sm font-semibold">Total</td>
+              <td className="px-3 py-2 text-sm text-right font-semibold">{formatCurrencyDisplay(reading.expectedTotal)}</td>
+              {isCounted && (
+                <>
+                  <td className="px-3 py-2 text-sm text-right font-semibold">{formatCurrencyDisplay(reading.countedTotal)}</td>
+                  <td className={`px-3 py-2 text-sm text-right ${varianceClass(reading.variance)}`}>
+                    {formatVariance(reading.variance)}
+                  </td>
+                </>
+              )}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftReadingTable;
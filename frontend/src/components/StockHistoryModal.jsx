@@ -0,0 +1,188 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { variantName } from '../utils/variant';
+import { roundQuantity } from '../utils/units';
+
+export const MOVEMENT_TYPES = {
+  initial: 'Initial stock',
+  sale: 'Sale',
+  void: 'Sale voided',
+  return: 'Return',
+  manual_set: 'Stock count',
+  manual_add: 'Stock received',
+  adjustment: 'Adjustment',
+  purchase: 'Purchase receipt',
+  transfer: 'Transfer',
+  expired: 'Expired write-off',
+  count: 'Stock take'
+};
+
+const PAGE_SIZE = 20;
+
+/**
+ * Stock movements of a product, at one location when `location` is given
+ */
+const StockHistoryModal = ({ product, location, onClose }) => {
+  const [movements, setMovements] = useState([]);
+  const [type, setType] = useState('');
+  const [variant, setVariant] = useState('');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (product) {
+      fetchMovements(1, type, variant, true);
+    }
+  }, [product, type, variant, location]);
+
+  useEffect(() => {
+    if (!product) {
+      setMovements([]);
+      setType('');
+      setVariant('');
+    }
+  }, [product]);
+
+  const fetchMovements = async (pageToLoad, typeFilter, variantFilter, replace) => {
+    setLoading(true);
+    try {
+      const params = { page: pageToLoad, limit: PAGE_SIZE };
+      if (typeFilter) params.type = typeFilter;
+      if (variantFilter) params.variant = variantFilter;
+      if (location) params.location = location;
+      const response = await axios.get(`/inventory/${product._id}/movements`, { params });
+      setMovements(replace ? response.data.data : [...movements, ...response.data.data]);
+      setPage(response.data.page);
+      setPages(response.data.pages);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!product) return null;
+
+  const variants = product.variants || [];
+  const variantNames = new Map(variants.map(item => [item._id, variantName(item)]));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+          <div>
+            <h2 className="text-xl sm:text-2xl font-bold">Stock History</h2>
+            <p className="text-sm text-gray-600">{product.name}</p>
+          </div>
+          <div className="flex gap-2">
+            {variants.length > 0 && (
+              <select
+                value={variant}
+                onChange={(e) => setVariant(e.target.value)}
+                className="px-3 py-2 border rounded-lg"
+              >
+                <option value="">All variants</option>
+                {variants.map(item => (
+                  <option key={item._id} value={item._id}>{variantName(item)}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="px-3 py-2 border rounded-lg"
+            >
+              <option value="">All movements</option>
+              {Object.entries(MOVEMENT_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                {variants.length > 0 && (
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Variant</th>
+                )}
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                {!location && (
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Location</th>
+                )}
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Change</th>
+                <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Before → After</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {movements.length === 0 && !loading ? (
+                <tr>
+                  <td colSpan={7 + (variants.length > 0 ? 1 : 0) + (location ? 0 : 1)} className="px-3 py-4 text-center text-gray-500">No stock movements recorded</td>
+                </tr>
+              ) : (
+                movements.map(movement => (
+                  <tr key={movement._id}>
+                    <td className="px-3 py-2 text-sm whitespace-nowrap">{new Date(movement.createdAt).toLocaleString()}</td>
+                    {variants.length > 0 && (
+                      <td className="px-3 py-2 text-sm">{variantNames.get(movement.variant) || '-'}</td>
+                    )}
+                    <td className="px-3 py-2 text-sm">{MOVEMENT_TYPES[movement.type] || movement.type}</td>
+                    {!location && (
+                      <td className="px-3 py-2 text-sm whitespace-nowrap">{movement.location?.name || '-'}</td>
+                    )}
+                    <td className={`px-3 py-2 text-sm text-right font-medium ${movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {movement.quantity > 0 ? `+${roundQuantity(movement.quantity)}` : roundQuantity(movement.quantity)}
+                    </td>
+                    <td className="px-3 py-2 text-sm text-center whitespace-nowrap">
+                      {roundQuantity(movement.quantityBefore)} → {roundQuantity(movement.quantityAfter)}
+                    </td>
+                    <td className="px-3 py-2 text-sm">
+                      {movement.referenceNumber || '-'}
+                      {movement.lots?.map(allocation => allocation.lot && (
+                        <div key={allocation.lot._id} className="text-xs text-gray-500">
+                          Lot {allocation.lot.lotNumber} ({roundQuantity(allocation.quantity)})
+                        </div>
+                      ))}
+                    </td>
+                    <td className="px-3 py-2 text-sm">{movement.reason || '-'}</td>
+                    <td className="px-3 py-2 text-sm">{movement.user?.username || '-'}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {loading && <div className="text-center py-4">Loading...</div>}
+
+        <div className="flex flex-col sm:flex-row gap-2 mt-4">
+          {page < pages && (
+            <button
+              type="button"
+              onClick={() => fetchMovements(page + 1, type, variant, false)}
+              disabled={loading}
+              className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Load More
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockHistoryModal;
@@ -0,0 +1,57 @@
+const MAX_UNITS = 5;
+
+/**
+ * Edit the alternate units a product is sold and bought in, each as a number
+ * of base units (e.g. 1 case = 24 pcs). Factors hold the text being typed.
+ */
+const UnitEditor = ({ units, onChange, baseUnit }) => {
+  const updateUnit = (index, field, value) => {
+    onChange(units.map((unit, i) => (i === index ? { ...unit, [field]: value } : unit)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {units.map((unit, index) => (
+        <div key={index} className="flex gap-2 items-center text-sm">
+          <span>1</span>
+          <input
+            value={unit.name}
+            onChange={(e) => updateUnit(index, 'name', e.target.value)}
+            maxLength={20}
+            className="w-28 px-3 py-2 border rounded-lg"
+            placeholder="e.g. case"
+          />
+          <span>=</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={unit.factor}
+            onChange={(e) => updateUnit(index, 'factor', e.target.value)}
+            className="w-24 px-3 py-2 border rounded-lg"
+            placeholder="24"
+          />
+          <span>{baseUnit || 'pcs'}</span>
+          <button
+            type="button"
+            onClick={() => onChange(units.filter((_, i) => i !== index))}
+            className="text-red-600 hover:text-red-800"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      {units.length < MAX_UNITS && (
+        <button
+          type="button"
+          onClick={() => onChange([...units, { name: '', factor: '' }])}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          + Add unit
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UnitEditor;
@@ -0,0 +1,196 @@
+import { optionCombinations, parseOptionValues, variantName } from '../utils/variant';
+
+const MAX_OPTIONS = 3;
+
+const inputClass = 'w-full px-2 py-1 border rounded';
+
+/**
+ * Edit a product's option axes (e.g. Size: S, M, L) and the variants built from them.
+ * Options hold their values as the comma separated text being typed; variants hold
+ * their barcodes the same way. With `lockPrices` the variant prices are shown read-only.
+ */
+const VariantEditor = ({ options, variants, onChange, defaultPrice, lockPrices = false }) => {
+  const updateOption = (index, field, value) => {
+    onChange(options.map((option, i) => (i === index ? { ...option, [field]: value } : option)), variants);
+  };
+
+  const removeOption = (index) => {
+    onChange(options.filter((_, i) => i !== index), variants);
+  };
+
+  const updateVariant = (index, field, value) => {
+    onChange(options, variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)));
+  };
+
+  const removeVariant = (index) => {
+    onChange(options, variants.filter((_, i) => i !== index));
+  };
+
+  // One variant per combination of values; variants already entered keep their details
+  const generateVariants = () => {
+    const axes = options
+      .map(option => ({ name: option.name.trim(), values: parseOptionValues(option.values) }))
+      .filter(option => option.name && option.values.length > 0);
+    if (axes.length === 0) return;
+
+    const existing = new Map(variants.map(variant => [variantName(variant), variant]));
+    const nextVariants = optionCombinations(axes).map(optionValues => (
+      existing.get(optionValues.join(' / ')) || {
+        optionValues,
+        sku: '',
+        price: defaultPrice ?? '',
+        stockQuantity: 0,
+        lowStockThreshold: 10,
+        barcodes: '',
+        isActive: true
+      }
+    ));
+    onChange(options, nextVariants);
+  };
+
+  return (
+    <div className="border rounded-lg p-3 space-y-3">
+      <div className="flex justify-between items-center">
+        <span className="text-sm font-medium">Options</span>
+        {options.length < MAX_OPTIONS && (
+          <button
+            type="button"
+            onClick={() => onChange([...options, { name: '', values: '' }], variants)}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            + Add option
+          </button>
+        )}
+      </div>
+      {options.length === 0 && (
+        <p className="text-xs text-gray-500">
+          Add options such as Size or Color to sell this product in several variants, each with its own price and stock.
+        </p>
+      )}
+      {options.map((option, index) => (
+        <div key={index} className="flex gap-2 items-center">
+          <input
+            value={option.name}
+            onChange={(e) => updateOption(index, 'name', e.target.value)}
+            className="w-1/3 px-3 py-2 border rounded-lg"
+            placeholder="e.g. Size"
+          />
+          <input
+            value={option.values}
+            onChange={(e) => updateOption(index, 'values', e.target.value)}
+            className="flex-1 px-3 py-2 border rounded-lg"
+            placeholder="e.g. S, M, L"
+          />
+          <button
+            type="button"
+            onClick={() => removeOption(index)}
+            className="text-red-600 hover:text-red-800 text-sm"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      {options.length > 0 && (
+        <button
+          type="button"
+          onClick={generateVariants}
+          className="text-sm bg-gray-100 px-3 py-1 rounded hover:bg-gray-200"
+        >
+          {variants.length > 0 ? 'Update variants from options' : 'Create variants'}
+        </button>
+      )}
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="pr-2 py-1">Variant</th>
+                <th className="pr-2 py-1">SKU</th>
+                <th className="pr-2 py-1">Price *</th>
+                <th className="pr-2 py-1">Stock</th>
+                <th className="pr-2 py-1">Low at</th>
+                <th className="pr-2 py-1">Barcodes</th>
+                <th className="pr-2 py-1">Active</th>
+                <th className="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((variant, index) => (
+                <tr key={variant._id || variantName(variant)}>
+                  <td className="pr-2 py-1 whitespace-nowrap font-medium">{variantName(variant)}</td>
+                  <td className="pr-2 py-1 min-w-[6rem]">
+                    <input
+                      value={variant.sku || ''}
+                      onChange={(e) => updateVariant(index, 'sku', e.target.value)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="pr-2 py-1 min-w-[5rem]">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={variant.price}
+                      onChange={(e) => updateVariant(index, 'price', e.target.value)}
+                      readOnly={lockPrices}
+                      className={`${inputClass} ${lockPrices ? 'bg-gray-100' : ''}`}
+                    />
+                  </td>
+                  <td className="pr-2 py-1 min-w-[4rem]">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={variant.stockQuantity}
+                      onChange={(e) => updateVariant(index, 'stockQuantity', e.target.value)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="pr-2 py-1 min-w-[4rem]">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={variant.lowStockThreshold}
+                      onChange={(e) => updateVariant(index, 'lowStockThreshold', e.target.value)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="pr-2 py-1 min-w-[8rem]">
+                    <input
+                      value={variant.barcodes}
+                      onChange={(e) => updateVariant(index, 'barcodes', e.target.value)}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="pr-2 py-1 text-center">
+                    <input
+                      type="checkbox"
+                      checked={variant.isActive}
+                      onChange={(e) => updateVariant(index, 'isActive', e.target.checked)}
+                    />
+                  </td>
+                  <td className="py-1">
+                    <button
+                      type="button"
+                      onClick={() => removeVariant(index)}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-1">
+            Stock changes here are recorded as adjustments. A variant must be at zero stock before it can be removed.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VariantEditor;
@@ -0,0 +1,48 @@
+import { formatCurrencyDisplay } from '../utils/utils';
+import { variantName } from '../utils/variant';
+
+/**
+ * Choose which variant of a product to add to the cart.
+ * Inactive and out-of-stock variants are shown but cannot be picked.
+ */
+const VariantPicker = ({ product, onSelect, onClose }) => {
+  if (!product) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4" onClick={onClose}>
+      <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-bold mb-1">{product.name}</h2>
+        <p className="text-sm text-gray-600 mb-4">Choose a variant</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {product.variants.map(variant => {
+            const unavailable = !variant.isActive || variant.stockQuantity <= 0;
+            return (
+              <button
+                key={variant._id}
+                type="button"
+                onClick={() => onSelect(product, variant)}
+                disabled={unavailable}
+                className="text-left p-2 border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <div className="font-semibold">{variantName(variant)}</div>
+                <div className="text-sm text-gray-600">{formatCurrencyDisplay(variant.price)}</div>
+                <div className="text-xs text-gray-500">
+                  {variant.isActive ? `Stock: ${variant.stockQuantity}` : 'Not available'}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="mt-4 w-full bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VariantPicker;
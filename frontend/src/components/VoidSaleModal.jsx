@@ -0,0 +1,120 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import ApprovalFields, { approvalError, approverCredentials, EMPTY_APPROVAL, VOID_REASONS } from './ApprovalFields';
+
+// Admins and supervisors void with a reason; other staff also need an
+// approver's PIN or password, or send the void to the approval queue
+const VoidSaleModal = ({ sale, isOpen, onClose, onVoided }) => {
+  const { canApprove } = useAuth();
+  const [approval, setApproval] = useState(EMPTY_APPROVAL);
+  const [submitting, setSubmitting] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setApproval(EMPTY_APPROVAL);
+    }
+  }, [isOpen, sale?._id]);
+
+  if (!isOpen || !sale) return null;
+
+  const handleClose = () => {
+    if (!submitting) {
+      onClose();
+    }
+  };
+
+  const handleVoid = async () => {
+    const error = approvalError(approval, !canApprove);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSubmitting('void');
+    try {
+      await axios.patch(`/sales/${sale._id}/void`, {
+        reason: approval.reason,
+        note: approval.note.trim() || undefined,
+        override: canApprove ? undefined : approverCredentials(approval)
+      });
+      toast.success('Sale voided successfully. Stock quantities have been restored.');
+      onVoided();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const handleRequest = async () => {
+    const error = approvalError(approval, false);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSubmitting('request');
+    try {
+      await axios.post('/void-requests', {
+        sale: sale._id,
+        reason: approval.reason,
+        note: approval.note.trim() || undefined
+      });
+      toast.success(`Void of ${sale.saleNumber} sent for approval`);
+      onClose();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={handleClose}>
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-xl font-bold text-gray-900 mb-2">Void Sale {sale.saleNumber}</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Voiding restores the stock quantities and excludes this sale from revenue reports. This action cannot be undone.
+          {!canApprove && ' An admin or supervisor must approve it here with their PIN or password, or later from the approval queue.'}
+        </p>
+
+        <ApprovalFields
+          value={approval}
+          onChange={setApproval}
+          reasons={VOID_REASONS}
+          needsApprover={!canApprove}
+        />
+
+        <div className="flex flex-col sm:flex-row gap-3 justify-end mt-6">
+          <button
+            onClick={handleClose}
+            disabled={submitting !== null}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          {!canApprove && (
+            <button
+              onClick={handleRequest}
+              disabled={submitting !== null}
+              className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting === 'request' ? 'Sending...' : 'Send for Approval'}
+            </button>
+          )}
+          <button
+            onClick={handleVoid}
+            disabled={submitting !== null}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting === 'void' ? 'Processing...' : 'Void Sale'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VoidSaleModal;
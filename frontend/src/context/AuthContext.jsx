@@ -219,7 +219,9 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!user,
     isAdmin: user?.role === 'admin',
     isStaff: user?.role === 'staff',
-    isSupplier: user?.role === 'supplier'
+    isSupplier: user?.role === 'supplier',
+    // Admins and supervisors approve voids, discounts above the staff limit and price overrides
+    canApprove: user?.role === 'admin' || (user?.role === 'staff' && Boolean(user?.isSupervisor))
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,310 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+const AUDIT_ACTIONS = {
+  create: { label: 'Created', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Updated', className: 'bg-blue-100 text-blue-800' },
+  delete: { label: 'Deleted', className: 'bg-red-100 text-red-800' },
+  void: { label: 'Voided', className: 'bg-red-100 text-red-800' },
+  void_request: { label: 'Void Requested', className: 'bg-yellow-100 text-yellow-800' },
+  void_reject: { label: 'Void Rejected', className: 'bg-gray-100 text-gray-800' },
+  override: { label: 'Override Approved', className: 'bg-orange-100 text-orange-800' },
+  return: { label: 'Returned', className: 'bg-orange-100 text-orange-800' },
+  payment: { label: 'Payment', className: 'bg-green-100 text-green-800' },
+  cancel: { label: 'Cancelled', className: 'bg-gray-100 text-gray-800' },
+  close: { label: 'Shift Closed', className: 'bg-blue-100 text-blue-800' },
+  stock_adjust: { label: 'Stock Adjusted', className: 'bg-blue-100 text-blue-800' },
+  write_off: { label: 'Written Off', className: 'bg-red-100 text-red-800' },
+  post: { label: 'Count Posted', className: 'bg-blue-100 text-blue-800' },
+  dispatch: { label: 'Dispatched', className: 'bg-blue-100 text-blue-800' },
+  receive: { label: 'Received', className: 'bg-green-100 text-green-800' },
+  login: { label: 'Signed In', className: 'bg-gray-100 text-gray-800' },
+  login_failed: { label: 'Failed Sign-in', className: 'bg-yellow-100 text-yellow-800' },
+  logout: { label: 'Signed Out', className: 'bg-gray-100 text-gray-800' },
+  account_unlock: { label: 'Account Unlocked', className: 'bg-purple-100 text-purple-800' },
+  password_change: { label: 'Password Changed', className: 'bg-purple-100 text-purple-800' },
+  profile_update: { label: 'Profile Updated', className: 'bg-blue-100 text-blue-800' },
+  pin_change: { label: 'Approval PIN Changed', className: 'bg-purple-100 text-purple-800' }
+};
+
+const AUDIT_TARGETS = [
+  'Product', 'User', 'Supplier', 'Category', 'Sale', 'Return', 'Promo', 'TaxClass',
+  'Setting', 'Settlement', 'Shift', 'StockCount', 'StockTransfer'
+];
+
+const EMPTY_FILTERS = { search: '', action: '', targetType: '', field: '', startDate: '', endDate: '' };
+
+// Values are stored as JSON; objects and arrays such as variants are shown whole
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+const Audit = () => {
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, pages: 1 });
+  const [viewing, setViewing] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchLogs, 300);
+    return () => clearTimeout(timer);
+  }, [filters, page]);
+
+  const fetchLogs = async () => {
+    try {
+      const params = { page };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value.trim()) params[key] = value.trim();
+      });
+      const response = await axios.get('/audit', { params });
+      setLogs(response.data.data);
+      setPagination({ total: response.data.total, pages: response.data.pages || 1 });
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Audit Log</h1>
+        <p className="text-sm text-gray-600">
+          Who changed products, users, suppliers, categories, promos, tax classes, settings and stock, voided or refunded sales, paid settlements, closed shifts, approved overrides or signed in, and from where.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3">
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => updateFilters({ search: e.target.value })}
+          placeholder="Search record or user..."
+          className="px-3 py-2 border rounded-lg lg:col-span-2"
+        />
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilters({ action: e.target.value })}
+          className="px-3 py-2 border rounded-lg"
+        >
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTIONS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={filters.targetType}
+          onChange={(e) => updateFilters({ targetType: e.target.value })}
+          className="px-3 py-2 border rounded-lg"
+        >
+          <option value="">All records</option>
+          {AUDIT_TARGETS.map(targetType => (
+            <option key={targetType} value={targetType}>{targetType}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.field}
+          onChange={(e) => updateFilters({ field: e.target.value })}
+          placeholder="Changed field, e.g. price"
+          className="px-3 py-2 border rounded-lg"
+        />
+        <div className="flex gap-2">
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => updateFilters({ startDate: e.target.value })}
+            className="px-3 py-2 border rounded-lg w-full"
+            aria-label="From"
+          />
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => updateFilters({ endDate: e.target.value })}
+            className="px-3 py-2 border rounded-lg w-full"
+            aria-label="To"
+          />
+        </div>
+        {hasFilters && (
+          <button
+            onClick={() => updateFilters(EMPTY_FILTERS)}
+            className="text-sm text-blue-600 hover:text-blue-800 text-left"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Record</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">IP Address</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {logs.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                    No audit entries found
+                  </td>
+                </tr>
+              ) : (
+                logs.map((log) => (
+                  <tr key={log._id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{new Date(log.createdAt).toLocaleString()}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{log.actorName || '-'}</div>
+                      {log.actorRole && <div className="text-xs text-gray-500 capitalize">{log.actorRole}</div>}
+                      {log.approverName && log.approverName !== log.actorName && (
+                        <div className="text-xs text-gray-500">Approved by {log.approverName}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${AUDIT_ACTIONS[log.action]?.className}`}>
+                        {AUDIT_ACTIONS[log.action]?.label || log.action}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{log.targetLabel || '-'}</div>
+                      <div className="text-xs text-gray-500">{log.targetType}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600 max-w-xs truncate">
+                      {log.changes.length > 0
+                        ? log.changes.map(change => change.field).join(', ')
+                        : log.reason || '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{log.ip || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => setViewing(log)}
+                        className="text-sm text-gray-600 hover:text-gray-800"
+                      >
+                        View
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+        <span>{pagination.total} entries</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pagination.pages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="px-3 py-1 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      {viewing && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => setViewing(null)}>
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">
+                  {viewing.targetType} {viewing.targetLabel}
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {new Date(viewing.createdAt).toLocaleString()} · {viewing.actorName || 'Unknown user'}
+                  {viewing.actorRole && ` (${viewing.actorRole})`}
+                </p>
+                {viewing.approverName && (
+                  <p className="text-sm text-gray-600">Approved by {viewing.approverName}</p>
+                )}
+              </div>
+              <span className={`px-2 py-1 text-xs rounded-full ${AUDIT_ACTIONS[viewing.action]?.className}`}>
+                {AUDIT_ACTIONS[viewing.action]?.label || viewing.action}
+              </span>
+            </div>
+
+            {viewing.reason && (
+              <p className="text-sm mb-4"><span className="font-medium">Reason:</span> {viewing.reason}</p>
+            )}
+
+            {viewing.changes.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Before</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">After</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {viewing.changes.map(change => (
+                      <tr key={change.field}>
+                        <td className="px-3 py-2 font-medium align-top">{change.field}</td>
+                        <td className="px-3 py-2 align-top">
+                          <pre className="text-xs whitespace-pre-wrap break-all text-red-700">{formatValue(change.before)}</pre>
+                        </td>
+                        <td className="px-3 py-2 align-top">
+                          <pre className="text-xs whitespace-pre-wrap break-all text-green-700">{formatValue(change.after)}</pre>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No field changes recorded for this action.</p>
+            )}
+
+            <div className="border-t mt-4 pt-3 text-xs text-gray-500 space-y-1">
+              <div>IP address: {viewing.ip || '-'}</div>
+              <div className="break-all">Browser: {viewing.userAgent || '-'}</div>
+            </div>
+
+            <button
+              onClick={() => setViewing(null)}
+              className="mt-4 w-full bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Audit;
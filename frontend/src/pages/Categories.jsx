@@ -12,10 +12,12 @@ const Categories = () => {
   const [confirmModal, setConfirmModal] = useState({ isOpen: false, categoryId: null });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [taxClasses, setTaxClasses] = useState([]);
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
 
   useEffect(() => {
     fetchCategories();
+    fetchTaxClasses();
   }, []);
 
   const fetchCategories = async () => {
@@ -29,9 +31,25 @@ const Categories = () => {
     }
   };
 
-  const onSubmit = async (data) => {
+  const fetchTaxClasses = async () => {
+    try {
+      const response = await axios.get('/tax-classes');
+      setTaxClasses(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch tax classes');
+    }
+  };
+
+  const onSubmit = async (formData) => {
     setIsSubmitting(true);
     try {
+      // A blank multiplier earns points at the normal rate
+      const data = {
+        ...formData,
+        loyaltyMultiplier: formData.loyaltyMultiplier === '' || formData.loyaltyMultiplier == null
+          ? 1
+          : parseFloat(formData.loyaltyMultiplier)
+      };
       if (editingCategory) {
         await axios.put(`/categories/${editingCategory._id}`, data);
         toast.success('Category updated successfully');
@@ -52,7 +70,7 @@ const Categories = () => {
 
   const handleEdit = (category) => {
     setEditingCategory(category);
-    reset(category);
+    reset({ ...category, taxClass: category.taxClass?._id || '' });
     setShowModal(true);
   };
 
@@ -113,6 +131,8 @@ const Categories = () => {
             <tr>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tax Class</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Points</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
             </tr>
@@ -120,7 +140,7 @@ const Categories = () => {
           <tbody className="bg-white divide-y divide-gray-200">
             {categories.length === 0 ? (
               <tr>
-                <td colSpan="4" className="px-6 py-4 text-center text-gray-500">
+                <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
                   No categories found. Create your first category!
                 </td>
               </tr>
@@ -129,6 +149,8 @@ const Categories = () => {
                 <tr key={category._id}>
                   <td className="px-6 py-4 whitespace-nowrap font-medium">{category.name}</td>
                   <td className="px-6 py-4">{category.description || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{category.taxClass?.code || 'Default'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{category.loyaltyMultiplier ?? 1}x</td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span
                       className={`px-2 py-1 text-xs rounded-full ${
@@ -230,6 +252,36 @@ const Categories = () => {
                   <p className="text-red-600 text-sm">{errors.description.message}</p>
                 )}
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Tax Class</label>
+                <select
+                  {...register('taxClass')}
+                  className="w-full px-3 py-2 border rounded-lg"
+                >
+                  <option value="">Use default</option>
+                  {taxClasses.map((taxClass) => (
+                    <option key={taxClass._id} value={taxClass._id}>
+                      {taxClass.code} - {taxClass.name} ({taxClass.rate}%)
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Loyalty Points Multiplier</label>
+                <input
+                  {...register('loyaltyMultiplier', {
+                    min: { value: 0, message: 'Multiplier cannot be negative' },
+                    max: { value: 10, message: 'Multiplier cannot exceed 10' }
+                  })}
+                  type="number"
+                  step="0.1"
+                  className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="1"
+                />
+                {errors.loyaltyMultiplier && (
+                  <p className="text-red-600 text-sm">{errors.loyaltyMultiplier.message}</p>
+                )}
+              </div>
               <div className="flex flex-col sm:flex-row gap-2">
                 <button
                   type="submit"
@@ -0,0 +1,579 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import { useForm } from 'react-hook-form';
+import ConfirmModal from '../components/ConfirmModal';
+import { formatCurrencyDisplay, formatDate, formatPaymentMethod } from '../utils/utils';
+import { itemName } from '../utils/variant';
+import { formatQuantity } from '../utils/units';
+
+const HISTORY_PAGE_SIZE = 20;
+
+const EMPTY_CUSTOMER = { name: '', email: '', phone: '', loyaltyCardNumber: '', address: '', notes: '', isActive: true };
+
+const LOYALTY_TYPES = {
+  earn: 'Earned',
+  redeem: 'Redeemed',
+  void_earn: 'Earned (voided)',
+  void_redeem: 'Redeemed (voided)',
+  return_earn: 'Earned (returned)',
+  return_redeem: 'Redeemed (returned)',
+  expire: 'Expired',
+  adjustment: 'Adjustment'
+};
+
+const Customers = () => {
+  const { isAdmin } = useAuth();
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [viewingCustomer, setViewingCustomer] = useState(null);
+  const [history, setHistory] = useState({ sales: [], page: 0, pages: 0 });
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [ledger, setLedger] = useState(null);
+  const [adjustment, setAdjustment] = useState({ points: '', reason: '' });
+  const [isAdjusting, setIsAdjusting] = useState(false);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, customerId: null });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    // Wait for typing to pause before searching
+    const timer = setTimeout(fetchCustomers, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const fetchCustomers = async () => {
+    try {
+      const response = await axios.get('/customers', { params: { search: search.trim() || undefined, limit: 100 } });
+      setCustomers(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchHistory = async (customerId, page) => {
+    setLoadingHistory(true);
+    try {
+      const response = await axios.get(`/customers/${customerId}/sales`, { params: { page, limit: HISTORY_PAGE_SIZE } });
+      setHistory(prev => ({
+        sales: page === 1 ? response.data.data : [...prev.sales, ...response.data.data],
+        page: response.data.page,
+        pages: response.data.pages
+      }));
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  const fetchLedger = async (customerId) => {
+    try {
+      const response = await axios.get(`/loyalty/customers/${customerId}`);
+      setLedger(response.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleAdjustPoints = async () => {
+    setIsAdjusting(true);
+    try {
+      await axios.post(`/loyalty/customers/${viewingCustomer._id}/adjust`, {
+        points: parseInt(adjustment.points),
+        reason: adjustment.reason
+      });
+      toast.success('Points adjusted successfully');
+      setAdjustment({ points: '', reason: '' });
+      fetchLedger(viewingCustomer._id);
+      fetchCustomers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsAdjusting(false);
+    }
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingCustomer(null);
+    reset(EMPTY_CUSTOMER);
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    try {
+      if (editingCustomer) {
+        await axios.put(`/customers/${editingCustomer._id}`, data);
+        toast.success('Customer updated successfully');
+      } else {
+        await axios.post('/customers', data);
+        toast.success('Customer created successfully');
+      }
+      closeModal();
+      fetchCustomers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAdd = () => {
+    setEditingCustomer(null);
+    reset(EMPTY_CUSTOMER);
+    setShowModal(true);
+  };
+
+  const handleEdit = (customer) => {
+    setEditingCustomer(customer);
+    reset({
+      name: customer.name,
+      email: customer.email || '',
+      phone: customer.phone || '',
+      loyaltyCardNumber: customer.loyaltyCardNumber || '',
+      address: customer.address || '',
+      notes: customer.notes || '',
+      isActive: customer.isActive
+    });
+    setShowModal(true);
+  };
+
+  const handleView = (customer) => {
+    setViewingCustomer(customer);
+    setHistory({ sales: [], page: 0, pages: 0 });
+    setLedger(null);
+    setAdjustment({ points: '', reason: '' });
+    fetchHistory(customer._id, 1);
+    fetchLedger(customer._id);
+  };
+
+  const handleDelete = (id) => {
+    setConfirmModal({ isOpen: true, customerId: id });
+  };
+
+  const confirmDelete = async () => {
+    setIsDeleting(true);
+    try {
+      await axios.delete(`/customers/${confirmModal.customerId}`);
+      toast.success('Customer deleted successfully');
+      setConfirmModal({ isOpen: false, customerId: null });
+      fetchCustomers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Customers</h1>
+        <button
+          onClick={handleAdd}
+          className="w-full sm:w-auto bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+        >
+          Add Customer
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="w-full sm:w-80 px-3 py-2 border rounded-lg"
+          placeholder="Search by name, email or phone"
+        />
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contact</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Purchases</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lifetime Value</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Purchase</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Points</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {customers.length === 0 ? (
+              <tr>
+                <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
+                  No customers found
+                </td>
+              </tr>
+            ) : (
+              customers.map((customer) => (
+                <tr key={customer._id}>
+                  <td className="px-6 py-4 whitespace-nowrap font-medium">{customer.name}</td>
+                  <td className="px-6 py-4 text-sm">
+                    <div>{customer.phone || '-'}</div>
+                    <div className="text-gray-500">{customer.email || ''}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">{customer.purchaseCount}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{formatCurrencyDisplay(customer.lifetimeValue)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{formatDate(customer.lastPurchaseAt)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div>{customer.loyaltyPoints || 0}</div>
+                    {customer.loyaltyCardNumber && (
+                      <div className="text-xs text-gray-500">{customer.loyaltyCardNumber}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs rounded-full ${customer.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                      {customer.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap space-x-2">
+                    <button
+                      onClick={() => handleView(customer)}
+                      className="text-gray-700 hover:text-gray-900"
+                    >
+                      History
+                    </button>
+                    <button
+                      onClick={() => handleEdit(customer)}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Edit
+                    </button>
+                    {isAdmin && (
+                      <button
+                        onClick={() => handleDelete(customer._id)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => {
+          if (!isDeleting) {
+            setConfirmModal({ isOpen: false, customerId: null });
+          }
+        }}
+        onConfirm={confirmDelete}
+        title="Delete Customer"
+        message="Are you sure you want to delete this customer? Customers with sales can only be deactivated."
+        confirmText="Delete"
+        variant="danger"
+        isLoading={isDeleting}
+      />
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">{editingCustomer ? 'Edit Customer' : 'Add Customer'}</h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Name *</label>
+                <input
+                  {...register('name', {
+                    required: 'Name is required',
+                    maxLength: { value: 100, message: 'Name cannot exceed 100 characters' }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.name && (
+                  <p className="text-red-600 text-sm">{errors.name.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Email</label>
+                <input
+                  type="email"
+                  {...register('email', {
+                    pattern: {
+                      value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                      message: 'Invalid email address'
+                    }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.email && (
+                  <p className="text-red-600 text-sm">{errors.email.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Phone</label>
+                <input
+                  type="tel"
+                  {...register('phone', {
+                    pattern: {
+                      value: /^\d{1,11}$/,
+                      message: 'Phone number must be up to 11 digits'
+                    }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.phone && (
+                  <p className="text-red-600 text-sm">{errors.phone.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Loyalty Card Number</label>
+                <input
+                  {...register('loyaltyCardNumber', {
+                    pattern: {
+                      value: /^[A-Za-z0-9]{4,20}$/,
+                      message: 'Card number must be 4-20 letters or digits'
+                    }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg uppercase"
+                />
+                {errors.loyaltyCardNumber && (
+                  <p className="text-red-600 text-sm">{errors.loyaltyCardNumber.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Address</label>
+                <input
+                  {...register('address', {
+                    maxLength: { value: 200, message: 'Address cannot exceed 200 characters' }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.address && (
+                  <p className="text-red-600 text-sm">{errors.address.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  {...register('notes', {
+                    maxLength: { value: 500, message: 'Notes cannot exceed 500 characters' }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  rows="3"
+                />
+                {errors.notes && (
+                  <p className="text-red-600 text-sm">{errors.notes.message}</p>
+                )}
+              </div>
+              {editingCustomer && (
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" {...register('isActive')} />
+                  Active
+                </label>
+              )}
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? (editingCustomer ? 'Updating...' : 'Creating...') : (editingCustomer ? 'Update' : 'Create')}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {viewingCustomer && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{viewingCustomer.name}</h2>
+                <p className="text-sm text-gray-600">
+                  {[viewingCustomer.phone, viewingCustomer.email].filter(Boolean).join(' · ') || 'No contact details'}
+                </p>
+              </div>
+              <button
+                onClick={() => setViewingCustomer(null)}
+                className="text-gray-500 hover:text-gray-700 text-2xl leading-none"
+              >
+                ×
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <div className="text-xs text-gray-500">Purchases</div>
+                <div className="text-lg font-semibold">{viewingCustomer.purchaseCount}</div>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <div className="text-xs text-gray-500">Lifetime Value</div>
+                <div className="text-lg font-semibold">{formatCurrencyDisplay(viewingCustomer.lifetimeValue)}</div>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <div className="text-xs text-gray-500">Average Sale</div>
+                <div className="text-lg font-semibold">{formatCurrencyDisplay(viewingCustomer.averageSale)}</div>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <div className="text-xs text-gray-500">Last Purchase</div>
+                <div className="text-lg font-semibold">{formatDate(viewingCustomer.lastPurchaseAt)}</div>
+              </div>
+            </div>
+
+            {ledger && (
+              <div className="mb-6">
+                <div className="flex flex-col sm:flex-row sm:justify-between sm:items-baseline gap-1 mb-2">
+                  <h3 className="font-semibold">Loyalty Points</h3>
+                  <span className="text-sm text-gray-600">
+                    Balance: <span className="font-semibold">{ledger.customer.loyaltyPoints}</span>
+                    {' '}({formatCurrencyDisplay(ledger.customer.loyaltyPoints * ledger.program.pointValue)})
+                    {ledger.expiringIn30Days > 0 && (
+                      <span className="text-orange-600"> · {ledger.expiringIn30Days} expiring within 30 days</span>
+                    )}
+                  </span>
+                </div>
+                <div className="overflow-x-auto border rounded-lg max-h-60 overflow-y-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Points</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {ledger.data.length === 0 ? (
+                        <tr>
+                          <td colSpan="5" className="px-4 py-3 text-center text-gray-500">No points activity yet</td>
+                        </tr>
+                      ) : (
+                        ledger.data.map(entry => (
+                          <tr key={entry._id}>
+                            <td className="px-4 py-2 whitespace-nowrap">{formatDate(entry.createdAt)}</td>
+                            <td className="px-4 py-2 whitespace-nowrap">{LOYALTY_TYPES[entry.type] || entry.type}</td>
+                            <td className="px-4 py-2">
+                              {entry.saleNumber || entry.reason || '-'}
+                              {entry.type === 'earn' && entry.expiresAt && (
+                                <span className="text-xs text-gray-500"> · expires {formatDate(entry.expiresAt)}</span>
+                              )}
+                            </td>
+                            <td className={`px-4 py-2 whitespace-nowrap text-right ${entry.points < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                              {entry.points > 0 ? `+${entry.points}` : entry.points}
+                            </td>
+                            <td className="px-4 py-2 whitespace-nowrap text-right">{entry.balanceAfter}</td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+                {isAdmin && (
+                  <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                    <input
+                      type="number"
+                      step="1"
+                      value={adjustment.points}
+                      onChange={(e) => setAdjustment({ ...adjustment, points: e.target.value })}
+                      className="sm:w-32 px-3 py-2 border rounded-lg text-sm"
+                      placeholder="+/- points"
+                    />
+                    <input
+                      type="text"
+                      value={adjustment.reason}
+                      onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                      maxLength={200}
+                      className="flex-1 px-3 py-2 border rounded-lg text-sm"
+                      placeholder="Reason for adjustment"
+                    />
+                    <button
+                      onClick={handleAdjustPoints}
+                      disabled={isAdjusting || !parseInt(adjustment.points) || !adjustment.reason.trim()}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isAdjusting ? 'Saving...' : 'Adjust Points'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <h3 className="font-semibold mb-2">Purchase History</h3>
+            <div className="overflow-x-auto border rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sale #</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Payment</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {history.sales.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="px-4 py-3 text-center text-gray-500">
+                        {loadingHistory ? 'Loading...' : 'No purchases yet'}
+                      </td>
+                    </tr>
+                  ) : (
+                    history.sales.map(sale => (
+                      <tr key={sale._id} className={sale.isVoid ? 'text-gray-400 line-through' : ''}>
+                        <td className="px-4 py-2 whitespace-nowrap">{sale.saleNumber}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatDate(sale.createdAt)}</td>
+                        <td className="px-4 py-2">{sale.items.map(item => `${itemName(item.product?.name || 'Deleted product', item.variantName)} ×${formatQuantity(item.quantity, item.unit)}`).join(', ')}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatPaymentMethod(sale.paymentMethod)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-right">
+                          {formatCurrencyDisplay(sale.total)}
+                          {sale.refundedAmount > 0 && (
+                            <div className="text-xs text-red-600">-{formatCurrencyDisplay(sale.refundedAmount)} refunded</div>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+            {history.page < history.pages && (
+              <button
+                onClick={() => fetchHistory(viewingCustomer._id, history.page + 1)}
+                disabled={loadingHistory}
+                className="mt-3 w-full bg-gray-100 text-gray-700 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                {loadingHistory ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Customers;
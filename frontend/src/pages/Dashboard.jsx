@@ -9,6 +9,8 @@ const Dashboard = () => {
   const [stats, setStats] = useState({
     totalProducts: 0,
     lowStockProducts: 0,
+    expiredLots: 0,
+    expiringLots: 0,
     totalSales: 0,
     totalRevenue: 0
   });
@@ -36,7 +38,8 @@ const Dashboard = () => {
       // Only fetch sales data if user is not a supplier
       const promises = [
         axios.get('/products'),
-        axios.get('/inventory/alerts')
+        axios.get('/inventory/alerts'),
+        axios.get('/inventory/expiring')
       ];
 
       if (!isSupplier) {
@@ -44,7 +47,7 @@ const Dashboard = () => {
       }
 
       const results = await Promise.all(promises);
-      const [productsRes, inventoryRes, salesRes] = results;
+      const [productsRes, inventoryRes, expiringRes, salesRes] = results;
 
       let totalSales = 0;
       let totalRevenue = 0;
@@ -62,7 +65,8 @@ const Dashboard = () => {
         }
 
         totalRevenue = validSales.reduce((sum, sale) => {
-          const saleTotal = sale.total || 0;
+          // Refunds from partial returns are taken off the sale's revenue
+          const saleTotal = (sale.total || 0) - (sale.refundedAmount || 0);
           return sum + saleTotal;
         }, 0);
         totalSales = validSales.length;
@@ -71,6 +75,8 @@ const Dashboard = () => {
       setStats({
         totalProducts: productsRes.data.count || 0,
         lowStockProducts: inventoryRes.data.count || 0,
+        expiredLots: expiringRes.data.summary?.expired || 0,
+        expiringLots: expiringRes.data.summary?.expiringSoon || 0,
         totalSales,
         totalRevenue
       });
@@ -106,6 +112,11 @@ const Dashboard = () => {
             <div>
               <p className="text-gray-600 text-sm">Low Stock Alerts</p>
               <p className="text-3xl font-bold mt-2 text-orange-600">{stats.lowStockProducts}</p>
+              {(stats.expiredLots > 0 || stats.expiringLots > 0) && (
+                <Link to="/inventory" className="text-xs text-red-600 hover:underline">
+                  {stats.expiredLots} expired · {stats.expiringLots} expiring lots
+                </Link>
+              )}
             </div>
             <span className="text-4xl">⚠️</span>
           </div>
@@ -2,28 +2,66 @@ import { useEffect, useState } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { useAuth } from '../context/AuthContext';
-import InputModal from '../components/InputModal';
+import StockHistoryModal from '../components/StockHistoryModal';
+import ExpiringLots from '../components/ExpiringLots';
+import { hasVariants, isLowStock, itemName, variantName } from '../utils/variant';
+import { baseUnit, formatQuantity, productUnits, quantityStep } from '../utils/units';
+
+const StockStatus = ({ isOutOfStock, isLowStock }) => {
+  if (isOutOfStock) {
+    return <span className="px-2 py-1 bg-red-100 text-red-800 rounded text-xs">Out of Stock</span>;
+  }
+  if (isLowStock) {
+    return <span className="px-2 py-1 bg-orange-100 text-orange-800 rounded text-xs">Low Stock</span>;
+  }
+  return <span className="px-2 py-1 bg-green-100 text-green-800 rounded text-xs">In Stock</span>;
+};
+
+const EMPTY_STOCK_FORM = { operation: 'set', quantity: '', unit: '', reason: '', lotNumber: '', expiryDate: '' };
 
 const Inventory = () => {
-  const { isAdmin, isSupplier } = useAuth();
+  const { user, isAdmin, isSupplier } = useAuth();
   const [inventory, setInventory] = useState([]);
+  const [locations, setLocations] = useState([]);
+  // Stock at one location, starting with the user's home branch; blank shows totals across locations
+  const [locationFilter, setLocationFilter] = useState(user?.location || '');
   const [summary, setSummary] = useState({});
   const [loading, setLoading] = useState(true);
   const [lowStockOnly, setLowStockOnly] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
+  const [selectedVariant, setSelectedVariant] = useState(null);
   const [isUpdatingStock, setIsUpdatingStock] = useState(false);
+  const [stockForm, setStockForm] = useState(EMPTY_STOCK_FORM);
+  const [historyProduct, setHistoryProduct] = useState(null);
   
-  // Determine if user can update stock
-  const canUpdateStock = isAdmin || isSupplier;
+  // Determine if user can update stock; stock is counted and received at one location
+  const canUpdateStock = (isAdmin || isSupplier) && !!locationFilter;
+  const selectedLocation = locations.find(location => location._id === locationFilter);
 
   useEffect(() => {
     fetchInventory();
-  }, [lowStockOnly]);
+  }, [lowStockOnly, locationFilter]);
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations', { params: { isActive: true } });
+      setLocations(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch locations');
+    }
+  };
 
   const fetchInventory = async () => {
     try {
-      const response = await axios.get(`/inventory${lowStockOnly ? '?lowStock=true' : ''}`);
+      const params = {};
+      if (lowStockOnly) params.lowStock = true;
+      if (locationFilter) params.location = locationFilter;
+      const response = await axios.get('/inventory', { params });
       setInventory(response.data.data);
       setSummary(response.data.summary || {});
     } catch (error) {
@@ -33,13 +71,18 @@ const Inventory = () => {
     }
   };
 
-  const updateStock = async (productId, quantity, operation = 'set') => {
+  const updateStock = async (productId, variantId, stockData) => {
     setIsUpdatingStock(true);
     try {
-      await axios.put(`/inventory/${productId}/stock`, { quantity, operation });
-      toast.success('Stock updated successfully');
+      const response = await axios.put(`/inventory/${productId}/stock`, {
+        variant: variantId || undefined,
+        location: locationFilter,
+        ...stockData
+      });
+      toast.success(response.data.message);
       setIsModalOpen(false);
       setSelectedProduct(null);
+      setSelectedVariant(null);
       fetchInventory();
     } catch (error) {
       // Error handled by axios interceptor
@@ -48,14 +91,36 @@ const Inventory = () => {
     }
   };
 
-  const handleUpdateStockClick = (product) => {
+  // Products with variants are counted and restocked per variant
+  const handleUpdateStockClick = (product, variant = null) => {
     setSelectedProduct(product);
+    setSelectedVariant(variant);
+    setStockForm({ ...EMPTY_STOCK_FORM, quantity: (variant || product).stockQuantity.toString() });
     setIsModalOpen(true);
   };
 
-  const handleStockUpdate = (quantity) => {
-    if (selectedProduct && !isNaN(quantity) && quantity !== '') {
-      updateStock(selectedProduct._id, parseInt(quantity), 'set');
+  const closeStockModal = () => {
+    if (!isUpdatingStock) {
+      setIsModalOpen(false);
+      setSelectedProduct(null);
+      setSelectedVariant(null);
+    }
+  };
+
+  const handleStockUpdate = (e) => {
+    e.preventDefault();
+    const quantity = parseFloat(stockForm.quantity);
+    if (selectedProduct && !isNaN(quantity) && quantity >= 0) {
+      // Stock received for a perishable product is stocked as a lot
+      const receivesLot = stockForm.operation === 'add' && selectedProduct.trackExpiry;
+      updateStock(selectedProduct._id, selectedVariant?._id, {
+        quantity,
+        operation: stockForm.operation,
+        unit: stockForm.unit || undefined,
+        reason: stockForm.reason.trim() || undefined,
+        lotNumber: receivesLot ? stockForm.lotNumber.trim() || undefined : undefined,
+        expiryDate: receivesLot ? stockForm.expiryDate : undefined
+      });
     }
   };
 
@@ -67,7 +132,20 @@ const Inventory = () => {
     <div>
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
         <h1 className="text-2xl sm:text-3xl font-bold">Inventory</h1>
-        <div className="flex items-center space-x-2">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          {locations.length > 1 && (
+            <select
+              value={locationFilter}
+              onChange={(e) => setLocationFilter(e.target.value)}
+              className="px-3 py-2 border rounded-lg"
+            >
+              <option value="">All locations</option>
+              {locations.map(location => (
+                <option key={location._id} value={location._id}>{location.name}</option>
+              ))}
+            </select>
+          )}
+          <div className="flex items-center space-x-2">
           <input
             type="checkbox"
             id="lowStock"
@@ -76,9 +154,16 @@ const Inventory = () => {
             className="w-4 h-4"
           />
           <label htmlFor="lowStock" className="text-sm">Show low stock only</label>
+          </div>
         </div>
       </div>
 
+      {(isAdmin || isSupplier) && !locationFilter && (
+        <p className="text-sm text-gray-600 mb-4">
+          Stock shown is the total across all locations. Choose a location to count or receive stock.
+        </p>
+      )}
+
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6 mb-6 sm:mb-8">
         <div className="bg-white p-6 rounded-lg shadow">
           <div className="text-gray-600 text-sm">Total Products</div>
@@ -98,6 +183,8 @@ const Inventory = () => {
         </div>
       </div>
 
+      <ExpiringLots location={locationFilter} canWriteOff={isAdmin} onWrittenOff={fetchInventory} />
+
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
@@ -108,54 +195,87 @@ const Inventory = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Current Stock</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Low Stock Threshold</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
-              {canUpdateStock && (
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
-              )}
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {inventory.length === 0 ? (
               <tr>
-                <td colSpan={canUpdateStock ? 6 : 5} className="px-6 py-4 text-center text-gray-500">
+                <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
                   No inventory items found
                 </td>
               </tr>
             ) : (
-              inventory.map((product) => {
-                const isLowStock = product.stockQuantity <= product.lowStockThreshold;
+              inventory.flatMap((product) => {
+                const isLow = isLowStock(product);
                 const isOutOfStock = product.stockQuantity === 0;
+                const withVariants = hasVariants(product);
                 
-                return (
+                return [
                   <tr key={product._id}>
                     <td className="px-6 py-4 whitespace-nowrap font-semibold">{product.name}</td>
                     <td className="px-6 py-4 whitespace-nowrap">{product.category || '-'}</td>
                     <td className={`px-6 py-4 whitespace-nowrap font-semibold ${
-                      isOutOfStock ? 'text-red-600' : isLowStock ? 'text-orange-600' : ''
+                      isOutOfStock ? 'text-red-600' : isLow ? 'text-orange-600' : ''
                     }`}>
-                      {product.stockQuantity}
+                      {formatQuantity(product.stockQuantity, baseUnit(product))}
                     </td>
-                    <td className="px-6 py-4 whitespace-nowrap">{product.lowStockThreshold}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{withVariants ? 'Per variant' : product.lowStockThreshold}</td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      {isOutOfStock ? (
-                        <span className="px-2 py-1 bg-red-100 text-red-800 rounded text-xs">Out of Stock</span>
-                      ) : isLowStock ? (
-                        <span className="px-2 py-1 bg-orange-100 text-orange-800 rounded text-xs">Low Stock</span>
-                      ) : (
-                        <span className="px-2 py-1 bg-green-100 text-green-800 rounded text-xs">In Stock</span>
-                      )}
+                      <StockStatus isOutOfStock={isOutOfStock} isLowStock={isLow} />
                     </td>
-                    {canUpdateStock && (
-                      <td className="px-6 py-4 whitespace-nowrap">
+                    <td className="px-6 py-4 whitespace-nowrap space-x-3">
+                      {canUpdateStock && !withVariants && (
                         <button
                           onClick={() => handleUpdateStockClick(product)}
                           className="text-blue-600 hover:text-blue-800 text-sm"
                         >
                           Update Stock
                         </button>
-                      </td>
-                    )}
-                  </tr>
-                );
+                      )}
+                      <button
+                        onClick={() => setHistoryProduct(product)}
+                        className="text-gray-600 hover:text-gray-800 text-sm"
+                      >
+                        History
+                      </button>
+                    </td>
+                  </tr>,
+                  ...(product.variants || []).map((variant) => {
+                    const isVariantLow = variant.isActive && variant.stockQuantity <= variant.lowStockThreshold;
+                    const isVariantOut = variant.stockQuantity === 0;
+
+                    return (
+                      <tr key={variant._id} className={variant.isActive ? 'bg-gray-50' : 'bg-gray-50 text-gray-400'}>
+                        <td className="px-6 py-2 pl-10 whitespace-nowrap text-sm">
+                          ↳ {variantName(variant)}
+                          {variant.sku && <span className="text-xs text-gray-500"> · {variant.sku}</span>}
+                          {!variant.isActive && <span className="text-xs"> · inactive</span>}
+                        </td>
+                        <td className="px-6 py-2"></td>
+                        <td className={`px-6 py-2 whitespace-nowrap text-sm font-semibold ${
+                          isVariantOut ? 'text-red-600' : isVariantLow ? 'text-orange-600' : ''
+                        }`}>
+                          {formatQuantity(variant.stockQuantity, baseUnit(product))}
+                        </td>
+                        <td className="px-6 py-2 whitespace-nowrap text-sm">{variant.lowStockThreshold}</td>
+                        <td className="px-6 py-2 whitespace-nowrap">
+                          <StockStatus isOutOfStock={isVariantOut} isLowStock={isVariantLow} />
+                        </td>
+                        <td className="px-6 py-2 whitespace-nowrap">
+                          {canUpdateStock && (
+                            <button
+                              onClick={() => handleUpdateStockClick(product, variant)}
+                              className="text-blue-600 hover:text-blue-800 text-sm"
+                            >
+                              Update Stock
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                ];
               })
             )}
           </tbody>
@@ -163,25 +283,132 @@ const Inventory = () => {
         </div>
       </div>
 
-      <InputModal
-        isOpen={isModalOpen}
-        onClose={() => {
-          if (!isUpdatingStock) {
-            setIsModalOpen(false);
-            setSelectedProduct(null);
-          }
-        }}
-        onConfirm={handleStockUpdate}
-        title="Update Stock"
-        message={`Update stock quantity for ${selectedProduct?.name || 'this product'}`}
-        inputLabel="New Stock Quantity"
-        inputType="number"
-        inputPlaceholder="Enter quantity"
-        confirmText="Update"
-        cancelText="Cancel"
-        variant="info"
-        defaultValue={selectedProduct?.stockQuantity?.toString() || ''}
-        isLoading={isUpdatingStock}
+      {isModalOpen && selectedProduct && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={closeStockModal}>
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md" onClick={(e) => e.stopPropagation()}>
+            <h2 className="text-xl font-bold mb-1">Update Stock</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {itemName(selectedProduct.name, selectedVariant && variantName(selectedVariant))}
+              {' '}· Current stock{selectedLocation && ` at ${selectedLocation.name}`}: {formatQuantity((selectedVariant || selectedProduct).stockQuantity, baseUnit(selectedProduct))}
+            </p>
+            <form onSubmit={handleStockUpdate} className="space-y-4">
+              <div className="flex gap-4">
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="radio"
+                    checked={stockForm.operation === 'set'}
+                    onChange={() => setStockForm({
+                      ...stockForm,
+                      operation: 'set',
+                      quantity: (selectedVariant || selectedProduct).stockQuantity.toString(),
+                      unit: ''
+                    })}
+                  />
+                  Set counted quantity
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="radio"
+                    checked={stockForm.operation === 'add'}
+                    onChange={() => setStockForm({ ...stockForm, operation: 'add', quantity: '' })}
+                  />
+                  Add received stock
+                </label>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">
+                  {stockForm.operation === 'add' ? 'Quantity Received *' : 'New Stock Quantity *'}
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step={stockForm.unit ? 'any' : quantityStep(selectedProduct)}
+                    value={stockForm.quantity}
+                    onChange={(e) => setStockForm({ ...stockForm, quantity: e.target.value })}
+                    required
+                    autoFocus
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="Enter quantity"
+                  />
+                  {/* Stock can be counted or received in cases and is kept in the base unit */}
+                  {selectedProduct.units?.length > 0 ? (
+                    <select
+                      value={stockForm.unit}
+                      onChange={(e) => setStockForm({ ...stockForm, unit: e.target.value })}
+                      className="px-3 py-2 border rounded-lg"
+                    >
+                      {productUnits(selectedProduct).map((unit, index) => (
+                        <option key={unit.name} value={index === 0 ? '' : unit.name}>{unit.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="self-center text-sm text-gray-600">{baseUnit(selectedProduct)}</span>
+                  )}
+                </div>
+              </div>
+              {stockForm.operation === 'add' && selectedProduct.trackExpiry && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Lot Number</label>
+                    <input
+                      type="text"
+                      maxLength={50}
+                      value={stockForm.lotNumber}
+                      onChange={(e) => setStockForm({ ...stockForm, lotNumber: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg"
+                      placeholder="From the label"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Expiry Date *</label>
+                    <input
+                      type="date"
+                      value={stockForm.expiryDate}
+                      onChange={(e) => setStockForm({ ...stockForm, expiryDate: e.target.value })}
+                      required
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium mb-1">Reason</label>
+                <input
+                  type="text"
+                  maxLength={200}
+                  value={stockForm.reason}
+                  onChange={(e) => setStockForm({ ...stockForm, reason: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="e.g. Delivery from supplier, shelf count"
+                />
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isUpdatingStock}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isUpdatingStock ? 'Updating...' : 'Update'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeStockModal}
+                  disabled={isUpdatingStock}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <StockHistoryModal
+        product={historyProduct}
+        location={locationFilter}
+        onClose={() => setHistoryProduct(null)}
       />
     </div>
   );
@@ -0,0 +1,269 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+
+const TYPE_LABELS = {
+  store: 'Store',
+  warehouse: 'Warehouse'
+};
+
+const Locations = () => {
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingLocation, setEditingLocation] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations');
+      setLocations(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingLocation(null);
+    reset({ name: '', code: '', type: 'store', address: '' });
+  };
+
+  const onSubmit = async (formData) => {
+    setIsSubmitting(true);
+    try {
+      const data = {
+        name: formData.name,
+        code: formData.code.toUpperCase(),
+        type: formData.type,
+        address: formData.address
+      };
+      if (editingLocation) {
+        await axios.put(`/locations/${editingLocation._id}`, data);
+        toast.success('Location updated successfully');
+      } else {
+        await axios.post('/locations', data);
+        toast.success('Location created successfully');
+      }
+      closeModal();
+      fetchLocations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEdit = (location) => {
+    setEditingLocation(location);
+    reset({ name: location.name, code: location.code, type: location.type, address: location.address || '' });
+    setShowModal(true);
+  };
+
+  const makeDefault = async (location) => {
+    try {
+      await axios.put(`/locations/${location._id}`, { isDefault: true });
+      toast.success(`${location.name} is now the default location`);
+      fetchLocations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const toggleActive = async (location) => {
+    try {
+      await axios.put(`/locations/${location._id}`, { isActive: !location.isActive });
+      toast.success(`Location ${location.isActive ? 'deactivated' : 'activated'} successfully`);
+      fetchLocations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Locations</h1>
+          <p className="text-sm text-gray-600">
+            Branches and warehouses each hold their own stock. Stock of users without a home branch is at the default location.
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            setEditingLocation(null);
+            reset({ name: '', code: '', type: 'store', address: '' });
+            setShowModal(true);
+          }}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+        >
+          Add Location
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Address</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {locations.map((location) => (
+                <tr key={location._id}>
+                  <td className="px-6 py-4 whitespace-nowrap font-medium">
+                    {location.name}
+                    {location.isDefault && (
+                      <span className="ml-2 px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800">Default</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap font-mono text-sm">{location.code}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{TYPE_LABELS[location.type] || location.type}</td>
+                  <td className="px-6 py-4">{location.address || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span
+                      className={`px-2 py-1 text-xs rounded-full ${
+                        location.isActive
+                          ? 'bg-green-100 text-green-800'
+                          : 'bg-red-100 text-red-800'
+                      }`}
+                    >
+                      {location.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap space-x-2">
+                    <button
+                      onClick={() => handleEdit(location)}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Edit
+                    </button>
+                    {!location.isDefault && (
+                      <>
+                        <button
+                          onClick={() => makeDefault(location)}
+                          className="text-purple-600 hover:text-purple-800"
+                        >
+                          Make Default
+                        </button>
+                        <button
+                          onClick={() => toggleActive(location)}
+                          className={`${
+                            location.isActive
+                              ? 'text-orange-600 hover:text-orange-800'
+                              : 'text-green-600 hover:text-green-800'
+                          }`}
+                        >
+                          {location.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingLocation ? 'Edit Location' : 'Add Location'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Name *</label>
+                <input
+                  {...register('name', {
+                    required: 'Location name is required',
+                    maxLength: { value: 50, message: 'Location name cannot exceed 50 characters' }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="e.g. Manila Branch"
+                />
+                {errors.name && (
+                  <p className="text-red-600 text-sm">{errors.name.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Code *</label>
+                <input
+                  {...register('code', {
+                    required: 'Location code is required',
+                    pattern: { value: /^[A-Za-z0-9]{1,10}$/, message: 'Code must be 1-10 letters or digits' }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg uppercase"
+                  placeholder="e.g. MNL"
+                />
+                <p className="text-xs text-gray-500 mt-1">Used in sale and transfer numbers of this branch</p>
+                {errors.code && (
+                  <p className="text-red-600 text-sm">{errors.code.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Type</label>
+                <select {...register('type')} className="w-full px-3 py-2 border rounded-lg">
+                  {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Address</label>
+                <textarea
+                  {...register('address', {
+                    maxLength: { value: 200, message: 'Address cannot exceed 200 characters' }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  rows="2"
+                />
+                {errors.address && (
+                  <p className="text-red-600 text-sm">{errors.address.message}</p>
+                )}
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? (editingLocation ? 'Updating...' : 'Creating...') : (editingLocation ? 'Update' : 'Create')}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Locations;
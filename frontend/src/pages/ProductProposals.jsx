@@ -0,0 +1,628 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import ConfirmModal from '../components/ConfirmModal';
+import InputModal from '../components/InputModal';
+import { formatCurrencyDisplay, formatDate } from '../utils/utils';
+import { parseBarcodeList } from '../utils/barcode';
+import { itemName, variantName } from '../utils/variant';
+
+const PROPOSAL_STATUSES = {
+  pending: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+  withdrawn: { label: 'Withdrawn', className: 'bg-gray-100 text-gray-800' }
+};
+
+const PROPOSAL_TYPES = {
+  new_product: 'New Product',
+  price_change: 'Price Change'
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  category: 'Category',
+  sku: 'SKU',
+  barcodes: 'Barcodes',
+  unit: 'Unit',
+  price: 'Selling Price',
+  costPrice: 'Cost Price'
+};
+
+// Status changes that only need a confirmation
+const STATUS_ACTIONS = {
+  approve: {
+    title: 'Approve Proposal',
+    message: 'Apply this proposal to the catalog?',
+    confirmText: 'Approve',
+    variant: 'info',
+    success: 'Proposal approved'
+  },
+  withdraw: {
+    title: 'Withdraw Proposal',
+    message: 'Withdraw this proposal? An admin will no longer be able to approve it.',
+    confirmText: 'Withdraw',
+    variant: 'danger',
+    success: 'Proposal withdrawn'
+  }
+};
+
+const EMPTY_FORM = {
+  type: 'new_product',
+  name: '',
+  description: '',
+  category: '',
+  sku: '',
+  barcodes: '',
+  unit: '',
+  price: '',
+  costPrice: '',
+  product: '',
+  variant: '',
+  notes: ''
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (field === 'price' || field === 'costPrice') return formatCurrencyDisplay(value);
+  if (Array.isArray(value)) return value.join(', ') || '-';
+  return String(value);
+};
+
+const proposalTitle = (proposal) => (
+  proposal.type === 'new_product'
+    ? proposal.changes.name
+    : itemName(proposal.product?.name || 'Unknown', proposal.variantName)
+);
+
+const ProductProposals = () => {
+  const { isAdmin, isSupplier } = useAuth();
+  const [proposals, setProposals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState(isAdmin ? 'pending' : '');
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [viewingProposal, setViewingProposal] = useState(null);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, proposal: null, action: null });
+  const [rejectModal, setRejectModal] = useState({ isOpen: false, proposal: null });
+  const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+
+  useEffect(() => {
+    fetchProposals();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    if (isSupplier) {
+      fetchProducts();
+      fetchCategories();
+    }
+  }, [isSupplier]);
+
+  const fetchProposals = async () => {
+    try {
+      const params = {};
+      if (statusFilter) params.status = statusFilter;
+      const response = await axios.get('/product-proposals', { params });
+      setProposals(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      // Suppliers only get their own products back
+      const response = await axios.get('/products');
+      setProducts(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch products');
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories');
+      setCategories(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch categories');
+    }
+  };
+
+  const replaceProposal = (updated) => {
+    setProposals(proposals.map(proposal => (proposal._id === updated._id ? updated : proposal)));
+    if (viewingProposal?._id === updated._id) {
+      setViewingProposal(updated);
+    }
+  };
+
+  const openCreate = (type) => {
+    setForm({ ...EMPTY_FORM, type });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    if (!isSubmitting) {
+      setShowModal(false);
+    }
+  };
+
+  const selectedProduct = products.find(product => product._id === form.product);
+  const selectedVariant = selectedProduct?.variants?.find(variant => variant._id === form.variant);
+  const currentPrice = selectedVariant ? selectedVariant.price : selectedProduct?.price;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let payload;
+    if (form.type === 'new_product') {
+      payload = {
+        type: form.type,
+        name: form.name,
+        description: form.description || undefined,
+        category: form.category || undefined,
+        sku: form.sku || undefined,
+        barcodes: parseBarcodeList(form.barcodes),
+        unit: form.unit || undefined,
+        price: parseFloat(form.price),
+        costPrice: form.costPrice === '' ? undefined : parseFloat(form.costPrice),
+        notes: form.notes
+      };
+    } else {
+      if (form.price === '' && form.costPrice === '') {
+        toast.error('Propose a new price, a new cost price or both');
+        return;
+      }
+      payload = {
+        type: form.type,
+        product: form.product,
+        variant: form.variant || undefined,
+        price: form.price === '' ? undefined : parseFloat(form.price),
+        costPrice: form.costPrice === '' ? undefined : parseFloat(form.costPrice),
+        notes: form.notes
+      };
+    }
+
+    setIsSubmitting(true);
+    try {
+      await axios.post('/product-proposals', payload);
+      toast.success('Proposal submitted for approval');
+      setShowModal(false);
+      fetchProposals();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const confirmStatusChange = async () => {
+    const { proposal, action } = confirmModal;
+    setIsUpdatingStatus(true);
+    try {
+      const response = await axios.put(`/product-proposals/${proposal._id}/${action}`);
+      toast.success(STATUS_ACTIONS[action].success);
+      setConfirmModal({ isOpen: false, proposal: null, action: null });
+      replaceProposal(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  const confirmReject = async (reviewNote) => {
+    setIsUpdatingStatus(true);
+    try {
+      const response = await axios.put(`/product-proposals/${rejectModal.proposal._id}/reject`, { reviewNote });
+      toast.success('Proposal rejected');
+      setRejectModal({ isOpen: false, proposal: null });
+      replaceProposal(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  const renderActions = (proposal) => {
+    const actions = [];
+    const askFor = (action) => () => setConfirmModal({ isOpen: true, proposal, action });
+
+    actions.push({ label: 'View', onClick: () => setViewingProposal(proposal), className: 'text-gray-600 hover:text-gray-800' });
+
+    if (proposal.status === 'pending') {
+      if (isAdmin) {
+        actions.push({ label: 'Approve', onClick: askFor('approve'), className: 'text-green-600 hover:text-green-800' });
+        actions.push({
+          label: 'Reject',
+          onClick: () => setRejectModal({ isOpen: true, proposal }),
+          className: 'text-red-600 hover:text-red-800'
+        });
+      }
+      if (isSupplier) {
+        actions.push({ label: 'Withdraw', onClick: askFor('withdraw'), className: 'text-red-600 hover:text-red-800' });
+      }
+    }
+
+    return actions.map(action => (
+      <button key={action.label} onClick={action.onClick} className={`text-sm ${action.className}`}>
+        {action.label}
+      </button>
+    ));
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Product Proposals</h1>
+          <p className="text-sm text-gray-600">
+            {isAdmin
+              ? 'New products and price changes submitted by suppliers, applied once approved.'
+              : 'Propose new products and price changes. They reach the catalog once an admin approves them.'}
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(PROPOSAL_STATUSES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {isSupplier && (
+            <>
+              <button
+                onClick={() => openCreate('price_change')}
+                disabled={products.length === 0}
+                className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Propose Price Change
+              </button>
+              <button
+                onClick={() => openCreate('new_product')}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+              >
+                Propose Product
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                {isAdmin && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>}
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {proposals.length === 0 ? (
+                <tr>
+                  <td colSpan={isAdmin ? 7 : 6} className="px-6 py-4 text-center text-gray-500">
+                    No proposals found
+                  </td>
+                </tr>
+              ) : (
+                proposals.map((proposal) => (
+                  <tr key={proposal._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">{PROPOSAL_TYPES[proposal.type]}</td>
+                    <td className="px-6 py-4 font-medium">{proposalTitle(proposal)}</td>
+                    {isAdmin && <td className="px-6 py-4 whitespace-nowrap">{proposal.supplier?.companyName || '-'}</td>}
+                    <td className="px-6 py-4 text-sm">
+                      {proposal.diff
+                        .filter(change => change.field === 'price' || change.field === 'costPrice')
+                        .map(change => (
+                          <div key={change.field}>
+                            {FIELD_LABELS[change.field]}: {proposal.type === 'price_change' && `${formatValue(change.field, change.current)} → `}
+                            {formatValue(change.field, change.proposed)}
+                          </div>
+                        ))}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${PROPOSAL_STATUSES[proposal.status]?.className}`}>
+                        {PROPOSAL_STATUSES[proposal.status]?.label || proposal.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{formatDate(proposal.createdAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap space-x-3">{renderActions(proposal)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => {
+          if (!isUpdatingStatus) {
+            setConfirmModal({ isOpen: false, proposal: null, action: null });
+          }
+        }}
+        onConfirm={confirmStatusChange}
+        title={STATUS_ACTIONS[confirmModal.action]?.title}
+        message={STATUS_ACTIONS[confirmModal.action]?.message}
+        confirmText={STATUS_ACTIONS[confirmModal.action]?.confirmText}
+        variant={STATUS_ACTIONS[confirmModal.action]?.variant}
+        isLoading={isUpdatingStatus}
+      />
+
+      <InputModal
+        isOpen={rejectModal.isOpen}
+        onClose={() => {
+          if (!isUpdatingStatus) {
+            setRejectModal({ isOpen: false, proposal: null });
+          }
+        }}
+        onConfirm={confirmReject}
+        title="Reject Proposal"
+        message="The supplier sees the reason with the rejected proposal."
+        inputLabel="Reason"
+        inputType="text"
+        confirmText="Reject"
+        variant="danger"
+        isLoading={isUpdatingStatus}
+      />
+
+      {viewingProposal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => setViewingProposal(null)}>
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{proposalTitle(viewingProposal)}</h2>
+                <p className="text-sm text-gray-600">
+                  {PROPOSAL_TYPES[viewingProposal.type]} from {viewingProposal.supplier?.companyName || '-'}
+                </p>
+              </div>
+              <span className={`px-2 py-1 text-xs rounded-full ${PROPOSAL_STATUSES[viewingProposal.status]?.className}`}>
+                {PROPOSAL_STATUSES[viewingProposal.status]?.label}
+              </span>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                      {viewingProposal.status === 'approved' ? 'Before' : 'Current'}
+                    </th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Proposed</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {viewingProposal.diff.map(change => {
+                    const changed = formatValue(change.field, change.current) !== formatValue(change.field, change.proposed);
+                    return (
+                      <tr key={change.field}>
+                        <td className="px-3 py-2 font-medium">{FIELD_LABELS[change.field]}</td>
+                        <td className={`px-3 py-2 ${changed ? 'text-red-600 line-through' : 'text-gray-600'}`}>
+                          {formatValue(change.field, change.current)}
+                        </td>
+                        <td className={`px-3 py-2 ${changed ? 'text-green-700 font-medium' : 'text-gray-600'}`}>
+                          {formatValue(change.field, change.proposed)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="text-sm text-gray-600 mt-3 space-y-1">
+              <p>Submitted by {viewingProposal.submittedBy?.username || '-'} on {formatDate(viewingProposal.createdAt)}</p>
+              {viewingProposal.notes && <p>Notes: {viewingProposal.notes}</p>}
+              {viewingProposal.reviewedAt && (
+                <p>
+                  {PROPOSAL_STATUSES[viewingProposal.status]?.label} by {viewingProposal.reviewedBy?.username || '-'} on {formatDate(viewingProposal.reviewedAt)}
+                </p>
+              )}
+              {viewingProposal.reviewNote && <p>Review note: {viewingProposal.reviewNote}</p>}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setViewingProposal(null)}
+              className="w-full bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 mt-4"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {form.type === 'new_product' ? 'Propose Product' : 'Propose Price Change'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {form.type === 'new_product' ? (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Name *</label>
+                    <input
+                      value={form.name}
+                      onChange={(e) => setForm({ ...form, name: e.target.value })}
+                      required
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Description</label>
+                    <textarea
+                      value={form.description}
+                      onChange={(e) => setForm({ ...form, description: e.target.value })}
+                      rows="2"
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Category</label>
+                    <select
+                      value={form.category}
+                      onChange={(e) => setForm({ ...form, category: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    >
+                      <option value="">No category</option>
+                      {categories.map(category => (
+                        <option key={category._id} value={category.name}>{category.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium mb-1">SKU</label>
+                      <input
+                        value={form.sku}
+                        onChange={(e) => setForm({ ...form, sku: e.target.value })}
+                        className="w-full px-3 py-2 border rounded-lg"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Unit</label>
+                      <input
+                        value={form.unit}
+                        onChange={(e) => setForm({ ...form, unit: e.target.value })}
+                        placeholder="pcs"
+                        className="w-full px-3 py-2 border rounded-lg"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Barcodes</label>
+                    <input
+                      value={form.barcodes}
+                      onChange={(e) => setForm({ ...form, barcodes: e.target.value })}
+                      placeholder="Separate several barcodes with commas"
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Product *</label>
+                    <select
+                      value={form.product}
+                      onChange={(e) => setForm({ ...form, product: e.target.value, variant: '' })}
+                      required
+                      className="w-full px-3 py-2 border rounded-lg"
+                    >
+                      <option value="">Select product</option>
+                      {products.map(product => (
+                        <option key={product._id} value={product._id}>{product.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {selectedProduct?.variants?.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Variant</label>
+                      <select
+                        value={form.variant}
+                        onChange={(e) => setForm({ ...form, variant: e.target.value })}
+                        className="w-full px-3 py-2 border rounded-lg"
+                      >
+                        <option value="">None (cost price only)</option>
+                        {selectedProduct.variants.map(variant => (
+                          <option key={variant._id} value={variant._id}>{variantName(variant)}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {currentPrice !== undefined && (
+                    <p className="text-sm text-gray-600">Current selling price: {formatCurrencyDisplay(currentPrice)}</p>
+                  )}
+                </>
+              )}
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">
+                    {form.type === 'new_product' ? 'Selling Price *' : 'New Selling Price'}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.price}
+                    onChange={(e) => setForm({ ...form, price: e.target.value })}
+                    required={form.type === 'new_product'}
+                    disabled={form.type === 'price_change' && selectedProduct?.variants?.length > 0 && !form.variant}
+                    className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-100"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">
+                    {form.type === 'new_product' ? 'Your Price to Us' : 'New Price to Us'}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.costPrice}
+                    onChange={(e) => setForm({ ...form, costPrice: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  rows="2"
+                  maxLength={500}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Submitting...' : 'Submit for Approval'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductProposals;
@@ -1,31 +1,46 @@
 import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { useAuth } from '../context/AuthContext';
 import { useForm, Controller } from 'react-hook-form';
 import Select from 'react-select';
 import ConfirmModal from '../components/ConfirmModal';
+import VariantEditor from '../components/VariantEditor';
+import UnitEditor from '../components/UnitEditor';
+import { formatDate } from '../utils/utils';
+import { isValidBarcode, parseBarcodeList } from '../utils/barcode';
+import { hasVariants, isLowStock, parseOptionValues, variantName } from '../utils/variant';
+import { baseUnit, formatQuantity } from '../utils/units';
+
+const EMPTY_VARIANT_FORM = { options: [], variants: [] };
 
 const Products = () => {
   const { isAdmin, isSupplier } = useAuth();
   const [products, setProducts] = useState([]);
   const [suppliers, setSuppliers] = useState([]);
   const [categories, setCategories] = useState([]);
+  const [taxClasses, setTaxClasses] = useState([]);
+  const [costHistory, setCostHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
   const [confirmModal, setConfirmModal] = useState({ isOpen: false, productId: null });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
-  const { register, handleSubmit, reset, control, formState: { errors } } = useForm();
+  const [variantForm, setVariantForm] = useState(EMPTY_VARIANT_FORM);
+  const [unitForm, setUnitForm] = useState([]);
+  const { register, handleSubmit, reset, control, watch, formState: { errors } } = useForm();
+  const usesVariants = variantForm.variants.length > 0;
   
-  // Determine if user can add/edit products
+  // Determine if user can edit products; suppliers propose new products for approval instead of adding them
   const canManageProducts = isAdmin || isSupplier;
 
   useEffect(() => {
     fetchProducts();
     fetchSuppliers();
     fetchCategories();
+    fetchTaxClasses();
   }, []);
 
   const fetchProducts = async () => {
@@ -60,20 +75,103 @@ const Products = () => {
     }
   };
 
+  const fetchTaxClasses = async () => {
+    try {
+      // Tax classes are managed by admins only
+      if (isAdmin) {
+        const response = await axios.get('/tax-classes');
+        setTaxClasses(response.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch tax classes');
+    }
+  };
+
+  const fetchCostHistory = async (productId) => {
+    setCostHistory([]);
+    try {
+      const response = await axios.get(`/products/${productId}/cost-history`);
+      setCostHistory(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch cost history');
+    }
+  };
+
+  // Options and variants as the API expects them, or an error message
+  const buildVariantData = () => {
+    const options = variantForm.options
+      .map(option => ({ name: option.name.trim(), values: parseOptionValues(option.values) }))
+      .filter(option => option.name);
+    const variants = variantForm.variants.map(variant => ({
+      ...variant,
+      sku: variant.sku?.trim() || undefined,
+      price: parseFloat(variant.price),
+      stockQuantity: parseFloat(variant.stockQuantity) || 0,
+      lowStockThreshold: parseFloat(variant.lowStockThreshold) || 0,
+      barcodes: parseBarcodeList(variant.barcodes)
+    }));
+
+    const unpriced = variants.find(variant => Number.isNaN(variant.price) || variant.price < 0);
+    if (unpriced) return { error: `Enter a price for ${variantName(unpriced)}` };
+    for (const variant of variants) {
+      const invalid = variant.barcodes.find(code => !isValidBarcode(code));
+      if (invalid) return { error: `${invalid} is not a valid EAN-8, UPC-A or EAN-13 barcode` };
+    }
+
+    return { options, variants };
+  };
+
+  // Alternate units as the API expects them, or an error message
+  const buildUnits = () => {
+    const units = unitForm
+      .map(unit => ({ name: unit.name.trim(), factor: parseFloat(unit.factor) }))
+      .filter(unit => unit.name);
+    const invalid = units.find(unit => !(unit.factor > 0));
+    if (invalid) return { error: `Enter how many base units one ${invalid.name} holds` };
+    return { units };
+  };
+
   const onSubmit = async (data) => {
+    const variantData = buildVariantData();
+    const unitData = buildUnits();
+    if (variantData.error || unitData.error) {
+      toast.error(variantData.error || unitData.error);
+      return;
+    }
+
     setIsSubmitting(true);
     try {
       const productData = {
         ...data,
         price: parseFloat(data.price),
-        stockQuantity: parseInt(data.stockQuantity),
-        lowStockThreshold: parseInt(data.lowStockThreshold) || 10,
+        costPrice: parseFloat(data.costPrice) || 0,
+        stockQuantity: parseFloat(data.stockQuantity),
+        lowStockThreshold: parseFloat(data.lowStockThreshold) || 10,
+        unit: data.unit?.trim() || 'pcs',
+        units: unitData.units,
+        barcodes: parseBarcodeList(data.barcodes),
         category: data.category || undefined // Ensure category is a string or undefined
       };
 
-      // For suppliers, don't send supplier field - backend will auto-set it
+      // Price and stock of a product with variants come from its variants.
+      // Options are only sent when the product has or had variants.
+      delete productData.options;
+      delete productData.variants;
+      if (usesVariants) {
+        delete productData.price;
+        delete productData.stockQuantity;
+        delete productData.lowStockThreshold;
+      }
+      if (usesVariants || hasVariants(editingProduct)) {
+        productData.options = variantData.options;
+        productData.variants = variantData.variants;
+      }
+
+      // Suppliers cannot change the supplier, tax class or cost of their products
       if (isSupplier) {
         delete productData.supplier;
+        delete productData.taxClass;
+        delete productData.costPrice;
       }
 
       if (editingProduct) {
@@ -85,6 +183,8 @@ const Products = () => {
       }
       setShowModal(false);
       setEditingProduct(null);
+      setVariantForm(EMPTY_VARIANT_FORM);
+      setUnitForm([]);
       reset();
       fetchProducts();
     } catch (error) {
@@ -103,15 +203,27 @@ const Products = () => {
     
     const formData = {
       ...product,
-      category: categoryName || ''
+      category: categoryName || '',
+      taxClass: product.taxClass?._id || '',
+      barcodes: (product.barcodes || []).join(', ')
     };
     
     // Only set supplier field for admins
     if (isAdmin) {
       formData.supplier = product.supplier?._id || product.supplier;
+      fetchCostHistory(product._id);
     }
     
     reset(formData);
+    setVariantForm({
+      options: (product.options || []).map(option => ({ name: option.name, values: option.values.join(', ') })),
+      variants: (product.variants || []).map(variant => ({
+        ...variant,
+        sku: variant.sku || '',
+        barcodes: (variant.barcodes || []).join(', ')
+      }))
+    });
+    setUnitForm((product.units || []).map(unit => ({ name: unit.name, factor: unit.factor })));
     setShowModal(true);
   };
 
@@ -141,10 +253,20 @@ const Products = () => {
     <div>
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
         <h1 className="text-2xl sm:text-3xl font-bold">Products</h1>
-        {canManageProducts && (
+        {isSupplier && (
+          <Link
+            to="/product-proposals"
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto text-center"
+          >
+            Propose Product
+          </Link>
+        )}
+        {isAdmin && (
           <button
             onClick={() => {
               setEditingProduct(null);
+              setVariantForm(EMPTY_VARIANT_FORM);
+              setUnitForm([]);
               reset();
               fetchCategories(); // Refresh categories when opening modal
               setShowModal(true);
@@ -164,6 +286,7 @@ const Products = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Price</th>
+              {isAdmin && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cost / Margin</th>}
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stock</th>
               {isAdmin && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>}
               {canManageProducts && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>}
@@ -172,20 +295,40 @@ const Products = () => {
           <tbody className="bg-white divide-y divide-gray-200">
             {products.length === 0 ? (
               <tr>
-                <td colSpan={isAdmin && canManageProducts ? 6 : isAdmin ? 5 : canManageProducts ? 5 : 4} className="px-6 py-4 text-center text-gray-500">
+                <td colSpan={4 + (isAdmin ? 2 : 0) + (canManageProducts ? 1 : 0)} className="px-6 py-4 text-center text-gray-500">
                   No products found
                 </td>
               </tr>
             ) : (
               products.map((product) => (
                 <tr key={product._id}>
-                  <td className="px-6 py-4 whitespace-nowrap">{product.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {product.name}
+                    {hasVariants(product) && (
+                      <div className="text-xs text-gray-500">
+                        {product.options.map(option => option.name).join(' · ')} · {product.variants.length} variants
+                      </div>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">{product.category || '-'}</td>
-                  <td className="px-6 py-4 whitespace-nowrap">${product.price.toFixed(2)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {hasVariants(product) && product.variants.some(variant => variant.price !== product.price) && 'from '}
+                    ${product.price.toFixed(2)}
+                  </td>
+                  {isAdmin && (
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      ${(product.costPrice || 0).toFixed(2)}
+                      {product.price > 0 && product.costPrice > 0 && (
+                        <span className="text-gray-500 text-sm">
+                          {' '}({(((product.price - product.costPrice) / product.price) * 100).toFixed(1)}%)
+                        </span>
+                      )}
+                    </td>
+                  )}
                   <td className={`px-6 py-4 whitespace-nowrap ${
-                    product.stockQuantity <= product.lowStockThreshold ? 'text-orange-600 font-semibold' : ''
+                    isLowStock(product) ? 'text-orange-600 font-semibold' : ''
                   }`}>
-                    {product.stockQuantity}
+                    {formatQuantity(product.stockQuantity, baseUnit(product))}
                   </td>
                   {isAdmin && (
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -235,7 +378,7 @@ const Products = () => {
 
       {showModal && canManageProducts && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+          <div className={`bg-white p-4 sm:p-6 rounded-lg w-full ${variantForm.options.length > 0 ? 'max-w-3xl' : 'max-w-md'} max-h-[90vh] overflow-y-auto`}>
             <h2 className="text-xl sm:text-2xl font-bold mb-4">
               {editingProduct ? 'Edit Product' : 'Add Product'}
             </h2>
@@ -301,42 +444,145 @@ const Products = () => {
                 )}
               </div>
               <div>
-                <label className="block text-sm font-medium mb-1">Price *</label>
+                <label className="block text-sm font-medium mb-1">Unit</label>
                 <input
-                  {...register('price', {
-                    required: 'Price is required',
-                    min: { value: 0, message: 'Price must be positive' }
-                  })}
-                  type="number"
-                  step="0.01"
+                  {...register('unit')}
+                  type="text"
+                  defaultValue="pcs"
+                  maxLength={20}
                   className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="e.g. pcs or kg"
                 />
-                {errors.price && (
-                  <p className="text-red-600 text-sm">{errors.price.message}</p>
-                )}
+                <p className="text-xs text-gray-500 mt-1">Stock, price and cost are per unit</p>
+                <label className="flex items-center gap-2 mt-2 text-sm">
+                  <input {...register('allowFractions')} type="checkbox" />
+                  Sold by weight or measure (allow fractional quantities)
+                </label>
+                <label className="flex items-center gap-2 mt-2 text-sm">
+                  <input {...register('trackExpiry')} type="checkbox" />
+                  Perishable (track lots and expiry dates, sell oldest expiry first)
+                </label>
               </div>
               <div>
-                <label className="block text-sm font-medium mb-1">Stock Quantity *</label>
+                <label className="block text-sm font-medium mb-1">Other Units</label>
+                <UnitEditor
+                  units={unitForm}
+                  onChange={setUnitForm}
+                  baseUnit={watch('unit')}
+                />
+              </div>
+              {!usesVariants && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Price *</label>
+                  <input
+                    {...register('price', {
+                      required: !usesVariants && 'Price is required',
+                      min: { value: 0, message: 'Price must be positive' }
+                    })}
+                    type="number"
+                    step="0.01"
+                    readOnly={isSupplier}
+                    className={`w-full px-3 py-2 border rounded-lg ${isSupplier ? 'bg-gray-100' : ''}`}
+                  />
+                  {errors.price && (
+                    <p className="text-red-600 text-sm">{errors.price.message}</p>
+                  )}
+                </div>
+              )}
+              {isAdmin && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Cost Price</label>
+                  <input
+                    {...register('costPrice', {
+                      min: { value: 0, message: 'Cost price cannot be negative' }
+                    })}
+                    type="number"
+                    step="0.01"
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="0.00"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Updated to the weighted average cost when purchase orders are received</p>
+                  {errors.costPrice && (
+                    <p className="text-red-600 text-sm">{errors.costPrice.message}</p>
+                  )}
+                  {editingProduct && costHistory.length > 0 && (
+                    <div className="mt-2 text-xs text-gray-600">
+                      <div className="font-medium">Recent cost changes</div>
+                      <ul className="space-y-0.5">
+                        {costHistory.slice(0, 5).map(entry => (
+                          <li key={entry._id}>
+                            {formatDate(entry.createdAt)}: ${entry.previousCostPrice.toFixed(2)} → ${entry.costPrice.toFixed(2)}
+                            {' '}({entry.source === 'purchase'
+                              ? `received on ${entry.referenceNumber}`
+                              : `${entry.source === 'proposal' ? 'supplier proposal approved' : 'set'} by ${entry.user?.username || '-'}`})
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              )}
+              {!usesVariants && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Stock Quantity *</label>
+                  <input
+                    {...register('stockQuantity', {
+                      required: !usesVariants && 'Stock quantity is required',
+                      min: { value: 0, message: 'Stock cannot be negative' }
+                    })}
+                    type="number"
+                    step={watch('allowFractions') ? 'any' : '1'}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.stockQuantity && (
+                    <p className="text-red-600 text-sm">{errors.stockQuantity.message}</p>
+                  )}
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium mb-1">Barcodes</label>
                 <input
-                  {...register('stockQuantity', {
-                    required: 'Stock quantity is required',
-                    min: { value: 0, message: 'Stock cannot be negative' }
+                  {...register('barcodes', {
+                    validate: (value) => {
+                      const invalid = parseBarcodeList(value).find(code => !isValidBarcode(code));
+                      return !invalid || `${invalid} is not a valid EAN-8, UPC-A or EAN-13 barcode`;
+                    }
                   })}
-                  type="number"
+                  type="text"
                   className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="e.g. 4800016644290, 036000291452"
                 />
-                {errors.stockQuantity && (
-                  <p className="text-red-600 text-sm">{errors.stockQuantity.message}</p>
+                <p className="text-xs text-gray-500 mt-1">Separate multiple barcodes with commas</p>
+                {errors.barcodes && (
+                  <p className="text-red-600 text-sm">{errors.barcodes.message}</p>
                 )}
               </div>
+              {!usesVariants && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Low Stock Threshold</label>
+                  <input
+                    {...register('lowStockThreshold', { min: 0 })}
+                    type="number"
+                    step="any"
+                    defaultValue={10}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                </div>
+              )}
               <div>
-                <label className="block text-sm font-medium mb-1">Low Stock Threshold</label>
-                <input
-                  {...register('lowStockThreshold', { min: 0 })}
-                  type="number"
-                  defaultValue={10}
-                  className="w-full px-3 py-2 border rounded-lg"
+                <label className="block text-sm font-medium mb-1">Variants</label>
+                <VariantEditor
+                  options={variantForm.options}
+                  variants={variantForm.variants}
+                  onChange={(options, variants) => setVariantForm({ options, variants })}
+                  defaultPrice={watch('price')}
+                  lockPrices={isSupplier}
                 />
+                {isSupplier && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Prices change through <Link to="/product-proposals" className="text-blue-600 hover:text-blue-800">price proposals</Link> once an admin approves them.
+                  </p>
+                )}
               </div>
               {isAdmin && (
                 <div>
@@ -357,6 +603,22 @@ const Products = () => {
                   )}
                 </div>
               )}
+              {isAdmin && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Tax Class</label>
+                  <select
+                    {...register('taxClass')}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Use category or default</option>
+                    {taxClasses.map((taxClass) => (
+                      <option key={taxClass._id} value={taxClass._id}>
+                        {taxClass.code} - {taxClass.name} ({taxClass.rate}%)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="flex flex-col sm:flex-row gap-2">
                 <button
                   type="submit"
@@ -370,6 +632,8 @@ const Products = () => {
                   onClick={() => {
                     setShowModal(false);
                     setEditingProduct(null);
+                    setVariantForm(EMPTY_VARIANT_FORM);
+                    setUnitForm([]);
                     reset();
                   }}
                   disabled={isSubmitting}
@@ -1,14 +1,17 @@
 import { useState, useEffect } from 'react';
+import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import { toast } from 'sonner';
 import ConfirmModal from '../components/ConfirmModal';
 
 const Profile = () => {
-  const { user, updateProfile, resetPassword, fetchUser } = useAuth();
+  const { user, updateProfile, resetPassword, fetchUser, canApprove } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
   const [isPasswordModalOpen, setIsPasswordModalOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [passwordLoading, setPasswordLoading] = useState(false);
+  const [pinData, setPinData] = useState({ currentPassword: '', pin: '', confirmPin: '' });
+  const [pinLoading, setPinLoading] = useState(false);
   
   const [formData, setFormData] = useState({
     username: '',
@@ -141,6 +144,29 @@ const Profile = () => {
     });
   };
 
+  const handleSavePin = async (e) => {
+    e.preventDefault();
+    if (!/^\d{4,6}$/.test(pinData.pin)) {
+      toast.error('PIN must be 4 to 6 digits');
+      return;
+    }
+    if (pinData.pin !== pinData.confirmPin) {
+      toast.error('PINs do not match');
+      return;
+    }
+
+    setPinLoading(true);
+    try {
+      await axios.put('/auth/approval-pin', { currentPassword: pinData.currentPassword, pin: pinData.pin });
+      toast.success('Approval PIN saved');
+      setPinData({ currentPassword: '', pin: '', confirmPin: '' });
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setPinLoading(false);
+    }
+  };
+
   if (!user) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -299,6 +325,62 @@ const Profile = () => {
         </button>
       </div>
 
+      {canApprove && (
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <h2 className="text-xl font-semibold mb-4 text-gray-800">Approval PIN</h2>
+          <p className="text-gray-600 mb-4">
+            Enter this PIN at a cashier's register to approve a void, a discount above the staff limit or a price override.
+            Wrong PINs count toward locking your account, like wrong passwords.
+          </p>
+          <form onSubmit={handleSavePin} className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Current Password</label>
+              <input
+                type="password"
+                value={pinData.currentPassword}
+                onChange={(e) => setPinData({ ...pinData, currentPassword: e.target.value })}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">New PIN</label>
+              <input
+                type="password"
+                inputMode="numeric"
+                maxLength={6}
+                value={pinData.pin}
+                onChange={(e) => setPinData({ ...pinData, pin: e.target.value })}
+                required
+                autoComplete="new-password"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="4-6 digits"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Confirm PIN</label>
+              <input
+                type="password"
+                inputMode="numeric"
+                maxLength={6}
+                value={pinData.confirmPin}
+                onChange={(e) => setPinData({ ...pinData, confirmPin: e.target.value })}
+                required
+                autoComplete="new-password"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={pinLoading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {pinLoading ? 'Saving...' : 'Save PIN'}
+            </button>
+          </form>
+        </div>
+      )}
+
       {/* Reset Password Modal */}
       {isPasswordModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={handleClosePasswordModal}>
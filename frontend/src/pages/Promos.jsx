@@ -0,0 +1,397 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+import ConfirmModal from '../components/ConfirmModal';
+import { formatCurrencyDisplay, formatDate, formatLocalDate } from '../utils/utils';
+
+const Promos = () => {
+  const [promos, setPromos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingPromo, setEditingPromo] = useState(null);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, promoId: null });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm();
+  const discountType = watch('discountType');
+
+  useEffect(() => {
+    fetchPromos();
+  }, []);
+
+  const fetchPromos = async () => {
+    try {
+      const response = await axios.get('/promos');
+      setPromos(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    try {
+      const promoData = {
+        ...data,
+        discountValue: parseFloat(data.discountValue),
+        maxDiscount: data.maxDiscount ? parseFloat(data.maxDiscount) : null,
+        minPurchase: data.minPurchase ? parseFloat(data.minPurchase) : 0,
+        usageLimit: data.usageLimit ? parseInt(data.usageLimit) : null,
+        startDate: data.startDate || null,
+        endDate: data.endDate || null
+      };
+
+      if (editingPromo) {
+        await axios.put(`/promos/${editingPromo._id}`, promoData);
+        toast.success('Promo code updated successfully');
+      } else {
+        await axios.post('/promos', promoData);
+        toast.success('Promo code created successfully');
+      }
+      setShowModal(false);
+      setEditingPromo(null);
+      reset();
+      fetchPromos();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEdit = (promo) => {
+    setEditingPromo(promo);
+    reset({
+      code: promo.code,
+      description: promo.description || '',
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      maxDiscount: promo.maxDiscount ?? '',
+      minPurchase: promo.minPurchase || '',
+      usageLimit: promo.usageLimit ?? '',
+      startDate: promo.startDate ? formatLocalDate(new Date(promo.startDate)) : '',
+      endDate: promo.endDate ? formatLocalDate(new Date(promo.endDate)) : ''
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = (id) => {
+    setConfirmModal({ isOpen: true, promoId: id });
+  };
+
+  const confirmDelete = async () => {
+    setIsDeleting(true);
+    try {
+      await axios.delete(`/promos/${confirmModal.promoId}`);
+      toast.success('Promo code deleted successfully');
+      setConfirmModal({ isOpen: false, promoId: null });
+      fetchPromos();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const toggleActive = async (promo) => {
+    try {
+      await axios.put(`/promos/${promo._id}`, {
+        isActive: !promo.isActive
+      });
+      toast.success(`Promo code ${promo.isActive ? 'deactivated' : 'activated'} successfully`);
+      fetchPromos();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const getStatus = (promo) => {
+    const now = new Date();
+    if (!promo.isActive) return { label: 'Inactive', className: 'bg-red-100 text-red-800' };
+    if (promo.endDate && new Date(promo.endDate) < now) return { label: 'Expired', className: 'bg-gray-100 text-gray-800' };
+    if (promo.startDate && new Date(promo.startDate) > now) return { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' };
+    if (promo.usageLimit && promo.usageCount >= promo.usageLimit) return { label: 'Used Up', className: 'bg-gray-100 text-gray-800' };
+    return { label: 'Active', className: 'bg-green-100 text-green-800' };
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Promo Codes</h1>
+        <button
+          onClick={() => {
+            setEditingPromo(null);
+            reset({ discountType: 'percentage' });
+            setShowModal(true);
+          }}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+        >
+          Add Promo Code
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Valid</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Usage</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {promos.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                  No promo codes found. Create your first promo code!
+                </td>
+              </tr>
+            ) : (
+              promos.map((promo) => {
+                const status = getStatus(promo);
+
+                return (
+                  <tr key={promo._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{promo.code}</div>
+                      {promo.description && <div className="text-xs text-gray-500">{promo.description}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {promo.discountType === 'percentage'
+                        ? `${promo.discountValue}%`
+                        : formatCurrencyDisplay(promo.discountValue)}
+                      {promo.maxDiscount ? (
+                        <div className="text-xs text-gray-500">Up to {formatCurrencyDisplay(promo.maxDiscount)}</div>
+                      ) : null}
+                      {promo.minPurchase > 0 && (
+                        <div className="text-xs text-gray-500">Min. {formatCurrencyDisplay(promo.minPurchase)}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {promo.startDate || promo.endDate
+                        ? `${promo.startDate ? formatDate(promo.startDate) : 'Any time'} - ${promo.endDate ? formatDate(promo.endDate) : 'No end'}`
+                        : 'Always'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {promo.usageCount}{promo.usageLimit ? ` / ${promo.usageLimit}` : ''}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${status.className}`}>
+                        {status.label}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap space-x-2">
+                      <button
+                        onClick={() => handleEdit(promo)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => toggleActive(promo)}
+                        className={`${
+                          promo.isActive
+                            ? 'text-orange-600 hover:text-orange-800'
+                            : 'text-green-600 hover:text-green-800'
+                        }`}
+                      >
+                        {promo.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                      {promo.usageCount === 0 && (
+                        <button
+                          onClick={() => handleDelete(promo._id)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => {
+          if (!isDeleting) {
+            setConfirmModal({ isOpen: false, promoId: null });
+          }
+        }}
+        onConfirm={confirmDelete}
+        title="Delete Promo Code"
+        message="Are you sure you want to delete this promo code? This action cannot be undone."
+        confirmText="Delete"
+        variant="danger"
+        isLoading={isDeleting}
+      />
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingPromo ? 'Edit Promo Code' : 'Add Promo Code'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Code *</label>
+                <input
+                  {...register('code', {
+                    required: 'Promo code is required',
+                    maxLength: { value: 30, message: 'Promo code cannot exceed 30 characters' },
+                    pattern: {
+                      value: /^[A-Za-z0-9_-]+$/,
+                      message: 'Use letters, numbers, dashes and underscores only'
+                    }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg uppercase"
+                />
+                {errors.code && (
+                  <p className="text-red-600 text-sm">{errors.code.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Description</label>
+                <input
+                  {...register('description', {
+                    maxLength: { value: 200, message: 'Description cannot exceed 200 characters' }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.description && (
+                  <p className="text-red-600 text-sm">{errors.description.message}</p>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Type *</label>
+                  <select
+                    {...register('discountType', { required: 'Discount type is required' })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="percentage">Percentage (%)</option>
+                    <option value="fixed">Fixed Amount (₱)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Value *</label>
+                  <input
+                    {...register('discountValue', {
+                      required: 'Discount value is required',
+                      min: { value: 0, message: 'Value must be positive' },
+                      max: discountType === 'percentage'
+                        ? { value: 100, message: 'Percentage cannot exceed 100' }
+                        : undefined
+                    })}
+                    type="number"
+                    step="0.01"
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.discountValue && (
+                    <p className="text-red-600 text-sm">{errors.discountValue.message}</p>
+                  )}
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Max Discount (₱)</label>
+                  <input
+                    {...register('maxDiscount', { min: { value: 0, message: 'Must be positive' } })}
+                    type="number"
+                    step="0.01"
+                    disabled={discountType !== 'percentage'}
+                    className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-100"
+                    placeholder="No cap"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Min. Purchase (₱)</label>
+                  <input
+                    {...register('minPurchase', { min: { value: 0, message: 'Must be positive' } })}
+                    type="number"
+                    step="0.01"
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="None"
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Start Date</label>
+                  <input
+                    {...register('startDate')}
+                    type="date"
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">End Date</label>
+                  <input
+                    {...register('endDate', {
+                      validate: (value, values) => !value || !values.startDate || value >= values.startDate || 'End date cannot be before start date'
+                    })}
+                    type="date"
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.endDate && (
+                    <p className="text-red-600 text-sm">{errors.endDate.message}</p>
+                  )}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Usage Limit</label>
+                <input
+                  {...register('usageLimit', { min: { value: 1, message: 'Usage limit must be at least 1' } })}
+                  type="number"
+                  className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="Unlimited"
+                />
+                {errors.usageLimit && (
+                  <p className="text-red-600 text-sm">{errors.usageLimit.message}</p>
+                )}
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? (editingPromo ? 'Updating...' : 'Creating...') : (editingPromo ? 'Update' : 'Create')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowModal(false);
+                    setEditingPromo(null);
+                    reset();
+                  }}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Promos;
@@ -0,0 +1,671 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import ConfirmModal from '../components/ConfirmModal';
+import ReceivePurchaseOrderModal from '../components/ReceivePurchaseOrderModal';
+import { formatCurrencyDisplay, formatDate } from '../utils/utils';
+import { itemName, lineKey, variantName } from '../utils/variant';
+import { baseUnit, formatQuantity, productUnits } from '../utils/units';
+
+const PO_STATUSES = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  sent: { label: 'Sent', className: 'bg-blue-100 text-blue-800' },
+  confirmed: { label: 'Confirmed', className: 'bg-indigo-100 text-indigo-800' },
+  partially_received: { label: 'Partially Received', className: 'bg-yellow-100 text-yellow-800' },
+  closed: { label: 'Closed', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-800' }
+};
+
+// Status changes that only need a confirmation
+const STATUS_ACTIONS = {
+  send: {
+    title: 'Send Purchase Order',
+    message: 'Send this purchase order to the supplier? It can no longer be edited afterwards.',
+    confirmText: 'Send',
+    variant: 'info',
+    success: 'Purchase order sent'
+  },
+  confirm: {
+    title: 'Confirm Purchase Order',
+    message: 'Confirm that this order will be delivered as listed?',
+    confirmText: 'Confirm',
+    variant: 'info',
+    success: 'Purchase order confirmed'
+  },
+  close: {
+    title: 'Close Purchase Order',
+    message: 'Close this order without receiving the outstanding quantities?',
+    confirmText: 'Close Order',
+    variant: 'warning',
+    success: 'Purchase order closed'
+  },
+  cancel: {
+    title: 'Cancel Purchase Order',
+    message: 'Cancel this purchase order? This action cannot be undone.',
+    confirmText: 'Cancel Order',
+    variant: 'danger',
+    success: 'Purchase order cancelled'
+  }
+};
+
+const emptyLine = () => ({ product: '', variant: '', unit: '', quantity: 1, unitCost: '' });
+
+const PurchaseOrders = () => {
+  const { isAdmin, isSupplier } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [suppliers, setSuppliers] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [supplierProducts, setSupplierProducts] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [form, setForm] = useState({ supplier: '', location: '', expectedDate: '', notes: '', items: [emptyLine()] });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [viewingOrder, setViewingOrder] = useState(null);
+  const [receivingOrder, setReceivingOrder] = useState(null);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, order: null, action: null });
+  const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchSuppliers();
+      fetchLocations();
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    if (showModal && form.supplier) {
+      fetchSupplierProducts(form.supplier);
+    } else {
+      setSupplierProducts([]);
+    }
+  }, [showModal, form.supplier]);
+
+  const fetchOrders = async () => {
+    try {
+      const params = statusFilter ? { status: statusFilter } : {};
+      const response = await axios.get('/purchase-orders', { params });
+      setOrders(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await axios.get('/suppliers');
+      setSuppliers(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch suppliers');
+    }
+  };
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations', { params: { isActive: true } });
+      setLocations(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch locations');
+    }
+  };
+
+  const fetchSupplierProducts = async (supplierId) => {
+    try {
+      const response = await axios.get('/products', { params: { supplier: supplierId, isActive: true } });
+      setSupplierProducts(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch supplier products');
+    }
+  };
+
+  const replaceOrder = (updated) => {
+    setOrders(orders.map(order => (order._id === updated._id ? updated : order)));
+  };
+
+  const openCreate = () => {
+    setEditingOrder(null);
+    setForm({ supplier: '', location: '', expectedDate: '', notes: '', items: [emptyLine()] });
+    setShowModal(true);
+  };
+
+  const openEdit = (order) => {
+    setEditingOrder(order);
+    setForm({
+      supplier: order.supplier?._id || order.supplier,
+      // The default location is the blank choice
+      location: locations.some(location => location._id === order.location?._id && !location.isDefault)
+        ? order.location._id
+        : '',
+      expectedDate: order.expectedDate ? order.expectedDate.slice(0, 10) : '',
+      notes: order.notes || '',
+      items: order.items.map(item => ({
+        product: item.product?._id || item.product,
+        variant: item.variant || '',
+        unit: item.unit || '',
+        quantity: item.quantityOrdered,
+        unitCost: item.unitCost
+      }))
+    });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    if (!isSubmitting) {
+      setShowModal(false);
+      setEditingOrder(null);
+    }
+  };
+
+  const updateLine = (index, changes) => {
+    setForm({
+      ...form,
+      items: form.items.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    });
+  };
+
+  const removeLine = (index) => {
+    setForm({ ...form, items: form.items.filter((_, i) => i !== index) });
+  };
+
+  // Products with variants are ordered per variant
+  const orderableItems = supplierProducts.flatMap(product => (
+    product.variants?.length > 0
+      ? product.variants.map(variant => ({
+        key: lineKey(product._id, variant._id),
+        product: product._id,
+        variant: variant._id,
+        label: `${itemName(product.name, variantName(variant))} (stock: ${formatQuantity(variant.stockQuantity, baseUnit(product))})`
+      }))
+      : [{
+        key: lineKey(product._id),
+        product: product._id,
+        variant: '',
+        label: `${product.name} (stock: ${formatQuantity(product.stockQuantity, baseUnit(product))})`
+      }]
+  ));
+
+  const selectOrderable = (index, key) => {
+    const orderable = orderableItems.find(entry => entry.key === key);
+    updateLine(index, { product: orderable?.product || '', variant: orderable?.variant || '', unit: '' });
+  };
+
+  // Units a line can be ordered in, e.g. pieces or cases
+  const lineUnits = (line) => {
+    const product = supplierProducts.find(entry => entry._id === line.product);
+    return product ? productUnits(product) : [];
+  };
+
+  const formTotal = form.items.reduce(
+    (sum, line) => sum + (parseFloat(line.quantity) || 0) * (parseFloat(line.unitCost) || 0),
+    0
+  );
+  const formSupplier = suppliers.find(supplier => supplier._id === form.supplier);
+  // Inactive suppliers take no new orders; keep the one a draft already has selectable
+  const orderableSuppliers = suppliers.filter(supplier => supplier.isActive !== false || supplier._id === form.supplier);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = form.items.filter(line => line.product);
+    if (items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+
+    const payload = {
+      supplier: form.supplier,
+      location: form.location || undefined,
+      expectedDate: form.expectedDate || null,
+      notes: form.notes,
+      items: items.map(line => ({
+        product: line.product,
+        variant: line.variant || undefined,
+        unit: line.unit || undefined,
+        quantity: parseFloat(line.quantity),
+        unitCost: parseFloat(line.unitCost) || 0
+      }))
+    };
+
+    setIsSubmitting(true);
+    try {
+      if (editingOrder) {
+        await axios.put(`/purchase-orders/${editingOrder._id}`, payload);
+        toast.success('Purchase order updated successfully');
+      } else {
+        const response = await axios.post('/purchase-orders', payload);
+        toast.success(`Purchase order ${response.data.data.poNumber} created`);
+      }
+      setShowModal(false);
+      setEditingOrder(null);
+      fetchOrders();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const confirmStatusChange = async () => {
+    const { order, action } = confirmModal;
+    setIsUpdatingStatus(true);
+    try {
+      const response = await axios.put(`/purchase-orders/${order._id}/${action}`);
+      toast.success(STATUS_ACTIONS[action].success);
+      setConfirmModal({ isOpen: false, order: null, action: null });
+      replaceOrder(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  const renderActions = (order) => {
+    const actions = [];
+    const askFor = (action) => () => setConfirmModal({ isOpen: true, order, action });
+
+    actions.push({ label: 'View', onClick: () => setViewingOrder(order), className: 'text-gray-600 hover:text-gray-800' });
+
+    if (isAdmin) {
+      if (order.status === 'draft') {
+        actions.push({ label: 'Edit', onClick: () => openEdit(order), className: 'text-blue-600 hover:text-blue-800' });
+        actions.push({ label: 'Send', onClick: askFor('send'), className: 'text-blue-600 hover:text-blue-800' });
+      }
+      if (['sent', 'confirmed', 'partially_received'].includes(order.status)) {
+        actions.push({ label: 'Receive', onClick: () => setReceivingOrder(order), className: 'text-green-600 hover:text-green-800' });
+      }
+      if (order.status === 'partially_received') {
+        actions.push({ label: 'Close', onClick: askFor('close'), className: 'text-orange-600 hover:text-orange-800' });
+      }
+      if (['draft', 'sent', 'confirmed'].includes(order.status)) {
+        actions.push({ label: 'Cancel', onClick: askFor('cancel'), className: 'text-red-600 hover:text-red-800' });
+      }
+    }
+
+    if (order.status === 'sent' && (isAdmin || isSupplier)) {
+      actions.push({ label: 'Confirm', onClick: askFor('confirm'), className: 'text-indigo-600 hover:text-indigo-800' });
+    }
+
+    return actions.map(action => (
+      <button key={action.label} onClick={action.onClick} className={`text-sm ${action.className}`}>
+        {action.label}
+      </button>
+    ));
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Purchase Orders</h1>
+        <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(PO_STATUSES)
+              .filter(([value]) => isAdmin || value !== 'draft')
+              .map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+          </select>
+          {isAdmin && (
+            <button
+              onClick={openCreate}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+            >
+              New Purchase Order
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">PO #</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total Cost</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expected</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {orders.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                  No purchase orders found
+                </td>
+              </tr>
+            ) : (
+              orders.map((order) => (
+                <tr key={order._id}>
+                  <td className="px-6 py-4 whitespace-nowrap font-semibold">{order.poNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{order.supplier?.companyName || '-'}</td>
+                  <td className="px-6 py-4">
+                    <ul className="text-sm space-y-1">
+                      {order.items.map((item, index) => (
+                        <li key={index}>
+                          {itemName(item.product?.name || 'Unknown', item.variantName)} × {formatQuantity(item.quantityOrdered, item.unit)}
+                          {item.quantityReceived > 0 && (
+                            <span className="text-gray-500"> ({item.quantityReceived} received)</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap font-semibold">{formatCurrencyDisplay(order.totalCost)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs rounded-full ${PO_STATUSES[order.status]?.className}`}>
+                      {PO_STATUSES[order.status]?.label || order.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">{formatDate(order.expectedDate)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap space-x-3">{renderActions(order)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => {
+          if (!isUpdatingStatus) {
+            setConfirmModal({ isOpen: false, order: null, action: null });
+          }
+        }}
+        onConfirm={confirmStatusChange}
+        title={STATUS_ACTIONS[confirmModal.action]?.title}
+        message={STATUS_ACTIONS[confirmModal.action]?.message}
+        confirmText={STATUS_ACTIONS[confirmModal.action]?.confirmText}
+        variant={STATUS_ACTIONS[confirmModal.action]?.variant}
+        isLoading={isUpdatingStatus}
+      />
+
+      <ReceivePurchaseOrderModal
+        order={receivingOrder}
+        onClose={() => setReceivingOrder(null)}
+        onReceived={(updated) => {
+          setReceivingOrder(null);
+          replaceOrder(updated);
+        }}
+      />
+
+      {viewingOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => setViewingOrder(null)}>
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{viewingOrder.poNumber}</h2>
+                <p className="text-sm text-gray-600">
+                  {viewingOrder.supplier?.companyName}
+                  {viewingOrder.location && ` · Deliver to ${viewingOrder.location.name}`}
+                  {' '}· Created by {viewingOrder.createdBy?.username || '-'} on {formatDate(viewingOrder.createdAt)}
+                </p>
+              </div>
+              <span className={`px-2 py-1 text-xs rounded-full ${PO_STATUSES[viewingOrder.status]?.className}`}>
+                {PO_STATUSES[viewingOrder.status]?.label}
+              </span>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                    <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Received</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Line Total</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {viewingOrder.items.map((item, index) => (
+                    <tr key={index}>
+                      <td className="px-3 py-2">{itemName(item.product?.name || 'Unknown', item.variantName)}</td>
+                      <td className="px-3 py-2 text-center">{formatQuantity(item.quantityOrdered, item.unit)}</td>
+                      <td className="px-3 py-2 text-center">{item.quantityReceived}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrencyDisplay(item.unitCost)}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrencyDisplay(item.unitCost * item.quantityOrdered)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-between font-bold border-t pt-3 mt-2">
+              <span>Total Cost:</span>
+              <span>{formatCurrencyDisplay(viewingOrder.totalCost)}</span>
+            </div>
+
+            {viewingOrder.notes && (
+              <p className="text-sm text-gray-600 mt-3">Notes: {viewingOrder.notes}</p>
+            )}
+            {viewingOrder.confirmedAt && (
+              <p className="text-sm text-gray-600 mt-1">
+                Confirmed by {viewingOrder.confirmedBy?.username || '-'} on {formatDate(viewingOrder.confirmedAt)}
+              </p>
+            )}
+
+            {viewingOrder.receipts?.length > 0 && (
+              <div className="mt-4">
+                <h3 className="font-semibold mb-2">Deliveries</h3>
+                <ul className="space-y-2 text-sm">
+                  {viewingOrder.receipts.map(receipt => (
+                    <li key={receipt._id} className="border rounded p-2">
+                      <div className="text-gray-600">
+                        {new Date(receipt.receivedAt).toLocaleString()} · {receipt.receivedBy?.username || '-'}
+                        {receipt.notes && ` · ${receipt.notes}`}
+                      </div>
+                      {receipt.items.map((item, index) => {
+                        const line = viewingOrder.items.find(orderLine =>
+                          lineKey(orderLine.product?._id || orderLine.product, orderLine.variant) === lineKey(item.product, item.variant)
+                        );
+                        return (
+                          <div key={index}>
+                            {itemName(line?.product?.name || 'Unknown', line?.variantName)} × {formatQuantity(item.quantity, line?.unit)} @ {formatCurrencyDisplay(item.unitCost)}
+                          </div>
+                        );
+                      })}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <button
+              type="button"
+              onClick={() => setViewingOrder(null)}
+              className="w-full bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 mt-4"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingOrder ? `Edit ${editingOrder.poNumber}` : 'New Purchase Order'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Supplier *</label>
+                  <select
+                    value={form.supplier}
+                    onChange={(e) => setForm({ ...form, supplier: e.target.value, items: [emptyLine()] })}
+                    required
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Select supplier</option>
+                    {orderableSuppliers.map(supplier => (
+                      <option key={supplier._id} value={supplier._id}>{supplier.companyName}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Deliver To</label>
+                  <select
+                    value={form.location}
+                    onChange={(e) => setForm({ ...form, location: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Default location</option>
+                    {locations.filter(location => !location.isDefault).map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Expected Delivery</label>
+                  <input
+                    type="date"
+                    value={form.expectedDate}
+                    onChange={(e) => setForm({ ...form, expectedDate: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Items *</label>
+                <div className="space-y-2">
+                  {form.items.map((line, index) => (
+                    <div key={index} className="flex flex-col sm:flex-row gap-2">
+                      <select
+                        value={line.product ? lineKey(line.product, line.variant) : ''}
+                        onChange={(e) => selectOrderable(index, e.target.value)}
+                        disabled={!form.supplier}
+                        className="flex-1 px-3 py-2 border rounded-lg"
+                      >
+                        <option value="">Select product</option>
+                        {orderableItems
+                          .filter(entry => entry.key === lineKey(line.product, line.variant)
+                            || !form.items.some(other => other.product && lineKey(other.product, other.variant) === entry.key))
+                          .map(entry => (
+                            <option key={entry.key} value={entry.key}>
+                              {entry.label}
+                            </option>
+                          ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                        required
+                        className="w-full sm:w-24 px-3 py-2 border rounded-lg"
+                        placeholder="Qty"
+                      />
+                      {lineUnits(line).length > 1 && (
+                        <select
+                          value={line.unit || lineUnits(line)[0].name}
+                          onChange={(e) => updateLine(index, { unit: e.target.value })}
+                          className="w-full sm:w-24 px-3 py-2 border rounded-lg"
+                        >
+                          {lineUnits(line).map(unit => (
+                            <option key={unit.name} value={unit.name}>{unit.name}</option>
+                          ))}
+                        </select>
+                      )}
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.unitCost}
+                        onChange={(e) => updateLine(index, { unitCost: e.target.value })}
+                        required
+                        className="w-full sm:w-32 px-3 py-2 border rounded-lg"
+                        placeholder="Unit cost"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeLine(index)}
+                        disabled={form.items.length === 1}
+                        className="text-red-600 hover:text-red-800 text-sm disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, items: [...form.items, emptyLine()] })}
+                  disabled={!form.supplier}
+                  className="mt-2 text-blue-600 hover:text-blue-800 text-sm disabled:opacity-50"
+                >
+                  + Add item
+                </button>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={form.notes}
+                  maxLength={500}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  rows="2"
+                />
+              </div>
+
+              <div className="flex justify-between text-lg font-bold border-t pt-3">
+                <span>Total Cost:</span>
+                <span>{formatCurrencyDisplay(formTotal)}</span>
+              </div>
+              {formTotal < (formSupplier?.minimumOrderValue || 0) && (
+                <p className="text-sm text-red-600">
+                  Below {formSupplier.companyName}'s minimum order of {formatCurrencyDisplay(formSupplier.minimumOrderValue)}; it cannot be sent until the total reaches it
+                </p>
+              )}
+
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : editingOrder ? 'Save Draft' : 'Create Draft'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
@@ -0,0 +1,268 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { formatCurrencyDisplay } from '../utils/utils';
+import { itemName, lineKey } from '../utils/variant';
+import { formatQuantity } from '../utils/units';
+
+const ReorderSuggestions = () => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [days, setDays] = useState('');
+  const [coverageDays, setCoverageDays] = useState('');
+  const [locationFilter, setLocationFilter] = useState('');
+  const [locations, setLocations] = useState([]);
+  // Quantities to order, keyed by product and variant; unticked lines are left off the order
+  const [quantities, setQuantities] = useState({});
+  const [excluded, setExcluded] = useState(new Set());
+  const [creatingFor, setCreatingFor] = useState(null);
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, [locationFilter]);
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  const fetchSuggestions = async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      if (days) params.days = days;
+      if (coverageDays) params.coverageDays = coverageDays;
+      if (locationFilter) params.location = locationFilter;
+      const response = await axios.get('/inventory/reorder-suggestions', { params });
+      setGroups(response.data.data);
+      setDays(String(response.data.days));
+      setCoverageDays(String(response.data.coverageDays));
+      setQuantities({});
+      setExcluded(new Set());
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations', { params: { isActive: true } });
+      setLocations(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch locations');
+    }
+  };
+
+  const quantityOf = (item) => quantities[lineKey(item.product, item.variant)] ?? item.suggestedQuantity;
+
+  const toggleLine = (item) => {
+    const key = lineKey(item.product, item.variant);
+    const next = new Set(excluded);
+    if (next.has(key)) {
+      next.delete(key);
+    } else {
+      next.add(key);
+    }
+    setExcluded(next);
+  };
+
+  const orderLines = (group) => group.items.filter(item => (
+    !excluded.has(lineKey(item.product, item.variant)) && parseFloat(quantityOf(item)) > 0
+  ));
+
+  const createDraftOrder = async (group) => {
+    const items = orderLines(group);
+    if (items.length === 0) {
+      toast.error('Choose at least one product to order');
+      return;
+    }
+
+    setCreatingFor(group.supplier._id);
+    try {
+      const response = await axios.post('/purchase-orders', {
+        supplier: group.supplier._id,
+        location: locationFilter || undefined,
+        notes: 'Created from reorder suggestions',
+        items: items.map(item => ({
+          product: item.product,
+          variant: item.variant || undefined,
+          quantity: parseFloat(quantityOf(item)),
+          unitCost: item.unitCost
+        }))
+      });
+      toast.success(`Draft purchase order ${response.data.data.poNumber} created`);
+      // Ordered goods count as on order, so the lines drop off the suggestions
+      fetchSuggestions();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setCreatingFor(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Reorder Suggestions</h1>
+          <p className="text-sm text-gray-600">
+            Based on average daily sales, each supplier's lead time and safety stock. Goods already on order are taken into account.
+          </p>
+        </div>
+        <Link to="/purchase-orders" className="text-blue-600 hover:text-blue-800 text-sm">
+          View purchase orders →
+        </Link>
+      </div>
+
+      <div className="bg-white p-4 rounded-lg shadow mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium mb-1">Sales history (days)</label>
+            <input
+              type="number"
+              min="7"
+              max="365"
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Order coverage (days)</label>
+            <input
+              type="number"
+              min="1"
+              max="180"
+              value={coverageDays}
+              onChange={(e) => setCoverageDays(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg"
+            />
+          </div>
+          {locations.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Location</label>
+              <select
+                value={locationFilter}
+                onChange={(e) => setLocationFilter(e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="">All locations</option>
+                {locations.map(location => (
+                  <option key={location._id} value={location._id}>{location.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <button
+            onClick={fetchSuggestions}
+            disabled={loading}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Calculating...' : 'Recalculate'}
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center">Loading...</div>
+      ) : groups.length === 0 ? (
+        <div className="bg-white p-6 rounded-lg shadow text-center text-gray-500">
+          Nothing needs reordering at the current sales rate
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {groups.map(group => {
+            const lines = orderLines(group);
+            const orderTotal = lines.reduce((sum, item) => sum + (parseFloat(quantityOf(item)) || 0) * item.unitCost, 0);
+
+            return (
+              <div key={group.supplier._id} className="bg-white rounded-lg shadow overflow-hidden">
+                <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 p-4 border-b">
+                  <div>
+                    <h2 className="text-lg font-semibold">{group.supplier.companyName}</h2>
+                    <p className="text-sm text-gray-600">
+                      Lead time {group.supplier.leadTimeDays} days · Safety stock {group.supplier.safetyStockDays} days
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <div className="text-right">
+                      <div className="text-sm font-medium">{formatCurrencyDisplay(orderTotal)}</div>
+                      {orderTotal < group.supplier.minimumOrderValue && (
+                        <div className="text-xs text-red-600">
+                          Below minimum order of {formatCurrencyDisplay(group.supplier.minimumOrderValue)}
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => createDraftOrder(group)}
+                      disabled={creatingFor !== null || lines.length === 0}
+                      className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {creatingFor === group.supplier._id ? 'Creating...' : 'Create Draft PO'}
+                    </button>
+                  </div>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sold / Day</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">In Stock</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">On Order</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Days Left</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Reorder Point</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {group.items.map(item => {
+                        const key = lineKey(item.product, item.variant);
+                        return (
+                          <tr key={key} className={excluded.has(key) ? 'opacity-50' : ''}>
+                            <td className="px-4 py-2">
+                              <input type="checkbox" checked={!excluded.has(key)} onChange={() => toggleLine(item)} />
+                            </td>
+                            <td className="px-4 py-2">
+                              <div>{itemName(item.name, item.variantName)}</div>
+                              {item.sku && <div className="text-xs text-gray-500">{item.sku}</div>}
+                            </td>
+                            <td className="px-4 py-2 text-right">{item.avgDailySales}</td>
+                            <td className="px-4 py-2 text-right">{formatQuantity(item.stockQuantity, item.unit)}</td>
+                            <td className="px-4 py-2 text-right">{formatQuantity(item.onOrder, item.unit)}</td>
+                            <td className={`px-4 py-2 text-right ${item.daysOfStock < group.supplier.leadTimeDays ? 'text-red-600 font-medium' : ''}`}>
+                              {item.daysOfStock}
+                            </td>
+                            <td className="px-4 py-2 text-right">{item.reorderPoint}</td>
+                            <td className="px-4 py-2 text-right">
+                              <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={quantityOf(item)}
+                                onChange={(e) => setQuantities({ ...quantities, [key]: e.target.value })}
+                                disabled={excluded.has(key)}
+                                className="w-24 px-2 py-1 border rounded text-right"
+                              />
+                            </td>
+                            <td className="px-4 py-2 text-right">{formatCurrencyDisplay(item.unitCost)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReorderSuggestions;
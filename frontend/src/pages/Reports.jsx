@@ -2,6 +2,8 @@ import { useState, useEffect, lazy, Suspense } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { formatCurrency, formatCurrencyDisplay, formatPaymentMethod, formatLocalDate } from '../utils/utils';
+import { itemName, lineKey } from '../utils/variant';
+import { formatQuantity } from '../utils/units';
 
 // Lazy load heavy libraries - only load when needed
 const loadRecharts = () => import('recharts').then(module => ({
@@ -29,6 +31,17 @@ const loadDateFns = () => import('date-fns').then(module => ({
   format: module.format,
 }));
 
+const LOYALTY_ACTIVITY = {
+  earn: 'Earned',
+  redeem: 'Redeemed',
+  void_earn: 'Earned (voided sales)',
+  void_redeem: 'Redeemed (voided sales)',
+  return_earn: 'Earned (returned items)',
+  return_redeem: 'Redeemed (returned items)',
+  expire: 'Expired',
+  adjustment: 'Adjustments'
+};
+
 // Chart components with lazy loading
 const ChartWrapper = ({ reportType, reportData }) => {
   const [chartComponents, setChartComponents] = useState(null);
@@ -63,6 +76,7 @@ const ChartWrapper = ({ reportType, reportData }) => {
           <Tooltip />
           <Legend />
           <Line type="monotone" dataKey="revenue" stroke="#8884d8" name="Revenue (₱)" />
+          <Line type="monotone" dataKey="netRevenue" stroke="#ff7300" name="Net of Refunds (₱)" />
           <Line type="monotone" dataKey="sales" stroke="#82ca9d" name="Number of Sales" />
         </LineChart>
       </ResponsiveContainer>
@@ -72,9 +86,9 @@ const ChartWrapper = ({ reportType, reportData }) => {
   if (reportType === 'top-products' && reportData?.data) {
     return (
       <ResponsiveContainer width="100%" height={300}>
-        <BarChart data={reportData.data}>
+        <BarChart data={reportData.data.map(product => ({ ...product, name: itemName(product.productName, product.variantName) }))}>
           <CartesianGrid strokeDasharray="3 3" />
-          <XAxis dataKey="productName" angle={-45} textAnchor="end" height={100} />
+          <XAxis dataKey="name" angle={-45} textAnchor="end" height={100} />
           <YAxis />
           <Tooltip />
           <Legend />
@@ -101,6 +115,22 @@ const Reports = () => {
   const [endDate, setEndDate] = useState(formatLocalDate(new Date()));
   const [reportData, setReportData] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [locations, setLocations] = useState([]);
+  // Blank covers all locations
+  const [location, setLocation] = useState('');
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations');
+      setLocations(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch locations');
+    }
+  };
 
   // Clear report data when report type changes
   useEffect(() => {
@@ -116,18 +146,25 @@ const Reports = () => {
     setLoading(true);
     try {
       let response;
+      const params = { location: location || undefined };
       switch (reportType) {
         case 'sales':
-          response = await axios.get(`/reports/sales?startDate=${startDate}&endDate=${endDate}`);
+          response = await axios.get(`/reports/sales?startDate=${startDate}&endDate=${endDate}`, { params });
           break;
         case 'inventory':
-          response = await axios.get('/reports/inventory');
+          response = await axios.get('/reports/inventory', { params });
           break;
         case 'top-products':
-          response = await axios.get(`/reports/top-products?startDate=${startDate}&endDate=${endDate}&limit=10`);
+          response = await axios.get(`/reports/top-products?startDate=${startDate}&endDate=${endDate}&limit=10`, { params });
           break;
         case 'revenue-trends':
-          response = await axios.get(`/reports/revenue-trends?startDate=${startDate}&endDate=${endDate}&groupBy=day`);
+          response = await axios.get(`/reports/revenue-trends?startDate=${startDate}&endDate=${endDate}&groupBy=day`, { params });
+          break;
+        case 'margins':
+          response = await axios.get(`/reports/margins?startDate=${startDate}&endDate=${endDate}`, { params });
+          break;
+        case 'loyalty':
+          response = await axios.get(`/reports/loyalty?startDate=${startDate}&endDate=${endDate}`);
           break;
         default:
           return;
@@ -185,9 +222,25 @@ const Reports = () => {
       doc.setFont(undefined, 'normal');
       const summaryData = [
         ['Total Sales', (reportData.summary?.totalSales ?? 0).toString()],
+        ['Gross Sales', formatCurrency(reportData.summary?.grossSales ?? 0)],
+        ['Item Discounts', formatCurrency(reportData.summary?.discountBreakdown?.lineDiscount ?? 0)],
+        ['Sale Discounts', formatCurrency(reportData.summary?.discountBreakdown?.saleDiscount ?? 0)],
+        ['Promo Discounts', formatCurrency(reportData.summary?.discountBreakdown?.promoDiscount ?? 0)],
+        ['SC/PWD Discounts', formatCurrency(reportData.summary?.discountBreakdown?.seniorPwdDiscount ?? 0)],
+        ['Total Discounts', formatCurrency(reportData.summary?.totalDiscount ?? 0)],
         ['Total Revenue', formatCurrency(reportData.summary?.totalRevenue ?? 0)],
+        [`Refunds (${reportData.summary?.returnCount ?? 0} returns)`, formatCurrency(reportData.summary?.totalRefunds ?? 0)],
+        ['Net Revenue', formatCurrency(reportData.summary?.netRevenue ?? reportData.summary?.totalRevenue ?? 0)],
         ['Average Sale Value', formatCurrency(reportData.summary?.averageSaleValue ?? 0)],
-        ['Total VAT (12%)', formatCurrency(reportData.summary?.totalVAT ?? 0)]
+        ['Net Sales (excl. VAT)', formatCurrency(reportData.summary?.netSalesExVAT ?? 0)],
+        ['Cost of Goods Sold', formatCurrency(reportData.summary?.costOfGoods ?? 0)],
+        ['Gross Profit', formatCurrency(reportData.summary?.grossProfit ?? 0)],
+        ['Gross Margin', `${(reportData.summary?.marginPercent ?? 0).toFixed(2)}%`],
+        ['VATable Sales', formatCurrency(reportData.summary?.vatableSales ?? 0)],
+        ['VAT-Exempt Sales', formatCurrency(reportData.summary?.vatExemptSales ?? 0)],
+        ['Zero-Rated Sales', formatCurrency(reportData.summary?.zeroRatedSales ?? 0)],
+        ['Total VAT', formatCurrency(reportData.summary?.totalVAT ?? 0)],
+        ['VAT Refunded', formatCurrency(reportData.summary?.refundedVAT ?? 0)]
       ];
 
       autoTable(doc, {
@@ -202,6 +255,67 @@ const Reports = () => {
 
       yPosition = doc.lastAutoTable.finalY + 10;
 
+      // VAT by tax class
+      if (reportData.taxBreakdown?.length > 0) {
+        if (yPosition > 250) {
+          doc.addPage();
+          yPosition = margin;
+        }
+
+        doc.setFontSize(14);
+        doc.setFont(undefined, 'bold');
+        doc.text('VAT by Tax Class', margin, yPosition);
+        yPosition += 8;
+
+        autoTable(doc, {
+          startY: yPosition,
+          head: [['Tax Class', 'Rate', 'Taxable Amount', 'VAT']],
+          body: reportData.taxBreakdown.map(tax => [
+            `${tax.code} - ${tax.name}`,
+            `${tax.rate}%`,
+            formatCurrency(tax.taxableAmount),
+            formatCurrency(tax.taxAmount)
+          ]),
+          theme: 'grid',
+          headStyles: { fillColor: [59, 130, 246], textColor: 255, fontStyle: 'bold' },
+          margin: { left: margin, right: margin },
+          styles: { fontSize: 10 }
+        });
+
+        yPosition = doc.lastAutoTable.finalY + 10;
+      }
+
+      // Payment methods
+      if (reportData.paymentBreakdown?.length > 0) {
+        if (yPosition > 250) {
+          doc.addPage();
+          yPosition = margin;
+        }
+
+        doc.setFontSize(14);
+        doc.setFont(undefined, 'bold');
+        doc.text('Payment Methods', margin, yPosition);
+        yPosition += 8;
+
+        autoTable(doc, {
+          startY: yPosition,
+          head: [['Method', 'Payments', 'Amount', 'Refunds', 'Net']],
+          body: reportData.paymentBreakdown.map(payment => [
+            formatPaymentMethod(payment.method),
+            payment.count,
+            formatCurrency(payment.amount),
+            formatCurrency(payment.refunds),
+            formatCurrency(payment.netAmount)
+          ]),
+          theme: 'grid',
+          headStyles: { fillColor: [59, 130, 246], textColor: 255, fontStyle: 'bold' },
+          margin: { left: margin, right: margin },
+          styles: { fontSize: 10 }
+        });
+
+        yPosition = doc.lastAutoTable.finalY + 10;
+      }
+
       // Transactions List
       if (reportData.data && reportData.data.length > 0) {
         // Check if we need a new page
@@ -225,8 +339,8 @@ const Reports = () => {
           // Format items as bullet list - no truncation
           const itemsText = sale.items && sale.items.length > 0
             ? sale.items.map(item => {
-                const productName = item.product?.name || 'Unknown';
-                return `• ${productName} (${item.quantity}x)`;
+                const productName = itemName(item.product?.name || 'Unknown', item.variantName);
+                return `• ${productName} (${item.unit ? formatQuantity(item.quantity, item.unit) : `${item.quantity}x`})`;
               }).join('\n')
             : 'No items';
 
@@ -243,6 +357,7 @@ const Reports = () => {
             truncatedCustomer,
             itemsText,
             formatCurrency(sale.subtotal || 0),
+            formatCurrency(sale.discount || 0),
             formatCurrency(sale.tax || 0),
             formatCurrency(sale.total || 0),
             paymentShort,
@@ -256,7 +371,7 @@ const Reports = () => {
         
         autoTable(doc, {
           startY: yPosition,
-          head: [['Sale #', 'Date', 'Customer', 'Items', 'Subtotal', 'Tax', 'Total', 'Payment', 'Admin/Staff']],
+          head: [['Sale #', 'Date', 'Customer', 'Items', 'Subtotal', 'Discount', 'Tax', 'Total', 'Payment', 'Admin/Staff']],
           body: transactionsData,
           theme: 'grid',
           headStyles: { fillColor: [59, 130, 246], textColor: 255, fontStyle: 'bold', fontSize: 7 },
@@ -265,14 +380,15 @@ const Reports = () => {
           styles: { fontSize: 6, cellPadding: 1 },
           columnStyles: {
             0: { cellWidth: 18 }, // Sale #
-            1: { cellWidth: 22 }, // Date
-            2: { cellWidth: 20 }, // Customer
-            3: { cellWidth: 45, cellMinHeight: 8 }, // Items - increased width and min height for multi-line
-            4: { cellWidth: 18 }, // Subtotal
-            5: { cellWidth: 15 }, // Tax
-            6: { cellWidth: 18 }, // Total
-            7: { cellWidth: 18 }, // Payment
-            8: { cellWidth: 18 }  // Admin/Staff
+            1: { cellWidth: 18 }, // Date
+            2: { cellWidth: 18 }, // Customer
+            3: { cellWidth: 38, cellMinHeight: 8 }, // Items - increased width and min height for multi-line
+            4: { cellWidth: 16 }, // Subtotal
+            5: { cellWidth: 15 }, // Discount
+            6: { cellWidth: 14 }, // Tax
+            7: { cellWidth: 16 }, // Total
+            8: { cellWidth: 15 }, // Payment
+            9: { cellWidth: 14 }  // Admin/Staff
           },
           didParseCell: function (data) {
             // Reduce padding for all cells
@@ -300,7 +416,7 @@ const Reports = () => {
       <h1 className="text-2xl sm:text-3xl font-bold mb-6 sm:mb-8">Reports & Analytics</h1>
 
       <div className="bg-white p-4 sm:p-6 rounded-lg shadow mb-6">
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
           <div>
             <label className="block text-sm font-medium mb-2">Report Type</label>
             <select
@@ -312,8 +428,26 @@ const Reports = () => {
               <option value="inventory">Inventory Report</option>
               <option value="top-products">Top Products</option>
               <option value="revenue-trends">Revenue Trends</option>
+              <option value="margins">Margin by Category</option>
+              <option value="loyalty">Loyalty Points</option>
             </select>
           </div>
+          {/* Loyalty points belong to customers, not branches */}
+          {locations.length > 1 && reportType !== 'loyalty' && (
+            <div>
+              <label className="block text-sm font-medium mb-2">Location</label>
+              <select
+                value={location}
+                onChange={(e) => setLocation(e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="">All locations</option>
+                {locations.map(item => (
+                  <option key={item._id} value={item._id}>{item.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
           {reportType !== 'inventory' && (
             <>
               <div>
@@ -387,10 +521,115 @@ const Reports = () => {
                   <div className="text-2xl font-bold">{formatCurrencyDisplay(reportData.summary.averageSaleValue ?? 0)}</div>
                 </div>
                 <div>
-                  <div className="text-gray-600 text-sm">Total VAT (12%)</div>
+                  <div className="text-gray-600 text-sm">Total VAT</div>
                   <div className="text-2xl font-bold">{formatCurrencyDisplay(reportData.summary.totalVAT ?? 0)}</div>
                 </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Gross Sales</div>
+                  <div className="text-2xl font-bold">{formatCurrencyDisplay(reportData.summary.grossSales ?? 0)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Total Discounts</div>
+                  <div className="text-2xl font-bold text-green-700">{formatCurrencyDisplay(reportData.summary.totalDiscount ?? 0)}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Items {formatCurrencyDisplay(reportData.summary.discountBreakdown?.lineDiscount ?? 0)}
+                    {' · '}Sale {formatCurrencyDisplay(reportData.summary.discountBreakdown?.saleDiscount ?? 0)}
+                    {' · '}Promo {formatCurrencyDisplay(reportData.summary.discountBreakdown?.promoDiscount ?? 0)}
+                    {' · '}SC/PWD {formatCurrencyDisplay(reportData.summary.discountBreakdown?.seniorPwdDiscount ?? 0)}
+                  </div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Refunds</div>
+                  <div className="text-2xl font-bold text-red-600">{formatCurrencyDisplay(reportData.summary.totalRefunds ?? 0)}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {reportData.summary.returnCount ?? 0} return(s) · VAT {formatCurrencyDisplay(reportData.summary.refundedVAT ?? 0)}
+                  </div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Net Revenue</div>
+                  <div className="text-2xl font-bold">{formatCurrencyDisplay(reportData.summary.netRevenue ?? reportData.summary.totalRevenue ?? 0)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Gross Profit</div>
+                  <div className="text-2xl font-bold text-green-700">{formatCurrencyDisplay(reportData.summary.grossProfit ?? 0)}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {(reportData.summary.marginPercent ?? 0).toFixed(2)}% margin · Cost {formatCurrencyDisplay(reportData.summary.costOfGoods ?? 0)}
+                  </div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">VATable Sales</div>
+                  <div className="text-2xl font-bold">{formatCurrencyDisplay(reportData.summary.vatableSales ?? 0)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">VAT-Exempt / Zero-Rated</div>
+                  <div className="text-2xl font-bold">
+                    {formatCurrencyDisplay((reportData.summary.vatExemptSales ?? 0) + (reportData.summary.zeroRatedSales ?? 0))}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Exempt {formatCurrencyDisplay(reportData.summary.vatExemptSales ?? 0)}
+                    {' · '}Zero-rated {formatCurrencyDisplay(reportData.summary.zeroRatedSales ?? 0)}
+                  </div>
+                </div>
               </div>
+
+              {reportData.taxBreakdown?.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-lg font-semibold mb-2">VAT by Tax Class</h3>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Tax Class</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Taxable Amount</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">VAT</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {reportData.taxBreakdown.map(tax => (
+                          <tr key={tax.code}>
+                            <td className="px-4 py-2">{tax.code} - {tax.name}</td>
+                            <td className="px-4 py-2 text-right">{tax.rate}%</td>
+                            <td className="px-4 py-2 text-right">{formatCurrencyDisplay(tax.taxableAmount)}</td>
+                            <td className="px-4 py-2 text-right">{formatCurrencyDisplay(tax.taxAmount)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {reportData.paymentBreakdown?.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-lg font-semibold mb-2">Payment Methods</h3>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Payments</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Refunds</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {reportData.paymentBreakdown.map(payment => (
+                          <tr key={payment.method}>
+                            <td className="px-4 py-2">{formatPaymentMethod(payment.method)}</td>
+                            <td className="px-4 py-2 text-right">{payment.count}</td>
+                            <td className="px-4 py-2 text-right">{formatCurrencyDisplay(payment.amount)}</td>
+                            <td className="px-4 py-2 text-right">{formatCurrencyDisplay(payment.refunds)}</td>
+                            <td className="px-4 py-2 text-right font-semibold">{formatCurrencyDisplay(payment.netAmount)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">Cash amounts exclude change given back.</p>
+                </div>
+              )}
             </div>
           )}
 
@@ -403,8 +642,11 @@ const Reports = () => {
                   <div className="text-2xl font-bold">{reportData.summary.totalProducts ?? 0}</div>
                 </div>
                 <div>
-                  <div className="text-gray-600 text-sm">Total Stock Value</div>
+                  <div className="text-gray-600 text-sm">Stock Value (at Cost)</div>
                   <div className="text-2xl font-bold">{formatCurrencyDisplay(reportData.summary.totalStockValue ?? 0)}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Retail value {formatCurrencyDisplay(reportData.summary.totalRetailValue ?? 0)}
+                  </div>
                 </div>
                 <div>
                   <div className="text-gray-600 text-sm">Low Stock Items</div>
@@ -433,6 +675,148 @@ const Reports = () => {
               <Suspense fallback={<div className="flex items-center justify-center h-[300px]">Loading chart...</div>}>
                 <ChartWrapper reportType="top-products" reportData={reportData} />
               </Suspense>
+              <div className="overflow-x-auto mt-6">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Units</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net Sales (excl. VAT)</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Gross Profit</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {reportData.data.map(product => (
+                      <tr key={lineKey(product.productId, product.variantId)}>
+                        <td className="px-4 py-2">{itemName(product.productName, product.variantName)}</td>
+                        <td className="px-4 py-2 text-right">{formatQuantity(product.totalQuantity, product.unit)}</td>
+                        <td className="px-4 py-2 text-right">{formatCurrencyDisplay(product.netSales ?? 0)}</td>
+                        <td className="px-4 py-2 text-right">{formatCurrencyDisplay(product.costOfGoods ?? 0)}</td>
+                        <td className="px-4 py-2 text-right">{formatCurrencyDisplay(product.grossProfit ?? 0)}</td>
+                        <td className="px-4 py-2 text-right">{(product.marginPercent ?? 0).toFixed(2)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {reportType === 'margins' && reportData?.summary && (
+            <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+              <h2 className="text-xl sm:text-2xl font-bold mb-4">Margin by Category</h2>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                <div>
+                  <div className="text-gray-600 text-sm">Net Sales (excl. VAT)</div>
+                  <div className="text-2xl font-bold">{formatCurrencyDisplay(reportData.summary.netSales ?? 0)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Cost of Goods Sold</div>
+                  <div className="text-2xl font-bold">{formatCurrencyDisplay(reportData.summary.costOfGoods ?? 0)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Gross Profit</div>
+                  <div className="text-2xl font-bold text-green-700">{formatCurrencyDisplay(reportData.summary.grossProfit ?? 0)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Gross Margin</div>
+                  <div className="text-2xl font-bold">{(reportData.summary.marginPercent ?? 0).toFixed(2)}%</div>
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Units</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net Sales</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Gross Profit</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {reportData.data.length === 0 ? (
+                      <tr>
+                        <td colSpan="6" className="px-4 py-4 text-center text-gray-500">No sales in this period</td>
+                      </tr>
+                    ) : (
+                      reportData.data.map(entry => (
+                        <tr key={entry.category}>
+                          <td className="px-4 py-2">{entry.category}</td>
+                          <td className="px-4 py-2 text-right">{entry.quantity}</td>
+                          <td className="px-4 py-2 text-right">{formatCurrencyDisplay(entry.netSales)}</td>
+                          <td className="px-4 py-2 text-right">{formatCurrencyDisplay(entry.costOfGoods)}</td>
+                          <td className="px-4 py-2 text-right">{formatCurrencyDisplay(entry.grossProfit)}</td>
+                          <td className="px-4 py-2 text-right">{entry.marginPercent.toFixed(2)}%</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Sales made before cost prices were recorded have no cost and count as full profit.
+              </p>
+            </div>
+          )}
+
+          {reportType === 'loyalty' && reportData?.summary && (
+            <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+              <h2 className="text-xl sm:text-2xl font-bold mb-4">Loyalty Points</h2>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                <div>
+                  <div className="text-gray-600 text-sm">Points Outstanding</div>
+                  <div className="text-2xl font-bold">{reportData.summary.outstandingPoints.toLocaleString()}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Liability</div>
+                  <div className="text-2xl font-bold text-red-600">{formatCurrencyDisplay(reportData.summary.liability)}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    At {formatCurrencyDisplay(reportData.summary.pointValue)} per point
+                  </div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Expiring in 30 Days</div>
+                  <div className="text-2xl font-bold text-orange-600">{reportData.summary.expiringIn30Days.toLocaleString()}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Members with Points</div>
+                  <div className="text-2xl font-bold">{reportData.summary.membersWithPoints}</div>
+                </div>
+              </div>
+              <h3 className="font-semibold mb-2">Points Activity in Period</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Entries</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Points</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {!reportData.activity?.length ? (
+                      <tr>
+                        <td colSpan="3" className="px-4 py-4 text-center text-gray-500">No points activity in this period</td>
+                      </tr>
+                    ) : (
+                      reportData.activity.map(entry => (
+                        <tr key={entry.type}>
+                          <td className="px-4 py-2">{LOYALTY_ACTIVITY[entry.type] || entry.type}</td>
+                          <td className="px-4 py-2 text-right">{entry.count}</td>
+                          <td className="px-4 py-2 text-right">{entry.points.toLocaleString()}</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Outstanding points are as of now; points past their expiry date are excluded.
+              </p>
             </div>
           )}
         </div>
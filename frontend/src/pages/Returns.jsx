@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { RETURN_REASONS } from '../components/ReturnModal';
+import { formatCurrencyDisplay, formatDate, formatPaymentMethod } from '../utils/utils';
+import { itemName } from '../utils/variant';
+import { formatQuantity } from '../utils/units';
+
+const Returns = () => {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReturns();
+  }, []);
+
+  const fetchReturns = async () => {
+    try {
+      const response = await axios.get('/returns');
+      setReturns(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl sm:text-3xl font-bold mb-6 sm:mb-8">Returns</h1>
+      <p className="text-sm text-gray-600 mb-4">
+        Process a return from the Sales page. Refunds are deducted from revenue in the period they are paid out.
+      </p>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Return #</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sale #</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Refund</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Processed By</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {returns.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                  No returns found
+                </td>
+              </tr>
+            ) : (
+              returns.map((saleReturn) => (
+                <tr key={saleReturn._id}>
+                  <td className="px-6 py-4 whitespace-nowrap font-semibold">{saleReturn.returnNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{saleReturn.saleNumber}</td>
+                  <td className="px-6 py-4">
+                    <ul className="text-sm space-y-1">
+                      {saleReturn.items.map((item, index) => (
+                        <li key={index}>
+                          {itemName(item.product?.name || 'Unknown', item.variantName)} × {formatQuantity(item.quantity, item.unit)}
+                          <span className="text-gray-500">
+                            {' '}({RETURN_REASONS[item.reason]}, {item.disposition === 'restock' ? 'restocked' : 'written off'})
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                    {saleReturn.notes && (
+                      <div className="text-xs text-gray-500 mt-1">{saleReturn.notes}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap font-semibold">{formatCurrencyDisplay(saleReturn.totalRefund)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{formatPaymentMethod(saleReturn.refundMethod)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{saleReturn.processedBy?.username || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{formatDate(saleReturn.createdAt)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Returns;
@@ -1,29 +1,77 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { useAuth } from '../context/AuthContext';
 import { useForm } from 'react-hook-form';
-import ConfirmModal from '../components/ConfirmModal';
+import ReturnModal from '../components/ReturnModal';
+import BarcodeScanInput from '../components/BarcodeScanInput';
+import PaymentEntry, { EMPTY_PAYMENT, PAYMENT_METHODS } from '../components/PaymentEntry';
+import CustomerSearch from '../components/CustomerSearch';
+import VariantPicker from '../components/VariantPicker';
+import VoidSaleModal from '../components/VoidSaleModal';
+import ApprovalFields, {
+  APPROVAL_METHODS,
+  approvalError,
+  approverCredentials,
+  EMPTY_APPROVAL,
+  formatApprovalReason,
+  OVERRIDE_REASONS,
+  VOID_REASONS
+} from '../components/ApprovalFields';
 import { formatCurrencyDisplay, formatCurrency, formatDate, formatPaymentMethod } from '../utils/utils';
+import { calculateCartTotals, computeDiscountAmount, resolveTaxClass, roundCurrency } from '../utils/pricing';
+import { summarizePayments } from '../utils/payment';
+import { findVariantById, hasVariants, itemName, lineKey, variantName } from '../utils/variant';
+import { baseUnit, findUnit, formatQuantity, productUnits, quantityStep, roundQuantity } from '../utils/units';
+
+// Cart lines are keyed by product and variant, so each variant is its own line
+const cartKey = (item) => lineKey(item.product._id, item.variant?._id);
+
+// Prices are per base unit; a case of 24 costs 24 times the piece price
+const unitPrice = (product, variant, unit) => roundCurrency((variant || product).price * unit.factor);
+
+// A price typed in at the register that differs from the list price
+const isPriceOverridden = (item) => Number(item.price) !== unitPrice(item.product, item.variant, item.unit);
+
+// Most of the line's unit that the stock on hand allows
+const maxQuantity = (item) => (item.variant || item.product).stockQuantity / item.unit.factor;
 
 const Sales = () => {
-  const { isStaff, isAdmin } = useAuth();
+  const { user, isStaff, isAdmin, canApprove } = useAuth();
   const [sales, setSales] = useState([]);
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [cart, setCart] = useState([]);
+  const [variantPickerProduct, setVariantPickerProduct] = useState(null);
+  const [payments, setPayments] = useState([EMPTY_PAYMENT]);
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [loyaltySettings, setLoyaltySettings] = useState({ enabled: false, pointValue: 1 });
+  const [loyaltyCard, setLoyaltyCard] = useState('');
+  const [isLookingUpMember, setIsLookingUpMember] = useState(false);
   const [showVoidModal, setShowVoidModal] = useState(false);
   const [saleToVoid, setSaleToVoid] = useState(null);
   const [showReceiptModal, setShowReceiptModal] = useState(false);
   const [selectedSale, setSelectedSale] = useState(null);
+  const [receiptAction, setReceiptAction] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [isVoiding, setIsVoiding] = useState(false);
+  const [saleToReturn, setSaleToReturn] = useState(null);
+  const [saleDiscount, setSaleDiscount] = useState({ type: 'percentage', value: '' });
+  const [promoInput, setPromoInput] = useState('');
+  const [promo, setPromo] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
+  const [staffMaxDiscount, setStaffMaxDiscount] = useState(null);
+  const [taxSettings, setTaxSettings] = useState({ pricesIncludeVat: false, defaultTaxClass: null, seniorPwdDiscountPercent: 20 });
+  const [categoryTaxClasses, setCategoryTaxClasses] = useState(new Map());
+  const [taxExemption, setTaxExemption] = useState({ type: '', idNumber: '', holderName: '' });
+  const [overrideApproval, setOverrideApproval] = useState(EMPTY_APPROVAL);
   const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm();
 
   useEffect(() => {
     fetchSales();
     fetchProducts();
+    fetchCategories();
+    fetchSettings();
   }, []);
 
   const fetchSales = async () => {
@@ -39,49 +87,200 @@ const Sales = () => {
 
   const fetchProducts = async () => {
     try {
-      const response = await axios.get('/products?isActive=true');
+      // Stock shown at the register is what the user's home branch holds
+      const response = await axios.get('/products', {
+        params: { isActive: true, location: user?.location || undefined }
+      });
       setProducts(response.data.data);
     } catch (error) {
       console.error('Failed to fetch products');
     }
   };
 
-  const addToCart = (product) => {
-    const existingItem = cart.find(item => item.product._id === product._id);
-    if (existingItem) {
-      setCart(cart.map(item =>
-        item.product._id === product._id
-          ? { ...item, quantity: item.quantity + 1 }
-          : item
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories');
+      setCategoryTaxClasses(new Map(
+        response.data.data
+          .filter(category => category.taxClass)
+          .map(category => [category.name, category.taxClass])
       ));
+    } catch (error) {
+      console.error('Failed to fetch categories');
+    }
+  };
+
+  const fetchSettings = async () => {
+    try {
+      const response = await axios.get('/settings');
+      setStaffMaxDiscount(response.data.data?.discount?.staffMaxPercent ?? null);
+      if (response.data.data?.tax) {
+        setTaxSettings(response.data.data.tax);
+      }
+      if (response.data.data?.loyalty) {
+        setLoyaltySettings(response.data.data.loyalty);
+      }
+    } catch (error) {
+      console.error('Failed to fetch settings');
+    }
+  };
+
+  // Uses the updater form so repeat scans arriving back to back all count
+  const addToCart = (product, variant = null) => {
+    const key = lineKey(product._id, variant?._id);
+    setCart(currentCart => {
+      const existingItem = currentCart.find(item => cartKey(item) === key);
+      if (existingItem) {
+        return currentCart.map(item =>
+          cartKey(item) === key
+            ? { ...item, quantity: roundQuantity(item.quantity + 1) }
+            : item
+        );
+      }
+      const unit = findUnit(product);
+      return [...currentCart, {
+        product,
+        variant,
+        unit,
+        quantity: 1,
+        price: unitPrice(product, variant, unit),
+        discountType: 'percentage',
+        discountValue: ''
+      }];
+    });
+  };
+
+  // Products with variants ask which variant to add
+  const handleProductClick = (product) => {
+    if (hasVariants(product)) {
+      setVariantPickerProduct(product);
     } else {
-      setCart([...cart, { product, quantity: 1, price: product.price }]);
+      addToCart(product);
     }
   };
 
-  const updateCartQuantity = (productId, quantity) => {
-    if (quantity <= 0) {
-      setCart(cart.filter(item => item.product._id !== productId));
+  const handleVariantSelect = (product, variant) => {
+    addToCart(product, variant);
+    setVariantPickerProduct(null);
+  };
+
+  const handleScan = useCallback(async (code) => {
+    try {
+      const response = await axios.get('/products/lookup', {
+        params: { code, location: user?.location || undefined }
+      });
+      const product = response.data.data;
+
+      if (!product.isActive) {
+        toast.error(`${product.name} is inactive and cannot be sold`);
+        return;
+      }
+
+      // A code printed on the product rather than a variant leaves the variant to pick
+      const variant = findVariantById(product, response.data.variant);
+      if (hasVariants(product) && !variant) {
+        setVariantPickerProduct(product);
+        return;
+      }
+
+      const name = itemName(product.name, variant && variantName(variant));
+      if (variant && !variant.isActive) {
+        toast.error(`${name} is inactive and cannot be sold`);
+        return;
+      }
+      if ((variant || product).stockQuantity <= 0) {
+        toast.error(`${name} is out of stock`);
+        return;
+      }
+
+      addToCart(product, variant);
+      toast.success(`Added ${name}`);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  }, [user?.location]);
+
+  const updateCartQuantity = (key, quantity, { keepEmpty = false } = {}) => {
+    if (quantity <= 0 && !keepEmpty) {
+      setCart(cart.filter(item => cartKey(item) !== key));
     } else {
       setCart(cart.map(item =>
-        item.product._id === productId
+        cartKey(item) === key
           ? { ...item, quantity }
           : item
       ));
     }
   };
 
+  // Switching a line between units, e.g. pieces and cases, reprices it
+  const updateCartUnit = (key, unitName) => {
+    setCart(cart.map(item => {
+      if (cartKey(item) !== key) return item;
+      const unit = findUnit(item.product, unitName);
+      return { ...item, unit, price: unitPrice(item.product, item.variant, unit) };
+    }));
+  };
+
+  // Blank while the cashier types; a price other than the list price needs approval
+  const updateCartPrice = (key, value) => {
+    setCart(cart.map(item =>
+      cartKey(item) === key
+        ? { ...item, price: value === '' ? '' : Math.max(parseFloat(value) || 0, 0) }
+        : item
+    ));
+  };
+
+  const updateCartDiscount = (key, changes) => {
+    setCart(cart.map(item =>
+      cartKey(item) === key
+        ? { ...item, ...changes }
+        : item
+    ));
+  };
+
+  const applyPromo = async () => {
+    const code = promoInput.trim();
+    if (!code) return;
+
+    setIsApplyingPromo(true);
+    try {
+      const response = await axios.get(`/promos/validate/${encodeURIComponent(code)}`);
+      setPromo(response.data.data);
+      toast.success(`Promo code ${response.data.data.code} applied`);
+    } catch (error) {
+      setPromo(null);
+      // Error handled by axios interceptor
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const removePromo = () => {
+    setPromo(null);
+    setPromoInput('');
+  };
+
   const calculateTotal = () => {
-    const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const vatRate = 0.12; // 12% VAT
-    const vat = subtotal * vatRate;
-    const total = subtotal + vat;
-    return {
-      subtotal,
-      discount: 0,
-      vat,
-      total
-    };
+    return calculateCartTotals({
+      items: cart.map(item => ({
+        ...item,
+        taxClass: resolveTaxClass(item.product, categoryTaxClasses, taxSettings.defaultTaxClass)
+      })),
+      saleDiscount,
+      promo,
+      pricesIncludeVat: taxSettings.pricesIncludeVat,
+      taxExemption: taxExemption.type ? { discountPercent: taxSettings.seniorPwdDiscountPercent } : null
+    });
+  };
+
+  // Discounts above the staff limit and price overrides need a reason, and an
+  // admin or supervisor to approve them at the register
+  const isOverLimit = (totals) => staffMaxDiscount !== null && totals.manualDiscountPercent > staffMaxDiscount;
+  const isOverrideRequired = (totals) => isOverLimit(totals) || cart.some(isPriceOverridden);
+
+  const toDiscount = (type, value) => {
+    const amount = parseFloat(value);
+    return amount > 0 ? { type, value: amount } : undefined;
   };
 
   const onSubmit = async (data) => {
@@ -90,23 +289,76 @@ const Sales = () => {
       return;
     }
 
+    // Weighed items are typed in and may still be blank or over the stock on hand
+    const unpricedItem = cart.find(item => item.price === '');
+    if (unpricedItem) {
+      toast.error(`Enter a price for ${itemName(unpricedItem.product.name, unpricedItem.variant && variantName(unpricedItem.variant))}`);
+      return;
+    }
+
+    const invalidItem = cart.find(item => !(item.quantity > 0) || item.quantity > maxQuantity(item));
+    if (invalidItem) {
+      const name = itemName(invalidItem.product.name, invalidItem.variant && variantName(invalidItem.variant));
+      toast.error(invalidItem.quantity > 0
+        ? `Only ${formatQuantity(maxQuantity(invalidItem), invalidItem.unit.name)} of ${name} is in stock`
+        : `Enter a quantity for ${name}`);
+      return;
+    }
+
+    const requiresApproval = isOverrideRequired(calculateTotal());
+    const overrideError = requiresApproval && approvalError(overrideApproval, !canApprove);
+    if (overrideError) {
+      toast.error(overrideError);
+      return;
+    }
+
+    const { total } = calculateTotal();
+    // A single payment left blank is taken as the exact amount
+    const salePayments = payments.length === 1 && !payments[0].amount
+      ? [{ ...payments[0], amount: total }]
+      : payments;
+    const { error } = summarizePayments(salePayments, total);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
     setIsSubmitting(true);
     try {
-      const totals = calculateTotal();
       const saleData = {
         ...data,
         items: cart.map(item => ({
           product: item.product._id,
-          quantity: item.quantity
+          variant: item.variant?._id,
+          quantity: item.quantity,
+          unit: item.unit.name,
+          price: isPriceOverridden(item) ? item.price : undefined,
+          discount: toDiscount(item.discountType, item.discountValue)
         })),
-        subtotal: totals.subtotal,
-        discount: 0,
-        tax: totals.vat,
-        total: totals.total
+        saleDiscount: toDiscount(saleDiscount.type, saleDiscount.value),
+        customer: selectedCustomer?._id,
+        promoCode: promo?.code,
+        taxExemption: taxExemption.type ? taxExemption : undefined,
+        payments: salePayments.map(payment => ({
+          method: payment.method,
+          amount: parseFloat(payment.amount),
+          referenceNumber: ['cash', 'points'].includes(payment.method) ? undefined : payment.referenceNumber || undefined
+        }))
       };
 
-      await axios.post('/sales', saleData);
-      toast.success('Sale processed successfully!');
+      if (requiresApproval) {
+        saleData.override = {
+          reason: overrideApproval.reason,
+          note: overrideApproval.note.trim() || undefined,
+          ...(canApprove ? {} : approverCredentials(overrideApproval))
+        };
+      }
+
+      const response = await axios.post('/sales', saleData);
+      const { change } = response.data.data;
+      toast.success(change > 0
+        ? `Sale processed successfully! Change: ${formatCurrencyDisplay(change)}`
+        : 'Sale processed successfully!');
       setShowModal(false);
       setCart([]);
       reset();
@@ -120,34 +372,60 @@ const Sales = () => {
 
   const reset = () => {
     setCart([]);
+    setPayments([EMPTY_PAYMENT]);
+    setSelectedCustomer(null);
+    setLoyaltyCard('');
+    setSaleDiscount({ type: 'percentage', value: '' });
+    setPromo(null);
+    setPromoInput('');
+    setTaxExemption({ type: '', idNumber: '', holderName: '' });
     setValue('customerName', '');
     setValue('customerEmail', '');
     setValue('customerPhone', '');
-    setValue('paymentMethod', 'cash');
-  };
-
-  const handleVoidClick = (sale) => {
-    setSaleToVoid(sale);
-    setShowVoidModal(true);
+    setOverrideApproval(EMPTY_APPROVAL);
   };
 
-  const handleVoidConfirm = async () => {
-    if (!saleToVoid) return;
+  // Members give their loyalty card number or phone at the register
+  const handleLookupMember = async () => {
+    if (!loyaltyCard.trim()) return;
 
-    setIsVoiding(true);
+    setIsLookingUpMember(true);
     try {
-      await axios.patch(`/sales/${saleToVoid._id}/void`);
-      toast.success('Sale voided successfully. Stock quantities have been restored.');
-      setShowVoidModal(false);
-      setSaleToVoid(null);
-      fetchSales();
+      const response = await axios.get('/loyalty/members', { params: { card: loyaltyCard.trim() } });
+      handleSelectCustomer(response.data.data);
+      setLoyaltyCard('');
     } catch (error) {
       // Error handled by axios interceptor
     } finally {
-      setIsVoiding(false);
+      setIsLookingUpMember(false);
     }
   };
 
+  // Copy the customer's details into the sale so they can still be corrected
+  const handleSelectCustomer = (customer) => {
+    setSelectedCustomer(customer);
+    // Points can only be redeemed by the selected customer
+    setPayments(prev => {
+      const kept = prev.filter(payment => payment.method !== 'points');
+      return kept.length > 0 ? kept : [EMPTY_PAYMENT];
+    });
+    setValue('customerName', customer?.name || '');
+    setValue('customerEmail', customer?.email || '');
+    setValue('customerPhone', customer?.phone || '');
+  };
+
+  const handleVoidClick = (sale) => {
+    setSaleToVoid(sale);
+    setShowVoidModal(true);
+  };
+
+  const getReturnStatus = (sale) => {
+    const returned = sale.items.reduce((sum, item) => sum + (item.returnedQuantity || 0), 0);
+    if (returned === 0) return null;
+    const sold = sale.items.reduce((sum, item) => sum + item.quantity, 0);
+    return returned >= sold ? 'returned' : 'partial';
+  };
+
   const handleViewReceipt = async (sale) => {
     try {
       // Fetch full sale details with populated product data
@@ -159,234 +437,58 @@ const Sales = () => {
     }
   };
 
-  const exportReceiptToPDF = async () => {
-    if (!selectedSale) {
-      toast.error('No receipt data available');
+  // Printing is recorded so later prints come out as reprints; a PDF is a copy
+  const getReceipt = (format, responseType) => axios.get(`/sales/${selectedSale._id}/receipt`, {
+    params: { format },
+    responseType
+  });
+
+  const printReceiptAs = (format, responseType) => axios.post(`/sales/${selectedSale._id}/receipt/print`, null, {
+    params: { format },
+    responseType
+  });
+
+  const printReceipt = async () => {
+    // Open the window before the request so pop-up blockers allow it
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      toast.error('Allow pop-ups to print receipts');
       return;
     }
 
+    setReceiptAction('print');
     try {
-      // Dynamically import PDF library
-      const { default: jsPDF } = await import('jspdf');
-      const { format } = await import('date-fns');
-
-      const doc = new jsPDF();
-      const pageWidth = doc.internal.pageSize.getWidth();
-      const margin = 14;
-      let yPosition = margin;
-
-      // Header - matching modal style
-      doc.setFontSize(16);
-      doc.setFont(undefined, 'bold');
-      doc.text('BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += 6;
-      
-      doc.setFontSize(10);
-      doc.setFont(undefined, 'normal');
-      doc.setTextColor(100, 100, 100);
-      doc.text('Sales Receipt', pageWidth / 2, yPosition, { align: 'center' });
-      doc.setTextColor(0, 0, 0);
-      yPosition += 8;
-
-      // Draw a line separator
-      doc.setLineWidth(0.2);
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 8;
-
-      // Receipt Details - matching modal flex justify-between style
-      doc.setFontSize(9);
-      const saleNumberLabel = 'Sale Number:';
-      const saleNumberValue = selectedSale.saleNumber;
-      doc.text(saleNumberLabel, margin, yPosition);
-      doc.text(saleNumberValue, pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 6;
-      
-      const transactionDate = new Date(selectedSale.createdAt);
-      const dateLabel = 'Transaction Date:';
-      const dateValue = transactionDate.toLocaleString();
-      doc.text(dateLabel, margin, yPosition);
-      doc.text(dateValue, pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 10;
-
-      // Customer Details Section - matching modal border-t style
-      doc.setLineWidth(0.2);
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 8;
-      
-      doc.setFont(undefined, 'bold');
-      doc.setFontSize(10);
-      doc.text('Customer Details', margin, yPosition);
-      yPosition += 8;
-      doc.setFont(undefined, 'normal');
-      doc.setFontSize(9);
-      
-      if (selectedSale.customerName) {
-        doc.setTextColor(100, 100, 100);
-        doc.text('Name:', margin, yPosition);
-        doc.setTextColor(0, 0, 0);
-        doc.text(selectedSale.customerName, pageWidth - margin, yPosition, { align: 'right' });
-        yPosition += 6;
-      }
-      if (selectedSale.customerEmail) {
-        doc.setTextColor(100, 100, 100);
-        doc.text('Email:', margin, yPosition);
-        doc.setTextColor(0, 0, 0);
-        doc.text(selectedSale.customerEmail, pageWidth - margin, yPosition, { align: 'right' });
-        yPosition += 6;
-      }
-      if (selectedSale.customerPhone) {
-        doc.setTextColor(100, 100, 100);
-        doc.text('Phone:', margin, yPosition);
-        doc.setTextColor(0, 0, 0);
-        doc.text(selectedSale.customerPhone, pageWidth - margin, yPosition, { align: 'right' });
-        yPosition += 6;
-      }
-      if (!selectedSale.customerName && !selectedSale.customerEmail && !selectedSale.customerPhone) {
-        doc.setTextColor(100, 100, 100);
-        doc.text('Walk-in Customer', margin, yPosition);
-        doc.setTextColor(0, 0, 0);
-        yPosition += 6;
-      }
-      yPosition += 4;
-
-      // Items Section - matching modal table style
-      doc.setLineWidth(0.2);
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 8;
-      
-      doc.setFont(undefined, 'bold');
-      doc.setFontSize(10);
-      doc.text('Items', margin, yPosition);
-      yPosition += 8;
-      
-      // Table headers
-      doc.setFontSize(8);
-      doc.setFont(undefined, 'bold');
-      const col1 = margin;
-      const col2 = margin + 80;
-      const col3 = margin + 120;
-      const col4 = pageWidth - margin;
-      
-      doc.text('Item', col1, yPosition);
-      doc.text('Qty', col2, yPosition, { align: 'center' });
-      doc.text('Price', col3, yPosition, { align: 'right' });
-      doc.text('Subtotal', col4, yPosition, { align: 'right' });
-      yPosition += 6;
-      
-      // Draw line under headers
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 6;
-      
-      // Items rows
-      doc.setFont(undefined, 'normal');
-      selectedSale.items.forEach((item) => {
-        const productName = item.product?.name || 'Unknown Product';
-        const quantity = item.quantity || 0;
-        const price = item.price || item.product?.price || 0;
-        const subtotal = item.subtotal || (price * quantity);
-        
-        // Check if we need a new page
-        if (yPosition > 250) {
-          doc.addPage();
-          yPosition = margin;
-        }
-
-        // Truncate product name if too long
-        const maxNameWidth = 70;
-        let displayName = productName;
-        if (doc.getTextWidth(productName) > maxNameWidth) {
-          while (doc.getTextWidth(displayName + '...') > maxNameWidth && displayName.length > 0) {
-            displayName = displayName.slice(0, -1);
-          }
-          displayName += '...';
-        }
-        
-        doc.text(displayName, col1, yPosition);
-        doc.text(quantity.toString(), col2, yPosition, { align: 'center' });
-        doc.text(formatCurrency(price), col3, yPosition, { align: 'right' });
-        doc.setFont(undefined, 'bold');
-        doc.text(formatCurrency(subtotal), col4, yPosition, { align: 'right' });
-        doc.setFont(undefined, 'normal');
-        yPosition += 6;
-      });
-
-      yPosition += 6;
-
-      // Totals Section - matching modal border-t style
-      doc.setLineWidth(0.2);
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 8;
-      
-      doc.setFontSize(9);
-      doc.text('Subtotal:', margin, yPosition);
-      doc.text(formatCurrency(selectedSale.subtotal), pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 7;
-      
-      if (selectedSale.discount > 0) {
-        doc.text('Discount:', margin, yPosition);
-        doc.text(formatCurrency(selectedSale.discount), pageWidth - margin, yPosition, { align: 'right' });
-        yPosition += 7;
-      }
-      
-      doc.text('Tax (VAT):', margin, yPosition);
-      doc.text(formatCurrency(selectedSale.tax), pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 7;
-      
-      // Total with border-t style
-      doc.setLineWidth(0.2);
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 8;
-      
-      doc.setFont(undefined, 'bold');
-      doc.setFontSize(12);
-      doc.text('Total:', margin, yPosition);
-      doc.text(formatCurrency(selectedSale.total), pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 10;
-
-      // Payment Method Section - matching modal border-t style
-      doc.setLineWidth(0.2);
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 8;
-      
-      doc.setFont(undefined, 'bold');
-      doc.setFontSize(9);
-      doc.text('Payment Method:', margin, yPosition);
-      doc.setFont(undefined, 'normal');
-      const paymentMethod = formatPaymentMethod(selectedSale.paymentMethod);
-      doc.text(paymentMethod.charAt(0).toUpperCase() + paymentMethod.slice(1), pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 10;
-
-      // Status (if voided)
-      if (selectedSale.isVoid) {
-        doc.setLineWidth(0.2);
-        doc.line(margin, yPosition, pageWidth - margin, yPosition);
-        yPosition += 8;
-        doc.setFillColor(254, 226, 226);
-        doc.roundedRect(margin, yPosition - 4, pageWidth - (margin * 2), 8, 2, 2, 'F');
-        doc.setTextColor(220, 38, 38);
-        doc.setFont(undefined, 'bold');
-        doc.text('VOIDED', pageWidth / 2, yPosition, { align: 'center' });
-        doc.setTextColor(0, 0, 0);
-        yPosition += 10;
-      }
+      const response = await printReceiptAs('html', 'text');
+      printWindow.document.write(response.data);
+      printWindow.document.close();
+      printWindow.focus();
+      printWindow.print();
+    } catch (error) {
+      printWindow.close();
+      // Error handled by axios interceptor
+    } finally {
+      setReceiptAction(null);
+    }
+  };
 
-      // Footer - matching modal style
-      doc.setLineWidth(0.2);
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 8;
-      
-      doc.setFontSize(8);
-      doc.setTextColor(100, 100, 100);
-      doc.text('Thank you for your purchase!', pageWidth / 2, yPosition, { align: 'center' });
-      doc.setTextColor(0, 0, 0);
-
-      // Save the PDF
-      const fileName = `Receipt_${selectedSale.saleNumber}_${format(new Date(), 'yyyy-MM-dd')}.pdf`;
-      doc.save(fileName);
-      toast.success('Receipt exported to PDF successfully');
+  const downloadReceipt = async (format) => {
+    setReceiptAction(format);
+    try {
+      const response = format === 'escpos'
+        ? await printReceiptAs(format, 'blob')
+        : await getReceipt(format, 'blob');
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = format === 'pdf'
+        ? `Receipt_${selectedSale.saleNumber}.pdf`
+        : `${selectedSale.saleNumber}.bin`;
+      link.click();
+      URL.revokeObjectURL(url);
     } catch (error) {
-      console.error('Error generating PDF:', error);
-      toast.error('Failed to export PDF. Please try again.');
+      // Error handled by axios interceptor
+    } finally {
+      setReceiptAction(null);
     }
   };
 
@@ -395,6 +497,7 @@ const Sales = () => {
   }
 
   const totals = calculateTotal();
+  const requiresOverride = isOverrideRequired(totals);
 
   return (
     <div>
@@ -449,12 +552,16 @@ const Sales = () => {
                   <td className="px-6 py-4 whitespace-nowrap">{sale.customerName || 'Walk-in'}</td>
                   <td className="px-6 py-4">{sale.items.length} item(s)</td>
                   <td className="px-6 py-4 whitespace-nowrap font-semibold">{formatCurrencyDisplay(sale.total)}</td>
-                  <td className="px-6 py-4 whitespace-nowrap capitalize">{sale.paymentMethod}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{formatPaymentMethod(sale.paymentMethod)}</td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     {sale.isVoid ? (
                       <span className="px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
                         Void
                       </span>
+                    ) : getReturnStatus(sale) ? (
+                      <span className="px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                        {getReturnStatus(sale) === 'returned' ? 'Returned' : 'Partially Returned'}
+                      </span>
                     ) : (
                       <span className="px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
                         Active
@@ -464,8 +571,16 @@ const Sales = () => {
                   <td className="px-6 py-4 whitespace-nowrap">
                     {formatDate(sale.createdAt)}
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    {(isStaff || isAdmin) && !sale.isVoid && (
+                  <td className="px-6 py-4 whitespace-nowrap space-x-2">
+                    {(isStaff || isAdmin) && !sale.isVoid && getReturnStatus(sale) !== 'returned' && (
+                      <button
+                        onClick={() => setSaleToReturn(sale)}
+                        className="px-3 py-1 text-sm bg-yellow-500 text-white rounded hover:bg-yellow-600 transition-colors"
+                      >
+                        Return
+                      </button>
+                    )}
+                    {(isStaff || isAdmin) && !sale.isVoid && !getReturnStatus(sale) && (
                       <button
                         onClick={() => handleVoidClick(sale)}
                         className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
@@ -498,19 +613,48 @@ const Sales = () => {
                   />
                 </div>
                 <div>
-                  <label className="block text-sm font-medium mb-1">Payment Method *</label>
-                  <select
-                    {...register('paymentMethod', { required: 'Payment method is required' })}
-                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  >
-                    <option value="cash">Cash</option>
-                    <option value="card">Card</option>
-                    <option value="mobile_payment">Mobile Payment</option>
-                    <option value="other">Other</option>
-                  </select>
+                  <label className="block text-sm font-medium mb-1">Customer Record</label>
+                  <CustomerSearch selected={selectedCustomer} onSelect={handleSelectCustomer} />
                 </div>
               </div>
 
+              {loyaltySettings.enabled && (
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  {!selectedCustomer && (
+                    <div className="flex gap-2 flex-1">
+                      <input
+                        type="text"
+                        value={loyaltyCard}
+                        onChange={(e) => setLoyaltyCard(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            e.preventDefault();
+                            handleLookupMember();
+                          }
+                        }}
+                        maxLength={20}
+                        className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Loyalty card number or phone"
+                      />
+                      <button
+                        type="button"
+                        onClick={handleLookupMember}
+                        disabled={isLookingUpMember || !loyaltyCard.trim()}
+                        className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isLookingUpMember ? 'Looking up...' : 'Look up'}
+                      </button>
+                    </div>
+                  )}
+                  {selectedCustomer && (
+                    <div className="text-sm text-gray-700">
+                      Loyalty points: <span className="font-semibold">{selectedCustomer.loyaltyPoints || 0}</span>
+                      {' '}(worth {formatCurrencyDisplay((selectedCustomer.loyaltyPoints || 0) * loyaltySettings.pointValue)})
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium mb-1">Customer Email *</label>
@@ -566,17 +710,23 @@ const Sales = () => {
 
               <div className="border rounded-lg p-4">
                 <h3 className="font-semibold mb-2">Add Products</h3>
+                <div className="mb-3">
+                  <BarcodeScanInput onScan={handleScan} disabled={isSubmitting} />
+                </div>
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-40 overflow-y-auto">
                   {products.filter(p => p.stockQuantity > 0).map((product) => (
                     <button
                       key={product._id}
                       type="button"
-                      onClick={() => addToCart(product)}
+                      onClick={() => handleProductClick(product)}
                       className="text-left p-2 border rounded hover:bg-gray-50"
                     >
                       <div className="font-semibold">{product.name}</div>
-                      <div className="text-sm text-gray-600">{formatCurrencyDisplay(product.price)}</div>
-                      <div className="text-xs text-gray-500">Stock: {product.stockQuantity}</div>
+                      <div className="text-sm text-gray-600">
+                        {hasVariants(product) && `${product.variants.length} variants · from `}
+                        {formatCurrencyDisplay(product.price)} / {baseUnit(product)}
+                      </div>
+                      <div className="text-xs text-gray-500">Stock: {formatQuantity(product.stockQuantity, baseUnit(product))}</div>
                     </button>
                   ))}
                 </div>
@@ -588,54 +738,301 @@ const Sales = () => {
                   <p className="text-gray-500">No items in cart</p>
                 ) : (
                   <div className="space-y-2">
-                    {cart.map((item) => (
-                      <div key={item.product._id} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+                    {cart.map((item) => {
+                      const lineSubtotal = item.price * item.quantity;
+                      const lineDiscount = computeDiscountAmount(lineSubtotal, item.discountType, item.discountValue);
+
+                      return (
+                      <div key={cartKey(item)} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-2 bg-gray-50 rounded">
                         <div>
-                          <div className="font-semibold">{item.product.name}</div>
-                          <div className="text-sm text-gray-600">{formatCurrencyDisplay(item.price)} each</div>
+                          <div className="font-semibold">{itemName(item.product.name, item.variant && variantName(item.variant))}</div>
+                          <div className="flex items-center gap-1 text-sm text-gray-600">
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={item.price}
+                              onChange={(e) => updateCartPrice(cartKey(item), e.target.value)}
+                              className={`w-24 px-2 py-0.5 text-sm border rounded ${isPriceOverridden(item) ? 'border-orange-400 bg-orange-50' : ''}`}
+                              aria-label="Price"
+                            />
+                            <span>per</span>
+                            {item.product.units?.length > 0 ? (
+                              <select
+                                value={item.unit.name}
+                                onChange={(e) => updateCartUnit(cartKey(item), e.target.value)}
+                                className="px-1 py-0.5 text-sm border rounded"
+                              >
+                                {productUnits(item.product).map(unit => (
+                                  <option key={unit.name} value={unit.name}>{unit.name}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span>{item.unit.name}</span>
+                            )}
+                          </div>
+                          {isPriceOverridden(item) && (
+                            <div className="text-xs text-orange-700">
+                              List price {formatCurrencyDisplay(unitPrice(item.product, item.variant, item.unit))}
+                            </div>
+                          )}
+                          <div className="flex items-center gap-1 mt-1">
+                            <span className="text-xs text-gray-500">Discount:</span>
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={item.discountValue}
+                              onChange={(e) => updateCartDiscount(cartKey(item), { discountValue: e.target.value })}
+                              className="w-20 px-2 py-1 text-sm border rounded"
+                              placeholder="0"
+                            />
+                            <select
+                              value={item.discountType}
+                              onChange={(e) => updateCartDiscount(cartKey(item), { discountType: e.target.value })}
+                              className="px-1 py-1 text-sm border rounded"
+                            >
+                              <option value="percentage">%</option>
+                              <option value="fixed">₱</option>
+                            </select>
+                            {lineDiscount > 0 && (
+                              <span className="text-xs text-green-700">-{formatCurrencyDisplay(lineDiscount)}</span>
+                            )}
+                          </div>
                         </div>
                         <div className="flex items-center space-x-2">
                           <button
                             type="button"
-                            onClick={() => updateCartQuantity(item.product._id, item.quantity - 1)}
+                            onClick={() => updateCartQuantity(cartKey(item), roundQuantity(item.quantity - 1))}
                             className="px-2 py-1 bg-gray-200 rounded"
                           >
                             -
                           </button>
-                          <span className="w-12 text-center">{item.quantity}</span>
+                          {item.product.allowFractions ? (
+                            <input
+                              type="number"
+                              min="0"
+                              step={quantityStep(item.product)}
+                              value={item.quantity}
+                              onChange={(e) => updateCartQuantity(cartKey(item), roundQuantity(e.target.value), { keepEmpty: true })}
+                              className="w-20 px-2 py-1 text-center border rounded"
+                            />
+                          ) : (
+                            <span className="w-12 text-center">{item.quantity}</span>
+                          )}
                           <button
                             type="button"
-                            onClick={() => updateCartQuantity(item.product._id, item.quantity + 1)}
-                            disabled={item.quantity >= item.product.stockQuantity}
+                            onClick={() => updateCartQuantity(cartKey(item), roundQuantity(item.quantity + 1))}
+                            disabled={item.quantity + 1 > maxQuantity(item)}
                             className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
                           >
                             +
                           </button>
                           <span className="w-20 text-right font-semibold">
-                            {formatCurrencyDisplay(item.price * item.quantity)}
+                            {formatCurrencyDisplay(lineSubtotal - lineDiscount)}
                           </span>
                         </div>
                       </div>
-                    ))}
+                      );
+                    })}
                   </div>
                 )}
               </div>
 
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Sale Discount</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={saleDiscount.value}
+                      onChange={(e) => setSaleDiscount({ ...saleDiscount, value: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="0"
+                    />
+                    <select
+                      value={saleDiscount.type}
+                      onChange={(e) => setSaleDiscount({ ...saleDiscount, type: e.target.value })}
+                      className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="percentage">%</option>
+                      <option value="fixed">₱</option>
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Promo Code</label>
+                  {promo ? (
+                    <div className="flex items-center justify-between px-3 py-2 border rounded-lg bg-green-50">
+                      <span className="font-semibold text-green-800">{promo.code}</span>
+                      <button
+                        type="button"
+                        onClick={removePromo}
+                        className="text-sm text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={promoInput}
+                        onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                        className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Enter promo code"
+                      />
+                      <button
+                        type="button"
+                        onClick={applyPromo}
+                        disabled={isApplyingPromo || !promoInput.trim()}
+                        className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {isApplyingPromo ? 'Applying...' : 'Apply'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="border rounded-lg p-4">
+                <label className="flex items-center gap-2 text-sm font-medium">
+                  <input
+                    type="checkbox"
+                    checked={!!taxExemption.type}
+                    onChange={(e) => setTaxExemption({ ...taxExemption, type: e.target.checked ? 'senior_citizen' : '' })}
+                    className="rounded"
+                  />
+                  Senior Citizen / PWD ({taxSettings.seniorPwdDiscountPercent}% discount, VAT-exempt)
+                </label>
+                {taxExemption.type && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-3">
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Type *</label>
+                      <select
+                        value={taxExemption.type}
+                        onChange={(e) => setTaxExemption({ ...taxExemption, type: e.target.value })}
+                        className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="senior_citizen">Senior Citizen</option>
+                        <option value="pwd">PWD</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-1">ID Number *</label>
+                      <input
+                        type="text"
+                        value={taxExemption.idNumber}
+                        onChange={(e) => setTaxExemption({ ...taxExemption, idNumber: e.target.value })}
+                        required
+                        className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Holder Name</label>
+                      <input
+                        type="text"
+                        value={taxExemption.holderName}
+                        onChange={(e) => setTaxExemption({ ...taxExemption, holderName: e.target.value })}
+                        className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {requiresOverride && (
+                <div className="border border-orange-300 bg-orange-50 rounded-lg p-4">
+                  <h3 className="font-semibold text-orange-800 mb-1">
+                    {canApprove ? 'Override Reason Required' : 'Approval Required'}
+                  </h3>
+                  <p className="text-sm text-orange-700 mb-3">
+                    {[
+                      isOverLimit(totals) && `Discounts above ${staffMaxDiscount}% of the subtotal`,
+                      cart.some(isPriceOverridden) && 'Price overrides'
+                    ].filter(Boolean).join(' and ')}
+                    {canApprove
+                      ? ' are recorded with a reason.'
+                      : ' must be approved by an admin or supervisor with their PIN or password.'}
+                  </p>
+                  <ApprovalFields
+                    value={overrideApproval}
+                    onChange={setOverrideApproval}
+                    reasons={OVERRIDE_REASONS}
+                    needsApprover={!canApprove}
+                  />
+                </div>
+              )}
+
               <div className="border-t pt-4">
                 <div className="flex justify-between mb-2">
                   <span>Subtotal:</span>
                   <span>{formatCurrencyDisplay(totals.subtotal)}</span>
                 </div>
-                <div className="flex justify-between mb-2">
-                  <span>VAT (12%):</span>
-                  <span>{formatCurrencyDisplay(totals.vat)}</span>
-                </div>
+                {totals.lineDiscount > 0 && (
+                  <div className="flex justify-between mb-2 text-green-700">
+                    <span>Item Discounts:</span>
+                    <span>-{formatCurrencyDisplay(totals.lineDiscount)}</span>
+                  </div>
+                )}
+                {totals.saleDiscount > 0 && (
+                  <div className="flex justify-between mb-2 text-green-700">
+                    <span>Sale Discount{saleDiscount.type === 'percentage' ? ` (${parseFloat(saleDiscount.value)}%)` : ''}:</span>
+                    <span>-{formatCurrencyDisplay(totals.saleDiscount)}</span>
+                  </div>
+                )}
+                {totals.promoDiscount > 0 && (
+                  <div className="flex justify-between mb-2 text-green-700">
+                    <span>Promo ({promo.code}):</span>
+                    <span>-{formatCurrencyDisplay(totals.promoDiscount)}</span>
+                  </div>
+                )}
+                {promo && totals.promoDiscount === 0 && promo.minPurchase > 0 && (
+                  <div className="text-xs text-orange-600 mb-2">
+                    Promo {promo.code} requires a minimum purchase of {formatCurrencyDisplay(promo.minPurchase)}
+                  </div>
+                )}
+                {totals.seniorPwdDiscount > 0 && (
+                  <div className="flex justify-between mb-2 text-green-700">
+                    <span>SC/PWD Discount ({taxSettings.seniorPwdDiscountPercent}%):</span>
+                    <span>-{formatCurrencyDisplay(totals.seniorPwdDiscount)}</span>
+                  </div>
+                )}
+                {totals.vatExemptionAmount > 0 && (
+                  <div className="flex justify-between mb-2 text-green-700">
+                    <span>VAT Exemption:</span>
+                    <span>-{formatCurrencyDisplay(totals.vatExemptionAmount)}</span>
+                  </div>
+                )}
+                {totals.taxBreakdown.filter(tax => tax.taxAmount > 0).map(tax => (
+                  <div key={tax.code} className="flex justify-between mb-2">
+                    <span>{tax.name} ({tax.rate}%){taxSettings.pricesIncludeVat ? ' incl.' : ''}:</span>
+                    <span>{formatCurrencyDisplay(tax.taxAmount)}</span>
+                  </div>
+                ))}
+                {totals.vat === 0 && (
+                  <div className="flex justify-between mb-2">
+                    <span>VAT:</span>
+                    <span>{formatCurrencyDisplay(0)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-xl font-bold border-t pt-2">
                   <span>Total:</span>
                   <span>{formatCurrencyDisplay(totals.total)}</span>
                 </div>
               </div>
 
+              <PaymentEntry
+                payments={payments}
+                onChange={setPayments}
+                total={totals.total}
+                methods={loyaltySettings.enabled && selectedCustomer?.loyaltyPoints > 0 ? [...PAYMENT_METHODS, 'points'] : PAYMENT_METHODS}
+                pointValue={loyaltySettings.pointValue}
+                pointsBalance={selectedCustomer?.loyaltyPoints || 0}
+              />
+
               <div className="flex flex-col sm:flex-row gap-2">
                 <button
                   type="submit"
@@ -661,47 +1058,64 @@ const Sales = () => {
         </div>
       )}
 
-      <ConfirmModal
+      <VoidSaleModal
+        sale={saleToVoid}
         isOpen={showVoidModal}
         onClose={() => {
-          if (!isVoiding) {
-            setShowVoidModal(false);
-            setSaleToVoid(null);
-          }
+          setShowVoidModal(false);
+          setSaleToVoid(null);
+        }}
+        onVoided={() => {
+          setShowVoidModal(false);
+          setSaleToVoid(null);
+          fetchSales();
+        }}
+      />
+
+      <VariantPicker
+        product={variantPickerProduct}
+        onSelect={handleVariantSelect}
+        onClose={() => setVariantPickerProduct(null)}
+      />
+
+      <ReturnModal
+        isOpen={!!saleToReturn}
+        saleId={saleToReturn?._id}
+        onClose={() => setSaleToReturn(null)}
+        onReturned={() => {
+          setSaleToReturn(null);
+          fetchSales();
         }}
-        onConfirm={handleVoidConfirm}
-        title="Void Sale"
-        message={`Are you sure you want to void sale ${saleToVoid?.saleNumber}? This will restore the stock quantities and exclude this sale from revenue reports. This action cannot be undone.`}
-        confirmText="Void Sale"
-        cancelText="Cancel"
-        variant="warning"
-        isLoading={isVoiding}
       />
 
       {/* Receipt Modal */}
       {showReceiptModal && selectedSale && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="bg-white rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
-            <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+            <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center gap-2">
               <h2 className="text-2xl font-bold">Digital Receipt</h2>
-              <div className="flex gap-2">
+              <div className="flex flex-wrap justify-end gap-2">
                 <button
-                  onClick={exportReceiptToPDF}
-                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2 transition-colors"
+                  onClick={printReceipt}
+                  disabled={receiptAction !== null}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                 >
-                  <svg
-                    xmlns="http://www.w3.org/2000/svg"
-                    className="h-5 w-5"
-                    viewBox="0 0 20 20"
-                    fill="currentColor"
-                  >
-                    <path
-                      fillRule="evenodd"
-                      d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z"
-                      clipRule="evenodd"
-                    />
-                  </svg>
-                  Export PDF
+                  {receiptAction === 'print' ? 'Preparing...' : 'Print'}
+                </button>
+                <button
+                  onClick={() => downloadReceipt('pdf')}
+                  disabled={receiptAction !== null}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {receiptAction === 'pdf' ? 'Preparing...' : 'PDF'}
+                </button>
+                <button
+                  onClick={() => downloadReceipt('escpos')}
+                  disabled={receiptAction !== null}
+                  title="Raw ESC/POS file for thermal printers"
+                  className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {receiptAction === 'escpos' ? 'Preparing...' : 'ESC/POS'}
                 </button>
                 <button
                   onClick={() => {
@@ -759,6 +1173,15 @@ const Sales = () => {
                   {!selectedSale.customerName && !selectedSale.customerEmail && !selectedSale.customerPhone && (
                     <div className="text-gray-600">Walk-in Customer</div>
                   )}
+                  {selectedSale.taxExemption?.type && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">{selectedSale.taxExemption.type === 'pwd' ? 'PWD' : 'Senior Citizen'} ID:</span>
+                      <span>
+                        {selectedSale.taxExemption.idNumber}
+                        {selectedSale.taxExemption.holderName ? ` (${selectedSale.taxExemption.holderName})` : ''}
+                      </span>
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -777,15 +1200,28 @@ const Sales = () => {
                     </thead>
                     <tbody className="divide-y divide-gray-200">
                       {selectedSale.items.map((item, index) => {
-                        const productName = item.product?.name || 'Unknown Product';
+                        const productName = itemName(item.product?.name || 'Unknown Product', item.variantName);
                         const quantity = item.quantity || 0;
                         const price = item.price || item.product?.price || 0;
                         const subtotal = item.subtotal || (price * quantity);
                         
                         return (
                           <tr key={index}>
-                            <td className="px-4 py-2">{productName}</td>
-                            <td className="px-4 py-2 text-center">{quantity}</td>
+                            <td className="px-4 py-2">
+                              {productName}
+                              {item.discountAmount > 0 && (
+                                <div className="text-xs text-green-700">
+                                  Discount{item.discountType === 'percentage' ? ` (${item.discountValue}%)` : ''}: -{formatCurrencyDisplay(item.discountAmount)}
+                                </div>
+                              )}
+                              {item.listPrice !== undefined && item.listPrice !== null && (
+                                <div className="text-xs text-orange-700">Price override (list {formatCurrencyDisplay(item.listPrice)})</div>
+                              )}
+                              {item.returnedQuantity > 0 && (
+                                <div className="text-xs text-yellow-700">Returned: {formatQuantity(item.returnedQuantity, item.unit)}</div>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-center">{formatQuantity(quantity, item.unit)}</td>
                             <td className="px-4 py-2 text-right">{formatCurrencyDisplay(price)}</td>
                             <td className="px-4 py-2 text-right font-semibold">{formatCurrencyDisplay(subtotal)}</td>
                           </tr>
@@ -802,36 +1238,160 @@ const Sales = () => {
                   <span>Subtotal:</span>
                   <span>{formatCurrencyDisplay(selectedSale.subtotal)}</span>
                 </div>
-                {selectedSale.discount > 0 && (
+                {selectedSale.discountBreakdown?.lineDiscount > 0 && (
+                  <div className="flex justify-between">
+                    <span>Item Discounts:</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.discountBreakdown.lineDiscount)}</span>
+                  </div>
+                )}
+                {selectedSale.discountBreakdown?.saleDiscount > 0 && (
+                  <div className="flex justify-between">
+                    <span>Sale Discount{selectedSale.saleDiscountType === 'percentage' ? ` (${selectedSale.saleDiscountValue}%)` : ''}:</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.discountBreakdown.saleDiscount)}</span>
+                  </div>
+                )}
+                {selectedSale.discountBreakdown?.promoDiscount > 0 && (
+                  <div className="flex justify-between">
+                    <span>Promo ({selectedSale.promoCode}):</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.discountBreakdown.promoDiscount)}</span>
+                  </div>
+                )}
+                {selectedSale.discount > 0 && !selectedSale.discountBreakdown && (
                   <div className="flex justify-between">
                     <span>Discount:</span>
                     <span>{formatCurrencyDisplay(selectedSale.discount)}</span>
                   </div>
                 )}
+                {selectedSale.discountBreakdown?.seniorPwdDiscount > 0 && (
+                  <div className="flex justify-between">
+                    <span>SC/PWD Discount ({selectedSale.taxExemption?.discountPercent}%):</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.discountBreakdown.seniorPwdDiscount)}</span>
+                  </div>
+                )}
+                {selectedSale.vatExemptionAmount > 0 && (
+                  <div className="flex justify-between">
+                    <span>VAT Exemption:</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.vatExemptionAmount)}</span>
+                  </div>
+                )}
+                {selectedSale.taxBreakdown?.length > 0 && (
+                  <div className="text-sm text-gray-600 space-y-1">
+                    {selectedSale.vatableSales > 0 && (
+                      <div className="flex justify-between">
+                        <span>VATable Sales:</span>
+                        <span>{formatCurrencyDisplay(selectedSale.vatableSales)}</span>
+                      </div>
+                    )}
+                    {selectedSale.vatExemptSales > 0 && (
+                      <div className="flex justify-between">
+                        <span>VAT-Exempt Sales:</span>
+                        <span>{formatCurrencyDisplay(selectedSale.vatExemptSales)}</span>
+                      </div>
+                    )}
+                    {selectedSale.zeroRatedSales > 0 && (
+                      <div className="flex justify-between">
+                        <span>Zero-Rated Sales:</span>
+                        <span>{formatCurrencyDisplay(selectedSale.zeroRatedSales)}</span>
+                      </div>
+                    )}
+                  </div>
+                )}
                 <div className="flex justify-between">
-                  <span>Tax (VAT):</span>
+                  <span>Tax (VAT){selectedSale.pricesIncludeVat ? ' incl.' : ''}:</span>
                   <span>{formatCurrencyDisplay(selectedSale.tax)}</span>
                 </div>
                 <div className="flex justify-between text-xl font-bold border-t pt-2 mt-2">
                   <span>Total:</span>
                   <span>{formatCurrencyDisplay(selectedSale.total)}</span>
                 </div>
+                {selectedSale.refundedAmount > 0 && (
+                  <div className="flex justify-between text-red-700">
+                    <span>Refunded (returns):</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.refundedAmount)}</span>
+                  </div>
+                )}
               </div>
 
-              {/* Payment Method */}
-              <div className="border-t pt-4">
+              {/* Payment */}
+              <div className="border-t pt-4 space-y-2">
                 <div className="flex justify-between">
                   <span className="font-semibold">Payment Method:</span>
-                  <span className="capitalize">{formatPaymentMethod(selectedSale.paymentMethod)}</span>
+                  <span>{formatPaymentMethod(selectedSale.paymentMethod)}</span>
                 </div>
+                {selectedSale.payments?.map((payment, index) => (
+                  <div key={index} className="flex justify-between text-sm">
+                    <span className="text-gray-600">
+                      {formatPaymentMethod(payment.method)}
+                      {payment.referenceNumber ? ` (Ref: ${payment.referenceNumber})` : ''}:
+                    </span>
+                    <span>{formatCurrencyDisplay(payment.tendered ?? payment.amount)}</span>
+                  </div>
+                ))}
+                {selectedSale.change > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Change:</span>
+                    <span>{formatCurrencyDisplay(selectedSale.change)}</span>
+                  </div>
+                )}
+                {selectedSale.loyalty?.pointsRedeemed > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Points redeemed:</span>
+                    <span>{selectedSale.loyalty.pointsRedeemed}</span>
+                  </div>
+                )}
+                {selectedSale.loyalty?.pointsEarned > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Points earned:</span>
+                    <span>{selectedSale.loyalty.pointsEarned}</span>
+                  </div>
+                )}
               </div>
 
+              {/* Approvals */}
+              {selectedSale.override && (
+                <div className="border-t pt-4 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Override reason:</span>
+                    <span className="text-right">{formatApprovalReason(OVERRIDE_REASONS, selectedSale.override)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Approved by:</span>
+                    <span>
+                      {selectedSale.override.approvedBy?.username || '-'} ({APPROVAL_METHODS[selectedSale.override.method] || selectedSale.override.method})
+                    </span>
+                  </div>
+                </div>
+              )}
+
               {/* Status */}
               {selectedSale.isVoid && (
                 <div className="border-t pt-4">
                   <div className="bg-red-100 text-red-800 px-4 py-2 rounded text-center font-semibold">
                     VOIDED
                   </div>
+                  <div className="mt-2 text-sm space-y-1">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Voided:</span>
+                      <span>
+                        {selectedSale.voidedAt && new Date(selectedSale.voidedAt).toLocaleString()}
+                        {selectedSale.voidedBy?.username && ` by ${selectedSale.voidedBy.username}`}
+                      </span>
+                    </div>
+                    {selectedSale.voidApproval && (
+                      <>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Reason:</span>
+                          <span className="text-right">{formatApprovalReason(VOID_REASONS, selectedSale.voidApproval)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Approved by:</span>
+                          <span>
+                            {selectedSale.voidApproval.approvedBy?.username || '-'} ({APPROVAL_METHODS[selectedSale.voidApproval.method] || selectedSale.voidApproval.method})
+                          </span>
+                        </div>
+                      </>
+                    )}
+                  </div>
                 </div>
               )}
 
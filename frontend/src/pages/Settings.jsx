@@ -0,0 +1,528 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+
+const Settings = () => {
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [taxClasses, setTaxClasses] = useState([]);
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm();
+
+  const saleNumberFormat = watch('saleNumber');
+  const saleNumberPreview = [
+    saleNumberFormat?.prefix,
+    saleNumberFormat?.branchCode,
+    saleNumberFormat?.registerId,
+    'YYYYMMDD',
+    '1'.padStart(parseInt(saleNumberFormat?.sequenceDigits) || 4, '0')
+  ].filter(Boolean).join('-').toUpperCase();
+
+  useEffect(() => {
+    fetchSettings();
+    fetchTaxClasses();
+  }, []);
+
+  // The default tax class comes back populated; the select needs its ID
+  const toFormValues = (settings) => ({
+    ...settings,
+    tax: {
+      ...settings.tax,
+      defaultTaxClass: settings.tax?.defaultTaxClass?._id || ''
+    }
+  });
+
+  const fetchSettings = async () => {
+    try {
+      const response = await axios.get('/settings');
+      reset(toFormValues(response.data.data));
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTaxClasses = async () => {
+    try {
+      const response = await axios.get('/tax-classes');
+      setTaxClasses(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch tax classes');
+    }
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    try {
+      const response = await axios.put('/settings', {
+        discount: {
+          staffMaxPercent: parseFloat(data.discount.staffMaxPercent)
+        },
+        voids: {
+          staffSameShiftOnly: data.voids.staffSameShiftOnly,
+          maxAgeHours: parseInt(data.voids.maxAgeHours)
+        },
+        tax: {
+          pricesIncludeVat: data.tax.pricesIncludeVat,
+          defaultTaxClass: data.tax.defaultTaxClass || null,
+          seniorPwdDiscountPercent: parseFloat(data.tax.seniorPwdDiscountPercent)
+        },
+        saleNumber: {
+          prefix: data.saleNumber.prefix,
+          branchCode: data.saleNumber.branchCode,
+          registerId: data.saleNumber.registerId,
+          sequenceDigits: parseInt(data.saleNumber.sequenceDigits)
+        },
+        receipt: {
+          storeName: data.receipt.storeName,
+          address: data.receipt.address,
+          tin: data.receipt.tin,
+          contactNumber: data.receipt.contactNumber,
+          footer: data.receipt.footer,
+          paperWidth: parseInt(data.receipt.paperWidth)
+        },
+        loyalty: {
+          enabled: data.loyalty.enabled,
+          pointsPerPeso: parseFloat(data.loyalty.pointsPerPeso),
+          pointValue: parseFloat(data.loyalty.pointValue),
+          expiryMonths: parseInt(data.loyalty.expiryMonths)
+        },
+        reorder: {
+          salesHistoryDays: parseInt(data.reorder.salesHistoryDays),
+          leadTimeDays: parseInt(data.reorder.leadTimeDays),
+          safetyStockDays: parseInt(data.reorder.safetyStockDays),
+          coverageDays: parseInt(data.reorder.coverageDays)
+        }
+      });
+      reset(toFormValues(response.data.data));
+      toast.success('Settings updated successfully');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl sm:text-3xl font-bold mb-6 sm:mb-8">Settings</h1>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-1">Discounts</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Staff can apply item and sale discounts up to this share of the subtotal.
+            Larger discounts and price overrides need a reason and an admin or supervisor to approve them at the register. Promo codes are not counted.
+          </p>
+          <div className="max-w-xs">
+            <label className="block text-sm font-medium mb-1">Staff Discount Limit (%) *</label>
+            <input
+              {...register('discount.staffMaxPercent', {
+                required: 'Staff discount limit is required',
+                min: { value: 0, message: 'Limit cannot be negative' },
+                max: { value: 100, message: 'Limit cannot exceed 100%' }
+              })}
+              type="number"
+              step="0.01"
+              className="w-full px-3 py-2 border rounded-lg"
+            />
+            {errors.discount?.staffMaxPercent && (
+              <p className="text-red-600 text-sm">{errors.discount.staffMaxPercent.message}</p>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-1">Voids</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Every void needs a reason. Staff voids are approved by an admin or supervisor at the register or from the approval queue.
+            Admins can void any sale.
+          </p>
+          <div className="space-y-4 max-w-md">
+            <label className="flex items-center gap-2 text-sm font-medium">
+              <input
+                {...register('voids.staffSameShiftOnly')}
+                type="checkbox"
+                className="rounded"
+              />
+              Staff can only void sales from their own open shift
+            </label>
+            <div className="max-w-xs">
+              <label className="block text-sm font-medium mb-1">Void Time Limit (hours) *</label>
+              <input
+                {...register('voids.maxAgeHours', {
+                  required: 'Void time limit is required',
+                  min: { value: 0, message: 'Cannot be negative' },
+                  max: { value: 720, message: 'Cannot exceed 720 hours' }
+                })}
+                type="number"
+                step="1"
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              <p className="text-xs text-gray-500 mt-1">Older sales can only be voided by an admin; 0 means no limit</p>
+              {errors.voids?.maxAgeHours && (
+                <p className="text-red-600 text-sm">{errors.voids.maxAgeHours.message}</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-1">Tax</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Products without their own or a category tax class use the default tax class.
+            Manage rates and exemptions under Tax Classes.
+          </p>
+          <div className="space-y-4 max-w-md">
+            <label className="flex items-center gap-2 text-sm font-medium">
+              <input
+                {...register('tax.pricesIncludeVat')}
+                type="checkbox"
+                className="rounded"
+              />
+              Product prices already include VAT
+            </label>
+            <div>
+              <label className="block text-sm font-medium mb-1">Default Tax Class</label>
+              <select
+                {...register('tax.defaultTaxClass')}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="">VAT 12% (built-in)</option>
+                {taxClasses.map(taxClass => (
+                  <option key={taxClass._id} value={taxClass._id}>
+                    {taxClass.code} - {taxClass.name} ({taxClass.rate}%)
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="max-w-xs">
+              <label className="block text-sm font-medium mb-1">Senior Citizen/PWD Discount (%) *</label>
+              <input
+                {...register('tax.seniorPwdDiscountPercent', {
+                  required: 'Senior Citizen/PWD discount is required',
+                  min: { value: 0, message: 'Discount cannot be negative' },
+                  max: { value: 100, message: 'Discount cannot exceed 100%' }
+                })}
+                type="number"
+                step="0.01"
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              {errors.tax?.seniorPwdDiscountPercent && (
+                <p className="text-red-600 text-sm">{errors.tax.seniorPwdDiscountPercent.message}</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-1">Sale Numbering</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Sale numbers are sequential and restart every day for each prefix, branch and register.
+            Leave branch code or register ID blank to omit them.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Prefix *</label>
+              <input
+                {...register('saleNumber.prefix', {
+                  required: 'Prefix is required',
+                  pattern: { value: /^[A-Za-z0-9]{1,10}$/, message: 'Use 1-10 letters or digits' }
+                })}
+                className="w-full px-3 py-2 border rounded-lg uppercase"
+              />
+              {errors.saleNumber?.prefix && (
+                <p className="text-red-600 text-sm">{errors.saleNumber.prefix.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Branch Code</label>
+              <input
+                {...register('saleNumber.branchCode', {
+                  pattern: { value: /^[A-Za-z0-9]{0,10}$/, message: 'Use up to 10 letters or digits' }
+                })}
+                className="w-full px-3 py-2 border rounded-lg uppercase"
+              />
+              {errors.saleNumber?.branchCode && (
+                <p className="text-red-600 text-sm">{errors.saleNumber.branchCode.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Register ID</label>
+              <input
+                {...register('saleNumber.registerId', {
+                  pattern: { value: /^[A-Za-z0-9]{0,10}$/, message: 'Use up to 10 letters or digits' }
+                })}
+                className="w-full px-3 py-2 border rounded-lg uppercase"
+              />
+              {errors.saleNumber?.registerId && (
+                <p className="text-red-600 text-sm">{errors.saleNumber.registerId.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Sequence Digits *</label>
+              <input
+                {...register('saleNumber.sequenceDigits', {
+                  required: 'Sequence digits is required',
+                  min: { value: 3, message: 'At least 3 digits' },
+                  max: { value: 8, message: 'At most 8 digits' }
+                })}
+                type="number"
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              {errors.saleNumber?.sequenceDigits && (
+                <p className="text-red-600 text-sm">{errors.saleNumber.sequenceDigits.message}</p>
+              )}
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 mt-4">
+            Preview: <span className="font-mono font-semibold">{saleNumberPreview}</span>
+          </p>
+        </div>
+
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-1">Receipts</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Printed at the top and bottom of every receipt. Receipts printed again are marked as reprints.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Store Name</label>
+              <input
+                {...register('receipt.storeName', {
+                  maxLength: { value: 60, message: 'At most 60 characters' }
+                })}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              {errors.receipt?.storeName && (
+                <p className="text-red-600 text-sm">{errors.receipt.storeName.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">TIN</label>
+              <input
+                {...register('receipt.tin', {
+                  pattern: { value: /^[0-9-]{0,20}$/, message: 'Use up to 20 digits or dashes' }
+                })}
+                className="w-full px-3 py-2 border rounded-lg"
+                placeholder="000-000-000-000"
+              />
+              {errors.receipt?.tin && (
+                <p className="text-red-600 text-sm">{errors.receipt.tin.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Address</label>
+              <input
+                {...register('receipt.address', {
+                  maxLength: { value: 200, message: 'At most 200 characters' }
+                })}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              {errors.receipt?.address && (
+                <p className="text-red-600 text-sm">{errors.receipt.address.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Contact Number</label>
+              <input
+                {...register('receipt.contactNumber', {
+                  maxLength: { value: 30, message: 'At most 30 characters' }
+                })}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              {errors.receipt?.contactNumber && (
+                <p className="text-red-600 text-sm">{errors.receipt.contactNumber.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Footer</label>
+              <input
+                {...register('receipt.footer', {
+                  maxLength: { value: 200, message: 'At most 200 characters' }
+                })}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              {errors.receipt?.footer && (
+                <p className="text-red-600 text-sm">{errors.receipt.footer.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Thermal Paper Width</label>
+              <select
+                {...register('receipt.paperWidth')}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="80">80 mm</option>
+                <option value="58">58 mm</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-1">Loyalty Program</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Customers earn points on what they pay and can redeem them at checkout. Category multipliers are set under Categories.
+          </p>
+          <div className="space-y-4 max-w-md">
+            <label className="flex items-center gap-2 text-sm font-medium">
+              <input
+                {...register('loyalty.enabled')}
+                type="checkbox"
+                className="rounded"
+              />
+              Enable loyalty points
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Points per Peso *</label>
+                <input
+                  {...register('loyalty.pointsPerPeso', {
+                    required: 'Points per peso is required',
+                    min: { value: 0, message: 'Cannot be negative' },
+                    max: { value: 10, message: 'Cannot exceed 10' }
+                  })}
+                  type="number"
+                  step="0.0001"
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.loyalty?.pointsPerPeso && (
+                  <p className="text-red-600 text-sm">{errors.loyalty.pointsPerPeso.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Point Value (₱) *</label>
+                <input
+                  {...register('loyalty.pointValue', {
+                    required: 'Point value is required',
+                    min: { value: 0.01, message: 'Must be at least 0.01' },
+                    max: { value: 1000, message: 'Cannot exceed 1000' }
+                  })}
+                  type="number"
+                  step="0.01"
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.loyalty?.pointValue && (
+                  <p className="text-red-600 text-sm">{errors.loyalty.pointValue.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Expiry (months) *</label>
+                <input
+                  {...register('loyalty.expiryMonths', {
+                    required: 'Expiry is required',
+                    min: { value: 0, message: 'Cannot be negative' },
+                    max: { value: 120, message: 'Cannot exceed 120' }
+                  })}
+                  type="number"
+                  step="1"
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.loyalty?.expiryMonths && (
+                  <p className="text-red-600 text-sm">{errors.loyalty.expiryMonths.message}</p>
+                )}
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              E.g. 0.01 points per peso earns 1 point per ₱100. Set expiry to 0 for points that never expire.
+            </p>
+          </div>
+        </div>
+
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-1">Reorder Suggestions</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Products are suggested for reordering when their stock and goods on order would not last the supplier's lead time plus safety stock at the average daily sales rate.
+          </p>
+          <div className="space-y-4 max-w-2xl">
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Sales History (days) *</label>
+                <input
+                  {...register('reorder.salesHistoryDays', {
+                    required: 'Sales history is required',
+                    min: { value: 7, message: 'Must be at least 7' },
+                    max: { value: 365, message: 'Cannot exceed 365' }
+                  })}
+                  type="number"
+                  step="1"
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.reorder?.salesHistoryDays && (
+                  <p className="text-red-600 text-sm">{errors.reorder.salesHistoryDays.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Lead Time (days) *</label>
+                <input
+                  {...register('reorder.leadTimeDays', {
+                    required: 'Lead time is required',
+                    min: { value: 0, message: 'Cannot be negative' },
+                    max: { value: 180, message: 'Cannot exceed 180' }
+                  })}
+                  type="number"
+                  step="1"
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.reorder?.leadTimeDays && (
+                  <p className="text-red-600 text-sm">{errors.reorder.leadTimeDays.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Safety Stock (days) *</label>
+                <input
+                  {...register('reorder.safetyStockDays', {
+                    required: 'Safety stock is required',
+                    min: { value: 0, message: 'Cannot be negative' },
+                    max: { value: 180, message: 'Cannot exceed 180' }
+                  })}
+                  type="number"
+                  step="1"
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.reorder?.safetyStockDays && (
+                  <p className="text-red-600 text-sm">{errors.reorder.safetyStockDays.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Order Coverage (days) *</label>
+                <input
+                  {...register('reorder.coverageDays', {
+                    required: 'Order coverage is required',
+                    min: { value: 1, message: 'Must be at least 1' },
+                    max: { value: 180, message: 'Cannot exceed 180' }
+                  })}
+                  type="number"
+                  step="1"
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.reorder?.coverageDays && (
+                  <p className="text-red-600 text-sm">{errors.reorder.coverageDays.message}</p>
+                )}
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              Lead time and safety stock apply to suppliers without their own. Suggested quantities cover the order coverage period once stock is back at the reorder point.
+            </p>
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+        >
+          {isSubmitting ? 'Saving...' : 'Save Settings'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Settings;
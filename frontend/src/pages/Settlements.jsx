@@ -0,0 +1,635 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import ConfirmModal from '../components/ConfirmModal';
+import { formatCurrencyDisplay, formatDate, formatLocalDate } from '../utils/utils';
+import { itemName, lineKey } from '../utils/variant';
+import { formatQuantity } from '../utils/units';
+
+const SETTLEMENT_STATUSES = {
+  unpaid: { label: 'Unpaid', className: 'bg-yellow-100 text-yellow-800' },
+  partially_paid: { label: 'Partially Paid', className: 'bg-blue-100 text-blue-800' },
+  paid: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-800' }
+};
+
+const PAYMENT_METHODS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank Transfer',
+  check: 'Check',
+  other: 'Other'
+};
+
+const PAYABLE_STATUSES = ['unpaid', 'partially_paid'];
+
+const EMPTY_PAYMENT = { amount: '', method: 'bank_transfer', referenceNumber: '', paidAt: '', notes: '' };
+
+const defaultPeriod = () => {
+  const start = new Date();
+  start.setDate(1);
+  return { startDate: formatLocalDate(start), endDate: formatLocalDate(new Date()) };
+};
+
+const termsLabel = ({ settlementBasis, commissionRate }) => (
+  settlementBasis === 'commission' ? `Sales less ${commissionRate}% commission` : 'Agreed cost of units sold'
+);
+
+const balanceOf = (settlement) => Math.max(settlement.amountDue - settlement.amountPaid, 0);
+
+const Settlements = () => {
+  const { isAdmin } = useAuth();
+  const [settlements, setSettlements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [supplierFilter, setSupplierFilter] = useState('');
+  const [suppliers, setSuppliers] = useState([]);
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState({ supplier: '', ...defaultPeriod(), notes: '' });
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [viewing, setViewing] = useState(null);
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [isRecordingPayment, setIsRecordingPayment] = useState(false);
+  const [cancelModal, setCancelModal] = useState({ isOpen: false, settlement: null });
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+
+  const consignors = suppliers.filter(supplier => supplier.isConsignor);
+
+  useEffect(() => {
+    fetchSettlements();
+  }, [statusFilter, supplierFilter]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchSuppliers();
+    }
+  }, [isAdmin]);
+
+  const fetchSettlements = async () => {
+    try {
+      const params = {};
+      if (statusFilter) params.status = statusFilter;
+      if (supplierFilter) params.supplier = supplierFilter;
+      const response = await axios.get('/settlements', { params });
+      setSettlements(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await axios.get('/suppliers');
+      setSuppliers(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch suppliers');
+    }
+  };
+
+  const updateForm = (changes) => {
+    setForm({ ...form, ...changes });
+    // A preview is only good for the supplier and period it was run for
+    setPreview(null);
+  };
+
+  const openCreate = () => {
+    setForm({ supplier: '', ...defaultPeriod(), notes: '' });
+    setPreview(null);
+    setShowCreate(true);
+  };
+
+  const closeCreate = () => {
+    if (!isSubmitting) {
+      setShowCreate(false);
+    }
+  };
+
+  const runPreview = async () => {
+    setIsPreviewing(true);
+    try {
+      const { supplier, startDate, endDate } = form;
+      const response = await axios.get('/settlements/preview', { params: { supplier, startDate, endDate } });
+      setPreview({ ...response.data.data, lastSettlement: response.data.lastSettlement });
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post('/settlements', form);
+      toast.success(`Settlement ${response.data.data.settlementNumber} issued`);
+      setShowCreate(false);
+      fetchSettlements();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const openSettlement = async (settlement) => {
+    try {
+      const response = await axios.get(`/settlements/${settlement._id}`);
+      setPayment({ ...EMPTY_PAYMENT, amount: balanceOf(response.data.data).toFixed(2) });
+      setViewing(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handlePayment = async (e) => {
+    e.preventDefault();
+    setIsRecordingPayment(true);
+    try {
+      const response = await axios.post(`/settlements/${viewing._id}/payments`, {
+        ...payment,
+        amount: parseFloat(payment.amount),
+        paidAt: payment.paidAt || undefined
+      });
+      toast.success('Payment recorded');
+      setViewing(response.data.data);
+      setPayment({ ...EMPTY_PAYMENT, amount: balanceOf(response.data.data).toFixed(2) });
+      fetchSettlements();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsRecordingPayment(false);
+    }
+  };
+
+  const confirmCancel = async () => {
+    setIsCancelling(true);
+    try {
+      await axios.put(`/settlements/${cancelModal.settlement._id}/cancel`);
+      toast.success('Settlement cancelled');
+      setCancelModal({ isOpen: false, settlement: null });
+      setViewing(null);
+      fetchSettlements();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  const download = async (settlement, format) => {
+    setDownloading(`${settlement._id}:${format}`);
+    try {
+      const response = await axios.get(`/settlements/${settlement._id}`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${settlement.settlementNumber}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const renderActions = (settlement) => {
+    const actions = [
+      { label: 'View', onClick: () => openSettlement(settlement), className: 'text-gray-600 hover:text-gray-800' },
+      { label: 'CSV', onClick: () => download(settlement, 'csv'), className: 'text-blue-600 hover:text-blue-800' },
+      { label: 'PDF', onClick: () => download(settlement, 'pdf'), className: 'text-green-600 hover:text-green-800' }
+    ];
+
+    if (isAdmin && settlement.status === 'unpaid' && settlement.amountPaid === 0) {
+      actions.push({
+        label: 'Cancel',
+        onClick: () => setCancelModal({ isOpen: true, settlement }),
+        className: 'text-red-600 hover:text-red-800'
+      });
+    }
+
+    return actions.map(action => (
+      <button
+        key={action.label}
+        onClick={action.onClick}
+        disabled={downloading !== null}
+        className={`text-sm disabled:opacity-50 ${action.className}`}
+      >
+        {action.label}
+      </button>
+    ));
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Settlements</h1>
+          <p className="text-sm text-gray-600">
+            {isAdmin
+              ? 'What the store owes consignors for the goods sold in a period, and what has been paid.'
+              : 'What the store owes you for your goods sold, and the payments made.'}
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+          {isAdmin && (
+            <select
+              value={supplierFilter}
+              onChange={(e) => setSupplierFilter(e.target.value)}
+              className="px-3 py-2 border rounded-lg"
+            >
+              <option value="">All consignors</option>
+              {consignors.map(supplier => (
+                <option key={supplier._id} value={supplier._id}>{supplier.companyName}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(SETTLEMENT_STATUSES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {isAdmin && (
+            <button
+              onClick={openCreate}
+              disabled={consignors.length === 0}
+              title={consignors.length === 0 ? 'Mark a supplier as a consignor on the Suppliers page first' : undefined}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              New Settlement
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Settlement</th>
+                {isAdmin && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>}
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount Due</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Paid</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {settlements.length === 0 ? (
+                <tr>
+                  <td colSpan={isAdmin ? 7 : 6} className="px-6 py-4 text-center text-gray-500">
+                    No settlements found
+                  </td>
+                </tr>
+              ) : (
+                settlements.map((settlement) => (
+                  <tr key={settlement._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{settlement.settlementNumber}</div>
+                      <div className="text-xs text-gray-500">Issued {formatDate(settlement.createdAt)}</div>
+                    </td>
+                    {isAdmin && <td className="px-6 py-4 whitespace-nowrap">{settlement.supplier?.companyName || '-'}</td>}
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {formatDate(settlement.periodStart)} - {formatDate(settlement.periodEnd)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">{formatCurrencyDisplay(settlement.amountDue)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">{formatCurrencyDisplay(settlement.amountPaid)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${SETTLEMENT_STATUSES[settlement.status]?.className}`}>
+                        {SETTLEMENT_STATUSES[settlement.status]?.label || settlement.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap space-x-3">{renderActions(settlement)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={cancelModal.isOpen}
+        onClose={() => {
+          if (!isCancelling) {
+            setCancelModal({ isOpen: false, settlement: null });
+          }
+        }}
+        onConfirm={confirmCancel}
+        title="Cancel Settlement"
+        message={`Cancel settlement ${cancelModal.settlement?.settlementNumber}? Its period can then be settled again.`}
+        confirmText="Cancel Settlement"
+        variant="danger"
+        isLoading={isCancelling}
+      />
+
+      {viewing && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => setViewing(null)}>
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{viewing.settlementNumber}</h2>
+                <p className="text-sm text-gray-600">
+                  {viewing.supplier?.companyName} · {formatDate(viewing.periodStart)} - {formatDate(viewing.periodEnd)}
+                </p>
+                <p className="text-sm text-gray-600">{termsLabel(viewing)}</p>
+              </div>
+              <span className={`px-2 py-1 text-xs rounded-full ${SETTLEMENT_STATUSES[viewing.status]?.className}`}>
+                {SETTLEMENT_STATUSES[viewing.status]?.label}
+              </span>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net Qty</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net Sales</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                      {viewing.settlementBasis === 'commission' ? 'Commission' : 'Cost'}
+                    </th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount Due</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {viewing.lines.map(line => (
+                    <tr key={lineKey(line.product, line.variant)}>
+                      <td className="px-3 py-2">
+                        <div>{itemName(line.name, line.variantName)}</div>
+                        {line.quantityReturned > 0 && (
+                          <div className="text-xs text-gray-500">
+                            {formatQuantity(line.quantitySold, line.unit)} sold, {formatQuantity(line.quantityReturned, line.unit)} returned
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right">{formatQuantity(line.netQuantity, line.unit)}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrencyDisplay(line.netSales)}</td>
+                      <td className="px-3 py-2 text-right">
+                        {formatCurrencyDisplay(viewing.settlementBasis === 'commission' ? line.commissionAmount : line.costOfSales)}
+                      </td>
+                      <td className="px-3 py-2 text-right font-medium">{formatCurrencyDisplay(line.amountDue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="border-t mt-3 pt-3 text-sm space-y-1">
+              <div className="flex justify-between">
+                <span>Net sales (excl. VAT)</span>
+                <span>{formatCurrencyDisplay(viewing.netSales)}</span>
+              </div>
+              {viewing.settlementBasis === 'commission' && (
+                <div className="flex justify-between">
+                  <span>Commission ({viewing.commissionRate}%)</span>
+                  <span>-{formatCurrencyDisplay(viewing.commissionAmount)}</span>
+                </div>
+              )}
+              <div className="flex justify-between font-bold">
+                <span>Amount due</span>
+                <span>{formatCurrencyDisplay(viewing.amountDue)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Paid</span>
+                <span>{formatCurrencyDisplay(viewing.amountPaid)}</span>
+              </div>
+              <div className="flex justify-between font-bold">
+                <span>Balance</span>
+                <span>{formatCurrencyDisplay(balanceOf(viewing))}</span>
+              </div>
+            </div>
+
+            <h3 className="font-semibold mt-4 mb-2">Payments</h3>
+            {viewing.payments.length === 0 ? (
+              <p className="text-sm text-gray-500">No payments recorded</p>
+            ) : (
+              <ul className="text-sm divide-y">
+                {viewing.payments.map(entry => (
+                  <li key={entry._id} className="py-2 flex justify-between gap-4">
+                    <div>
+                      <div>
+                        {formatDate(entry.paidAt)} · {PAYMENT_METHODS[entry.method] || entry.method}
+                        {entry.referenceNumber && ` · Ref ${entry.referenceNumber}`}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        Recorded by {entry.recordedBy?.username || '-'}{entry.notes && ` · ${entry.notes}`}
+                      </div>
+                    </div>
+                    <span className="font-medium">{formatCurrencyDisplay(entry.amount)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {isAdmin && PAYABLE_STATUSES.includes(viewing.status) && (
+              <form onSubmit={handlePayment} className="border-t mt-3 pt-3 space-y-3">
+                <h3 className="font-semibold">Record Payment</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Amount *</label>
+                    <input
+                      type="number"
+                      min="0.01"
+                      max={balanceOf(viewing).toFixed(2)}
+                      step="0.01"
+                      value={payment.amount}
+                      onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                      required
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Method *</label>
+                    <select
+                      value={payment.method}
+                      onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    >
+                      {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Paid On</label>
+                    <input
+                      type="date"
+                      value={payment.paidAt}
+                      onChange={(e) => setPayment({ ...payment, paidAt: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  <input
+                    value={payment.referenceNumber}
+                    onChange={(e) => setPayment({ ...payment, referenceNumber: e.target.value })}
+                    placeholder="Reference number"
+                    maxLength={100}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  <input
+                    value={payment.notes}
+                    onChange={(e) => setPayment({ ...payment, notes: e.target.value })}
+                    placeholder="Notes"
+                    maxLength={500}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={isRecordingPayment}
+                  className="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isRecordingPayment ? 'Recording...' : 'Record Payment'}
+                </button>
+              </form>
+            )}
+
+            {viewing.notes && <p className="text-sm text-gray-600 mt-3">Notes: {viewing.notes}</p>}
+            <p className="text-xs text-gray-500 mt-2">
+              Issued by {viewing.createdBy?.username || '-'} on {formatDate(viewing.createdAt)}
+            </p>
+
+            <button
+              type="button"
+              onClick={() => setViewing(null)}
+              className="w-full bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 mt-4"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showCreate && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">New Settlement</h2>
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Consignor *</label>
+                <select
+                  value={form.supplier}
+                  onChange={(e) => updateForm({ supplier: e.target.value })}
+                  required
+                  className="w-full px-3 py-2 border rounded-lg"
+                >
+                  <option value="">Select supplier</option>
+                  {consignors.map(supplier => (
+                    <option key={supplier._id} value={supplier._id}>{supplier.companyName}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">From *</label>
+                  <input
+                    type="date"
+                    value={form.startDate}
+                    onChange={(e) => updateForm({ startDate: e.target.value })}
+                    required
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">To *</label>
+                  <input
+                    type="date"
+                    value={form.endDate}
+                    onChange={(e) => updateForm({ endDate: e.target.value })}
+                    required
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                </div>
+              </div>
+
+              <button
+                type="button"
+                onClick={runPreview}
+                disabled={isPreviewing || !form.supplier}
+                className="w-full bg-gray-600 text-white py-2 rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isPreviewing ? 'Calculating...' : 'Preview'}
+              </button>
+
+              {preview && (
+                <div className="bg-gray-50 rounded-lg p-3 text-sm space-y-1">
+                  {preview.lastSettlement && (
+                    <p className="text-gray-600">
+                      Last settled through {formatDate(preview.lastSettlement.periodEnd)} ({preview.lastSettlement.settlementNumber})
+                    </p>
+                  )}
+                  <p className="text-gray-600">{termsLabel(preview)} · {preview.lines.length} products</p>
+                  <div className="flex justify-between">
+                    <span>Net sales (excl. VAT)</span>
+                    <span>{formatCurrencyDisplay(preview.totals.netSales)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Returns</span>
+                    <span>{formatCurrencyDisplay(preview.totals.returnsAmount)}</span>
+                  </div>
+                  <div className="flex justify-between font-bold">
+                    <span>Amount due</span>
+                    <span>{formatCurrencyDisplay(preview.totals.amountDue)}</span>
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  rows="2"
+                  maxLength={500}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting || !preview || preview.totals.amountDue <= 0}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Issuing...' : 'Issue Settlement'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeCreate}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Settlements;
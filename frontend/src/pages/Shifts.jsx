@@ -0,0 +1,518 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import ShiftReadingTable from '../components/ShiftReadingTable';
+import { formatCurrencyDisplay, formatPaymentMethod } from '../utils/utils';
+
+const CASH_MOVEMENTS = {
+  cash_in: { label: 'Cash In', className: 'text-green-600' },
+  cash_out: { label: 'Cash Out', className: 'text-red-600' }
+};
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+const Shifts = () => {
+  const { isAdmin } = useAuth();
+  const [currentShift, setCurrentShift] = useState(null);
+  const [currentReading, setCurrentReading] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [cashMovement, setCashMovement] = useState(null);
+  const [showCloseModal, setShowCloseModal] = useState(false);
+  const [counted, setCounted] = useState({});
+  const [closingNotes, setClosingNotes] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [viewingShift, setViewingShift] = useState(null);
+  const [viewingReading, setViewingReading] = useState(null);
+  const [zDate, setZDate] = useState(new Date().toISOString().slice(0, 10));
+  const [dailyReading, setDailyReading] = useState(null);
+
+  useEffect(() => {
+    fetchCurrentShift();
+  }, []);
+
+  useEffect(() => {
+    fetchShifts();
+  }, [statusFilter, flaggedOnly]);
+
+  const fetchCurrentShift = async () => {
+    try {
+      const response = await axios.get('/shifts/current');
+      setCurrentShift(response.data.data);
+      setCurrentReading(response.data.reading);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchShifts = async () => {
+    try {
+      const params = {};
+      if (statusFilter) params.status = statusFilter;
+      if (flaggedOnly) params.flagged = true;
+      const response = await axios.get('/shifts', { params });
+      setShifts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const refresh = () => {
+    fetchCurrentShift();
+    fetchShifts();
+  };
+
+  const handleOpenShift = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await axios.post('/shifts/open', { openingFloat: parseFloat(openingFloat) || 0 });
+      toast.success('Shift opened');
+      setOpeningFloat('');
+      refresh();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCashMovement = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await axios.post(`/shifts/${currentShift._id}/cash-movements`, {
+        type: cashMovement.type,
+        amount: parseFloat(cashMovement.amount),
+        reason: cashMovement.reason
+      });
+      toast.success(`${CASH_MOVEMENTS[cashMovement.type].label} recorded`);
+      setCashMovement(null);
+      fetchCurrentShift();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const openCloseModal = async () => {
+    // Count against up-to-date expected amounts
+    await fetchCurrentShift();
+    setCounted({});
+    setClosingNotes('');
+    setShowCloseModal(true);
+  };
+
+  const handleCloseShift = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/shifts/${currentShift._id}/close`, {
+        counted: Object.fromEntries(
+          Object.entries(counted)
+            .filter(([, value]) => value !== '')
+            .map(([method, value]) => [method, parseFloat(value)])
+        ),
+        closingNotes
+      });
+      const closed = response.data.data;
+      toast[closed.hasVariance ? 'warning' : 'success'](
+        closed.hasVariance ? 'Shift closed with a cash variance' : 'Shift closed'
+      );
+      setShowCloseModal(false);
+      setViewingShift(closed);
+      setViewingReading(closed.zReading);
+      refresh();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleViewShift = async (shift) => {
+    try {
+      const response = await axios.get(`/shifts/${shift._id}/x-reading`);
+      setViewingShift(shift);
+      setViewingReading(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchDailyReading = async () => {
+    try {
+      const response = await axios.get('/shifts/z-reading', { params: { date: zDate } });
+      setDailyReading(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl sm:text-3xl font-bold mb-6 sm:mb-8">Shifts</h1>
+
+      <div className="bg-white p-4 sm:p-6 rounded-lg shadow mb-6">
+        {currentShift ? (
+          <>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+              <div>
+                <h2 className="text-xl font-semibold">Current Shift {currentShift.shiftNumber}</h2>
+                <p className="text-sm text-gray-600">
+                  Opened {formatDateTime(currentShift.openedAt)} with a float of {formatCurrencyDisplay(currentShift.openingFloat)}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={fetchCurrentShift}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                >
+                  Refresh X-Reading
+                </button>
+                <button
+                  onClick={() => setCashMovement({ type: 'cash_in', amount: '', reason: '' })}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                  Cash In
+                </button>
+                <button
+                  onClick={() => setCashMovement({ type: 'cash_out', amount: '', reason: '' })}
+                  className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700"
+                >
+                  Cash Out
+                </button>
+                <button
+                  onClick={openCloseModal}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                >
+                  Close Shift
+                </button>
+              </div>
+            </div>
+
+            <h3 className="font-semibold mb-2">X-Reading</h3>
+            <ShiftReadingTable reading={currentReading} />
+
+            {currentShift.cashMovements?.length > 0 && (
+              <div className="mt-4">
+                <h3 className="font-semibold mb-2">Cash Movements</h3>
+                <ul className="text-sm divide-y">
+                  {currentShift.cashMovements.map(movement => (
+                    <li key={movement._id} className="py-1 flex justify-between gap-4">
+                      <span>
+                        {formatDateTime(movement.createdAt)} · {movement.reason}
+                        {movement.user?.username ? ` (${movement.user.username})` : ''}
+                      </span>
+                      <span className={CASH_MOVEMENTS[movement.type].className}>
+                        {movement.type === 'cash_out' ? '-' : '+'}{formatCurrencyDisplay(movement.amount)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        ) : (
+          <form onSubmit={handleOpenShift} className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <div className="flex-1">
+              <h2 className="text-xl font-semibold mb-1">No Open Shift</h2>
+              <p className="text-sm text-gray-600 mb-2">
+                Count the cash in the drawer and open a shift. Sales and refunds you process are reconciled against it.
+              </p>
+              <label className="block text-sm font-medium mb-1">Opening Float</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={openingFloat}
+                onChange={(e) => setOpeningFloat(e.target.value)}
+                className="w-full sm:w-64 px-3 py-2 border rounded-lg"
+                placeholder="0.00"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? 'Opening...' : 'Open Shift'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="bg-white p-4 sm:p-6 rounded-lg shadow mb-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+            <h2 className="text-xl font-semibold">End-of-Day Z-Reading</h2>
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={zDate}
+                onChange={(e) => setZDate(e.target.value)}
+                className="px-3 py-2 border rounded-lg"
+              />
+              <button
+                onClick={fetchDailyReading}
+                disabled={!zDate}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                Generate
+              </button>
+            </div>
+          </div>
+          {dailyReading && (
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                {dailyReading.shiftCount} shift(s) closed on {dailyReading.date}.
+                {dailyReading.openShifts > 0 && (
+                  <span className="text-orange-600"> {dailyReading.openShifts} shift(s) are still open.</span>
+                )}
+              </p>
+              <ShiftReadingTable reading={dailyReading} />
+              {dailyReading.flaggedShifts.length > 0 && (
+                <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800">
+                  <div className="font-semibold mb-1">Shifts with a variance</div>
+                  {dailyReading.flaggedShifts.map(shift => (
+                    <div key={shift._id}>
+                      {shift.shiftNumber} ({shift.cashier?.username || 'Unknown'}): {formatCurrencyDisplay(shift.variance)}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 p-4 border-b">
+          <h2 className="text-xl font-semibold">{isAdmin ? 'All Shifts' : 'My Shifts'}</h2>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-2 border rounded-lg"
+            >
+              <option value="">All statuses</option>
+              <option value="open">Open</option>
+              <option value="closed">Closed</option>
+            </select>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={flaggedOnly}
+                onChange={(e) => setFlaggedOnly(e.target.checked)}
+              />
+              With variance only
+            </label>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Shift #</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cashier</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Opened</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Closed</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Variance</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {shifts.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="px-6 py-4 text-center text-gray-500">No shifts found</td>
+                </tr>
+              ) : (
+                shifts.map(shift => (
+                  <tr key={shift._id} className={shift.hasVariance ? 'bg-red-50' : ''}>
+                    <td className="px-6 py-4 whitespace-nowrap font-medium">{shift.shiftNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{shift.cashier?.username || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{formatDateTime(shift.openedAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {shift.status === 'open' ? (
+                        <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">Open</span>
+                      ) : formatDateTime(shift.closedAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      {shift.zReading ? formatCurrencyDisplay(shift.zReading.expectedTotal) : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      {shift.zReading ? formatCurrencyDisplay(shift.zReading.countedTotal) : '-'}
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-right ${shift.hasVariance ? 'text-red-600 font-semibold' : ''}`}>
+                      {shift.zReading ? formatCurrencyDisplay(shift.zReading.variance) : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleViewShift(shift)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        View
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {cashMovement && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <form onSubmit={handleCashMovement} className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md space-y-4">
+            <h2 className="text-xl font-bold">{CASH_MOVEMENTS[cashMovement.type].label}</h2>
+            <div>
+              <label className="block text-sm font-medium mb-1">Amount *</label>
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                required
+                value={cashMovement.amount}
+                onChange={(e) => setCashMovement({ ...cashMovement, amount: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Reason *</label>
+              <input
+                type="text"
+                required
+                maxLength={200}
+                value={cashMovement.reason}
+                onChange={(e) => setCashMovement({ ...cashMovement, reason: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg"
+                placeholder={cashMovement.type === 'cash_out' ? 'e.g. Payout for delivery' : 'e.g. Change fund top-up'}
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? 'Saving...' : 'Record'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setCashMovement(null)}
+                disabled={isSubmitting}
+                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {showCloseModal && currentReading && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <form onSubmit={handleCloseShift} className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto space-y-4">
+            <div>
+              <h2 className="text-xl font-bold">Close Shift {currentShift.shiftNumber}</h2>
+              <p className="text-sm text-gray-600">
+                Count the drawer and enter the totals from card and e-wallet settlement slips.
+                Leave a method blank to skip checking it.
+              </p>
+            </div>
+            {currentReading.lines.map(line => (
+              <div key={line.method}>
+                <label className="block text-sm font-medium mb-1">
+                  {formatPaymentMethod(line.method)} counted{line.method === 'cash' ? ' *' : ''}
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  required={line.method === 'cash'}
+                  value={counted[line.method] ?? ''}
+                  onChange={(e) => setCounted({ ...counted, [line.method]: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+              </div>
+            ))}
+            <div>
+              <label className="block text-sm font-medium mb-1">Notes</label>
+              <textarea
+                value={closingNotes}
+                onChange={(e) => setClosingNotes(e.target.value)}
+                maxLength={500}
+                rows="2"
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 bg-red-600 text-white py-2 rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? 'Closing...' : 'Close Shift'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowCloseModal(false)}
+                disabled={isSubmitting}
+                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {viewingShift && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => setViewingShift(null)}>
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <h2 className="text-xl sm:text-2xl font-bold">
+              {viewingShift.status === 'open' ? 'X-Reading' : 'Z-Reading'} · {viewingShift.shiftNumber}
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {viewingShift.cashier?.username || 'Unknown'} · Opened {formatDateTime(viewingShift.openedAt)}
+              {viewingShift.closedAt && ` · Closed ${formatDateTime(viewingShift.closedAt)}`}
+              {viewingShift.closedBy?.username && ` by ${viewingShift.closedBy.username}`}
+            </p>
+            {viewingShift.hasVariance && (
+              <div className="bg-red-100 text-red-800 px-4 py-2 rounded mb-4 font-semibold">
+                The counted amounts do not match what was expected
+              </div>
+            )}
+            <ShiftReadingTable reading={viewingReading} />
+            {viewingShift.closingNotes && (
+              <p className="text-sm mt-4"><span className="font-semibold">Notes:</span> {viewingShift.closingNotes}</p>
+            )}
+            <button
+              type="button"
+              onClick={() => setViewingShift(null)}
+              className="w-full bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 mt-4"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Shifts;
@@ -0,0 +1,632 @@
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import ConfirmModal from '../components/ConfirmModal';
+import BarcodeScanInput from '../components/BarcodeScanInput';
+import { formatCurrencyDisplay, formatDate } from '../utils/utils';
+import { itemName } from '../utils/variant';
+import { formatQuantity } from '../utils/units';
+
+const COUNT_STATUSES = {
+  counting: { label: 'Counting', className: 'bg-blue-100 text-blue-800' },
+  review: { label: 'In Review', className: 'bg-yellow-100 text-yellow-800' },
+  posted: { label: 'Posted', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-800' }
+};
+
+// Status changes that only need a confirmation
+const STATUS_ACTIONS = {
+  submit: {
+    title: 'Submit Count',
+    message: 'Finish counting and send the variances for review? Items not counted will be left unchanged.',
+    confirmText: 'Submit',
+    variant: 'info',
+    success: 'Stock count submitted for review'
+  },
+  reopen: {
+    title: 'Reopen Count',
+    message: 'Send this count back for recounting?',
+    confirmText: 'Reopen',
+    variant: 'info',
+    success: 'Stock count reopened'
+  },
+  post: {
+    title: 'Post Variances',
+    message: 'Adjust stock by the approved variances? Each adjustment is recorded in the stock ledger.',
+    confirmText: 'Post',
+    variant: 'info'
+  },
+  cancel: {
+    title: 'Cancel Count',
+    message: 'Cancel this stock count? Counted quantities will be discarded.',
+    confirmText: 'Cancel Count',
+    variant: 'danger',
+    success: 'Stock count cancelled'
+  }
+};
+
+const isCounted = (item) => item.countedQuantity !== undefined && item.countedQuantity !== null;
+
+const varianceClass = (value) => {
+  if (value > 0) return 'text-green-600';
+  if (value < 0) return 'text-red-600';
+  return 'text-gray-500';
+};
+
+const StockCounts = () => {
+  const { user, isAdmin } = useAuth();
+  const [counts, setCounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [locations, setLocations] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState({ location: '', category: '', notes: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [activeCount, setActiveCount] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [search, setSearch] = useState('');
+  const [showUncounted, setShowUncounted] = useState(false);
+  const [approved, setApproved] = useState(new Set());
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, action: null });
+  const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+
+  useEffect(() => {
+    fetchCounts();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchLocations();
+    fetchCategories();
+  }, []);
+
+  const fetchCounts = async () => {
+    try {
+      const params = {};
+      if (statusFilter) params.status = statusFilter;
+      const response = await axios.get('/stock-counts', { params });
+      setCounts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations', { params: { isActive: true } });
+      setLocations(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch locations');
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories');
+      setCategories(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch categories');
+    }
+  };
+
+  // Every counted item is approved for posting until unticked
+  const showCount = (count) => {
+    setActiveCount(count);
+    setDrafts({});
+    setApproved(new Set(count.items.filter(isCounted).map(item => item._id)));
+  };
+
+  const openCount = async (id) => {
+    try {
+      const response = await axios.get(`/stock-counts/${id}`);
+      setSearch('');
+      setShowUncounted(false);
+      showCount(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const closeCount = () => {
+    setActiveCount(null);
+    fetchCounts();
+  };
+
+  const openCreate = () => {
+    setForm({ location: isAdmin ? '' : user?.location || '', category: '', notes: '' });
+    setShowModal(true);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post('/stock-counts', {
+        location: form.location || undefined,
+        category: form.category || undefined,
+        notes: form.notes
+      });
+      toast.success(`Stock count ${response.data.data.countNumber} started`);
+      setShowModal(false);
+      setSearch('');
+      setShowUncounted(false);
+      showCount(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const saveCounted = async (item) => {
+    const draft = drafts[item._id];
+    if (draft === undefined) return;
+
+    const countedQuantity = draft === '' ? null : parseFloat(draft);
+    const unchanged = countedQuantity === (isCounted(item) ? item.countedQuantity : null);
+    if (unchanged || (countedQuantity !== null && (Number.isNaN(countedQuantity) || countedQuantity < 0))) {
+      setDrafts(({ [item._id]: _, ...rest }) => rest);
+      return;
+    }
+
+    try {
+      const response = await axios.put(`/stock-counts/${activeCount._id}/items`, {
+        items: [{ item: item._id, countedQuantity }]
+      });
+      setActiveCount(response.data.data);
+      setDrafts(({ [item._id]: _, ...rest }) => rest);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleScan = useCallback(async (code) => {
+    if (!activeCount) return;
+    try {
+      const response = await axios.post(`/stock-counts/${activeCount._id}/scan`, { code });
+      const { item: itemId, countedQuantity } = response.data.data;
+      setActiveCount(count => ({
+        ...count,
+        items: count.items.map(item => (item._id === itemId ? { ...item, countedQuantity } : item))
+      }));
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  }, [activeCount?._id]);
+
+  const toggleApproved = (itemId) => {
+    const next = new Set(approved);
+    if (next.has(itemId)) {
+      next.delete(itemId);
+    } else {
+      next.add(itemId);
+    }
+    setApproved(next);
+  };
+
+  const confirmStatusChange = async () => {
+    const { action } = confirmModal;
+    setIsUpdatingStatus(true);
+    try {
+      const response = action === 'post'
+        ? await axios.post(`/stock-counts/${activeCount._id}/post`, { items: [...approved] })
+        : await axios.put(`/stock-counts/${activeCount._id}/${action}`);
+      toast.success(STATUS_ACTIONS[action].success || response.data.message);
+      setConfirmModal({ isOpen: false, action: null });
+      showCount(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  if (activeCount) {
+    const status = activeCount.status;
+    const counting = status === 'counting';
+    const reviewing = status === 'review';
+    // Staff count blind, so expected quantities only come back once counting is done
+    const showExpected = activeCount.items.some(item => item.expectedQuantity !== undefined);
+    const canCancel = (counting || reviewing) && (isAdmin || activeCount.startedBy?._id === user?.id);
+    const term = search.trim().toLowerCase();
+    const visibleItems = activeCount.items.filter(item => (
+      (!showUncounted || !isCounted(item))
+      && (!term || itemName(item.productName, item.variantName).toLowerCase().includes(term)
+        || (item.sku || '').toLowerCase().includes(term))
+    ));
+    const summary = activeCount.summary;
+
+    return (
+      <div>
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+          <div>
+            <button onClick={closeCount} className="text-sm text-blue-600 hover:text-blue-800 mb-1">
+              ← Back to stock counts
+            </button>
+            <h1 className="text-2xl sm:text-3xl font-bold">{activeCount.countNumber}</h1>
+            <p className="text-sm text-gray-600">
+              {activeCount.location?.name}
+              {activeCount.category ? ` · ${activeCount.category}` : ' · All products'}
+              {' · '}started by {activeCount.startedBy?.username || '-'} on {formatDate(activeCount.createdAt)}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className={`px-2 py-1 text-xs rounded-full ${COUNT_STATUSES[status]?.className}`}>
+              {COUNT_STATUSES[status]?.label || status}
+            </span>
+            {counting && (
+              <button
+                onClick={() => setConfirmModal({ isOpen: true, action: 'submit' })}
+                disabled={summary.counted === 0}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Submit for Review
+              </button>
+            )}
+            {reviewing && isAdmin && (
+              <>
+                <button
+                  onClick={() => setConfirmModal({ isOpen: true, action: 'reopen' })}
+                  className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-300"
+                >
+                  Reopen
+                </button>
+                <button
+                  onClick={() => setConfirmModal({ isOpen: true, action: 'post' })}
+                  disabled={approved.size === 0}
+                  className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Post Variances
+                </button>
+              </>
+            )}
+            {canCancel && (
+              <button
+                onClick={() => setConfirmModal({ isOpen: true, action: 'cancel' })}
+                className="bg-red-100 text-red-700 px-4 py-2 rounded-lg hover:bg-red-200"
+              >
+                Cancel Count
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
+          <div className="bg-white p-4 rounded-lg shadow">
+            <p className="text-sm text-gray-600">Counted</p>
+            <p className="text-2xl font-bold">{summary.counted} / {summary.items}</p>
+          </div>
+          {summary.withVariance !== undefined && (
+            <>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-sm text-gray-600">With Variance</p>
+                <p className="text-2xl font-bold">{summary.withVariance}</p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-sm text-gray-600">Shortage (at cost)</p>
+                <p className="text-2xl font-bold text-red-600">{formatCurrencyDisplay(summary.shortageValue)}</p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-sm text-gray-600">Surplus (at cost)</p>
+                <p className="text-2xl font-bold text-green-600">{formatCurrencyDisplay(summary.surplusValue)}</p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-sm text-gray-600">Net Impact</p>
+                <p className={`text-2xl font-bold ${varianceClass(summary.netValue)}`}>
+                  {formatCurrencyDisplay(summary.netValue)}
+                </p>
+              </div>
+            </>
+          )}
+        </div>
+
+        {counting && (
+          <div className="bg-white p-4 rounded-lg shadow mb-6">
+            <label className="block text-sm font-medium mb-1">Scan to count</label>
+            <BarcodeScanInput onScan={handleScan} disabled={confirmModal.isOpen} />
+            <p className="text-xs text-gray-500 mt-1">Each scan adds one to the item's counted quantity</p>
+          </div>
+        )}
+
+        <div className="flex flex-col sm:flex-row gap-2 mb-4">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="flex-1 px-3 py-2 border rounded-lg"
+            placeholder="Search by product name or SKU"
+          />
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={showUncounted}
+              onChange={(e) => setShowUncounted(e.target.checked)}
+            />
+            Only items not yet counted
+          </label>
+        </div>
+
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {reviewing && isAdmin && (
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Approve</th>
+                  )}
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">SKU</th>
+                  {showExpected && (
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                  )}
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                  {showExpected && (
+                    <>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Variance</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">At Cost</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">At Retail</th>
+                    </>
+                  )}
+                  {status === 'posted' && (
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Posted</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleItems.length === 0 ? (
+                  <tr>
+                    <td colSpan="9" className="px-4 py-4 text-center text-gray-500">No items found</td>
+                  </tr>
+                ) : (
+                  visibleItems.map(item => (
+                    <tr key={item._id} className={item.variance ? 'bg-yellow-50' : ''}>
+                      {reviewing && isAdmin && (
+                        <td className="px-4 py-2">
+                          <input
+                            type="checkbox"
+                            checked={approved.has(item._id)}
+                            disabled={!isCounted(item)}
+                            onChange={() => toggleApproved(item._id)}
+                          />
+                        </td>
+                      )}
+                      <td className="px-4 py-2">{itemName(item.productName, item.variantName)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-600">{item.sku || '-'}</td>
+                      {showExpected && (
+                        <td className="px-4 py-2 text-right">{formatQuantity(item.expectedQuantity, item.unit)}</td>
+                      )}
+                      <td className="px-4 py-2 text-right">
+                        {counting ? (
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={drafts[item._id] ?? (isCounted(item) ? item.countedQuantity : '')}
+                            onChange={(e) => setDrafts({ ...drafts, [item._id]: e.target.value })}
+                            onBlur={() => saveCounted(item)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') e.target.blur();
+                            }}
+                            className="w-28 px-2 py-1 border rounded text-right"
+                            placeholder={item.unit}
+                          />
+                        ) : (
+                          isCounted(item) ? formatQuantity(item.countedQuantity, item.unit) : <span className="text-gray-400">Not counted</span>
+                        )}
+                      </td>
+                      {showExpected && (
+                        <>
+                          <td className={`px-4 py-2 text-right font-medium ${varianceClass(item.variance)}`}>
+                            {item.variance !== undefined ? `${item.variance > 0 ? '+' : ''}${item.variance}` : '-'}
+                          </td>
+                          <td className={`px-4 py-2 text-right ${varianceClass(item.costImpact)}`}>
+                            {item.costImpact !== undefined ? formatCurrencyDisplay(item.costImpact) : '-'}
+                          </td>
+                          <td className={`px-4 py-2 text-right ${varianceClass(item.retailImpact)}`}>
+                            {item.retailImpact !== undefined ? formatCurrencyDisplay(item.retailImpact) : '-'}
+                          </td>
+                        </>
+                      )}
+                      {status === 'posted' && (
+                        <td className="px-4 py-2 text-sm">{item.posted ? 'Yes' : '-'}</td>
+                      )}
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="text-sm text-gray-600 mt-3 space-y-1">
+          {activeCount.submittedAt && (
+            <p>Submitted by {activeCount.submittedBy?.username || '-'} on {formatDate(activeCount.submittedAt)}</p>
+          )}
+          {activeCount.postedAt && (
+            <p>Posted by {activeCount.postedBy?.username || '-'} on {formatDate(activeCount.postedAt)}</p>
+          )}
+          {activeCount.cancelledAt && <p>Cancelled on {formatDate(activeCount.cancelledAt)}</p>}
+          {activeCount.notes && <p>Notes: {activeCount.notes}</p>}
+        </div>
+
+        <ConfirmModal
+          isOpen={confirmModal.isOpen}
+          onClose={() => {
+            if (!isUpdatingStatus) {
+              setConfirmModal({ isOpen: false, action: null });
+            }
+          }}
+          onConfirm={confirmStatusChange}
+          title={STATUS_ACTIONS[confirmModal.action]?.title}
+          message={STATUS_ACTIONS[confirmModal.action]?.message}
+          confirmText={STATUS_ACTIONS[confirmModal.action]?.confirmText}
+          variant={STATUS_ACTIONS[confirmModal.action]?.variant}
+          isLoading={isUpdatingStatus}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Stock Counts</h1>
+          <p className="text-sm text-gray-600">
+            Count a location's stock against the quantities expected when the count started, then post the variances.
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(COUNT_STATUSES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={openCreate}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+          >
+            Start Count
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Count #</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Location</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Counted</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Net Impact</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Started</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {counts.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
+                    No stock counts found
+                  </td>
+                </tr>
+              ) : (
+                counts.map((count) => (
+                  <tr key={count._id}>
+                    <td className="px-6 py-4 whitespace-nowrap font-semibold">{count.countNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{count.location?.name || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{count.category || 'All products'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{count.summary.counted} / {count.summary.items}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap ${varianceClass(count.summary.netValue)}`}>
+                      {count.summary.netValue !== undefined ? formatCurrencyDisplay(count.summary.netValue) : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${COUNT_STATUSES[count.status]?.className}`}>
+                        {COUNT_STATUSES[count.status]?.label || count.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{formatDate(count.createdAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => openCount(count._id)}
+                        className="text-blue-600 hover:text-blue-800 text-sm"
+                      >
+                        {count.status === 'counting' ? 'Count' : count.status === 'review' && isAdmin ? 'Review' : 'View'}
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">Start Stock Count</h2>
+            <form onSubmit={handleCreate} className="space-y-4">
+              {isAdmin && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Location</label>
+                  <select
+                    value={form.location}
+                    onChange={(e) => setForm({ ...form, location: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">My branch</option>
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium mb-1">Category</label>
+                <select
+                  value={form.category}
+                  onChange={(e) => setForm({ ...form, category: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                >
+                  <option value="">All products</option>
+                  {categories.map(category => (
+                    <option key={category._id} value={category.name}>{category.name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  The stock each product holds now is frozen as its expected quantity
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  maxLength={500}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  rows="2"
+                />
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Starting...' : 'Start Count'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockCounts;
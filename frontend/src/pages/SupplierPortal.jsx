@@ -0,0 +1,259 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { formatCurrencyDisplay } from '../utils/utils';
+import { itemName, lineKey } from '../utils/variant';
+import { formatQuantity } from '../utils/units';
+
+const toDateInput = (date) => date.toLocaleDateString('en-CA');
+
+const defaultPeriod = () => {
+  const start = new Date();
+  start.setDate(start.getDate() - 29);
+  return { startDate: toDateInput(start), endDate: toDateInput(new Date()) };
+};
+
+const SupplierPortal = () => {
+  const { isAdmin, isSupplier } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [supplierFilter, setSupplierFilter] = useState('');
+  const [period, setPeriod] = useState(defaultPeriod);
+  const [performance, setPerformance] = useState([]);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+
+  // Admins look at one supplier at a time; suppliers always see their own goods
+  const params = { ...period, ...(isAdmin && { supplier: supplierFilter }) };
+  const canLoad = isSupplier || (isAdmin && supplierFilter);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchSuppliers();
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    if (canLoad) {
+      fetchPortal();
+    }
+  }, [supplierFilter]);
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await axios.get('/suppliers');
+      setSuppliers(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch suppliers');
+    }
+  };
+
+  const fetchPortal = async () => {
+    setLoading(true);
+    try {
+      const [performanceResponse, statementResponse] = await Promise.all([
+        axios.get('/supplier-portal/performance', { params }),
+        axios.get('/supplier-portal/statement', { params })
+      ]);
+      setPerformance(performanceResponse.data.data);
+      setStatement(statementResponse.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadStatement = async (format) => {
+    setDownloading(format);
+    try {
+      const response = await axios.get('/supplier-portal/statement', {
+        params: { ...params, format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Statement_${period.startDate}_${period.endDate}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const totalStock = performance.reduce((sum, row) => sum + Math.max(row.stockOnHand, 0), 0);
+  const totalSold = performance.reduce((sum, row) => sum + row.quantitySold, 0);
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">{isSupplier ? 'My Sales' : 'Supplier Sales'}</h1>
+          <p className="text-sm text-gray-600">
+            Sell-through, stock on hand and consignment sales statements
+          </p>
+        </div>
+        <div className="flex flex-col gap-1">
+          {isSupplier && (
+            <Link to="/product-proposals" className="text-blue-600 hover:text-blue-800 text-sm">
+              Product and price proposals →
+            </Link>
+          )}
+          <Link to="/settlements" className="text-blue-600 hover:text-blue-800 text-sm">
+            Issued settlements and payments →
+          </Link>
+        </div>
+      </div>
+
+      <div className="bg-white p-4 rounded-lg shadow mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+          {isAdmin && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Supplier</label>
+              <select
+                value={supplierFilter}
+                onChange={(e) => setSupplierFilter(e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="">Select supplier</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier._id} value={supplier._id}>{supplier.companyName}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium mb-1">From</label>
+            <input
+              type="date"
+              value={period.startDate}
+              onChange={(e) => setPeriod({ ...period, startDate: e.target.value })}
+              className="w-full px-3 py-2 border rounded-lg"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">To</label>
+            <input
+              type="date"
+              value={period.endDate}
+              onChange={(e) => setPeriod({ ...period, endDate: e.target.value })}
+              className="w-full px-3 py-2 border rounded-lg"
+            />
+          </div>
+          <button
+            onClick={fetchPortal}
+            disabled={loading || !canLoad}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Loading...' : 'Apply'}
+          </button>
+        </div>
+      </div>
+
+      {!canLoad ? (
+        <div className="bg-white p-6 rounded-lg shadow text-center text-gray-500">
+          Choose a supplier to see their sales
+        </div>
+      ) : (
+        <>
+          {statement && (
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-sm text-gray-600">Net Sales (excl. VAT)</p>
+                <p className="text-xl font-bold">{formatCurrencyDisplay(statement.totals.netSales)}</p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-sm text-gray-600">Returns</p>
+                <p className="text-xl font-bold text-red-600">{formatCurrencyDisplay(statement.totals.returnsAmount)}</p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-sm text-gray-600">
+                  {statement.settlementBasis === 'commission' ? `Due after ${statement.commissionRate}% Commission` : 'Due at Agreed Cost'}
+                </p>
+                <p className="text-xl font-bold">{formatCurrencyDisplay(statement.totals.amountDue)}</p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-sm text-gray-600">Sell-Through</p>
+                <p className="text-xl font-bold">
+                  {totalSold + totalStock > 0 ? `${((totalSold / (totalSold + totalStock)) * 100).toFixed(1)}%` : '-'}
+                </p>
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white rounded-lg shadow overflow-hidden mb-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 p-4 border-b">
+              <h2 className="text-lg font-semibold">Consignment Sales Statement</h2>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => downloadStatement('csv')}
+                  disabled={downloading !== null}
+                  className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {downloading === 'csv' ? 'Downloading...' : 'Download CSV'}
+                </button>
+                <button
+                  onClick={() => downloadStatement('pdf')}
+                  disabled={downloading !== null}
+                  className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {downloading === 'pdf' ? 'Downloading...' : 'Download PDF'}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Price</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sold</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net Sales</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">On Hand</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sell-Through</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {loading ? (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-4 text-center">Loading...</td>
+                    </tr>
+                  ) : performance.length === 0 ? (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-4 text-center text-gray-500">No products found</td>
+                    </tr>
+                  ) : (
+                    performance.map(row => (
+                      <tr key={lineKey(row.product, row.variant)} className={row.isActive ? '' : 'opacity-50'}>
+                        <td className="px-4 py-2">
+                          <div>{itemName(row.name, row.variantName)}</div>
+                          {row.sku && <div className="text-xs text-gray-500">{row.sku}</div>}
+                        </td>
+                        <td className="px-4 py-2 text-right">{formatCurrencyDisplay(row.price)}</td>
+                        <td className="px-4 py-2 text-right">{formatQuantity(row.quantitySold, row.unit)}</td>
+                        <td className="px-4 py-2 text-right">{formatCurrencyDisplay(row.netSales)}</td>
+                        <td className={`px-4 py-2 text-right ${row.stockOnHand <= 0 ? 'text-red-600 font-medium' : ''}`}>
+                          {formatQuantity(row.stockOnHand, row.unit)}
+                        </td>
+                        <td className="px-4 py-2 text-right">{row.sellThrough}%</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SupplierPortal;
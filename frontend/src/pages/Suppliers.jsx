@@ -2,27 +2,77 @@ import { useEffect, useState } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { useAuth } from '../context/AuthContext';
-import { useForm } from 'react-hook-form';
+import { useFieldArray, useForm } from 'react-hook-form';
 import ConfirmModal from '../components/ConfirmModal';
+import { formatCurrencyDisplay } from '../utils/utils';
+
+const PAYMENT_TERMS = {
+  cod: 'COD',
+  net_7: 'Net 7',
+  net_15: 'Net 15',
+  net_30: 'Net 30',
+  net_60: 'Net 60'
+};
+
+const TIN_PATTERN = /^\d{3}-?\d{3}-?\d{3}(-?\d{3,5})?$/;
+
+const EMPTY_CONTACT = { name: '', role: '', email: '', phone: '', isPrimary: false };
+
+// Blank reorder days fall back to the defaults in Settings
+const toDays = (value) => (value === '' || value === null || value === undefined ? null : parseInt(value));
+
+// Form values for a supplier; the linked user account is not edited here
+const toFormValues = (supplier) => ({
+  companyName: supplier.companyName,
+  contactDetails: supplier.contactDetails || '',
+  contacts: (supplier.contacts || []).map(({ name, role, email, phone, isPrimary }) => ({
+    name, role: role || '', email: email || '', phone: phone || '', isPrimary
+  })),
+  address: {
+    street: supplier.address?.street || '',
+    city: supplier.address?.city || '',
+    province: supplier.address?.province || '',
+    postalCode: supplier.address?.postalCode || ''
+  },
+  tin: supplier.tin || '',
+  paymentTerms: supplier.paymentTerms || 'cod',
+  minimumOrderValue: supplier.minimumOrderValue || 0,
+  isActive: supplier.isActive !== false,
+  leadTimeDays: supplier.leadTimeDays ?? '',
+  safetyStockDays: supplier.safetyStockDays ?? '',
+  isConsignor: supplier.isConsignor || false,
+  settlementBasis: supplier.settlementBasis || 'cost',
+  commissionRate: supplier.commissionRate || 0
+});
+
+const primaryContact = (supplier) => supplier.contacts?.find(contact => contact.isPrimary) || supplier.contacts?.[0];
 
 const Suppliers = () => {
   const { isAdmin } = useAuth();
   const [suppliers, setSuppliers] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ isActive: 'true', paymentTerms: '' });
   const [showModal, setShowModal] = useState(false);
   const [editingSupplier, setEditingSupplier] = useState(null);
   const [confirmModal, setConfirmModal] = useState({ isOpen: false, supplierId: null });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
-  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+  const { register, handleSubmit, reset, watch, setValue, control, formState: { errors } } = useForm();
+  const { fields: contactFields, append: addContact, remove: removeContact } = useFieldArray({ control, name: 'contacts' });
 
   useEffect(() => {
-    fetchSuppliers();
-  }, []);
+    // Wait for typing to pause before searching
+    const timer = setTimeout(fetchSuppliers, 300);
+    return () => clearTimeout(timer);
+  }, [search, filters]);
 
   const fetchSuppliers = async () => {
     try {
-      const response = await axios.get('/suppliers');
+      const params = { search: search.trim() || undefined };
+      if (filters.isActive) params.isActive = filters.isActive;
+      if (filters.paymentTerms) params.paymentTerms = filters.paymentTerms;
+      const response = await axios.get('/suppliers', { params });
       setSuppliers(response.data.data);
     } catch (error) {
       // Error handled by axios interceptor
@@ -34,11 +84,18 @@ const Suppliers = () => {
   const onSubmit = async (data) => {
     setIsSubmitting(true);
     try {
+      const payload = {
+        ...data,
+        minimumOrderValue: parseFloat(data.minimumOrderValue) || 0,
+        leadTimeDays: toDays(data.leadTimeDays),
+        safetyStockDays: toDays(data.safetyStockDays),
+        commissionRate: parseFloat(data.commissionRate) || 0
+      };
       if (editingSupplier) {
-        await axios.put(`/suppliers/${editingSupplier._id}`, data);
+        await axios.put(`/suppliers/${editingSupplier._id}`, payload);
         toast.success('Supplier updated successfully');
       } else {
-        await axios.post('/suppliers', data);
+        await axios.post('/suppliers', payload);
         toast.success('Supplier created successfully');
       }
       setShowModal(false);
@@ -54,10 +111,15 @@ const Suppliers = () => {
 
   const handleEdit = (supplier) => {
     setEditingSupplier(supplier);
-    reset(supplier);
+    reset(toFormValues(supplier));
     setShowModal(true);
   };
 
+  // Only one contact is the primary contact
+  const makePrimary = (index) => {
+    contactFields.forEach((field, i) => setValue(`contacts.${i}.isPrimary`, i === index));
+  };
+
   const handleDelete = (id) => {
     setConfirmModal({ isOpen: true, supplierId: id });
   };
@@ -89,48 +151,113 @@ const Suppliers = () => {
         </p>
       </div>
 
+      <div className="flex flex-col sm:flex-row gap-2 mb-4">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="w-full sm:w-80 px-3 py-2 border rounded-lg"
+          placeholder="Search by company, TIN, contact or city"
+        />
+        <select
+          value={filters.isActive}
+          onChange={(e) => setFilters({ ...filters, isActive: e.target.value })}
+          className="px-3 py-2 border rounded-lg"
+        >
+          <option value="true">Active</option>
+          <option value="false">Inactive</option>
+          <option value="">All suppliers</option>
+        </select>
+        <select
+          value={filters.paymentTerms}
+          onChange={(e) => setFilters({ ...filters, paymentTerms: e.target.value })}
+          className="px-3 py-2 border rounded-lg"
+        >
+          <option value="">All payment terms</option>
+          {Object.entries(PAYMENT_TERMS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Company Name</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contact Details</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Primary Contact</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Username</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Terms</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lead Time</th>
               {isAdmin && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>}
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {suppliers.length === 0 ? (
               <tr>
-                <td colSpan={isAdmin ? 4 : 3} className="px-6 py-4 text-center text-gray-500">
+                <td colSpan={isAdmin ? 6 : 5} className="px-6 py-4 text-center text-gray-500">
                   No suppliers found
                 </td>
               </tr>
             ) : (
-              suppliers.map((supplier) => (
-                <tr key={supplier._id}>
-                  <td className="px-6 py-4 whitespace-nowrap">{supplier.companyName}</td>
-                  <td className="px-6 py-4">{supplier.contactDetails || '-'}</td>
-                  <td className="px-6 py-4 whitespace-nowrap">{supplier.userId?.username || '-'}</td>
-                  {isAdmin && (
-                    <td className="px-6 py-4 whitespace-nowrap space-x-2">
-                      <button
-                        onClick={() => handleEdit(supplier)}
-                        className="text-blue-600 hover:text-blue-800"
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleDelete(supplier._id)}
-                        className="text-red-600 hover:text-red-800"
-                      >
-                        Delete
-                      </button>
+              suppliers.map((supplier) => {
+                const contact = primaryContact(supplier);
+                return (
+                  <tr key={supplier._id} className={supplier.isActive === false ? 'opacity-50' : ''}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div>
+                        {supplier.companyName}
+                        {supplier.isActive === false && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-800">Inactive</span>
+                        )}
+                      </div>
+                      {supplier.tin && <div className="text-xs text-gray-500">TIN {supplier.tin}</div>}
+                      {supplier.isConsignor && (
+                        <div className="text-xs text-gray-500">
+                          Consignment, {supplier.settlementBasis === 'commission' ? `${supplier.commissionRate}% commission` : 'agreed cost'}
+                        </div>
+                      )}
                     </td>
-                  )}
-                </tr>
-              ))
+                    <td className="px-6 py-4">
+                      {contact ? (
+                        <>
+                          <div>{contact.name}{contact.role && <span className="text-gray-500"> · {contact.role}</span>}</div>
+                          <div className="text-xs text-gray-500">{[contact.email, contact.phone].filter(Boolean).join(' · ')}</div>
+                        </>
+                      ) : (
+                        supplier.contactDetails || '-'
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{supplier.userId?.username || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div>{PAYMENT_TERMS[supplier.paymentTerms] || 'COD'}</div>
+                      {supplier.minimumOrderValue > 0 && (
+                        <div className="text-xs text-gray-500">Min. order {formatCurrencyDisplay(supplier.minimumOrderValue)}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {supplier.leadTimeDays != null ? `${supplier.leadTimeDays} days` : 'Default'}
+                    </td>
+                    {isAdmin && (
+                      <td className="px-6 py-4 whitespace-nowrap space-x-2">
+                        <button
+                          onClick={() => handleEdit(supplier)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(supplier._id)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                );
+              })
             )}
           </tbody>
         </table>
@@ -154,7 +281,7 @@ const Suppliers = () => {
 
       {showModal && isAdmin && editingSupplier && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
             <h2 className="text-xl sm:text-2xl font-bold mb-4">Edit Supplier</h2>
             <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
               <div>
@@ -167,15 +294,234 @@ const Suppliers = () => {
                   <p className="text-red-600 text-sm">{errors.companyName.message}</p>
                 )}
               </div>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">TIN</label>
+                  <input
+                    {...register('tin', {
+                      pattern: { value: TIN_PATTERN, message: 'e.g. 123-456-789-000' }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="123-456-789-000"
+                  />
+                  {errors.tin && (
+                    <p className="text-red-600 text-sm">{errors.tin.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Payment Terms</label>
+                  <select {...register('paymentTerms')} className="w-full px-3 py-2 border rounded-lg">
+                    {Object.entries(PAYMENT_TERMS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Minimum Order</label>
+                  <input
+                    {...register('minimumOrderValue', {
+                      min: { value: 0, message: 'Cannot be negative' }
+                    })}
+                    type="number"
+                    step="0.01"
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.minimumOrderValue && (
+                    <p className="text-red-600 text-sm">{errors.minimumOrderValue.message}</p>
+                  )}
+                </div>
+              </div>
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" {...register('isActive')} />
+                Active (inactive suppliers take no new purchase orders)
+              </label>
+
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium">Contacts</label>
+                  <button
+                    type="button"
+                    onClick={() => addContact({ ...EMPTY_CONTACT, isPrimary: contactFields.length === 0 })}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    + Add Contact
+                  </button>
+                </div>
+                {contactFields.length === 0 && <p className="text-sm text-gray-500">No contacts</p>}
+                <div className="space-y-3">
+                  {contactFields.map((field, index) => (
+                    <div key={field.id} className="border rounded-lg p-3">
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                        <div>
+                          <input
+                            {...register(`contacts.${index}.name`, { required: 'Name is required' })}
+                            className="w-full px-3 py-2 border rounded-lg"
+                            placeholder="Name *"
+                          />
+                          {errors.contacts?.[index]?.name && (
+                            <p className="text-red-600 text-sm">{errors.contacts[index].name.message}</p>
+                          )}
+                        </div>
+                        <input
+                          {...register(`contacts.${index}.role`)}
+                          className="w-full px-3 py-2 border rounded-lg"
+                          placeholder="Role, e.g. Sales or Accounts"
+                        />
+                        <div>
+                          <input
+                            {...register(`contacts.${index}.email`, {
+                              pattern: { value: /^\S+@\S+\.\S+$/, message: 'Invalid email address' }
+                            })}
+                            type="email"
+                            className="w-full px-3 py-2 border rounded-lg"
+                            placeholder="Email"
+                          />
+                          {errors.contacts?.[index]?.email && (
+                            <p className="text-red-600 text-sm">{errors.contacts[index].email.message}</p>
+                          )}
+                        </div>
+                        <div>
+                          <input
+                            {...register(`contacts.${index}.phone`, {
+                              pattern: { value: /^[\d\s()+-]{7,20}$/, message: 'Invalid phone number' }
+                            })}
+                            type="tel"
+                            className="w-full px-3 py-2 border rounded-lg"
+                            placeholder="Phone"
+                          />
+                          {errors.contacts?.[index]?.phone && (
+                            <p className="text-red-600 text-sm">{errors.contacts[index].phone.message}</p>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex justify-between items-center mt-2 text-sm">
+                        <label className="flex items-center gap-2">
+                          <input
+                            type="radio"
+                            checked={watch(`contacts.${index}.isPrimary`) || false}
+                            onChange={() => makePrimary(index)}
+                          />
+                          Primary contact
+                        </label>
+                        <button
+                          type="button"
+                          onClick={() => removeContact(index)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Address</label>
+                <input
+                  {...register('address.street')}
+                  className="w-full px-3 py-2 border rounded-lg mb-2"
+                  placeholder="Street, building, barangay"
+                />
+                <div className="grid grid-cols-3 gap-2">
+                  <input
+                    {...register('address.city')}
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="City"
+                  />
+                  <input
+                    {...register('address.province')}
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="Province"
+                  />
+                  <input
+                    {...register('address.postalCode', {
+                      pattern: { value: /^\d{4}$/, message: 'Postal code must be 4 digits' }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="Postal code"
+                  />
+                </div>
+                {errors.address?.postalCode && (
+                  <p className="text-red-600 text-sm">{errors.address.postalCode.message}</p>
+                )}
+              </div>
               <div>
-                <label className="block text-sm font-medium mb-1">Contact Details *</label>
+                <label className="block text-sm font-medium mb-1">Other Contact Details</label>
                 <textarea
-                  {...register('contactDetails', { required: 'Contact details are required' })}
+                  {...register('contactDetails')}
                   className="w-full px-3 py-2 border rounded-lg"
-                  rows="3"
+                  rows="2"
                 />
-                {errors.contactDetails && (
-                  <p className="text-red-600 text-sm">{errors.contactDetails.message}</p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Lead Time (days)</label>
+                  <input
+                    {...register('leadTimeDays', {
+                      min: { value: 0, message: 'Cannot be negative' },
+                      max: { value: 180, message: 'Cannot exceed 180' }
+                    })}
+                    type="number"
+                    step="1"
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="Default"
+                  />
+                  {errors.leadTimeDays && (
+                    <p className="text-red-600 text-sm">{errors.leadTimeDays.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Safety Stock (days)</label>
+                  <input
+                    {...register('safetyStockDays', {
+                      min: { value: 0, message: 'Cannot be negative' },
+                      max: { value: 180, message: 'Cannot exceed 180' }
+                    })}
+                    type="number"
+                    step="1"
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="Default"
+                  />
+                  {errors.safetyStockDays && (
+                    <p className="text-red-600 text-sm">{errors.safetyStockDays.message}</p>
+                  )}
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">Used for reorder suggestions; leave blank to use the defaults in Settings</p>
+              <div>
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" {...register('isConsignor')} />
+                  Supplies goods on consignment (settled after they sell)
+                </label>
+                {watch('isConsignor') && (
+                  <div className="grid grid-cols-2 gap-4 mt-2">
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Settled On</label>
+                      <select {...register('settlementBasis')} className="w-full px-3 py-2 border rounded-lg">
+                        <option value="cost">Agreed cost</option>
+                        <option value="commission">Sales less commission</option>
+                      </select>
+                    </div>
+                    {watch('settlementBasis') === 'commission' && (
+                      <div>
+                        <label className="block text-sm font-medium mb-1">Commission (%)</label>
+                        <input
+                          {...register('commissionRate', {
+                            min: { value: 0, message: 'Cannot be negative' },
+                            max: { value: 100, message: 'Cannot exceed 100' }
+                          })}
+                          type="number"
+                          step="0.01"
+                          className="w-full px-3 py-2 border rounded-lg"
+                        />
+                        {errors.commissionRate && (
+                          <p className="text-red-600 text-sm">{errors.commissionRate.message}</p>
+                        )}
+                      </div>
+                    )}
+                  </div>
                 )}
               </div>
               <div className="flex flex-col sm:flex-row gap-2">
@@ -208,4 +554,3 @@ const Suppliers = () => {
 };
 
 export default Suppliers;
-
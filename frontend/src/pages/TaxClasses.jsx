@@ -0,0 +1,300 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+import ConfirmModal from '../components/ConfirmModal';
+
+const TAX_TYPES = {
+  standard: 'VATable',
+  zero_rated: 'Zero-Rated',
+  exempt: 'VAT-Exempt'
+};
+
+const TaxClasses = () => {
+  const [taxClasses, setTaxClasses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingTaxClass, setEditingTaxClass] = useState(null);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, taxClassId: null });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm({
+    defaultValues: { type: 'standard', rate: 12 }
+  });
+
+  const selectedType = watch('type');
+
+  useEffect(() => {
+    fetchTaxClasses();
+  }, []);
+
+  const fetchTaxClasses = async () => {
+    try {
+      const response = await axios.get('/tax-classes');
+      setTaxClasses(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    try {
+      const payload = {
+        code: data.code,
+        name: data.name,
+        type: data.type,
+        rate: data.type === 'standard' ? parseFloat(data.rate) : 0,
+        description: data.description
+      };
+
+      if (editingTaxClass) {
+        await axios.put(`/tax-classes/${editingTaxClass._id}`, payload);
+        toast.success('Tax class updated successfully');
+      } else {
+        await axios.post('/tax-classes', payload);
+        toast.success('Tax class created successfully');
+      }
+      setShowModal(false);
+      setEditingTaxClass(null);
+      reset({ type: 'standard', rate: 12 });
+      fetchTaxClasses();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEdit = (taxClass) => {
+    setEditingTaxClass(taxClass);
+    reset(taxClass);
+    setShowModal(true);
+  };
+
+  const handleDelete = (id) => {
+    setConfirmModal({ isOpen: true, taxClassId: id });
+  };
+
+  const confirmDelete = async () => {
+    setIsDeleting(true);
+    try {
+      await axios.delete(`/tax-classes/${confirmModal.taxClassId}`);
+      toast.success('Tax class deleted successfully');
+      setConfirmModal({ isOpen: false, taxClassId: null });
+      fetchTaxClasses();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Tax Classes</h1>
+        <button
+          onClick={() => {
+            setEditingTaxClass(null);
+            reset({ type: 'standard', rate: 12 });
+            setShowModal(true);
+          }}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+        >
+          Add Tax Class
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Products use their own tax class, then their category&apos;s, then the default set in Settings.
+        Without any, sales are charged 12% VAT.
+      </p>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rate</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {taxClasses.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                  No tax classes found. Create your first tax class!
+                </td>
+              </tr>
+            ) : (
+              taxClasses.map((taxClass) => (
+                <tr key={taxClass._id}>
+                  <td className="px-6 py-4 whitespace-nowrap font-medium">{taxClass.code}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{taxClass.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{TAX_TYPES[taxClass.type]}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{taxClass.rate}%</td>
+                  <td className="px-6 py-4">{taxClass.description || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap space-x-2">
+                    <button
+                      onClick={() => handleEdit(taxClass)}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(taxClass._id)}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => {
+          if (!isDeleting) {
+            setConfirmModal({ isOpen: false, taxClassId: null });
+          }
+        }}
+        onConfirm={confirmDelete}
+        title="Delete Tax Class"
+        message="Are you sure you want to delete this tax class? This action cannot be undone."
+        confirmText="Delete"
+        variant="danger"
+        isLoading={isDeleting}
+      />
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingTaxClass ? 'Edit Tax Class' : 'Add Tax Class'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Code *</label>
+                <input
+                  {...register('code', {
+                    required: 'Tax class code is required',
+                    maxLength: {
+                      value: 20,
+                      message: 'Tax class code cannot exceed 20 characters'
+                    }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg uppercase"
+                  placeholder="e.g. VAT12"
+                />
+                {errors.code && (
+                  <p className="text-red-600 text-sm">{errors.code.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Name *</label>
+                <input
+                  {...register('name', {
+                    required: 'Tax class name is required',
+                    maxLength: {
+                      value: 50,
+                      message: 'Tax class name cannot exceed 50 characters'
+                    }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                {errors.name && (
+                  <p className="text-red-600 text-sm">{errors.name.message}</p>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Type *</label>
+                  <select
+                    {...register('type', { required: 'Type is required' })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    {Object.entries(TAX_TYPES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Rate (%) *</label>
+                  <input
+                    {...register('rate', {
+                      required: selectedType === 'standard' ? 'Tax rate is required' : false,
+                      min: { value: 0, message: 'Tax rate cannot be negative' },
+                      max: { value: 100, message: 'Tax rate cannot exceed 100%' }
+                    })}
+                    type="number"
+                    step="0.01"
+                    disabled={selectedType !== 'standard'}
+                    className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-100"
+                  />
+                  {errors.rate && (
+                    <p className="text-red-600 text-sm">{errors.rate.message}</p>
+                  )}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Description</label>
+                <textarea
+                  {...register('description', {
+                    maxLength: {
+                      value: 200,
+                      message: 'Description cannot exceed 200 characters'
+                    }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  rows="3"
+                />
+                {errors.description && (
+                  <p className="text-red-600 text-sm">{errors.description.message}</p>
+                )}
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? (editingTaxClass ? 'Updating...' : 'Creating...') : (editingTaxClass ? 'Update' : 'Create')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowModal(false);
+                    setEditingTaxClass(null);
+                    reset({ type: 'standard', rate: 12 });
+                  }}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaxClasses;
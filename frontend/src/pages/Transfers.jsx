@@ -0,0 +1,552 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import ConfirmModal from '../components/ConfirmModal';
+import { formatDate } from '../utils/utils';
+import { itemName, lineKey, variantName } from '../utils/variant';
+import { baseUnit, formatQuantity, productUnits } from '../utils/units';
+
+const TRANSFER_STATUSES = {
+  requested: { label: 'Requested', className: 'bg-gray-100 text-gray-800' },
+  in_transit: { label: 'In Transit', className: 'bg-blue-100 text-blue-800' },
+  received: { label: 'Received', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-800' }
+};
+
+// Status changes that only need a confirmation
+const STATUS_ACTIONS = {
+  dispatch: {
+    title: 'Dispatch Transfer',
+    message: 'Take the stock on this transfer out of the source location and send it?',
+    confirmText: 'Dispatch',
+    variant: 'info',
+    success: 'Transfer dispatched'
+  },
+  receive: {
+    title: 'Receive Transfer',
+    message: 'Confirm that everything on this transfer arrived? The stock will be added at the destination.',
+    confirmText: 'Receive',
+    variant: 'info',
+    success: 'Transfer received'
+  },
+  cancel: {
+    title: 'Cancel Transfer',
+    message: 'Cancel this transfer request? This action cannot be undone.',
+    confirmText: 'Cancel Transfer',
+    variant: 'danger',
+    success: 'Transfer cancelled'
+  }
+};
+
+const emptyLine = () => ({ product: '', variant: '', unit: '', quantity: 1 });
+
+const Transfers = () => {
+  const { user, isAdmin } = useAuth();
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [locationFilter, setLocationFilter] = useState('');
+  const [locations, setLocations] = useState([]);
+  const [sourceProducts, setSourceProducts] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState({ fromLocation: '', toLocation: '', notes: '', items: [emptyLine()] });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [viewingTransfer, setViewingTransfer] = useState(null);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, transfer: null, action: null });
+  const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [statusFilter, locationFilter]);
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  // Stock shown when choosing products is what the source location holds
+  useEffect(() => {
+    if (showModal && form.fromLocation) {
+      fetchSourceProducts(form.fromLocation);
+    } else {
+      setSourceProducts([]);
+    }
+  }, [showModal, form.fromLocation]);
+
+  const fetchTransfers = async () => {
+    try {
+      const params = {};
+      if (statusFilter) params.status = statusFilter;
+      if (locationFilter) params.location = locationFilter;
+      const response = await axios.get('/transfers', { params });
+      setTransfers(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations', { params: { isActive: true } });
+      setLocations(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch locations');
+    }
+  };
+
+  const fetchSourceProducts = async (locationId) => {
+    try {
+      const response = await axios.get('/products', { params: { isActive: true, location: locationId } });
+      setSourceProducts(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch products');
+    }
+  };
+
+  const replaceTransfer = (updated) => {
+    setTransfers(transfers.map(transfer => (transfer._id === updated._id ? updated : transfer)));
+  };
+
+  // Staff usually request stock into their own branch
+  const userLocation = user?.location || locations.find(location => location.isDefault)?._id || '';
+
+  const openCreate = () => {
+    setForm({ fromLocation: '', toLocation: isAdmin ? '' : userLocation, notes: '', items: [emptyLine()] });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    if (!isSubmitting) {
+      setShowModal(false);
+    }
+  };
+
+  const updateLine = (index, changes) => {
+    setForm({
+      ...form,
+      items: form.items.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    });
+  };
+
+  const removeLine = (index) => {
+    setForm({ ...form, items: form.items.filter((_, i) => i !== index) });
+  };
+
+  // Products with variants are moved per variant; only stock the source holds can be sent
+  const transferableItems = sourceProducts.flatMap(product => (
+    product.variants?.length > 0
+      ? product.variants.map(variant => ({
+        key: lineKey(product._id, variant._id),
+        product: product._id,
+        variant: variant._id,
+        stockQuantity: variant.stockQuantity,
+        label: `${itemName(product.name, variantName(variant))} (at source: ${formatQuantity(variant.stockQuantity, baseUnit(product))})`
+      }))
+      : [{
+        key: lineKey(product._id),
+        product: product._id,
+        variant: '',
+        stockQuantity: product.stockQuantity,
+        label: `${product.name} (at source: ${formatQuantity(product.stockQuantity, baseUnit(product))})`
+      }]
+  )).filter(entry => entry.stockQuantity > 0);
+
+  const selectTransferable = (index, key) => {
+    const entry = transferableItems.find(item => item.key === key);
+    updateLine(index, { product: entry?.product || '', variant: entry?.variant || '', unit: '' });
+  };
+
+  // Units a line can be moved in, e.g. pieces or cases
+  const lineUnits = (line) => {
+    const product = sourceProducts.find(entry => entry._id === line.product);
+    return product ? productUnits(product) : [];
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = form.items.filter(line => line.product);
+    if (items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+    if (form.fromLocation === form.toLocation) {
+      toast.error('Choose two different locations');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post('/transfers', {
+        fromLocation: form.fromLocation,
+        toLocation: form.toLocation,
+        notes: form.notes,
+        items: items.map(line => ({
+          product: line.product,
+          variant: line.variant || undefined,
+          unit: line.unit || undefined,
+          quantity: parseFloat(line.quantity)
+        }))
+      });
+      toast.success(`Transfer ${response.data.data.transferNumber} requested`);
+      setShowModal(false);
+      fetchTransfers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const confirmStatusChange = async () => {
+    const { transfer, action } = confirmModal;
+    setIsUpdatingStatus(true);
+    try {
+      const response = await axios.put(`/transfers/${transfer._id}/${action}`);
+      toast.success(STATUS_ACTIONS[action].success);
+      setConfirmModal({ isOpen: false, transfer: null, action: null });
+      replaceTransfer(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  const renderActions = (transfer) => {
+    const actions = [];
+    const askFor = (action) => () => setConfirmModal({ isOpen: true, transfer, action });
+
+    actions.push({ label: 'View', onClick: () => setViewingTransfer(transfer), className: 'text-gray-600 hover:text-gray-800' });
+
+    if (transfer.status === 'requested') {
+      if (isAdmin) {
+        actions.push({ label: 'Dispatch', onClick: askFor('dispatch'), className: 'text-blue-600 hover:text-blue-800' });
+      }
+      if (isAdmin || transfer.requestedBy?._id === user?.id) {
+        actions.push({ label: 'Cancel', onClick: askFor('cancel'), className: 'text-red-600 hover:text-red-800' });
+      }
+    }
+    // Staff receive transfers into their own branch
+    if (transfer.status === 'in_transit' && (isAdmin || transfer.toLocation?._id === userLocation)) {
+      actions.push({ label: 'Receive', onClick: askFor('receive'), className: 'text-green-600 hover:text-green-800' });
+    }
+
+    return actions.map(action => (
+      <button key={action.label} onClick={action.onClick} className={`text-sm ${action.className}`}>
+        {action.label}
+      </button>
+    ));
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Stock Transfers</h1>
+        <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+          <select
+            value={locationFilter}
+            onChange={(e) => setLocationFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All locations</option>
+            {locations.map(location => (
+              <option key={location._id} value={location._id}>{location.name}</option>
+            ))}
+          </select>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(TRANSFER_STATUSES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={openCreate}
+            disabled={locations.length < 2}
+            title={locations.length < 2 ? 'Add a second location to transfer stock' : undefined}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Request Transfer
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Transfer #</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">From</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">To</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requested</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {transfers.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                    No stock transfers found
+                  </td>
+                </tr>
+              ) : (
+                transfers.map((transfer) => (
+                  <tr key={transfer._id}>
+                    <td className="px-6 py-4 whitespace-nowrap font-semibold">{transfer.transferNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{transfer.fromLocation?.name || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{transfer.toLocation?.name || '-'}</td>
+                    <td className="px-6 py-4">
+                      <ul className="text-sm space-y-1">
+                        {transfer.items.map((item, index) => (
+                          <li key={index}>
+                            {itemName(item.product?.name || 'Unknown', item.variantName)} × {formatQuantity(item.quantity, baseUnit(item.product))}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${TRANSFER_STATUSES[transfer.status]?.className}`}>
+                        {TRANSFER_STATUSES[transfer.status]?.label || transfer.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{formatDate(transfer.createdAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap space-x-3">{renderActions(transfer)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => {
+          if (!isUpdatingStatus) {
+            setConfirmModal({ isOpen: false, transfer: null, action: null });
+          }
+        }}
+        onConfirm={confirmStatusChange}
+        title={STATUS_ACTIONS[confirmModal.action]?.title}
+        message={STATUS_ACTIONS[confirmModal.action]?.message}
+        confirmText={STATUS_ACTIONS[confirmModal.action]?.confirmText}
+        variant={STATUS_ACTIONS[confirmModal.action]?.variant}
+        isLoading={isUpdatingStatus}
+      />
+
+      {viewingTransfer && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => setViewingTransfer(null)}>
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{viewingTransfer.transferNumber}</h2>
+                <p className="text-sm text-gray-600">
+                  {viewingTransfer.fromLocation?.name} → {viewingTransfer.toLocation?.name}
+                </p>
+              </div>
+              <span className={`px-2 py-1 text-xs rounded-full ${TRANSFER_STATUSES[viewingTransfer.status]?.className}`}>
+                {TRANSFER_STATUSES[viewingTransfer.status]?.label}
+              </span>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Lots</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {viewingTransfer.items.map((item, index) => (
+                    <tr key={index}>
+                      <td className="px-3 py-2">{itemName(item.product?.name || 'Unknown', item.variantName)}</td>
+                      <td className="px-3 py-2 text-center">{formatQuantity(item.quantity, baseUnit(item.product))}</td>
+                      <td className="px-3 py-2 text-sm text-gray-600">
+                        {item.lots?.length > 0
+                          ? item.lots.map(allocation => (
+                            <div key={allocation.lot?._id || allocation.lot}>
+                              {allocation.lot?.lotNumber} × {allocation.quantity}
+                              {allocation.lot?.expiryDate && ` (exp. ${formatDate(allocation.lot.expiryDate)})`}
+                            </div>
+                          ))
+                          : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="text-sm text-gray-600 mt-3 space-y-1">
+              <p>Requested by {viewingTransfer.requestedBy?.username || '-'} on {formatDate(viewingTransfer.createdAt)}</p>
+              {viewingTransfer.dispatchedAt && (
+                <p>Dispatched by {viewingTransfer.dispatchedBy?.username || '-'} on {formatDate(viewingTransfer.dispatchedAt)}</p>
+              )}
+              {viewingTransfer.receivedAt && (
+                <p>Received by {viewingTransfer.receivedBy?.username || '-'} on {formatDate(viewingTransfer.receivedAt)}</p>
+              )}
+              {viewingTransfer.cancelledAt && <p>Cancelled on {formatDate(viewingTransfer.cancelledAt)}</p>}
+              {viewingTransfer.notes && <p>Notes: {viewingTransfer.notes}</p>}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => setViewingTransfer(null)}
+              className="w-full bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 mt-4"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">Request Transfer</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">From *</label>
+                  <select
+                    value={form.fromLocation}
+                    onChange={(e) => setForm({ ...form, fromLocation: e.target.value, items: [emptyLine()] })}
+                    required
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Select location</option>
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">To *</label>
+                  <select
+                    value={form.toLocation}
+                    onChange={(e) => setForm({ ...form, toLocation: e.target.value })}
+                    required
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Select location</option>
+                    {locations.filter(location => location._id !== form.fromLocation).map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Items *</label>
+                <div className="space-y-2">
+                  {form.items.map((line, index) => (
+                    <div key={index} className="flex flex-col sm:flex-row gap-2">
+                      <select
+                        value={line.product ? lineKey(line.product, line.variant) : ''}
+                        onChange={(e) => selectTransferable(index, e.target.value)}
+                        disabled={!form.fromLocation}
+                        className="flex-1 px-3 py-2 border rounded-lg"
+                      >
+                        <option value="">Select product</option>
+                        {transferableItems
+                          .filter(entry => entry.key === lineKey(line.product, line.variant)
+                            || !form.items.some(other => other.product && lineKey(other.product, other.variant) === entry.key))
+                          .map(entry => (
+                            <option key={entry.key} value={entry.key}>
+                              {entry.label}
+                            </option>
+                          ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                        required
+                        className="w-full sm:w-24 px-3 py-2 border rounded-lg"
+                        placeholder="Qty"
+                      />
+                      {lineUnits(line).length > 1 && (
+                        <select
+                          value={line.unit || lineUnits(line)[0].name}
+                          onChange={(e) => updateLine(index, { unit: e.target.value })}
+                          className="w-full sm:w-24 px-3 py-2 border rounded-lg"
+                        >
+                          {lineUnits(line).map(unit => (
+                            <option key={unit.name} value={unit.name}>{unit.name}</option>
+                          ))}
+                        </select>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => removeLine(index)}
+                        disabled={form.items.length === 1}
+                        className="text-red-600 hover:text-red-800 text-sm disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, items: [...form.items, emptyLine()] })}
+                  disabled={!form.fromLocation}
+                  className="mt-2 text-blue-600 hover:text-blue-800 text-sm disabled:opacity-50"
+                >
+                  + Add item
+                </button>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={form.notes}
+                  maxLength={500}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  rows="2"
+                />
+              </div>
+
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Requesting...' : 'Request Transfer'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Transfers;
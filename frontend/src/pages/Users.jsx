@@ -6,6 +6,7 @@ import ConfirmModal from '../components/ConfirmModal';
 
 const Users = () => {
   const [users, setUsers] = useState([]);
+  const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showSupplierModal, setShowSupplierModal] = useState(false);
@@ -14,13 +15,23 @@ const Users = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isSubmittingSupplier, setIsSubmittingSupplier] = useState(false);
   const [isResettingAccount, setIsResettingAccount] = useState(false);
-  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm();
   const { register: registerSupplier, handleSubmit: handleSubmitSupplier, reset: resetSupplier, formState: { errors: errorsSupplier } } = useForm();
 
   useEffect(() => {
     fetchUsers();
+    fetchLocations();
   }, []);
 
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations', { params: { isActive: true } });
+      setLocations(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch locations');
+    }
+  };
+
   const fetchUsers = async () => {
     try {
       const response = await axios.get('/users');
@@ -76,7 +87,9 @@ const Users = () => {
       email: user.email,
       phone: user.phone,
       role: user.role, 
-      isActive: user.isActive 
+      isSupervisor: Boolean(user.isSupervisor),
+      isActive: user.isActive,
+      location: user.location?._id || ''
     });
     setShowModal(true);
   };
@@ -140,6 +153,7 @@ const Users = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Phone</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Home Branch</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Failed Attempts</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Account Locked</th>
@@ -149,7 +163,7 @@ const Users = () => {
           <tbody className="bg-white divide-y divide-gray-200">
             {users.length === 0 ? (
               <tr>
-                <td colSpan="9" className="px-6 py-4 text-center text-gray-500">
+                <td colSpan="10" className="px-6 py-4 text-center text-gray-500">
                   No users found
                 </td>
               </tr>
@@ -162,7 +176,11 @@ const Users = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">{user.email || '-'}</td>
                   <td className="px-6 py-4 whitespace-nowrap">{user.phone || '-'}</td>
-                  <td className="px-6 py-4 whitespace-nowrap capitalize">{user.role}</td>
+                  <td className="px-6 py-4 whitespace-nowrap capitalize">
+                    {user.role}
+                    {user.isSupervisor && <span className="ml-2 px-2 py-1 bg-purple-100 text-purple-800 rounded text-xs normal-case">Supervisor</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">{user.location?.name || '-'}</td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     {user.isActive ? (
                       <span className="px-2 py-1 bg-green-100 text-green-800 rounded text-xs">Active</span>
@@ -347,6 +365,34 @@ const Users = () => {
                   <p className="text-red-600 text-sm">{errors.role.message}</p>
                 )}
               </div>
+              {watch('role') === 'staff' && (
+                <div>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      {...register('isSupervisor')}
+                      type="checkbox"
+                      className="w-4 h-4"
+                    />
+                    <span>Supervisor</span>
+                  </label>
+                  <p className="text-xs text-gray-500 mt-1">Supervisors approve voids, discounts above the staff limit and price overrides, as admins do</p>
+                </div>
+              )}
+              {locations.length > 1 && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Home Branch</label>
+                  <select
+                    {...register('location')}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Default location</option>
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">Sales and returns by this user move stock at this branch</p>
+                </div>
+              )}
               {editingUser && (
                 <div>
                   <label className="flex items-center space-x-2">
@@ -500,15 +546,15 @@ const Users = () => {
                 )}
               </div>
               <div>
-                <label className="block text-sm font-medium mb-1">Contact Details *</label>
+                <label className="block text-sm font-medium mb-1">Other Contact Details</label>
                 <textarea
-                  {...registerSupplier('contactDetails', { required: 'Contact details are required' })}
+                  {...registerSupplier('contactDetails')}
                   className="w-full px-3 py-2 border rounded-lg"
                   rows="3"
                 />
-                {errorsSupplier.contactDetails && (
-                  <p className="text-red-600 text-sm">{errorsSupplier.contactDetails.message}</p>
-                )}
+                <p className="text-xs text-gray-500 mt-1">
+                  The supplier's name, email and phone become their primary contact; add more contacts, address and terms on the Suppliers page
+                </p>
               </div>
               
               <div className="flex flex-col sm:flex-row gap-2">
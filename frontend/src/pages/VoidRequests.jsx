@@ -0,0 +1,241 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import ConfirmModal from '../components/ConfirmModal';
+import InputModal from '../components/InputModal';
+import { formatApprovalReason, VOID_REASONS } from '../components/ApprovalFields';
+import { formatCurrencyDisplay } from '../utils/utils';
+
+const REQUEST_STATUSES = {
+  pending: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-800' }
+};
+
+const STATUS_ACTIONS = {
+  approve: {
+    title: 'Approve Void',
+    message: 'Void this sale? Its stock is restored and it is excluded from revenue reports. This cannot be undone.',
+    confirmText: 'Approve and Void',
+    variant: 'danger',
+    success: 'Sale voided successfully. Stock quantities have been restored.'
+  },
+  cancel: {
+    title: 'Cancel Request',
+    message: 'Cancel this void request? The sale stands.',
+    confirmText: 'Cancel Request',
+    variant: 'warning',
+    success: 'Void request cancelled'
+  }
+};
+
+const VoidRequests = () => {
+  const { user, canApprove } = useAuth();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, request: null, action: null });
+  const [rejectModal, setRejectModal] = useState({ isOpen: false, request: null });
+  const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [statusFilter]);
+
+  const fetchRequests = async () => {
+    try {
+      const response = await axios.get('/void-requests', {
+        params: { status: statusFilter || undefined }
+      });
+      setRequests(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const confirmStatusChange = async () => {
+    const { request, action } = confirmModal;
+    setIsUpdatingStatus(true);
+    try {
+      await axios.put(`/void-requests/${request._id}/${action}`);
+      toast.success(STATUS_ACTIONS[action].success);
+      setConfirmModal({ isOpen: false, request: null, action: null });
+      fetchRequests();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  const confirmReject = async (reviewNote) => {
+    setIsUpdatingStatus(true);
+    try {
+      await axios.put(`/void-requests/${rejectModal.request._id}/reject`, { reviewNote: reviewNote || undefined });
+      toast.success('Void request rejected');
+      setRejectModal({ isOpen: false, request: null });
+      fetchRequests();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  const renderActions = (request) => {
+    if (request.status !== 'pending') return null;
+
+    const actions = [];
+    const askFor = (action) => () => setConfirmModal({ isOpen: true, request, action });
+    const isOwn = request.requestedBy?._id === user?.id;
+
+    // Approving takes a second person
+    if (canApprove && !isOwn) {
+      actions.push({ label: 'Approve', onClick: askFor('approve'), className: 'text-green-600 hover:text-green-800' });
+      actions.push({
+        label: 'Reject',
+        onClick: () => setRejectModal({ isOpen: true, request }),
+        className: 'text-red-600 hover:text-red-800'
+      });
+    }
+    if (isOwn) {
+      actions.push({ label: 'Cancel', onClick: askFor('cancel'), className: 'text-gray-600 hover:text-gray-800' });
+    }
+
+    return actions.map(action => (
+      <button
+        key={action.label}
+        onClick={action.onClick}
+        className={`text-sm ${action.className}`}
+      >
+        {action.label}
+      </button>
+    ));
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Void Approvals</h1>
+          <p className="text-sm text-gray-600">
+            {canApprove
+              ? 'Voids cashiers sent for approval when no admin or supervisor was at the register.'
+              : 'Voids you sent for approval. An admin or supervisor approves or rejects them.'}
+          </p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-2 border rounded-lg"
+        >
+          <option value="">All statuses</option>
+          {Object.entries(REQUEST_STATUSES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sale</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requested</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {requests.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                    No void requests found
+                  </td>
+                </tr>
+              ) : (
+                requests.map((request) => (
+                  <tr key={request._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{request.sale?.saleNumber || '-'}</div>
+                      {request.sale && (
+                        <div className="text-xs text-gray-500">
+                          {new Date(request.sale.createdAt).toLocaleString()} · {request.sale.cashier?.username || '-'}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      {request.sale ? formatCurrencyDisplay(request.sale.total) : '-'}
+                    </td>
+                    <td className="px-6 py-4 text-sm">{formatApprovalReason(VOID_REASONS, request)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div>{request.requestedBy?.username || '-'}</div>
+                      <div className="text-xs text-gray-500">{new Date(request.createdAt).toLocaleString()}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${REQUEST_STATUSES[request.status]?.className}`}>
+                        {REQUEST_STATUSES[request.status]?.label || request.status}
+                      </span>
+                      {request.reviewedBy && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          by {request.reviewedBy.username}
+                          {request.reviewNote && `: ${request.reviewNote}`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap space-x-3">{renderActions(request)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => {
+          if (!isUpdatingStatus) {
+            setConfirmModal({ isOpen: false, request: null, action: null });
+          }
+        }}
+        onConfirm={confirmStatusChange}
+        title={STATUS_ACTIONS[confirmModal.action]?.title}
+        message={STATUS_ACTIONS[confirmModal.action]?.message}
+        confirmText={STATUS_ACTIONS[confirmModal.action]?.confirmText}
+        variant={STATUS_ACTIONS[confirmModal.action]?.variant}
+        isLoading={isUpdatingStatus}
+      />
+
+      <InputModal
+        isOpen={rejectModal.isOpen}
+        onClose={() => {
+          if (!isUpdatingStatus) {
+            setRejectModal({ isOpen: false, request: null });
+          }
+        }}
+        onConfirm={confirmReject}
+        title="Reject Void"
+        message="The sale stands. The cashier sees the reason with the rejected request."
+        inputLabel="Reason"
+        inputType="text"
+        confirmText="Reject"
+        variant="danger"
+        isLoading={isUpdatingStatus}
+      />
+    </div>
+  );
+};
+
+export default VoidRequests;
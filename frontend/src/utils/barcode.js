@@ -0,0 +1,46 @@
+/**
+ * Barcode helpers
+ * Mirrors backend/utils/barcode.js so invalid codes are caught before saving
+ */
+
+// Retail barcode lengths: EAN-8, UPC-A and EAN-13
+const BARCODE_LENGTHS = [8, 12, 13];
+
+/**
+ * Strips the spaces and dashes printed between barcode digit groups
+ * @param {string} code - The barcode as typed or scanned
+ * @returns {string} Barcode digits
+ */
+export const normalizeBarcode = (code) => String(code ?? '').replace(/[\s-]/g, '');
+
+/**
+ * Checks an EAN-8, UPC-A or EAN-13 barcode, including its check digit
+ * @param {string} code - The barcode to check
+ * @returns {boolean} Whether the barcode is valid
+ */
+export const isValidBarcode = (code) => {
+  const digits = normalizeBarcode(code);
+  if (!/^\d+$/.test(digits) || !BARCODE_LENGTHS.includes(digits.length)) {
+    return false;
+  }
+
+  // Digits are weighted 3 and 1 alternately from the right, excluding the check digit
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+};
+
+/**
+ * Splits a comma or newline separated list of barcodes
+ * @param {string} value - The list as entered
+ * @returns {string[]} Normalized barcodes
+ */
+export const parseBarcodeList = (value) => (value || '')
+  .split(/[,\n]/)
+  .map(normalizeBarcode)
+  .filter(Boolean);
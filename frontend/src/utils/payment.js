@@ -0,0 +1,34 @@
+/**
+ * Payment helpers
+ * Mirrors the checks in backend/utils/payment.js so the register can show
+ * what is still due and the change before the sale is submitted
+ */
+import { roundCurrency } from './pricing';
+
+/**
+ * Sums the payments entered against a sale total
+ * @param {Array<{method: string, amount: number|string}>} payments - Payments as entered
+ * @param {number} total - The sale total
+ * @returns {{tendered: number, remaining: number, change: number, error: string|null}} Payment summary
+ */
+export const summarizePayments = (payments, total) => {
+  const amountOf = (payment) => parseFloat(payment.amount) || 0;
+  const tendered = roundCurrency(payments.reduce((sum, payment) => sum + amountOf(payment), 0));
+  const nonCash = roundCurrency(payments
+    .filter(payment => payment.method !== 'cash')
+    .reduce((sum, payment) => sum + amountOf(payment), 0));
+
+  let error = null;
+  if (nonCash > total) {
+    error = 'Non-cash payments cannot exceed the total';
+  } else if (tendered < total) {
+    error = 'Payments do not cover the total';
+  }
+
+  return {
+    tendered,
+    remaining: roundCurrency(Math.max(total - tendered, 0)),
+    change: roundCurrency(Math.max(tendered - total, 0)),
+    error
+  };
+};
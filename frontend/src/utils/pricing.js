@@ -0,0 +1,217 @@
+/**
+ * Cart pricing helpers
+ * Mirrors the backend calculation in backend/utils/pricing.js so the cart
+ * shows the same totals the server will charge
+ */
+
+/**
+ * Rounds a monetary amount to 2 decimal places
+ * @param {number} value - The amount to round
+ * @returns {number} Rounded amount
+ */
+export const roundCurrency = (value) => {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+};
+
+/**
+ * Computes the amount of a percentage or fixed discount against a base amount
+ * @param {number} base - The amount the discount applies to
+ * @param {string} discountType - 'percentage' or 'fixed'
+ * @param {number|string} discountValue - Percent or peso amount
+ * @returns {number} Discount amount, never more than the base
+ */
+export const computeDiscountAmount = (base, discountType, discountValue) => {
+  const value = parseFloat(discountValue) || 0;
+  if (!discountType || !value || base <= 0) return 0;
+
+  const amount = discountType === 'percentage' ? base * (value / 100) : value;
+  return roundCurrency(Math.min(amount, base));
+};
+
+/**
+ * Computes the discount granted by a promo code, honouring its maximum discount cap
+ * @param {number} base - The amount the promo applies to
+ * @param {Object|null} promo - Validated promo code
+ * @returns {number} Promo discount amount
+ */
+export const computePromoDiscount = (base, promo) => {
+  if (!promo) return 0;
+
+  let amount = computeDiscountAmount(base, promo.discountType, promo.discountValue);
+  if (promo.maxDiscount) {
+    amount = Math.min(amount, promo.maxDiscount);
+  }
+  return roundCurrency(amount);
+};
+
+/**
+ * Tax class used when neither the product, its category nor the settings define one
+ */
+export const DEFAULT_TAX_CLASS = {
+  code: 'VAT',
+  name: 'VAT',
+  type: 'standard',
+  rate: 12
+};
+
+/**
+ * Tax bucket for sales exempted under the senior citizen and PWD laws
+ */
+export const SENIOR_PWD_TAX_CLASS = {
+  code: 'SC/PWD',
+  name: 'Senior Citizen/PWD Exempt',
+  type: 'exempt',
+  rate: 0
+};
+
+/**
+ * Resolves the tax class of a product: its own, then its category's, then the default
+ * @param {Object} product - Product with populated taxClass
+ * @param {Map} categoryTaxClasses - Category name to tax class
+ * @param {Object|null} defaultTaxClass - Default tax class from settings
+ * @returns {Object} Tax class ({ code, name, type, rate })
+ */
+export const resolveTaxClass = (product, categoryTaxClasses, defaultTaxClass) => {
+  return product.taxClass
+    || categoryTaxClasses.get(product.category)
+    || defaultTaxClass
+    || DEFAULT_TAX_CLASS;
+};
+
+/**
+ * Spreads an order-level discount across lines in proportion to their amounts.
+ * The last line absorbs any rounding difference so the shares add up exactly.
+ * @param {Array<number>} amounts - Line amounts
+ * @param {number} discount - Discount to spread
+ * @returns {Array<number>} Share of the discount per line
+ */
+export const allocateDiscount = (amounts, discount) => {
+  const base = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (!discount || base <= 0) return amounts.map(() => 0);
+
+  let remaining = discount;
+  return amounts.map((amount, index) => {
+    if (index === amounts.length - 1) return roundCurrency(remaining);
+    const share = roundCurrency(discount * (amount / base));
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Calculates cart totals: per-line discounts, then the sale discount,
+ * then the promo code, with VAT computed per line from its tax class
+ * @param {Object} params
+ * @param {Array} params.items - Cart items ({ price, quantity, discountType, discountValue, taxClass })
+ * @param {Object} params.saleDiscount - Sale-level discount ({ type, value })
+ * @param {Object|null} params.promo - Validated promo code
+ * @param {boolean} params.pricesIncludeVat - Whether prices already include VAT
+ * @param {Object|null} params.taxExemption - Senior citizen/PWD exemption ({ discountPercent })
+ * @returns {Object} Totals with discount and VAT breakdown
+ */
+export const calculateCartTotals = ({
+  items,
+  saleDiscount = {},
+  promo = null,
+  pricesIncludeVat = false,
+  taxExemption = null
+}) => {
+  let subtotal = 0;
+  let lineDiscount = 0;
+
+  const lines = items.map(item => {
+    const lineSubtotal = roundCurrency(item.price * item.quantity);
+    const discountAmount = computeDiscountAmount(lineSubtotal, item.discountType, item.discountValue);
+    subtotal += lineSubtotal;
+    lineDiscount += discountAmount;
+    return { taxClass: item.taxClass || DEFAULT_TAX_CLASS, amount: roundCurrency(lineSubtotal - discountAmount) };
+  });
+
+  subtotal = roundCurrency(subtotal);
+  lineDiscount = roundCurrency(lineDiscount);
+
+  const afterLineDiscounts = roundCurrency(subtotal - lineDiscount);
+  const saleDiscountAmount = computeDiscountAmount(afterLineDiscounts, saleDiscount.type, saleDiscount.value);
+  const afterSaleDiscount = roundCurrency(afterLineDiscounts - saleDiscountAmount);
+  const promoDiscount = computePromoDiscount(afterSaleDiscount, promo);
+
+  const orderDiscounts = allocateDiscount(
+    lines.map(line => line.amount),
+    roundCurrency(saleDiscountAmount + promoDiscount)
+  );
+
+  let vat = 0;
+  let total = 0;
+  let seniorPwdDiscount = 0;
+  let vatExemptionAmount = 0;
+  const taxBuckets = new Map();
+
+  lines.forEach((line, index) => {
+    const { taxClass } = line;
+    const rate = taxClass.type === 'standard' ? (taxClass.rate || 0) / 100 : 0;
+    const net = roundCurrency(line.amount - orderDiscounts[index]);
+
+    let taxableAmount;
+    let taxAmount = 0;
+    let bucket = taxClass;
+
+    if (taxExemption) {
+      // VAT is removed and the statutory discount applies to the VAT-exclusive amount
+      const base = pricesIncludeVat ? roundCurrency(net / (1 + rate)) : net;
+      const exemptDiscount = roundCurrency(base * ((taxExemption.discountPercent || 0) / 100));
+
+      vatExemptionAmount += pricesIncludeVat ? roundCurrency(net - base) : 0;
+      seniorPwdDiscount += exemptDiscount;
+      taxableAmount = roundCurrency(base - exemptDiscount);
+      total += taxableAmount;
+      bucket = SENIOR_PWD_TAX_CLASS;
+    } else if (pricesIncludeVat) {
+      taxableAmount = roundCurrency(net / (1 + rate));
+      taxAmount = roundCurrency(net - taxableAmount);
+      total += net;
+    } else {
+      taxableAmount = net;
+      taxAmount = roundCurrency(net * rate);
+      total += roundCurrency(net + taxAmount);
+    }
+
+    vat += taxAmount;
+
+    const entry = taxBuckets.get(bucket.code) || {
+      code: bucket.code,
+      name: bucket.name,
+      type: bucket.type,
+      rate: bucket.type === 'standard' ? bucket.rate : 0,
+      taxableAmount: 0,
+      taxAmount: 0
+    };
+    entry.taxableAmount = roundCurrency(entry.taxableAmount + taxableAmount);
+    entry.taxAmount = roundCurrency(entry.taxAmount + taxAmount);
+    taxBuckets.set(bucket.code, entry);
+  });
+
+  const taxBreakdown = [...taxBuckets.values()];
+  const sumByType = (type) => roundCurrency(
+    taxBreakdown.filter(entry => entry.type === type).reduce((sum, entry) => sum + entry.taxableAmount, 0)
+  );
+
+  seniorPwdDiscount = roundCurrency(seniorPwdDiscount);
+
+  return {
+    subtotal,
+    lineDiscount,
+    saleDiscount: saleDiscountAmount,
+    promoDiscount,
+    seniorPwdDiscount,
+    discount: roundCurrency(lineDiscount + saleDiscountAmount + promoDiscount + seniorPwdDiscount),
+    // Manual (cashier-entered) discount as a percentage of the subtotal
+    manualDiscountPercent: subtotal > 0 ? ((lineDiscount + saleDiscountAmount) / subtotal) * 100 : 0,
+    taxBreakdown,
+    vatableSales: sumByType('standard'),
+    vatExemptSales: sumByType('exempt'),
+    zeroRatedSales: sumByType('zero_rated'),
+    vatExemptionAmount: roundCurrency(vatExemptionAmount),
+    vat: roundCurrency(vat),
+    total: roundCurrency(total)
+  };
+};
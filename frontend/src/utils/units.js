@@ -0,0 +1,55 @@
+/**
+ * Units of measure helpers
+ * Mirrors backend/utils/units.js
+ */
+
+/**
+ * Round a quantity to 3 decimal places
+ * @param {number} value - The quantity
+ * @returns {number} The rounded quantity
+ */
+export const roundQuantity = (value) => Math.round((Number(value) + Number.EPSILON) * 1000) / 1000;
+
+/**
+ * Unit a product's stock is counted in
+ * @param {Object} product - The product
+ * @returns {string} e.g. "pcs" or "kg"
+ */
+export const baseUnit = (product) => product?.unit || 'pcs';
+
+/**
+ * Every unit a product is sold or bought in, base unit first
+ * @param {Object} product - The product
+ * @returns {Array<{name: string, factor: number}>} The units with the base units each holds
+ */
+export const productUnits = (product) => [
+  { name: baseUnit(product), factor: 1 },
+  ...(product?.units || [])
+];
+
+/**
+ * Find one of a product's units by name, the base unit when no name is given
+ * @param {Object} product - The product
+ * @param {string} [name] - The unit name
+ * @returns {{name: string, factor: number}|undefined} The unit
+ */
+export const findUnit = (product, name) => productUnits(product).find(
+  unit => unit.name === (name || baseUnit(product))
+);
+
+/**
+ * Quantity with its unit, e.g. "1.5 kg"; records made before units of measure have no unit
+ * @param {number} quantity - The quantity
+ * @param {string} [unit] - The unit name
+ * @returns {string} The formatted quantity
+ */
+export const formatQuantity = (quantity, unit) => (
+  unit ? `${roundQuantity(quantity || 0)} ${unit}` : `${roundQuantity(quantity || 0)}`
+);
+
+/**
+ * Step for quantity inputs: fractions for weighed goods, whole units otherwise
+ * @param {Object} product - The product
+ * @returns {string} The input step
+ */
+export const quantityStep = (product) => (product?.allowFractions ? '0.001' : '1');
@@ -46,7 +46,9 @@ export const formatPaymentMethod = (method) => {
     cash: 'Cash',
     card: 'Card',
     mobile_payment: 'Mobile Payment',
-    other: 'Other'
+    other: 'Other',
+    points: 'Loyalty Points',
+    split: 'Split'
   };
   return methods[method] || method;
 };
@@ -0,0 +1,87 @@
+/**
+ * Product variant helpers
+ * Mirrors backend/utils/variant.js and the low-stock rules in backend/utils/stock.js
+ */
+
+/**
+ * Whether a product is sold as variants rather than as a single item
+ * @param {Object} product - The product
+ * @returns {boolean} Whether the product has variants
+ */
+export const hasVariants = (product) => (product?.variants?.length || 0) > 0;
+
+/**
+ * Label for a variant from its option values
+ * @param {Object} variant - The variant
+ * @returns {string} e.g. "M / Red"
+ */
+export const variantName = (variant) => (variant?.optionValues || []).join(' / ');
+
+/**
+ * Name of a product line, with the variant when there is one
+ * @param {string} productName - The product name
+ * @param {string} [variantLabel] - The variant label
+ * @returns {string} e.g. "Shirt (M / Red)"
+ */
+export const itemName = (productName, variantLabel) => (
+  variantLabel ? `${productName} (${variantLabel})` : productName
+);
+
+/**
+ * Active variants at or below their low-stock threshold
+ * @param {Object} product - The product
+ * @returns {Object[]} The low variants
+ */
+export const lowStockVariants = (product) => (product?.variants || []).filter(
+  variant => variant.isActive && variant.stockQuantity <= variant.lowStockThreshold
+);
+
+/**
+ * Whether a product, or any of its active variants, is low on stock
+ * @param {Object} product - The product
+ * @returns {boolean} Whether the product needs restocking
+ */
+export const isLowStock = (product) => (
+  hasVariants(product)
+    ? lowStockVariants(product).length > 0
+    : product.stockQuantity <= product.lowStockThreshold
+);
+
+/**
+ * Splits an option's comma separated values, dropping blanks and repeats
+ * @param {string} value - The values as entered, e.g. "S, M, L"
+ * @returns {string[]} The values
+ */
+export const parseOptionValues = (value) => [...new Set(
+  (value || '').split(',').map(item => item.trim()).filter(Boolean)
+)];
+
+/**
+ * Every combination of option values, in option order
+ * @param {Array<{name: string, values: string[]}>} options - The option axes
+ * @returns {string[][]} One list of values per combination
+ */
+export const optionCombinations = (options) => options.reduce(
+  (combinations, option) => combinations.flatMap(
+    values => option.values.map(value => [...values, value])
+  ),
+  [[]]
+);
+
+/**
+ * Key identifying a cart or order line by product and variant
+ * @param {string} productId - The product ID
+ * @param {string} [variantId] - The variant ID
+ * @returns {string} The line key
+ */
+export const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Find a product's variant by ID
+ * @param {Object} product - The product
+ * @param {string} [variantId] - The variant ID
+ * @returns {Object|undefined} The variant
+ */
+export const findVariantById = (product, variantId) => (
+  variantId ? product?.variants?.find(variant => variant._id === variantId) : undefined
+);